@@ -0,0 +1,50 @@
+// admin-audit.js — Append-only record of who did what in the admin panel
+const db = require('./db');
+
+function clientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) return forwarded.split(',')[0].trim();
+    return req.socket?.remoteAddress || null;
+}
+
+/**
+ * Appends one entry to `admin_audit_log`. Never throws — an audit failure is
+ * logged loudly but does not undo the admin action that already happened.
+ *
+ * @param {import('express').Request} req - carries the acting admin in req.auth
+ * @param {object} entry
+ * @param {string} entry.action       - e.g. 'tester.ban', 'test.budget.update'
+ * @param {string} entry.targetType   - e.g. 'tester', 'company', 'test', 'bug'
+ * @param {string|number} [entry.targetId]
+ * @param {object} [entry.before]     - snapshot before the change
+ * @param {object} [entry.after]      - snapshot after the change
+ */
+async function recordAdminAction(req, { action, targetType, targetId = null, before = null, after = null }) {
+    const actor = req.auth || {};
+    try {
+        await db.query(
+            `INSERT INTO admin_audit_log
+                (admin_id, admin_email, actor_role, action, target_type, target_id,
+                 before, after, ip, user_agent, method, path)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+            [
+                actor.adminId || null,
+                actor.adminEmail || null,
+                actor.role || 'anonymous',
+                action,
+                targetType,
+                targetId == null ? null : String(targetId),
+                before == null ? null : JSON.stringify(before),
+                after == null ? null : JSON.stringify(after),
+                clientIp(req),
+                req.headers['user-agent'] || null,
+                req.method,
+                req.originalUrl
+            ]
+        );
+    } catch (err) {
+        console.error(`❌ Audit log write failed for ${action} on ${targetType} #${targetId}: ${err.message}`);
+    }
+}
+
+module.exports = { recordAdminAction };
@@ -1,20 +1,78 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const ffmpeg = require('fluent-ffmpeg');
-const ffmpegPath = require('ffmpeg-static');
-const ffprobePath = require('ffprobe-static').path;
+// ai-analyzer.js — AI analysis of session recordings, as one staged pipeline
+// fetch → probe → extract → classify → dedupe → select → prompt → parse → persist
+//
+// Every stage is an async function of a shared context object (see runPipeline), so each can
+// be run and checked on its own. Remote recordings (a bug's proxy URL, shared video cache
+// first) and local files differ only in their fetch stage; black/white-screen classification
+// and freeze detection run in both. The model reply follows analysis-report.js and comes from
+// the active LLM provider (llm-providers.js).
+const ffmpeg = require('./ffmpeg-setup');
 const fs = require('fs');
 const path = require('path');
-const { createCanvas, loadImage } = require('canvas');
+const https = require('https');
+const http = require('http');
+const db = require('./db');
+const videoCache = require('./video-cache');
+const storageDrivers = require('./storage-drivers');
+const analysisReport = require('./analysis-report');
+const llm = require('./llm-providers');
+
+const TEMP_ROOT = path.join(__dirname, 'temp-analysis');
+
+// Frames are compared and classified on a tiny grayscale thumbnail of this many pixels a side
+const SIGNATURE_SIZE = 32;
+// Consecutive frames at least this similar (0-100) count as the same screen
+const DUPLICATE_SIMILARITY = 92;
+// More similar frames in a row than this, then a change, is reported as a freeze
+const FREEZE_STREAK = 2;
+// Most frames sent to the model (context limits), and the fewest worth a vision prompt
+const MAX_FRAMES = 50;
+const MIN_FRAMES = 3;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Downloads a file from a URL to a local destination, following redirects.
+ * @param {string} url
+ * @param {string} dest
+ * @param {Record<string, string>} [headers]
+ * @returns {Promise<void>}
+ */
+function downloadFile(url, dest, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https') ? https : http;
+        const file = fs.createWriteStream(dest);
+
+        client.get(url, { headers }, (res) => {
+            if (res.statusCode === 301 || res.statusCode === 302) {
+                file.close();
+                fs.unlink(dest, () => { });
+                return downloadFile(new URL(res.headers.location, url).toString(), dest, headers)
+                    .then(resolve)
+                    .catch(reject);
+            }
 
-// Point to bundled ffmpeg
-ffmpeg.setFfmpegPath(ffmpegPath);
-ffmpeg.setFfprobePath(ffprobePath);
+            if (res.statusCode !== 200) {
+                file.close();
+                fs.unlink(dest, () => { });
+                return reject(new Error(`HTTP ${res.statusCode} while downloading video from ${url}`));
+            }
 
-// Gemini setup
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+            res.pipe(file);
+            file.on('finish', () => { file.close(); resolve(); });
+        }).on('error', (err) => {
+            fs.unlink(dest, () => { });
+            reject(err);
+        });
+    });
+}
 
-// ===== SMART FRAME COUNT =====
+/**
+ * Returns a sensible frame count for a given video duration (seconds).
+ * Extracts generously: duplicates are filtered out later.
+ */
 function getFrameCount(durationSeconds) {
     if (durationSeconds < 30) return 10;
     if (durationSeconds < 60) return 15;
@@ -22,588 +80,653 @@ function getFrameCount(durationSeconds) {
     if (durationSeconds < 180) return 35;
     if (durationSeconds < 300) return 45;
     if (durationSeconds < 600) return 60;
-    return 80;  // Extract more, filter later
+    return 80;
+}
+
+function formatTimestamp(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
 }
 
-// ===== GET VIDEO DURATION =====
-function getVideoDuration(videoPath) {
+// Grayscale SIGNATURE_SIZE² thumbnail of an image, one byte per pixel
+function frameSignature(framePath) {
     return new Promise((resolve, reject) => {
-        ffmpeg.ffprobe(videoPath, (err, metadata) => {
-            if (err) return reject(err);
-            resolve(metadata.format.duration || 0);
-        });
+        const chunks = [];
+        const output = ffmpeg(framePath)
+            .outputOptions(['-vf', `scale=${SIGNATURE_SIZE}:${SIGNATURE_SIZE},format=gray`, '-frames:v', '1'])
+            .format('rawvideo')
+            .on('error', reject)
+            .pipe();
+        output.on('data', (chunk) => chunks.push(chunk));
+        output.on('end', () => resolve(Buffer.concat(chunks)));
     });
 }
 
-// ===== EXTRACT FRAMES =====
-function extractFrames(videoPath, outputDir, numFrames) {
-    return new Promise((resolve, reject) => {
-        if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+/**
+ * What a frame shows, from its signature: 'black_screen', 'white_screen',
+ * 'nearly_black' or 'normal'.
+ */
+function classifySignature(signature) {
+    if (!signature || signature.length === 0) return 'normal';
+    let total = 0;
+    let dark = 0;
+    let white = 0;
+    for (const value of signature) {
+        total += value;
+        if (value < 20) dark++;
+        if (value > 240) white++;
+    }
+    if (dark / signature.length > 0.9) return 'black_screen';
+    if (white / signature.length > 0.9) return 'white_screen';
+    if (total / signature.length < 15) return 'nearly_black';
+    return 'normal';
+}
 
-        ffmpeg.ffprobe(videoPath, (err, metadata) => {
-            if (err) return reject(err);
+// Visual similarity of two signatures, 0 (opposite) to 100 (identical)
+function similarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff += Math.abs(a[i] - b[i]);
+    return 100 - (diff / a.length / 255) * 100;
+}
+
+function isBlack(frame) {
+    return frame.type === 'black_screen' || frame.type === 'nearly_black';
+}
 
-            const duration = metadata.format.duration;
-            if (!duration || duration < 1) return reject(new Error('Video too short'));
+/**
+ * Drops near-duplicates from frames sorted by time, marking the frame before
+ * each long run of identical screens with how long it stayed frozen.
+ * @returns {{ unique: object[], removed: number, freezes: number }}
+ */
+function filterDuplicates(frames) {
+    if (frames.length <= 1) return { unique: frames, removed: 0, freezes: 0 };
+
+    const unique = [frames[0]];
+    let removed = 0;
+    let freezes = 0;
+    let streak = 0;
 
-            // Spread timestamps evenly, skip first/last second
-            const startTime = Math.min(1, duration * 0.05);
-            const endTime = Math.max(duration - 1, duration * 0.95);
-            const usableDuration = endTime - startTime;
+    const closeStreak = (lastTimestamp) => {
+        if (streak > FREEZE_STREAK) {
+            const frozen = unique[unique.length - 1];
+            frozen.frozenDuration = Math.round(lastTimestamp - frozen.timestamp);
+            freezes++;
+        }
+        streak = 0;
+    };
 
-            const timestamps = [];
-            for (let i = 0; i < numFrames; i++) {
-                const time = startTime + (i / (numFrames - 1)) * usableDuration;
-                timestamps.push(Math.min(Math.floor(time * 10) / 10, duration - 0.5));
-            }
+    for (let i = 1; i < frames.length; i++) {
+        if (similarity(unique[unique.length - 1].signature, frames[i].signature) < DUPLICATE_SIMILARITY) {
+            // Screen changed — was it stuck before this transition?
+            closeStreak(frames[i - 1].timestamp);
+            unique.push(frames[i]);
+        } else {
+            removed++;
+            streak++;
+        }
+    }
+    // Frozen until the very end of the session
+    closeStreak(frames[frames.length - 1].timestamp);
 
-            const uniqueTimestamps = [...new Set(timestamps.map(t => Math.floor(t)))];
-
-            let completed = 0;
-            let failed = 0;
-            const frameFiles = [];
-            const total = uniqueTimestamps.length;
-
-            if (total === 0) return reject(new Error('No timestamps generated'));
-
-            uniqueTimestamps.forEach((time, i) => {
-                const outputFile = path.join(outputDir, `frame_${String(i).padStart(3, '0')}.jpg`);
-
-                ffmpeg(videoPath)
-                    .seekInput(time)
-                    .frames(1)
-                    .output(outputFile)
-                    .size('360x640')
-                    .outputOptions(['-q:v 3'])
-                    .on('end', () => {
-                        if (fs.existsSync(outputFile) && fs.statSync(outputFile).size > 1000) {
-                            frameFiles.push({ path: outputFile, timestamp: time });
-                        }
-                        completed++;
-                        if (completed + failed === total) {
-                            const sorted = frameFiles.sort((a, b) => a.timestamp - b.timestamp);
-                            resolve(sorted);
-                        }
-                    })
-                    .on('error', () => {
-                        failed++;
-                        if (completed + failed === total) {
-                            const sorted = frameFiles.sort((a, b) => a.timestamp - b.timestamp);
-                            resolve(sorted);
-                        }
-                    })
-                    .run();
-            });
-        });
-    });
+    return { unique, removed, freezes };
 }
 
-// ===== COMPARE TWO IMAGES — DETECT DUPLICATES =====
-async function compareImages(imagePath1, imagePath2) {
+// Device telemetry (JSON from the app) as one line for the prompt
+function formatDeviceStats(deviceStats) {
+    if (!deviceStats) return 'Not available';
     try {
-        const img1 = await loadImage(imagePath1);
-        const img2 = await loadImage(imagePath2);
-
-        // Resize both to tiny size for fast comparison
-        const size = 32;
-        const canvas1 = createCanvas(size, size);
-        const ctx1 = canvas1.getContext('2d');
-        ctx1.drawImage(img1, 0, 0, size, size);
-
-        const canvas2 = createCanvas(size, size);
-        const ctx2 = canvas2.getContext('2d');
-        ctx2.drawImage(img2, 0, 0, size, size);
-
-        const data1 = ctx1.getImageData(0, 0, size, size).data;
-        const data2 = ctx2.getImageData(0, 0, size, size).data;
-
-        // Calculate difference
-        let totalDiff = 0;
-        const pixelCount = size * size;
-
-        for (let i = 0; i < data1.length; i += 4) {
-            // Compare RGB channels (skip alpha)
-            const rDiff = Math.abs(data1[i] - data2[i]);
-            const gDiff = Math.abs(data1[i + 1] - data2[i + 1]);
-            const bDiff = Math.abs(data1[i + 2] - data2[i + 2]);
-            totalDiff += (rDiff + gDiff + bDiff) / 3;
-        }
-
-        // Average difference per pixel (0-255 scale)
-        const avgDiff = totalDiff / pixelCount;
+        const p = typeof deviceStats === 'string' ? JSON.parse(deviceStats) : deviceStats;
+        const parts = [
+            `Battery: ${p.batteryStart}% → ${p.batteryEnd}% (${p.batteryDrain}% drain)`,
+            `Network: ${p.networkType} (${p.networkSpeed})`,
+            `Device: ${p.deviceModel} / Android ${p.androidVersion}`,
+            `Duration: ${p.testDuration}s`,
+            `Location: ${p.city}, ${p.state}`,
+        ];
+        if (p.screenResolution) parts.push(`Screen: ${p.screenResolution}`);
+        if (p.crashDetected) parts.push(`Crash detected: ${p.crashInfo || 'yes'}`);
+        return parts.join(' | ');
+    } catch {
+        // Telemetry was not valid JSON — use raw string
+        return String(deviceStats);
+    }
+}
 
-        // Convert to similarity percentage (0-100)
-        const similarity = 100 - (avgDiff / 255) * 100;
+// ============================================
+// PROMPTS
+// ============================================
+
+const SHARED_CONSTRAINTS = `
+OUTPUT RULES (strictly enforced):
+- Reply with a single JSON object that follows the response schema; no text before or after it
+- No emojis, em-dashes, or markdown (**text**, __text__, # headers) inside string values
+- No preamble ("As a QA auditor...", "Based on the video...") and no sign-off in any field
+- List items (reproduction_steps, recommended_fixes) are plain sentences without numbering
+`.trim();
+
+/**
+ * Builds the text-only (no video frames) analysis prompt.
+ */
+function buildTextOnlyPrompt({ appName, instructions, bugDescription, statsText }) {
+    return `
+You are a Senior QA Engineer writing a formal, structured bug report. Your output will be parsed programmatically — follow the format exactly.
+
+${SHARED_CONSTRAINTS}
+
+INPUT DATA:
+- App: ${appName}
+- Test Instructions: ${instructions}
+- Bug Description: ${bugDescription || 'General session audit — no specific bug described'}
+- Device Telemetry: ${statsText}
+
+FIELDS:
+- title: a concise, descriptive title for this bug (5–10 words) in technical language. Example: "Checkout flow hangs after payment confirmation on low-memory devices".
+- reproduction_steps: precise, minimal steps to reproduce this issue, each actionable by a developer who has never seen the app.
+- root_cause: your best hypothesis for the underlying engineering cause. Reference the telemetry data where relevant. Be specific — avoid vague language like "there may be an issue with...".
+- recommended_fixes: 3–5 concrete engineering recommendations, ordered by impact.
+- severity.rating: exactly one of LOW, MEDIUM, HIGH, CRITICAL. severity.justification: one sentence explaining why.
+- admin_verdict: the internal audit decision for the QA team. verdict is APPROVE or REJECT; confidence is 0 to 1; reasoning is 2–3 sentences noting if the bug description is too vague, if the session produced insufficient evidence, or if the report is confident and actionable.
+- evidence: an empty array (no video frames are available).
+`.trim();
+}
 
-        return similarity;
+/**
+ * Builds the vision-enabled (with video frames) analysis prompt.
+ */
+function buildVisionPrompt({
+    appName,
+    instructions,
+    bugDescription,
+    statsText,
+    sessionDuration,
+    frameCount,
+    timeline,
+    timingSummary,
+}) {
+    return `
+You are a Senior QA Engineer performing a visual audit of a recorded mobile test session. Analyze the ${frameCount} video frames alongside the device telemetry. Your output will be parsed programmatically — follow the format exactly.
+
+${SHARED_CONSTRAINTS}
+
+INPUT DATA:
+- App: ${appName}
+- Test Instructions: ${instructions || 'Standard exploratory session'}
+- Bug Description: ${bugDescription || 'General session audit — no specific bug described'}
+- Device Telemetry: ${statsText}
+- Session Duration: ${sessionDuration}
+
+FRAME TIMELINE (the images follow in this order; duplicate frames and black screens were removed):
+${timeline}
+(Entries marked SLOW or FROZEN indicate potential performance or rendering issues; WHITE SCREEN marks a blank screen.)
+
+TIMING SUMMARY:
+${timingSummary}
 
-    } catch (e) {
-        return 0; // If comparison fails, treat as different
-    }
+FIELDS:
+- title: a concise, descriptive title for this bug (5–10 words), grounded in what you actually observed in the frames. Example: "Settings screen becomes unresponsive after toggling notifications rapidly".
+- reproduction_steps: precise steps a developer could follow to reproduce this exact issue, based on the visual sequence shown in the frames. Note the approximate timestamp where the bug occurs.
+- root_cause: your best hypothesis for the underlying engineering cause. Cross-reference visual evidence (e.g., frame 12 shows a blank screen after a network call) with telemetry (e.g., high battery drain, weak network). Be specific.
+- recommended_fixes: 3–5 concrete engineering recommendations, ordered by impact. Slow transitions and freezes count as defects too.
+- severity.rating: exactly one of LOW, MEDIUM, HIGH, CRITICAL. severity.justification: one sentence explaining why, referencing visual or telemetry evidence.
+- admin_verdict: the internal audit decision for the QA team. verdict is APPROVE or REJECT; confidence is 0 to 1; reasoning is 2–3 sentences assessing whether the visual evidence clearly supports the bug report, noting any ambiguities, and stating whether the report is ready for developer handoff.
+- evidence: the frames that support your report, by their number in the timeline (1 to ${frameCount}), each with one sentence on what it shows.
+`.trim();
 }
 
-// ===== FILTER OUT DUPLICATE/FROZEN FRAMES =====
-async function filterDuplicateFrames(frameFiles, similarityThreshold = 92) {
-    if (frameFiles.length <= 1) return frameFiles;
-
-    console.log(`🔍 Checking ${frameFiles.length} frames for duplicates (threshold: ${similarityThreshold}%)...`);
-
-    const uniqueFrames = [frameFiles[0]];
-    let duplicatesRemoved = 0;
-    let frozenStreaks = 0;
-    let currentStreak = 0;
-    let streakStartTime = frameFiles[0].timestamp;
-
-    for (let i = 1; i < frameFiles.length; i++) {
-        const similarity = await compareImages(
-            uniqueFrames[uniqueFrames.length - 1].path,
-            frameFiles[i].path
-        );
-
-        if (similarity < similarityThreshold) {
-            // Different enough — keep it
-            if (currentStreak > 2) {
-                // Record how long the screen was frozen
-                const frozenDuration = Math.round(frameFiles[i - 1].timestamp - streakStartTime);
-                uniqueFrames[uniqueFrames.length - 1].frozenDuration = frozenDuration;
-                frozenStreaks++;
-                console.log(`   ❄️ Screen frozen for ${frozenDuration}s at ~${Math.round(streakStartTime)}s`);
+// One line per frame, with the gap since the previous one and anything unusual
+function buildTimeline(frames) {
+    return frames
+        .map((f, i) => {
+            let line = `Frame ${i + 1} [${formatTimestamp(f.timestamp)}]`;
+            if (i > 0) {
+                const gap = Math.round((f.timestamp - frames[i - 1].timestamp) * 10) / 10;
+                line += ` (+${gap}s)`;
+                if (gap > 10) line += ' — VERY SLOW';
+                else if (gap > 5) line += ' — SLOW';
             }
-            uniqueFrames.push(frameFiles[i]);
-            currentStreak = 0;
-            streakStartTime = frameFiles[i].timestamp;
-        } else {
-            // Too similar — skip
-            duplicatesRemoved++;
-            currentStreak++;
-        }
-    }
+            if (f.type === 'white_screen') line += ' — WHITE SCREEN';
+            if (f.frozenDuration) line += ` — FROZEN for ${f.frozenDuration}s`;
+            return line;
+        })
+        .join('\n');
+}
 
-    // Check last streak
-    if (currentStreak > 2) {
-        const frozenDuration = Math.round(frameFiles[frameFiles.length - 1].timestamp - streakStartTime);
-        uniqueFrames[uniqueFrames.length - 1].frozenDuration = frozenDuration;
-        frozenStreaks++;
-        console.log(`   ❄️ Screen frozen for ${frozenDuration}s at end of video`);
-    }
+function buildTimingSummary(frames, summary) {
+    const gaps = frames.slice(1).map((f, i) => f.timestamp - frames[i].timestamp);
+    const average = gaps.length > 0 ? Math.round((gaps.reduce((a, b) => a + b, 0) / gaps.length) * 10) / 10 : 0;
+    return [
+        `- Screen changes: ${frames.length}, average ${average}s per screen`,
+        `- Slow transitions (>5s): ${gaps.filter((g) => g > 5 && g <= 10).length}`,
+        `- Very slow transitions or possible freezes (>10s): ${gaps.filter((g) => g > 10).length}`,
+        `- Frozen screen events: ${summary.freezes}`,
+        `- Black screens removed: ${summary.blackScreens}, white screens: ${summary.whiteScreens}`,
+        `- Duplicate frames removed: ${summary.duplicatesRemoved}`,
+    ].join('\n');
+}
 
-    // Always keep last frame
-    const lastFrame = frameFiles[frameFiles.length - 1];
-    const lastUnique = uniqueFrames[uniqueFrames.length - 1];
-    if (lastFrame.path !== lastUnique.path) {
-        const sim = await compareImages(lastUnique.path, lastFrame.path);
-        if (sim < similarityThreshold) {
-            uniqueFrames.push(lastFrame);
+// ============================================
+// MODEL CALL
+// ============================================
+
+/**
+ * Asks each model of the active LLM provider in turn for a report matching
+ * REPORT_SCHEMA. Transient errors are retried on the same model; an invalid reply
+ * gets one repair pass (the model is shown its reply and what is wrong with it)
+ * before moving on to the next model.
+ * @param {string} prompt
+ * @param {Array<{ path: string, timestamp: number }>} frames - sent as images, in order
+ * @param {string} label - for logs
+ * @returns {Promise<{ report: object|null, model: string|null, provider: string|null, usage: object, error?: string }>}
+ */
+async function generateReport(prompt, frames, label) {
+    const provider = llm.activeProvider();
+    const usage = llm.emptyUsage();
+    if (!provider) return { report: null, model: null, provider: null, usage, error: 'No LLM provider is configured' };
+
+    const images = frames.map((f) => ({ data: fs.readFileSync(f.path), mimeType: 'image/jpeg' }));
+    let lastError = 'No model returned a valid report';
+
+    for (const model of provider.models) {
+        try {
+            console.log(`🤖 Trying ${provider.name}/${model} (${label})...`);
+            let reply = await llm.generateWithRetry(provider, {
+                model, prompt, images, schema: analysisReport.REPORT_SCHEMA,
+            });
+            llm.addUsage(usage, reply.usage);
+            let parsed = analysisReport.parseReport(reply.text, { frames });
+
+            if (parsed.errors.length > 0) {
+                console.warn(`⚠️ ${model} reply invalid (${parsed.errors.join('; ')}), asking for a repair...`);
+                reply = await llm.generateWithRetry(provider, {
+                    model, prompt: analysisReport.buildRepairPrompt(reply.text, parsed.errors), schema: analysisReport.REPORT_SCHEMA,
+                });
+                llm.addUsage(usage, reply.usage);
+                parsed = analysisReport.parseReport(reply.text, { frames });
+            }
+
+            if (parsed.report) return { report: parsed.report, model: reply.model, provider: provider.name, usage };
+            lastError = `${model} reply still invalid: ${parsed.errors.join('; ')}`;
+            console.warn(`⚠️ ${lastError}`);
+        } catch (err) {
+            lastError = `${model} failed: ${err.message}`;
+            console.warn(`⚠️ ${lastError}`);
+            if (err.kind === 'fatal') break;
         }
     }
+    return { report: null, model: null, provider: provider.name, usage, error: lastError };
+}
 
-    console.log(`📸 Results: ${uniqueFrames.length} unique, ${duplicatesRemoved} duplicates removed, ${frozenStreaks} freezes`);
-
-    return uniqueFrames;
+// ============================================
+// STAGES
+// ============================================
+// Each stage reads what earlier ones left on the context and adds its own results:
+//   input:    workDir, deviceStats, bugDescription, testInfo { app_name, instructions },
+//             source { path } (local) or { url, headers, cacheKey } (remote), bugId (persist)
+//   fetch:    videoPath              probe:  info { duration, width, height }, frameCount
+//   extract:  rawFrames [{ path, timestamp }]
+//   classify: frame.signature, frame.type
+//   dedupe:   uniqueFrames, summary { blackScreens, whiteScreens, duplicatesRemoved, freezes }
+//   select:   selectedFrames, videoInfo
+//   prompt:   prompt, promptLabel     parse:  generated { report, model, provider, usage, error }
+
+// A recording already on this machine
+async function fetchLocal(ctx) {
+    if (!fs.existsSync(ctx.source.path)) throw new Error(`Video file not found: ${ctx.source.path}`);
+    ctx.videoPath = ctx.source.path;
 }
-// ===== DETECT SPECIFIC FRAME TYPES =====
-async function classifyFrame(imagePath) {
+
+// A recording behind a URL, from the shared video cache when the proxy already has it
+async function fetchRemote(ctx) {
+    const { url, headers, cacheKey } = ctx.source;
+    ctx.videoPath = path.join(ctx.workDir, 'video.mp4');
+
     try {
-        const img = await loadImage(imagePath);
-        const size = 32;
-        const canvas = createCanvas(size, size);
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, size, size);
-
-        const data = ctx.getImageData(0, 0, size, size).data;
-
-        let totalR = 0, totalG = 0, totalB = 0;
-        let darkPixels = 0;
-        let whitePixels = 0;
-        const pixelCount = size * size;
-
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i], g = data[i + 1], b = data[i + 2];
-            totalR += r; totalG += g; totalB += b;
-
-            const brightness = (r + g + b) / 3;
-            if (brightness < 20) darkPixels++;
-            if (brightness > 240) whitePixels++;
+        const cached = cacheKey && videoCache.lookup(cacheKey);
+        if (cached) {
+            fs.copyFileSync(cached.path, ctx.videoPath);
+            console.log('⚡ Cache HIT — skipped download');
+            return;
         }
+    } catch {
+        // Cache lookup failure (or an eviction mid-copy) is non-fatal
+    }
 
-        const avgBrightness = (totalR + totalG + totalB) / (3 * pixelCount);
-        const darkRatio = darkPixels / pixelCount;
-        const whiteRatio = whitePixels / pixelCount;
-
-        if (darkRatio > 0.9) return 'black_screen';
-        if (whiteRatio > 0.9) return 'white_screen';
-        if (avgBrightness < 15) return 'nearly_black';
-        return 'normal';
+    console.log('⬇️  Downloading video...');
+    await downloadFile(url, ctx.videoPath, headers);
+    console.log(`📹 Video downloaded (${(fs.statSync(ctx.videoPath).size / 1024 / 1024).toFixed(1)} MB)`);
 
-    } catch (e) {
-        return 'normal';
+    // Populate cache for future requests (the proxy may already be caching a copy)
+    if (cacheKey && await videoCache.storeFile(cacheKey, ctx.videoPath, { contentType: 'video/mp4' })) {
+        console.log('💾 Video cached for future use');
     }
 }
 
-// ===== ANALYZE WITH GEMINI =====
-async function analyzeWithGemini(frameData, deviceStats, bugDescription, videoInfo) {
-    if (!GEMINI_API_KEY) {
-        return { success: false, error: 'No Gemini API key configured' };
-    }
+async function probe(ctx) {
+    const meta = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(ctx.videoPath, (err, data) => (err ? reject(err) : resolve(data)));
+    });
+    const video = (meta.streams || []).find((s) => s.codec_type === 'video');
+    ctx.info = {
+        duration: meta.format.duration || 0,
+        width: video?.width || null,
+        height: video?.height || null,
+    };
+    if (!ctx.info.duration) throw new Error('Could not determine video duration');
+    ctx.frameCount = getFrameCount(ctx.info.duration);
+}
 
-    const models = [
-        'models/gemini-2.5-flash',
-        'models/gemini-2.5-flash-lite',
-        'models/gemini-1.5-flash-latest',
-        'models/gemini-1.5-flash-8b',
-        'models/gemini-pro-vision'
+// `frameCount` evenly spaced frames, skipping the first and last moments (often black or intros)
+async function extract(ctx) {
+    const dur = ctx.info.duration;
+    const outDir = path.join(ctx.workDir, 'frames');
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const start = Math.min(1, dur * 0.05);
+    const end = Math.max(dur - 1, dur * 0.95);
+    const count = ctx.frameCount;
+    const times = [
+        ...new Set(
+            Array.from({ length: count }, (_, i) =>
+                Math.floor(start + (i / Math.max(count - 1, 1)) * (end - start))
+            )
+        ),
     ];
 
-    let lastError = '';
-
-    for (const modelName of models) {
-        try {
-            console.log(`🤖 Trying model: ${modelName}...`);
-            const model = genAI.getGenerativeModel({ model: modelName });
-
-            // Prepare images
-            const imageParts = [];
-            for (const frame of frameData) {
-                if (fs.existsSync(frame.path)) {
-                    const imageData = fs.readFileSync(frame.path);
-                    imageParts.push({
-                        inlineData: {
-                            data: imageData.toString('base64'),
-                            mimeType: 'image/jpeg'
-                        }
-                    });
-                }
-            }
-
-            if (imageParts.length === 0) {
-                return { success: false, error: 'No frames to analyze' };
-            }
-
-            // Parse device stats
-            let statsText = 'Not available';
+    const frames = [];
+    const CONCURRENCY = 3;
+    let next = 0;
+    const worker = async () => {
+        while (next < times.length) {
+            const i = next++;
+            const out = path.join(outDir, `frame_${String(i).padStart(3, '0')}.jpg`);
             try {
-                if (deviceStats) {
-                    const parsed = JSON.parse(deviceStats);
-                    statsText = `
-Battery: ${parsed.batteryStart}% → ${parsed.batteryEnd}% (${parsed.batteryDrain}% drain)
-Network: ${parsed.networkType} (${parsed.networkSpeed})
-Device: ${parsed.deviceModel}
-Android: ${parsed.androidVersion}
-Screen: ${parsed.screenResolution}
-Duration: ${parsed.testDuration} seconds
-Location: ${parsed.city}, ${parsed.state}
-Crash Detected: ${parsed.crashDetected ? 'YES - ' + parsed.crashInfo : 'No'}`;
-                }
+                await new Promise((resolve, reject) => {
+                    ffmpeg(ctx.videoPath)
+                        .seekInput(times[i])
+                        .frames(1)
+                        .output(out)
+                        .size('360x640')
+                        .outputOptions(['-q:v 3'])
+                        .on('end', resolve)
+                        .on('error', reject)
+                        .run();
+                });
+                if (fs.existsSync(out) && fs.statSync(out).size > 500) frames.push({ path: out, timestamp: times[i] });
             } catch (e) {
-                statsText = deviceStats || 'Not available';
+                console.warn(`⚠️ Frame ${i} skipped (${e.message})`);
             }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, times.length) }, worker));
 
-            // ===== BUILD DETAILED FRAME TIMELINE =====
-            let frameTimeline = '📊 FRAME TIMELINE WITH TIMING DATA:\n';
-            frameTimeline += '─'.repeat(60) + '\n';
-
-            let slowTransitions = 0;
-            let verySlowTransitions = 0;
-            let totalTransitionTime = 0;
-
-            frameData.forEach((frame, i) => {
-                const mins = Math.floor(frame.timestamp / 60);
-                const secs = Math.round(frame.timestamp % 60);
-                const timeStr = `${mins}:${String(secs).padStart(2, '0')}`;
-
-                let line = `  Frame ${i + 1} [${timeStr}]`;
-
-                // Calculate time since previous frame
-                if (i > 0) {
-                    const gap = frame.timestamp - frameData[i - 1].timestamp;
-                    const gapRounded = Math.round(gap * 10) / 10;
-                    totalTransitionTime += gap;
-
-                    line += ` — ${gapRounded}s since previous`;
-
-                    if (gap > 10) {
-                        line += ' ⚠️ VERY SLOW (possible freeze/long load)';
-                        verySlowTransitions++;
-                    } else if (gap > 5) {
-                        line += ' ⚠️ SLOW TRANSITION';
-                        slowTransitions++;
-                    } else if (gap < 1) {
-                        line += ' ⚡ rapid change';
-                    }
-                } else {
-                    line += ` — test start`;
-                }
-
-                // Frame type info
-                if (frame.type && frame.type !== 'normal') {
-                    line += ` [${frame.type.toUpperCase()}]`;
-                }
-
-                // Frozen frame info
-                if (frame.frozenDuration) {
-                    line += ` ❄️ FROZEN for ${frame.frozenDuration}s`;
-                }
-
-                frameTimeline += line + '\n';
-            });
-
-            frameTimeline += '─'.repeat(60) + '\n';
-
-            // Add timing summary
-            const avgGap = frameData.length > 1
-                ? Math.round(totalTransitionTime / (frameData.length - 1) * 10) / 10
-                : 0;
-
-            let timingSummary = '\n⏱️ TIMING SUMMARY:\n';
-            timingSummary += `  Total test duration: ${videoInfo.durationFormatted}\n`;
-            timingSummary += `  Unique screen changes: ${frameData.length}\n`;
-            timingSummary += `  Average time per screen: ${avgGap}s\n`;
-            timingSummary += `  Slow transitions (>5s): ${slowTransitions}\n`;
-            timingSummary += `  Very slow / possible freezes (>10s): ${verySlowTransitions}\n`;
-
-            if (videoInfo.frozenScreens > 0) {
-                timingSummary += `  ❄️ Frozen screen events: ${videoInfo.frozenScreens}\n`;
-            }
-            if (videoInfo.blackScreensRemoved > 0) {
-                timingSummary += `  ⬛ Black screens detected: ${videoInfo.blackScreensRemoved} (removed from analysis)\n`;
-            }
-            if (videoInfo.duplicatesRemoved > 0) {
-                timingSummary += `  🔄 Duplicate frames removed: ${videoInfo.duplicatesRemoved}\n`;
-            }
-
-            // Performance flags
-            let performanceFlags = '';
-            if (verySlowTransitions > 0) {
-                performanceFlags += '\n🚨 PERFORMANCE ALERT: App has very slow transitions (>10s). Check for:\n';
-                performanceFlags += '  - Heavy API calls blocking UI\n';
-                performanceFlags += '  - Large images loading\n';
-                performanceFlags += '  - Database queries on main thread\n';
-                performanceFlags += '  - Memory leaks causing slowdown\n';
-            }
-            if (videoInfo.frozenScreens > 1) {
-                performanceFlags += '\n🚨 FREEZE ALERT: App appeared to freeze multiple times.\n';
-            }
-
-            // ===== THE PROMPT =====
-            const prompt = `You are a senior QA testing expert and performance analyst. Analyze this mobile app test session.
-
-These are ${imageParts.length} UNIQUE screenshots extracted from a ${videoInfo.durationFormatted} screen recording.
-Each frame represents a DIFFERENT screen state. Duplicate and frozen frames have been removed.
+    ctx.rawFrames = frames.sort((a, b) => a.timestamp - b.timestamp);
+    console.log(`🎞️  Extracted ${ctx.rawFrames.length} raw frames`);
+}
 
-${frameTimeline}
-${timingSummary}
-${performanceFlags}
-
-TESTER'S REPORT:
-${bugDescription || 'No description'}
-
-DEVICE STATS:
-${statsText}
-
-Please analyze and provide a DETAILED report:
-
-## 🔍 App Overview
-What app is this? What screens/features are visible?
-
-## 📱 User Flow (with timestamps)
-What did the tester do? Step by step.
-For each step, mention:
-- Which frame number
-- The timestamp
-- What action the user took
-- How long the transition took
-Example: "Frame 3 (0:15) → Frame 4 (0:28): User tapped login. Page took 13 seconds to load — this is too slow."
-
-## 🐛 Bugs Found
-List every issue:
-- UI bugs (layout, alignment, overlapping, cut-off text)
-- Visual bugs (wrong colors, missing images, broken icons)
-- Error screens or crash dialogs
-- Loading issues (spinners stuck, blank screens)
-- Accessibility issues (small text, poor contrast)
-For each bug, reference the FRAME NUMBER and TIMESTAMP.
-
-## ⏱️ Performance Analysis
-This is critical. Analyze the timing data:
-- Which screen transitions are too slow? (anything >3s is concerning, >5s is bad, >10s is critical)
-- Are there loading screens that lasted too long?
-- Did the app freeze at any point?
-- Is the app responsive to user input?
-- Compare load times to industry standards (most screens should load in <2s)
-${verySlowTransitions > 0 ? '- IMPORTANT: ' + verySlowTransitions + ' very slow transitions detected. Analyze each one.' : ''}
-${videoInfo.frozenScreens > 0 ? '- IMPORTANT: ' + videoInfo.frozenScreens + ' freeze events detected. This is a serious issue.' : ''}
-
-Rate performance: 
-- ⚡ FAST (most transitions <2s)
-- ✅ ACCEPTABLE (most transitions <3s)
-- ⚠️ SLOW (multiple transitions >5s)
-- 🐌 VERY SLOW (transitions >10s)
-- ❄️ FREEZING (app becomes unresponsive)
-
-## 🔋 Battery & Resource Assessment
-Based on device stats:
-- Battery drain rate (drain% / duration)
-- Is drain normal for this type of app?
-- Network usage impact
-
-## 🎯 Overall Severity Rating
-Rate: CRITICAL / HIGH / MEDIUM / LOW
-Consider both bugs AND performance.
-
-## 💡 Top 5 Fixes (Prioritized)
-What should the developer fix first? Include:
-1. Performance fixes (slow loads, freezes)
-2. Bug fixes (UI issues, errors)
-3. UX improvements
-
-Be specific. Reference frame numbers, timestamps, and exact timing data.`;
-
-            console.log(`🤖 Sending ${imageParts.length} unique frames to ${modelName}...`);
-
-            const result = await model.generateContent([prompt, ...imageParts]);
-            const response = await result.response;
-            const analysis = response.text();
-
-            console.log(`✅ Analysis complete with ${modelName} (${analysis.length} chars)`);
-
-            return {
-                success: true,
-                analysis: analysis,
-                framesAnalyzed: imageParts.length,
-                model: modelName
-            };
-
-        } catch (error) {
-            lastError = error.message;
-            console.log(`⚠️ ${modelName} failed: ${error.message}`);
-            continue;
+// Black / white / normal, and the signature dedupe compares
+async function classify(ctx) {
+    for (const frame of ctx.rawFrames) {
+        try {
+            frame.signature = await frameSignature(frame.path);
+        } catch (e) {
+            frame.signature = null;
         }
+        frame.type = classifySignature(frame.signature);
     }
+}
 
-    console.error('❌ All models failed. Last error:', lastError);
-    return { success: false, error: 'All models failed: ' + lastError };
+// Removes black screens (screen off, transitions) and repeated frames; spots freezes
+async function dedupe(ctx) {
+    const visible = ctx.rawFrames.filter((f) => !isBlack(f));
+    const { unique, removed, freezes } = filterDuplicates(visible);
+    ctx.uniqueFrames = unique;
+    ctx.summary = {
+        blackScreens: ctx.rawFrames.length - visible.length,
+        whiteScreens: ctx.rawFrames.filter((f) => f.type === 'white_screen').length,
+        duplicatesRemoved: removed,
+        freezes,
+    };
+    console.log(`🔍 Deduplication: kept ${unique.length}, removed ${removed} duplicates and ${ctx.summary.blackScreens} black screens, ${freezes} freeze(s) detected`);
 }
-// ===== MAIN FUNCTION =====
-async function analyzeBugReport(videoPath, deviceStats, bugDescription) {
-    const videoFullPath = path.join(__dirname, 'uploads', videoPath);
 
-    if (!fs.existsSync(videoFullPath)) {
-        return { success: false, error: 'Video file not found: ' + videoPath };
+// At most MAX_FRAMES, evenly spread; the raw frames if too few distinct ones survived
+async function select(ctx) {
+    let frames = ctx.uniqueFrames;
+    if (frames.length > MAX_FRAMES) {
+        const step = Math.ceil(frames.length / MAX_FRAMES);
+        frames = frames.filter((_, i) => i % step === 0);
     }
+    if (frames.length < MIN_FRAMES && ctx.rawFrames.length >= MIN_FRAMES) {
+        frames = ctx.rawFrames.slice(0, 20);
+    }
+    // Evidence in the reply refers to frames by their number, so drop unreadable ones first
+    ctx.selectedFrames = frames.filter((f) => fs.existsSync(f.path));
 
-    console.log(`\n🤖 ═══════════════════════════════════════`);
-    console.log(`🤖 Smart Analysis: ${videoPath}`);
-    console.log(`🤖 ═══════════════════════════════════════`);
+    const duration = ctx.info.duration;
+    ctx.videoInfo = {
+        duration: Math.round(duration),
+        durationFormatted: `${Math.floor(duration / 60)}m ${Math.round(duration % 60)}s`,
+        rawFrames: ctx.rawFrames.length,
+        uniqueFrames: ctx.selectedFrames.length,
+        duplicatesRemoved: ctx.summary.duplicatesRemoved,
+        blackScreensRemoved: ctx.summary.blackScreens,
+        whiteScreens: ctx.summary.whiteScreens,
+        frozenScreens: ctx.summary.freezes,
+    };
+}
 
-    // Step 1: Get duration
-    let duration = 0;
-    try {
-        duration = await getVideoDuration(videoFullPath);
-    } catch (err) {
-        console.error('Could not get duration:', err.message);
-        duration = 60;
+async function prompt(ctx) {
+    const common = {
+        appName: ctx.testInfo.app_name,
+        instructions: ctx.testInfo.instructions,
+        bugDescription: ctx.bugDescription,
+        statsText: formatDeviceStats(ctx.deviceStats),
+    };
+    if (ctx.selectedFrames.length === 0) {
+        console.log('⚠️  No frames extracted — falling back to text-only analysis');
+        ctx.prompt = buildTextOnlyPrompt(common);
+        ctx.promptLabel = 'text-only';
+        return;
     }
+    ctx.prompt = buildVisionPrompt({
+        ...common,
+        sessionDuration: ctx.videoInfo.durationFormatted,
+        frameCount: ctx.selectedFrames.length,
+        timeline: buildTimeline(ctx.selectedFrames),
+        timingSummary: buildTimingSummary(ctx.selectedFrames, ctx.summary),
+    });
+    ctx.promptLabel = `${ctx.selectedFrames.length} frames`;
+}
 
-    const durationMin = Math.floor(duration / 60);
-    const durationSec = Math.round(duration % 60);
-    const durationFormatted = `${durationMin}m ${durationSec}s`;
-    const numFrames = getFrameCount(duration);
-    console.log(`📹 Duration: ${durationFormatted} → Extracting ${numFrames} raw frames`);
+// Calls the model and validates its reply into a report (see generateReport)
+async function parse(ctx) {
+    ctx.generated = await generateReport(ctx.prompt, ctx.selectedFrames, ctx.promptLabel);
+}
 
-    // Step 2: Extract frames
-    const framesDir = path.join(__dirname, 'uploads', 'frames', path.parse(videoPath).name);
-    let rawFrames;
-    try {
-        rawFrames = await extractFrames(videoFullPath, framesDir, numFrames);
-    } catch (err) {
-        console.error('Frame extraction failed:', err.message);
-        return { success: false, error: 'Frame extraction failed: ' + err.message };
-    }
+// Writes a bug's validated report; an invalid or missing one leaves the bug as it was
+async function persist(ctx) {
+    const { report, model, provider, usage } = ctx.generated;
+    if (!report) return;
+    const verdict = report.admin_verdict;
+
+    await db.query(
+        `UPDATE bugs
+            SET ai_analysis           = $1,
+                ai_admin_context      = $2,
+                ai_model              = $3,
+                title                 = $4,
+                severity              = $5,
+                ai_report             = $6,
+                ai_verdict            = $7,
+                ai_verdict_confidence = $8,
+                ai_verdict_reasoning  = $9,
+                ai_provider           = $10,
+                ai_input_tokens       = $11,
+                ai_output_tokens      = $12,
+                ai_analyzed_at        = NOW()
+          WHERE id = $13`,
+        [
+            analysisReport.renderPublicReport(report),
+            analysisReport.renderAdminContext(verdict),
+            model,
+            report.title,
+            report.severity.rating,
+            JSON.stringify(analysisReport.publicReport(report)),
+            verdict.verdict,
+            verdict.confidence,
+            verdict.reasoning,
+            provider,
+            usage.inputTokens,
+            usage.outputTokens,
+            ctx.bugId,
+        ]
+    );
+}
 
-    if (rawFrames.length === 0) {
-        return { success: false, error: 'No frames extracted' };
+const stages = { fetchLocal, fetchRemote, probe, extract, classify, dedupe, select, prompt, parse, persist };
+
+// Everything between fetching a recording and doing something with the report
+const ANALYSIS_STAGES = [probe, extract, classify, dedupe, select, prompt, parse];
+
+/**
+ * Runs stages in order over one context, recording how long each took in
+ * ctx.timings (ms by stage name). A throwing stage stops the run.
+ * @returns {Promise<object>} the context
+ */
+async function runPipeline(ctx, stageList) {
+    ctx.timings = ctx.timings || {};
+    for (const stage of stageList) {
+        const startedAt = Date.now();
+        await stage(ctx);
+        ctx.timings[stage.name] = Date.now() - startedAt;
     }
+    return ctx;
+}
 
-    console.log(`📸 Extracted ${rawFrames.length} raw frames`);
+// Scratch directory for one run; callers remove it
+function makeWorkDir(label) {
+    fs.mkdirSync(TEMP_ROOT, { recursive: true });
+    return fs.mkdtempSync(path.join(TEMP_ROOT, `${label}-`));
+}
 
-    // Step 3: Classify frames (detect black/white screens)
-    for (const frame of rawFrames) {
-        frame.type = await classifyFrame(frame.path);
-    }
+function outcome(ctx) {
+    const generated = ctx.generated || {};
+    return {
+        success: Boolean(generated.report),
+        report: generated.report || null,
+        model: generated.model || null,
+        provider: generated.provider || null,
+        usage: generated.usage,
+        videoInfo: ctx.videoInfo,
+        error: generated.report ? null : generated.error,
+    };
+}
 
-    const blackScreens = rawFrames.filter(f => f.type === 'black_screen' || f.type === 'nearly_black').length;
-    const whiteScreens = rawFrames.filter(f => f.type === 'white_screen').length;
-    if (blackScreens > 0) console.log(`   ⬛ ${blackScreens} black/dark screens detected`);
-    if (whiteScreens > 0) console.log(`   ⬜ ${whiteScreens} white/blank screens detected`);
+// ============================================
+// ENTRY POINTS
+// ============================================
+
+/**
+ * Analyzes a bug's recording and writes the report to the bug.
+ *
+ * @param {number|string} bugId
+ * @param {string}        videoUrl      - Signed URL or direct URL to the .mp4
+ * @param {string}        deviceStats   - JSON string of device telemetry
+ * @param {string}        bugDescription
+ * @param {string}        apiKey        - API key forwarded as x-api-key header for video download
+ * @returns {Promise<{ success: boolean, report?: object, model?: string, provider?: string, usage?: object, videoInfo?: object, error?: string }>}
+ */
+async function analyzeBugReport(bugId, videoUrl, deviceStats, bugDescription, apiKey) {
+    const workDir = makeWorkDir(`bug-${bugId}`);
 
-    // Remove pure black screens (usually screen off or transition)
-    const nonBlackFrames = rawFrames.filter(f => f.type !== 'black_screen' && f.type !== 'nearly_black');
-    if (nonBlackFrames.length < rawFrames.length) {
-        console.log(`   🗑️ Removed ${rawFrames.length - nonBlackFrames.length} black screens`);
-    }
+    try {
+        console.log(`\n🤖 ═══ Starting analysis: Bug #${bugId} ═══`);
 
-    // Step 4: Filter duplicate/frozen frames
-    const uniqueFrames = await filterDuplicateFrames(nonBlackFrames, 92);
-    const duplicatesRemoved = nonBlackFrames.length - uniqueFrames.length;
+        let testInfo = { app_name: 'Unknown App', instructions: 'None' };
+        let cacheKey = null;
+        try {
+            const meta = await db.query(
+                `SELECT t.instructions, t.app_name, b.recording_path, b.recording_storage
+                   FROM bugs b
+                   LEFT JOIN tests t ON t.id = b.test_id
+                  WHERE b.id = $1`,
+                [bugId]
+            );
+            const row = meta.rows[0];
+            if (row?.app_name) testInfo = { app_name: row.app_name, instructions: row.instructions };
+            // Same entries as the video proxy uses for this object
+            if (row?.recording_path) cacheKey = storageDrivers.cacheKey(row.recording_storage, row.recording_path);
+        } catch (dbErr) {
+            console.warn('⚠️ Could not fetch test context from DB:', dbErr.message);
+        }
 
-    // Count frozen streaks for the report
-    let frozenScreens = 0;
-    let streak = 0;
-    for (let i = 1; i < nonBlackFrames.length; i++) {
-        if (!uniqueFrames.includes(nonBlackFrames[i])) {
-            streak++;
+        const ctx = await runPipeline({
+            bugId,
+            workDir,
+            deviceStats,
+            bugDescription,
+            testInfo,
+            source: { url: videoUrl, headers: { 'x-api-key': apiKey }, cacheKey },
+        }, [fetchRemote, ...ANALYSIS_STAGES, persist]);
+
+        const result = outcome(ctx);
+        if (result.success) {
+            const { report, usage } = result;
+            const verdict = report.admin_verdict;
+            console.log(`✅ Bug #${bugId} analysed — title: "${report.title}" — severity: ${report.severity.rating} — verdict: ${verdict.verdict} (${verdict.confidence}) — ${usage.totalTokens} tokens`);
         } else {
-            if (streak > 2) frozenScreens++;
-            streak = 0;
+            console.error(`❌ No model produced a valid report for bug #${bugId}: ${result.error}`);
         }
+        return result;
+    } catch (err) {
+        console.error(`❌ Bug #${bugId} analysis threw:`, err.message);
+        return { success: false, error: err.message };
+    } finally {
+        // Always clean up temp files
+        fs.rmSync(workDir, { recursive: true, force: true });
     }
+}
 
-    // Step 5: Cap at 50 for API limits
-    let framesToSend = uniqueFrames;
-    if (uniqueFrames.length > 50) {
-        const step = Math.ceil(uniqueFrames.length / 50);
-        framesToSend = uniqueFrames.filter((_, i) => i % step === 0);
-        console.log(`📸 Capped to ${framesToSend.length} frames for API limit`);
-    }
-
-    // Make sure we have at least 3 frames
-    if (framesToSend.length < 3 && rawFrames.length >= 3) {
-        console.log(`⚠️ Too few unique frames. Using raw frames instead.`);
-        framesToSend = rawFrames.slice(0, Math.min(rawFrames.length, 20));
-    }
-
-    const videoInfo = {
-        duration: Math.round(duration),
-        durationFormatted,
-        rawFrames: rawFrames.length,
-        uniqueFrames: framesToSend.length,
-        duplicatesRemoved,
-        blackScreensRemoved: blackScreens,
-        frozenScreens
-    };
-
-    console.log(`\n📊 Frame Summary:`);
-    console.log(`   Raw extracted:    ${rawFrames.length}`);
-    console.log(`   Black removed:    ${blackScreens}`);
-    console.log(`   Duplicates removed: ${duplicatesRemoved}`);
-    console.log(`   Unique to analyze: ${framesToSend.length}`);
-    console.log(`   Frozen screens:   ${frozenScreens}`);
-    console.log(`   Tokens saved:     ~${duplicatesRemoved * 400} tokens\n`);
-
-    // Step 6: Analyze with AI
-    const result = await analyzeWithGemini(framesToSend, deviceStats, bugDescription, videoInfo);
-
-    if (result.success) {
-        result.videoInfo = videoInfo;
-    }
+/**
+ * Analyzes a recording on this machine without touching the database
+ * (scripts, local testing with LLM_PROVIDER=mock).
+ *
+ * @param {string} videoPath
+ * @param {object} [options]
+ * @param {string} [options.deviceStats]    - JSON string of device telemetry
+ * @param {string} [options.bugDescription]
+ * @param {string} [options.appName]
+ * @param {string} [options.instructions]
+ * @returns {Promise<{ success: boolean, report?: object, model?: string, provider?: string, usage?: object, videoInfo?: object, error?: string }>}
+ */
+async function analyzeRecordingFile(videoPath, options = {}) {
+    const workDir = makeWorkDir(path.parse(videoPath).name);
 
-    // Step 7: Cleanup
     try {
-        fs.rmSync(framesDir, { recursive: true, force: true });
-        console.log('🧹 Cleaned up frames');
-    } catch (e) { }
-
-    return result;
+        console.log(`\n🤖 ═══ Starting analysis: ${videoPath} ═══`);
+        const ctx = await runPipeline({
+            workDir,
+            deviceStats: options.deviceStats,
+            bugDescription: options.bugDescription,
+            testInfo: { app_name: options.appName || 'Unknown App', instructions: options.instructions || 'None' },
+            source: { path: path.resolve(videoPath) },
+        }, [fetchLocal, ...ANALYSIS_STAGES]);
+        return outcome(ctx);
+    } catch (err) {
+        console.error(`❌ Analysis of ${videoPath} threw:`, err.message);
+        return { success: false, error: err.message };
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
 }
 
-module.exports = { analyzeBugReport };
\ No newline at end of file
+module.exports = {
+    analyzeBugReport,
+    analyzeRecordingFile,
+    runPipeline,
+    stages,
+    ANALYSIS_STAGES,
+    classifySignature,
+    similarity,
+    filterDuplicates
+};
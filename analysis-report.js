@@ -0,0 +1,219 @@
+// analysis-report.js — The JSON bug report the AI analyzer asks for, and its validation
+// The model is given REPORT_SCHEMA (Gemini enforces it as responseSchema) and its reply is
+// checked again here, since a schema-following reply can still be empty, out of range or cut
+// off. The public part is stored as bugs.ai_report (JSONB); the admin verdict goes to typed
+// columns (ai_verdict, ai_verdict_confidence, ai_verdict_reasoning), never shown to companies.
+// ai_analysis / ai_admin_context keep a rendered text copy for clients that display those.
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const VERDICTS = ['APPROVE', 'REJECT'];
+
+const MAX_STEPS = 30;
+const MAX_FIXES = 10;
+const MAX_EVIDENCE = 30;
+
+const REPORT_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', description: 'Concise technical bug title, 5-10 words' },
+        reproduction_steps: {
+            type: 'array',
+            description: 'Minimal, ordered steps a developer can follow to reproduce the issue',
+            items: { type: 'string' }
+        },
+        root_cause: { type: 'string', description: 'Most likely engineering cause, grounded in the evidence' },
+        recommended_fixes: {
+            type: 'array',
+            description: '3-5 concrete engineering fixes, most impactful first',
+            items: { type: 'string' }
+        },
+        severity: {
+            type: 'object',
+            properties: {
+                rating: { type: 'string', format: 'enum', enum: SEVERITIES },
+                justification: { type: 'string', description: 'One sentence explaining the rating' }
+            },
+            required: ['rating', 'justification']
+        },
+        admin_verdict: {
+            type: 'object',
+            description: 'Internal audit decision for the QA team; never shown to the company',
+            properties: {
+                verdict: { type: 'string', format: 'enum', enum: VERDICTS },
+                confidence: { type: 'number', description: 'How sure you are of the verdict, from 0 to 1' },
+                reasoning: { type: 'string', description: '2-3 sentences explaining the decision' }
+            },
+            required: ['verdict', 'confidence', 'reasoning']
+        },
+        evidence: {
+            type: 'array',
+            description: 'Frames that support the report; empty when no frames were provided',
+            items: {
+                type: 'object',
+                properties: {
+                    frame: { type: 'integer', description: 'Frame number from the timeline (1-based)' },
+                    observation: { type: 'string', description: 'What the frame shows' }
+                },
+                required: ['frame', 'observation']
+            }
+        }
+    },
+    required: ['title', 'reproduction_steps', 'root_cause', 'recommended_fixes', 'severity', 'admin_verdict', 'evidence']
+};
+
+function text(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// Drops the numbering models like to add to list items ("1. Open the app" → "Open the app")
+function listItem(value) {
+    return text(value).replace(/^(\d+[.)]|[-*•])\s+/, '');
+}
+
+/**
+ * Checks a parsed report against REPORT_SCHEMA and the frames that were sent.
+ * @param {any} data - the parsed JSON reply
+ * @param {{ frames?: Array<{ timestamp: number }> }} [context] - frames in the order they were sent
+ * @returns {{ report?: object, errors: string[] }} errors is empty when the report is usable
+ */
+function validateReport(data, context = {}) {
+    const frames = context.frames || [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return { errors: ['Reply must be a JSON object'] };
+
+    const errors = [];
+    const title = text(data.title);
+    if (!title) errors.push('title is required');
+
+    const steps = Array.isArray(data.reproduction_steps) ? data.reproduction_steps.map(listItem).filter(Boolean) : [];
+    if (steps.length === 0) errors.push('reproduction_steps must list at least one step');
+
+    const rootCause = text(data.root_cause);
+    if (!rootCause) errors.push('root_cause is required');
+
+    const fixes = Array.isArray(data.recommended_fixes) ? data.recommended_fixes.map(listItem).filter(Boolean) : [];
+    if (fixes.length === 0) errors.push('recommended_fixes must list at least one fix');
+
+    const rating = text(data.severity?.rating).toUpperCase();
+    if (!SEVERITIES.includes(rating)) errors.push(`severity.rating must be one of ${SEVERITIES.join(', ')}`);
+    const justification = text(data.severity?.justification);
+    if (!justification) errors.push('severity.justification is required');
+
+    const verdict = text(data.admin_verdict?.verdict).toUpperCase();
+    if (!VERDICTS.includes(verdict)) errors.push(`admin_verdict.verdict must be one of ${VERDICTS.join(', ')}`);
+    let confidence = Number(data.admin_verdict?.confidence);
+    // Some models answer in percent despite the schema
+    if (confidence > 1 && confidence <= 100) confidence /= 100;
+    if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+        errors.push('admin_verdict.confidence must be a number from 0 to 1');
+    }
+    const reasoning = text(data.admin_verdict?.reasoning);
+    if (!reasoning) errors.push('admin_verdict.reasoning is required');
+
+    const evidence = [];
+    for (const item of Array.isArray(data.evidence) ? data.evidence : []) {
+        const frame = Number(item?.frame);
+        if (!Number.isInteger(frame) || frame < 1 || frame > frames.length) {
+            errors.push(frames.length === 0
+                ? 'evidence must be empty: no frames were provided'
+                : `evidence frame ${item?.frame} does not exist (frames are 1-${frames.length})`);
+            continue;
+        }
+        const observation = text(item.observation);
+        if (!observation) {
+            errors.push(`evidence for frame ${frame} needs an observation`);
+            continue;
+        }
+        evidence.push({ frame, timestamp_seconds: frames[frame - 1].timestamp, observation });
+    }
+
+    if (errors.length > 0) return { errors };
+    return {
+        errors,
+        report: {
+            title,
+            reproduction_steps: steps.slice(0, MAX_STEPS),
+            root_cause: rootCause,
+            recommended_fixes: fixes.slice(0, MAX_FIXES),
+            severity: { rating, justification },
+            evidence: evidence.slice(0, MAX_EVIDENCE),
+            admin_verdict: { verdict, confidence: Math.round(confidence * 1000) / 1000, reasoning }
+        }
+    };
+}
+
+/**
+ * Parses a model reply (tolerating a ```json fence around it) and validates it.
+ * @returns {{ report?: object, errors: string[] }}
+ */
+function parseReport(raw, context) {
+    const body = String(raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    let data;
+    try {
+        data = JSON.parse(body);
+    } catch (e) {
+        return { errors: [`Reply is not valid JSON (${e.message})`] };
+    }
+    return validateReport(data, context);
+}
+
+// Follow-up prompt asking a model to fix its own invalid reply
+function buildRepairPrompt(raw, errors) {
+    return `
+Your previous reply was not a valid bug report. Fix it and reply again.
+
+PROBLEMS:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+PREVIOUS REPLY:
+${String(raw || '').slice(0, 20000)}
+
+Reply with only the corrected JSON object, following the same schema. Keep every correct field as it was.
+`.trim();
+}
+
+function formatTimestamp(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+}
+
+// The public report as text, in the section layout ai_analysis has always had
+function renderPublicReport(report) {
+    const sections = [
+        `# REPRODUCTION STEPS\n${report.reproduction_steps.map((s, i) => `${i + 1}. ${s}`).join('\n')}`,
+        `# TECHNICAL ROOT CAUSE\n${report.root_cause}`,
+        `# RECOMMENDED FIXES\n${report.recommended_fixes.map((f, i) => `${i + 1}. ${f}`).join('\n')}`,
+        `# SEVERITY: ${report.severity.rating}\n${report.severity.justification}`
+    ];
+    if (report.evidence.length > 0) {
+        sections.push(`# EVIDENCE\n${report.evidence
+            .map((e) => `- Frame ${e.frame} [${formatTimestamp(e.timestamp_seconds)}]: ${e.observation}`)
+            .join('\n')}`);
+    }
+    return sections.join('\n\n');
+}
+
+// The admin verdict as text, for ai_admin_context
+function renderAdminContext(verdict) {
+    return [
+        `VERDICT: ${verdict.verdict}`,
+        `CONFIDENCE: ${Math.round(verdict.confidence * 100)}%`,
+        `REASONING: ${verdict.reasoning}`
+    ].join('\n');
+}
+
+// The report without the admin verdict, as stored in bugs.ai_report
+function publicReport(report) {
+    const { admin_verdict: _verdict, ...rest } = report;
+    return rest;
+}
+
+module.exports = {
+    SEVERITIES,
+    VERDICTS,
+    REPORT_SCHEMA,
+    validateReport,
+    parseReport,
+    buildRepairPrompt,
+    renderPublicReport,
+    renderAdminContext,
+    publicReport
+};
@@ -0,0 +1,320 @@
+// auth.js — BharatQA session tokens (HS256) and per-role route guards
+const crypto = require('crypto');
+const db = require('./db');
+
+const ACCESS_TOKEN_TTL = 60 * 60;            // 1 hour
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days
+const ROLES = ['company', 'tester', 'admin'];
+const COMPANY_ROLES = ['owner', 'manager', 'viewer'];
+
+// Admin permissions; '*' grants all of them
+const ADMIN_PERMISSIONS = [
+    'tests.manage', 'bugs.review', 'testers.manage', 'companies.manage', 'sessions.manage',
+    'payments.manage', 'notifications.send', 'releases.manage', 'admins.manage', 'audit.read'
+];
+
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+    SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  WARNING: SESSION_SECRET is not set. Using a random secret — sessions will not survive a restart!');
+}
+
+// Shared key is now only a service-to-service credential (analyzer, release script)
+const API_KEY = process.env.API_KEY;
+
+// ============================================
+// TOKENS
+// ============================================
+
+function base64Url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+function signToken(claims, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64Url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+    return `${header}.${payload}.${hmac(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verifies a token we issued and returns its claims, or null if it is
+ * malformed, tampered with, expired or of the wrong type.
+ * @param {string} token
+ * @param {'access'|'refresh'} type
+ */
+function verifyToken(token, type) {
+    if (typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const expected = Buffer.from(hmac(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+
+    if (claims.typ !== type) return null;
+    if (!ROLES.includes(claims.role)) return null;
+    if (typeof claims.exp !== 'number' || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+}
+
+/**
+ * Issues an access/refresh token pair for a signed-in subject.
+ * @param {'company'|'tester'|'admin'} role
+ * @param {string|number} sub - company member id, tester id or admin user id
+ */
+function issueSession(role, sub) {
+    const claims = { role, sub: String(sub) };
+    return {
+        access_token: signToken({ ...claims, typ: 'access' }, ACCESS_TOKEN_TTL),
+        refresh_token: signToken({ ...claims, typ: 'refresh' }, REFRESH_TOKEN_TTL),
+        token_type: 'Bearer',
+        expires_in: ACCESS_TOKEN_TTL
+    };
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Resolves the caller into `req.auth` ({ role, sub }) from a Bearer session
+ * token, or `{ role: 'service' }` from the shared API key. Anonymous requests
+ * get `req.auth = null`; enforcement is left to the route guards.
+ *
+ * Company sessions are resolved against `company_members` on every request,
+ * adding `companyId` and `memberRole`, and admin sessions against `admin_users`,
+ * adding `adminId`, `adminEmail` and `permissions`. Removals, deactivations and
+ * role changes therefore apply immediately rather than when the token expires.
+ */
+async function authenticate(req, res, next) {
+    req.auth = null;
+
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        const claims = verifyToken(header.slice(7).trim(), 'access');
+        if (!claims) {
+            return res.status(401).json({ error: 'Unauthorized: invalid or expired session token' });
+        }
+        req.auth = { role: claims.role, sub: claims.sub };
+
+        if (claims.role === 'company') {
+            try {
+                const member = await db.query(
+                    'SELECT company_id, role FROM company_members WHERE id = $1',
+                    [claims.sub]
+                );
+                if (member.rows.length === 0) {
+                    return res.status(401).json({ error: 'Unauthorized: workspace membership revoked' });
+                }
+                req.auth.companyId = String(member.rows[0].company_id);
+                req.auth.memberRole = member.rows[0].role;
+            } catch (err) {
+                return res.status(500).json({ error: err.message });
+            }
+        } else if (claims.role === 'admin') {
+            try {
+                const admin = await db.query(
+                    'SELECT id, email, permissions FROM admin_users WHERE id = $1 AND is_active = TRUE',
+                    [claims.sub]
+                );
+                if (admin.rows.length === 0) {
+                    return res.status(401).json({ error: 'Unauthorized: admin account disabled' });
+                }
+                req.auth.adminId = admin.rows[0].id;
+                req.auth.adminEmail = admin.rows[0].email;
+                req.auth.permissions = admin.rows[0].permissions || [];
+            } catch (err) {
+                return res.status(500).json({ error: err.message });
+            }
+        }
+        return next();
+    }
+
+    // Header only: a key in the query string ends up in logs, histories and embedded media URLs
+    const providedKey = req.headers['x-api-key'];
+    if (providedKey) {
+        if (!API_KEY || providedKey !== API_KEY) {
+            return res.status(401).json({ error: 'Unauthorized: invalid API key' });
+        }
+        req.auth = { role: 'service' };
+    }
+
+    next();
+}
+
+function requireAuth(req, res, next) {
+    if (!req.auth) return res.status(401).json({ error: 'Unauthorized: sign in required' });
+    next();
+}
+
+/**
+ * Allows only the listed roles through. `'service'` must be listed explicitly.
+ * @param {...string} roles
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.auth) return res.status(401).json({ error: 'Unauthorized: sign in required' });
+        if (!roles.includes(req.auth.role)) {
+            return res.status(403).json({ error: 'Forbidden: insufficient role' });
+        }
+        next();
+    };
+}
+
+function isAdmin(req) {
+    return req.auth?.role === 'admin';
+}
+
+function hasPermission(req, permission) {
+    if (!isAdmin(req)) return false;
+    const granted = req.auth.permissions || [];
+    return granted.includes('*') || granted.includes(permission);
+}
+
+/**
+ * Admin-only guard for a specific permission. With `allowService`, the shared
+ * service key also passes (used by the release script).
+ * @param {string} permission
+ * @param {{ allowService?: boolean }} [options]
+ */
+function requirePermission(permission, options = {}) {
+    return (req, res, next) => {
+        if (!req.auth) return res.status(401).json({ error: 'Unauthorized: sign in required' });
+        if (options.allowService && req.auth.role === 'service') return next();
+        if (!hasPermission(req, permission)) {
+            return res.status(403).json({ error: `Forbidden: requires the ${permission} permission` });
+        }
+        next();
+    };
+}
+
+// True when the caller is a member of `companyId` holding one of `memberRoles` (any role if omitted)
+function isCompanyMember(req, companyId, memberRoles) {
+    if (req.auth?.role !== 'company' || req.auth.companyId !== String(companyId)) return false;
+    return !memberRoles || memberRoles.includes(req.auth.memberRole);
+}
+
+function memberRoleError(res) {
+    return res.status(403).json({ error: 'Forbidden: your workspace role does not allow this' });
+}
+
+/**
+ * :companyId must be the caller's workspace (admins pass).
+ * @param {string} [param]
+ * @param {{ roles?: string[] }} [options] - member roles allowed (default: any member)
+ */
+function requireCompanyParam(param = 'companyId', options = {}) {
+    return (req, res, next) => {
+        if (!req.auth) return res.status(401).json({ error: 'Unauthorized: sign in required' });
+        if (isAdmin(req)) return next();
+        if (!isCompanyMember(req, req.params[param])) {
+            return res.status(403).json({ error: 'Forbidden: not your company' });
+        }
+        if (!isCompanyMember(req, req.params[param], options.roles)) return memberRoleError(res);
+        next();
+    };
+}
+
+// :testerId must be the calling tester (admins pass)
+function requireTesterParam(param = 'testerId') {
+    return (req, res, next) => {
+        if (!req.auth) return res.status(401).json({ error: 'Unauthorized: sign in required' });
+        if (isAdmin(req)) return next();
+        if (req.auth.role === 'tester' && req.auth.sub === String(req.params[param])) return next();
+        res.status(403).json({ error: 'Forbidden: not your tester profile' });
+    };
+}
+
+/**
+ * :testId must belong to the caller's workspace. With `allowTesters`, testers
+ * may also access tests that are currently active.
+ * @param {string} [param]
+ * @param {{ allowTesters?: boolean, roles?: string[] }} [options] - `roles` limits company member roles
+ */
+function requireTestAccess(param = 'testId', options = {}) {
+    return async (req, res, next) => {
+        try {
+            if (!req.auth) return res.status(401).json({ error: 'Unauthorized: sign in required' });
+            if (isAdmin(req)) return next();
+
+            const result = await db.query('SELECT company_id, status FROM tests WHERE id = $1', [req.params[param]]);
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Test not found' });
+            const test = result.rows[0];
+
+            if (isCompanyMember(req, test.company_id)) {
+                return isCompanyMember(req, test.company_id, options.roles) ? next() : memberRoleError(res);
+            }
+            if (options.allowTesters && req.auth.role === 'tester' && test.status === 'active') return next();
+
+            res.status(403).json({ error: 'Forbidden: no access to this test' });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+}
+
+/**
+ * :bugId must belong to a test of the caller's workspace, or have been
+ * submitted by the calling tester. Optionally lets the service key through (analyzer),
+ * and signed media links (their scope was checked when they were resolved).
+ * @param {string} [param]
+ * @param {{ allowService?: boolean, allowMedia?: boolean, allowTesters?: boolean, roles?: string[] }} [options]
+ */
+function requireBugAccess(param = 'bugId', options = {}) {
+    return async (req, res, next) => {
+        try {
+            if (!req.auth) return res.status(401).json({ error: 'Unauthorized: sign in required' });
+            if (isAdmin(req)) return next();
+            if (options.allowService && req.auth.role === 'service') return next();
+            if (options.allowMedia && req.auth.role === 'media') return next();
+
+            const result = await db.query(
+                `SELECT b.tester_id, t.company_id
+                 FROM bugs b LEFT JOIN tests t ON b.test_id = t.id
+                 WHERE b.id = $1`,
+                [req.params[param]]
+            );
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Bug not found' });
+            const bug = result.rows[0];
+
+            if (isCompanyMember(req, bug.company_id)) {
+                return isCompanyMember(req, bug.company_id, options.roles) ? next() : memberRoleError(res);
+            }
+            if (options.allowTesters && req.auth.role === 'tester' && String(bug.tester_id) === req.auth.sub) return next();
+
+            res.status(403).json({ error: 'Forbidden: no access to this bug' });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+}
+
+module.exports = {
+    issueSession,
+    verifyToken,
+    authenticate,
+    requireAuth,
+    requireRole,
+    requirePermission,
+    hasPermission,
+    requireCompanyParam,
+    requireTesterParam,
+    requireTestAccess,
+    requireBugAccess,
+    isAdmin,
+    isCompanyMember,
+    COMPANY_ROLES,
+    ADMIN_PERMISSIONS
+};
@@ -0,0 +1,270 @@
+// bug-attachments.js — Screenshots attached to bug reports (bug_attachments table)
+// Each screenshot is one row pointing at an object in whichever storage driver was
+// active when it was stored (see storage-drivers.js). Files are served through
+// the authenticated attachment proxy, with a JPEG thumbnail made at upload time, or
+// on first request for screenshots that arrived some other way (direct uploads,
+// reports from before this table existed).
+const ffmpeg = require('./ffmpeg-setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('./db');
+const storageDrivers = require('./storage-drivers');
+
+const MAX_ATTACHMENTS_PER_BUG = 5;
+const THUMBNAIL_MAX_SIZE = 320; // longest side, in pixels
+const BUCKET = 'screenshots';
+
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+
+// Type of an uploaded file: what the client declared if it is one of IMAGE_TYPES, else by
+// extension. Anything else (SVG above all, which can carry script) is served as a download.
+function mimeTypeOf(fileName, declared) {
+    if (declared && Object.values(IMAGE_TYPES).includes(declared)) return declared;
+    return IMAGE_TYPES[path.extname(fileName || '').toLowerCase()] || 'application/octet-stream';
+}
+
+function probeImage(filePath) {
+    return new Promise(resolve => {
+        ffmpeg.ffprobe(filePath, (err, meta) => {
+            const image = !err && (meta.streams || []).find(s => s.codec_type === 'video');
+            resolve({ width: image?.width || null, height: image?.height || null });
+        });
+    });
+}
+
+// JPEG no larger than THUMBNAIL_MAX_SIZE on either side (never upscaled)
+function makeThumbnail(input, output) {
+    return new Promise((resolve, reject) => {
+        ffmpeg(input)
+            .outputOptions([
+                `-vf scale='min(iw,${THUMBNAIL_MAX_SIZE})':'min(ih,${THUMBNAIL_MAX_SIZE})':force_original_aspect_ratio=decrease`,
+                '-frames:v 1',
+                '-q:v 4'
+            ])
+            .output(output)
+            .on('end', () => resolve())
+            .on('error', reject)
+            .run();
+    });
+}
+
+// Thumbnail key next to the original: screenshots/abc.png → screenshots/abc.thumb.jpg
+function thumbnailKey(key) {
+    const parsed = path.posix.parse(key);
+    return path.posix.join(parsed.dir, `${parsed.name}.thumb.jpg`);
+}
+
+// Probes and thumbnails a local image; failures leave the fields empty rather than failing the upload
+async function describeImage(filePath, workDir) {
+    const dims = await probeImage(filePath);
+    const thumbnail = path.join(workDir, 'thumb.jpg');
+    try {
+        await makeThumbnail(filePath, thumbnail);
+        return { ...dims, thumbnail };
+    } catch (err) {
+        console.warn('⚠️ Thumbnail failed:', err.message);
+        return { ...dims, thumbnail: null };
+    }
+}
+
+/**
+ * Stores an uploaded screenshot (a multer file) and its thumbnail with the active
+ * storage driver. The temp file is left for the caller to remove.
+ * @param {{ path: string, originalname: string, mimetype?: string, size: number }} file
+ * @returns {Promise<object>} a stored object for saveAttachments
+ */
+async function storeScreenshotFile(file) {
+    const driver = storageDrivers.activeDriver();
+    const mimeType = mimeTypeOf(file.originalname, file.mimetype);
+    const key = driver.newKey(BUCKET, file.originalname, '.jpg');
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachment-'));
+    try {
+        const image = mimeType.startsWith('image/')
+            ? await describeImage(file.path, workDir)
+            : { width: null, height: null, thumbnail: null };
+
+        await driver.put(BUCKET, key, file.path, { contentType: mimeType });
+        let thumbKey = null;
+        if (image.thumbnail) {
+            thumbKey = thumbnailKey(key);
+            await driver.put(BUCKET, thumbKey, image.thumbnail, { contentType: 'image/jpeg' });
+        }
+        console.log(`🖼️ Screenshot → ${driver.name}: ${key} (${Math.round(file.size / 1024)}KB)`);
+
+        return {
+            storage: driver.name,
+            storage_key: key,
+            thumbnail_key: thumbKey,
+            mime_type: mimeType,
+            width: image.width,
+            height: image.height,
+            size_bytes: file.size,
+            original_name: file.originalname || null
+        };
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+// A screenshot that already sits in storage (a completed direct upload); thumbnailed on first view
+function fromUpload(upload) {
+    return {
+        storage: upload.storage_backend,
+        storage_key: upload.storage_key,
+        thumbnail_key: null,
+        mime_type: upload.content_type,
+        width: null,
+        height: null,
+        size_bytes: Number(upload.total_size),
+        original_name: upload.file_name
+    };
+}
+
+const INSERT_COLUMNS = `bug_id, position, storage, storage_key, thumbnail_key, mime_type, width, height, size_bytes, original_name`;
+
+function insertValues(bugId, position, object) {
+    return [
+        bugId, position, object.storage, object.storage_key, object.thumbnail_key || null, object.mime_type,
+        object.width || null, object.height || null, object.size_bytes || null, object.original_name || null
+    ];
+}
+
+/**
+ * Records stored screenshots on a new bug, in order.
+ * @param {number} bugId
+ * @param {object[]} objects - from storeScreenshotFile / fromUpload
+ */
+async function saveAttachments(bugId, objects) {
+    const saved = [];
+    for (let i = 0; i < objects.length; i++) {
+        const result = await db.query(
+            `INSERT INTO bug_attachments (${INSERT_COLUMNS})
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+            insertValues(bugId, i + 1, objects[i])
+        );
+        saved.push(result.rows[0]);
+    }
+    return saved;
+}
+
+/**
+ * Adds one screenshot to a tester's existing bug, unless it already has the
+ * maximum. The bug row is locked so concurrent additions cannot overshoot.
+ * @returns {Promise<object|null>} the attachment, or null if the bug is not the tester's or is full
+ */
+async function addAttachment(bugId, testerId, object) {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const bug = await client.query('SELECT id FROM bugs WHERE id = $1 AND tester_id = $2 FOR UPDATE', [bugId, testerId]);
+        const count = await client.query('SELECT COUNT(*)::int AS n, COALESCE(MAX(position), 0) AS last FROM bug_attachments WHERE bug_id = $1', [bugId]);
+        if (bug.rows.length === 0 || count.rows[0].n >= MAX_ATTACHMENTS_PER_BUG) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        const result = await client.query(
+            `INSERT INTO bug_attachments (${INSERT_COLUMNS})
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+            insertValues(bugId, count.rows[0].last + 1, object)
+        );
+        await client.query('COMMIT');
+        return result.rows[0];
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Attachments of several bugs at once, for listings.
+ * @param {number[]} bugIds
+ * @returns {Promise<Map<number, object[]>>} bug id → attachments in order
+ */
+async function listAttachments(bugIds) {
+    const byBug = new Map();
+    if (bugIds.length === 0) return byBug;
+    const result = await db.query(
+        'SELECT * FROM bug_attachments WHERE bug_id = ANY($1::int[]) ORDER BY bug_id, position, id',
+        [bugIds]
+    );
+    for (const row of result.rows) {
+        if (!byBug.has(row.bug_id)) byBug.set(row.bug_id, []);
+        byBug.get(row.bug_id).push(row);
+    }
+    return byBug;
+}
+
+async function getAttachment(bugId, attachmentId) {
+    const result = await db.query('SELECT * FROM bug_attachments WHERE id = $1 AND bug_id = $2', [attachmentId, bugId]);
+    return result.rows[0] || null;
+}
+
+const thumbnailing = new Map(); // attachment id → Promise, so concurrent requests share one job
+
+/**
+ * Returns the attachment with a thumbnail, creating (and storing) one from the
+ * original if it has none yet. Dimensions are filled in along the way.
+ * @returns {Promise<object>} the updated row (thumbnail_key stays null if the file is not an image)
+ */
+function ensureThumbnail(attachment) {
+    if (attachment.thumbnail_key || !attachment.mime_type.startsWith('image/')) return Promise.resolve(attachment);
+    if (thumbnailing.has(attachment.id)) return thumbnailing.get(attachment.id);
+
+    const job = (async () => {
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `attachment-${attachment.id}-`));
+        try {
+            const driver = storageDrivers.getDriver(attachment.storage);
+            const original = path.join(workDir, `original${path.extname(attachment.storage_key)}`);
+            await storageDrivers.downloadToFile(driver, BUCKET, attachment.storage_key, original);
+            const image = await describeImage(original, workDir);
+            if (!image.thumbnail) return attachment;
+
+            const key = thumbnailKey(attachment.storage_key);
+            await driver.put(BUCKET, key, image.thumbnail, { contentType: 'image/jpeg' });
+            const result = await db.query(
+                `UPDATE bug_attachments SET thumbnail_key = $2,
+                        width = COALESCE(width, $3), height = COALESCE(height, $4)
+                 WHERE id = $1 RETURNING *`,
+                [attachment.id, key, image.width, image.height]
+            );
+            return result.rows[0] || attachment;
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    })();
+    thumbnailing.set(attachment.id, job);
+    job.finally(() => thumbnailing.delete(attachment.id)).catch(() => { });
+    return job;
+}
+
+/**
+ * Removes the stored files (originals and thumbnails) of every attachment of
+ * `bugIds`. Rows go with their bugs (ON DELETE CASCADE).
+ */
+async function deleteAttachmentFiles(bugIds) {
+    if (bugIds.length === 0) return;
+    const result = await db.query(
+        'SELECT storage, storage_key, thumbnail_key FROM bug_attachments WHERE bug_id = ANY($1::int[])',
+        [bugIds]
+    );
+    await storageDrivers.deleteStored(BUCKET, result.rows.flatMap(r => [r.storage_key, r.thumbnail_key]
+        .filter(Boolean)
+        .map(key => ({ storage: r.storage, key }))));
+}
+
+module.exports = {
+    MAX_ATTACHMENTS_PER_BUG,
+    BUCKET,
+    storeScreenshotFile,
+    fromUpload,
+    saveAttachments,
+    addAttachment,
+    listAttachments,
+    getAttachment,
+    ensureThumbnail,
+    deleteAttachmentFiles
+};
@@ -0,0 +1,267 @@
+// bug-triage.js — Acting on the AI admin verdict (triage_policies, triage_decisions)
+// When a pending bug's analysis finishes, the active policy decides: an APPROVE verdict at or
+// above min_confidence approves the bug; anything else (REJECT, low confidence) goes to the
+// manual review queue with the AI reasoning attached. A policy with auto_approve off runs in
+// shadow mode: it records what it would have done and leaves every bug to the admins.
+//
+// Each decision row later receives the final human decision (from the admin review route),
+// which is what the per-policy accuracy stats compare the AI verdict against.
+const db = require('./db');
+
+const REVIEW_REASONS = {
+    ai_reject: 'AI verdict is REJECT',
+    low_confidence: 'AI verdict is APPROVE below the policy confidence threshold',
+    shadow: 'Policy is in shadow mode (auto-approval off)'
+};
+
+class TriageError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TriageError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Validates policy fields from an admin request. Only fields that are present are returned.
+ * @throws {TriageError}
+ */
+function normalizePolicy(body, { partial = false } = {}) {
+    const policy = {};
+    if (body.name !== undefined || !partial) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) throw new TriageError('name is required');
+        policy.name = name;
+    }
+    if (body.min_confidence !== undefined) {
+        const confidence = Number(body.min_confidence);
+        if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+            throw new TriageError('min_confidence must be a number from 0 to 1');
+        }
+        policy.min_confidence = confidence;
+    }
+    if (body.auto_approve !== undefined) policy.auto_approve = body.auto_approve === true || body.auto_approve === 'true';
+    return policy;
+}
+
+async function getActivePolicy() {
+    const result = await db.query('SELECT * FROM triage_policies WHERE is_active LIMIT 1');
+    return result.rows[0] || null;
+}
+
+/**
+ * Creates a policy (inactive until activated).
+ * @throws {TriageError} 409 if the name is taken
+ */
+async function createPolicy(body) {
+    const policy = normalizePolicy(body);
+    try {
+        const result = await db.query(
+            `INSERT INTO triage_policies (name, min_confidence, auto_approve)
+             VALUES ($1, COALESCE($2, 0.9), COALESCE($3, FALSE))
+             RETURNING *`,
+            [policy.name, policy.min_confidence ?? null, policy.auto_approve ?? null]
+        );
+        return result.rows[0];
+    } catch (err) {
+        if (err.code === '23505') throw new TriageError(`A policy named "${policy.name}" already exists`, 409);
+        throw err;
+    }
+}
+
+/**
+ * Updates a policy's settings; `active: true` makes it the one policy that triages.
+ * @returns {Promise<{ before: object, after: object } | null>} null if no such policy
+ */
+async function updatePolicy(policyId, body) {
+    const changes = normalizePolicy(body, { partial: true });
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const before = await client.query('SELECT * FROM triage_policies WHERE id = $1 FOR UPDATE', [policyId]);
+        if (before.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const activate = body.active === true || body.active === 'true';
+        const deactivate = body.active === false || body.active === 'false';
+        if (activate) await client.query('UPDATE triage_policies SET is_active = FALSE WHERE is_active AND id <> $1', [policyId]);
+
+        const result = await client.query(
+            `UPDATE triage_policies
+             SET name = COALESCE($2, name),
+                 min_confidence = COALESCE($3, min_confidence),
+                 auto_approve = COALESCE($4, auto_approve),
+                 is_active = CASE WHEN $5 THEN TRUE WHEN $6 THEN FALSE ELSE is_active END,
+                 updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [policyId, changes.name ?? null, changes.min_confidence ?? null, changes.auto_approve ?? null, activate, deactivate]
+        );
+        await client.query('COMMIT');
+        return { before: before.rows[0], after: result.rows[0] };
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        if (err.code === '23505') throw new TriageError(`A policy named "${changes.name}" already exists`, 409);
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// What a policy does with a verdict: { action: 'auto_approve' | 'review', reason }
+function decide(policy, verdict, confidence) {
+    if (verdict !== 'APPROVE') return { action: 'review', reason: 'ai_reject' };
+    if (!(confidence >= policy.min_confidence)) return { action: 'review', reason: 'low_confidence' };
+    return { action: 'auto_approve', reason: null };
+}
+
+/**
+ * Triages a bug with the active policy once its analysis is stored. Only bugs
+ * still pending review are touched; without an active policy nothing happens.
+ * @returns {Promise<object|null>} the triage_decisions row
+ */
+async function triageBug(bugId) {
+    const policy = await getActivePolicy();
+    if (!policy) return null;
+
+    const bug = await db.query(
+        `SELECT id, status, ai_verdict, ai_verdict_confidence, ai_verdict_reasoning
+         FROM bugs WHERE id = $1`,
+        [bugId]
+    );
+    const row = bug.rows[0];
+    if (!row || row.status !== 'pending' || !row.ai_verdict) return null;
+
+    const { action, reason } = decide(policy, row.ai_verdict, row.ai_verdict_confidence);
+    const applied = action === 'auto_approve' && policy.auto_approve;
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        let approved = false;
+        if (applied) {
+            const update = await client.query(
+                `UPDATE bugs SET status = 'approved' WHERE id = $1 AND status = 'pending' RETURNING id`,
+                [bugId]
+            );
+            approved = update.rows.length > 0;
+        }
+
+        // A re-analysis re-triages the bug, unless someone already made the final call
+        const decision = await client.query(
+            `INSERT INTO triage_decisions
+                (bug_id, policy_id, ai_verdict, ai_confidence, ai_reasoning, action, review_reason, applied,
+                 final_status, final_decided_by, final_decided_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+                     CASE WHEN $8 THEN 'approved' END, CASE WHEN $8 THEN 'ai' END, CASE WHEN $8 THEN NOW() END)
+             ON CONFLICT (bug_id) DO UPDATE SET
+                policy_id = EXCLUDED.policy_id, ai_verdict = EXCLUDED.ai_verdict,
+                ai_confidence = EXCLUDED.ai_confidence, ai_reasoning = EXCLUDED.ai_reasoning,
+                action = EXCLUDED.action, review_reason = EXCLUDED.review_reason, applied = EXCLUDED.applied,
+                final_status = EXCLUDED.final_status, final_decided_by = EXCLUDED.final_decided_by,
+                final_decided_at = EXCLUDED.final_decided_at, created_at = NOW()
+             WHERE triage_decisions.final_decided_by IS DISTINCT FROM 'admin'
+             RETURNING *`,
+            [
+                bugId, policy.id, row.ai_verdict, row.ai_verdict_confidence, row.ai_verdict_reasoning,
+                action, action === 'review' ? reason : (applied ? null : 'shadow'), approved
+            ]
+        );
+        await client.query('COMMIT');
+
+        if (approved) console.log(`🤖 Bug #${bugId} auto-approved by policy "${policy.name}" (confidence ${row.ai_verdict_confidence})`);
+        else console.log(`📋 Bug #${bugId} sent to review by policy "${policy.name}" (${reason || 'shadow'})`);
+        return decision.rows[0] || null;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Records an admin's review of a bug as the final decision on its triage row
+ * (no-op for untriaged bugs, and for statuses other than approved / rejected).
+ */
+async function recordHumanDecision(bugId, status) {
+    if (status !== 'approved' && status !== 'rejected') return;
+    await db.query(
+        `UPDATE triage_decisions
+         SET final_status = $2, final_decided_by = 'admin', final_decided_at = NOW()
+         WHERE bug_id = $1`,
+        [bugId, status]
+    );
+}
+
+/**
+ * Pending bugs the AI did not approve, oldest first, with the AI reasoning.
+ */
+async function getReviewQueue({ limit = 100, offset = 0 } = {}) {
+    const result = await db.query(
+        `SELECT b.id, b.test_id, b.tester_name, b.bug_title, b.title, b.bug_description, b.severity,
+                b.recording_url, b.created_at, t.app_name, t.company_name,
+                d.ai_verdict, d.ai_confidence, d.ai_reasoning, d.action, d.review_reason,
+                d.created_at AS triaged_at, p.name AS policy_name
+         FROM triage_decisions d
+         JOIN bugs b ON b.id = d.bug_id
+         LEFT JOIN tests t ON t.id = b.test_id
+         LEFT JOIN triage_policies p ON p.id = d.policy_id
+         WHERE b.status = 'pending' AND (d.action = 'review' OR NOT d.applied)
+         ORDER BY b.created_at
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+    );
+    return result.rows.map(r => ({
+        ...r,
+        review_reason_text: REVIEW_REASONS[r.review_reason] || null
+    }));
+}
+
+function ratio(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+/**
+ * Every policy with how its verdicts compare to the final human decisions.
+ * accuracy: share of human-reviewed bugs where the AI verdict matched the admin;
+ * overturn_rate: share of human-reviewed auto-approvals the admin rejected.
+ */
+async function getPolicyStats() {
+    const result = await db.query(
+        `SELECT p.*,
+                COUNT(d.id)::int AS triaged,
+                COUNT(d.id) FILTER (WHERE d.action = 'auto_approve')::int AS would_auto_approve,
+                COUNT(d.id) FILTER (WHERE d.action = 'auto_approve' AND d.applied)::int AS auto_approved,
+                COUNT(d.id) FILTER (WHERE d.action = 'review')::int AS sent_to_review,
+                COUNT(d.id) FILTER (WHERE d.final_decided_by = 'admin')::int AS human_decided,
+                COUNT(d.id) FILTER (WHERE d.final_decided_by = 'admin' AND d.ai_verdict = 'APPROVE' AND d.final_status = 'approved')::int AS approve_approved,
+                COUNT(d.id) FILTER (WHERE d.final_decided_by = 'admin' AND d.ai_verdict = 'APPROVE' AND d.final_status = 'rejected')::int AS approve_rejected,
+                COUNT(d.id) FILTER (WHERE d.final_decided_by = 'admin' AND d.ai_verdict = 'REJECT' AND d.final_status = 'approved')::int AS reject_approved,
+                COUNT(d.id) FILTER (WHERE d.final_decided_by = 'admin' AND d.ai_verdict = 'REJECT' AND d.final_status = 'rejected')::int AS reject_rejected,
+                COUNT(d.id) FILTER (WHERE d.action = 'auto_approve' AND d.final_decided_by = 'admin')::int AS auto_approvals_reviewed,
+                COUNT(d.id) FILTER (WHERE d.action = 'auto_approve' AND d.final_decided_by = 'admin' AND d.final_status = 'rejected')::int AS auto_approvals_overturned
+         FROM triage_policies p
+         LEFT JOIN triage_decisions d ON d.policy_id = p.id
+         GROUP BY p.id
+         ORDER BY p.is_active DESC, p.created_at DESC`
+    );
+    return result.rows.map(p => ({
+        ...p,
+        accuracy: ratio(p.approve_approved + p.reject_rejected, p.human_decided),
+        overturn_rate: ratio(p.auto_approvals_overturned, p.auto_approvals_reviewed)
+    }));
+}
+
+module.exports = {
+    TriageError,
+    getActivePolicy,
+    createPolicy,
+    updatePolicy,
+    triageBug,
+    recordHumanDecision,
+    getReviewQueue,
+    getPolicyStats
+};
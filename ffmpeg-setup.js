@@ -0,0 +1,49 @@
+// ffmpeg-setup.js — fluent-ffmpeg pointed at the bundled ffmpeg / ffprobe binaries
+// Every module that runs ffmpeg (analysis, transcoding, thumbnails) requires fluent-ffmpeg
+// through here, so the binaries are found once: @ffmpeg-installer / @ffprobe-installer,
+// else ffmpeg-static / ffprobe-static when installed, else whatever is on PATH.
+const ffmpeg = require('fluent-ffmpeg');
+const { execSync } = require('child_process');
+const fs = require('fs');
+
+// Path of the first candidate that resolves to an existing file, made executable
+// (some deploys unpack node_modules without the exec bit)
+function findBinary(candidates) {
+    for (const [name, resolve] of candidates) {
+        try {
+            const binary = resolve();
+            if (binary && fs.existsSync(binary)) {
+                execSync(`chmod +x "${binary}"`);
+                return { binary, name };
+            }
+        } catch (e) {
+            // Not installed; try the next one
+        }
+    }
+    return null;
+}
+
+const ffmpegBinary = findBinary([
+    ['@ffmpeg-installer/ffmpeg', () => require('@ffmpeg-installer/ffmpeg').path],
+    ['ffmpeg-static', () => require('ffmpeg-static')]
+]);
+const ffprobeBinary = findBinary([
+    ['@ffprobe-installer/ffprobe', () => require('@ffprobe-installer/ffprobe').path],
+    ['ffprobe-static', () => require('ffprobe-static').path]
+]);
+
+if (ffmpegBinary) {
+    ffmpeg.setFfmpegPath(ffmpegBinary.binary);
+    console.log(`✅ ffmpeg ready (${ffmpegBinary.name}):`, ffmpegBinary.binary);
+} else {
+    console.warn('⚠️ Bundled ffmpeg not found, using ffmpeg from PATH');
+}
+
+if (ffprobeBinary) {
+    ffmpeg.setFfprobePath(ffprobeBinary.binary);
+    console.log(`✅ ffprobe ready (${ffprobeBinary.name}):`, ffprobeBinary.binary);
+} else {
+    console.warn('⚠️ Bundled ffprobe not found, using ffprobe from PATH');
+}
+
+module.exports = ffmpeg;
@@ -0,0 +1,222 @@
+// google-auth.js — Verifies Google Sign-In ID tokens (RS256) against Google's JWKS
+const crypto = require('crypto');
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const CLOCK_SKEW_SECONDS = 60;
+
+// Web dashboard and Android app use different OAuth clients, so allow a list
+const GOOGLE_CLIENT_IDS = (process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+if (GOOGLE_CLIENT_IDS.length === 0) {
+    console.warn('⚠️  WARNING: GOOGLE_CLIENT_ID is not set. Google sign-in will be rejected!');
+}
+
+// statusCode: 401 for a token we reject, 503 when Google's keys cannot be fetched to check it
+class GoogleTokenError extends Error {
+    constructor(message, statusCode = 401) {
+        super(message);
+        this.name = 'GoogleTokenError';
+        this.statusCode = statusCode;
+    }
+}
+
+function base64UrlDecode(segment) {
+    return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function parseJson(segment, label) {
+    try {
+        return JSON.parse(base64UrlDecode(segment).toString('utf8'));
+    } catch (e) {
+        throw new GoogleTokenError(`Malformed token ${label}`);
+    }
+}
+
+// ============================================
+// KEY SOURCES
+// ============================================
+// A key source is any object with `async getKey(kid)` returning a KeyObject (or null).
+
+/**
+ * Key source backed by a fixed JWK set — used for local testing.
+ * @param {{ keys: object[] }} jwks
+ */
+function createStaticKeySource(jwks) {
+    const keys = new Map();
+    for (const jwk of jwks.keys || []) {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+    return {
+        async getKey(kid) {
+            return keys.get(kid) || null;
+        }
+    };
+}
+
+/**
+ * Key source that fetches a remote JWKS and caches it for as long as the
+ * response's Cache-Control max-age allows. An unknown `kid` triggers a refetch
+ * (at most once per minute) so Google's key rotation is picked up promptly.
+ * @param {string} [url]
+ */
+function createRemoteKeySource(url = GOOGLE_CERTS_URL) {
+    let keys = new Map();
+    let expiresAt = 0;
+    let lastFetchAt = 0;
+    let inflight = null;
+
+    // Logs why Google's keys could not be loaded; sign-in answers 503 until they can
+    function unavailable(reason) {
+        console.error(`❌ Google JWKS refresh failed: ${reason}`);
+        return new GoogleTokenError('Google sign-in temporarily unavailable', 503);
+    }
+
+    async function refresh() {
+        let response;
+        let jwks;
+        try {
+            response = await fetch(url);
+        } catch (e) {
+            throw unavailable(e.message);
+        }
+        if (!response.ok) throw unavailable(`status ${response.status}`);
+        try {
+            jwks = await response.json();
+        } catch (e) {
+            throw unavailable(`malformed body (${e.message})`);
+        }
+
+        const next = new Map();
+        for (const jwk of Array.isArray(jwks?.keys) ? jwks.keys : []) {
+            try {
+                next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            } catch (e) {
+                console.warn(`⚠️ Skipping unusable Google JWK ${jwk?.kid}: ${e.message}`);
+            }
+        }
+        // An empty set would lock every user out; keep the keys we have
+        if (next.size === 0) throw unavailable('no usable keys in the response');
+        keys = next;
+
+        const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+        lastFetchAt = Date.now();
+        expiresAt = lastFetchAt + (maxAge ? parseInt(maxAge[1]) : 3600) * 1000;
+    }
+
+    function refreshOnce() {
+        if (!inflight) {
+            inflight = refresh().finally(() => { inflight = null; });
+        }
+        return inflight;
+    }
+
+    return {
+        async getKey(kid) {
+            try {
+                if (Date.now() >= expiresAt) {
+                    await refreshOnce();
+                } else if (!keys.has(kid) && Date.now() - lastFetchAt > 60 * 1000) {
+                    await refreshOnce();
+                }
+            } catch (e) {
+                // Keys past their max-age still verify tokens while Google is unreachable
+                if (!keys.has(kid)) throw e;
+            }
+            return keys.get(kid) || null;
+        }
+    };
+}
+
+let defaultKeySource = createRemoteKeySource();
+
+// Swap the key source used by verifyGoogleIdToken (e.g. a static set in tests)
+function setKeySource(source) {
+    defaultKeySource = source;
+}
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+/**
+ * Verifies a Google ID token and returns its payload.
+ * Checks the RS256 signature, `aud`, `iss`, `exp` and `email_verified`.
+ *
+ * @param {string} idToken
+ * @param {{ audience?: string[], keySource?: object }} [options]
+ * @returns {Promise<{ sub: string, email: string, name?: string, picture?: string }>}
+ * @throws {GoogleTokenError} when the token is invalid for any reason (401), or
+ *   Google's keys cannot be fetched to check it (503)
+ */
+async function verifyGoogleIdToken(idToken, options = {}) {
+    const audience = options.audience || GOOGLE_CLIENT_IDS;
+    const keySource = options.keySource || defaultKeySource;
+
+    if (typeof idToken !== 'string') {
+        throw new GoogleTokenError('Token must be a string');
+    }
+    if (audience.length === 0) {
+        throw new GoogleTokenError('Google sign-in is not configured on this server');
+    }
+
+    const parts = idToken.split('.');
+    if (parts.length !== 3) {
+        throw new GoogleTokenError('Invalid token format');
+    }
+
+    const header = parseJson(parts[0], 'header');
+    const payload = parseJson(parts[1], 'payload');
+
+    if (header.alg !== 'RS256') {
+        throw new GoogleTokenError(`Unsupported token algorithm: ${header.alg}`);
+    }
+
+    const key = await keySource.getKey(header.kid);
+    if (!key) {
+        throw new GoogleTokenError('Token signed with an unknown key');
+    }
+
+    const valid = crypto.verify(
+        'RSA-SHA256',
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        key,
+        base64UrlDecode(parts[2])
+    );
+    if (!valid) {
+        throw new GoogleTokenError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!audience.includes(payload.aud)) {
+        throw new GoogleTokenError('Token audience mismatch');
+    }
+    if (!GOOGLE_ISSUERS.includes(payload.iss)) {
+        throw new GoogleTokenError('Token issuer mismatch');
+    }
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+        throw new GoogleTokenError('Token expired');
+    }
+    if (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW_SECONDS > now) {
+        throw new GoogleTokenError('Token issued in the future');
+    }
+    if (!payload.sub || !payload.email) {
+        throw new GoogleTokenError('Token is missing subject or email');
+    }
+    if (payload.email_verified !== true && payload.email_verified !== 'true') {
+        throw new GoogleTokenError('Google account email is not verified');
+    }
+
+    return payload;
+}
+
+module.exports = {
+    verifyGoogleIdToken,
+    createRemoteKeySource,
+    createStaticKeySource,
+    setKeySource,
+    GoogleTokenError
+};
@@ -0,0 +1,272 @@
+// job-queue.js — Durable background jobs in Postgres (jobs table)
+// Work that must survive restarts (Render sleeps and redeploys often) is queued as a row
+// instead of a dropped promise. Workers claim rows with FOR UPDATE SKIP LOCKED, so several
+// instances can share one queue, and hold them under a lease (locked_by / locked_until)
+// that they renew while the job runs. A job whose lease ran out is assumed to have died
+// with its process and is claimed again. Failures retry with exponential backoff until
+// max_attempts, then the job is left 'failed' with its last error.
+//
+// States: queued → running → done | failed (a failed attempt with retries left goes back to queued)
+const os = require('os');
+const db = require('./db');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+// Finished jobs are kept this long for inspection, then pruned
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS) || 14;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const DEFAULTS = {
+    concurrency: 1,
+    maxAttempts: 3,
+    leaseSeconds: 10 * 60,
+    backoffSeconds: 60,
+    maxBackoffSeconds: 60 * 60
+};
+
+// A failure that retrying cannot fix (e.g. the bug has no recording); the job fails at once
+class JobError extends Error {
+    constructor(message, { retry = true } = {}) {
+        super(message);
+        this.name = 'JobError';
+        this.retry = retry;
+    }
+}
+
+// type → { handler, onFailure, concurrency, maxAttempts, leaseSeconds, backoffSeconds, maxBackoffSeconds }
+const handlers = new Map();
+
+/**
+ * Registers the handler for a job type. The handler gets the claimed job row
+ * ({ id, type, payload, attempts, max_attempts, ... }); resolving marks the job done,
+ * throwing schedules a retry (or fails it for good, see JobError).
+ * @param {string} type
+ * @param {(job: object) => Promise<void>} handler
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - jobs of this type run at once in this process
+ * @param {number} [options.maxAttempts] - default for jobs enqueued without one
+ * @param {number} [options.leaseSeconds] - how long a silent worker keeps the job
+ * @param {number} [options.backoffSeconds] - delay before the first retry, doubled for each one after
+ * @param {(job: object, err: Error, retrying: boolean) => Promise<void>} [options.onFailure]
+ */
+function register(type, handler, options = {}) {
+    handlers.set(type, { ...DEFAULTS, ...options, handler });
+}
+
+/**
+ * Queues a job. With a `key`, at most one queued or running job has that key:
+ * enqueueing again while one is pending returns the pending job instead.
+ * @param {string} type
+ * @param {object} payload - stored as JSONB
+ * @param {{ key?: string, runAt?: Date, maxAttempts?: number }} [options]
+ * @returns {Promise<{ job: object, created: boolean }>}
+ */
+async function enqueue(type, payload = {}, options = {}) {
+    const maxAttempts = options.maxAttempts || handlers.get(type)?.maxAttempts || DEFAULTS.maxAttempts;
+    // The pending job can finish between the insert and the lookup; then insert again
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const result = await db.query(
+            `INSERT INTO jobs (type, payload, dedupe_key, max_attempts, run_at)
+             VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))
+             ON CONFLICT (dedupe_key) WHERE state IN ('queued', 'running') DO NOTHING
+             RETURNING *`,
+            [type, JSON.stringify(payload), options.key || null, maxAttempts, options.runAt || null]
+        );
+        if (result.rows.length > 0) {
+            wake(type);
+            return { job: result.rows[0], created: true };
+        }
+        const pending = await db.query(
+            `SELECT * FROM jobs WHERE dedupe_key = $1 AND state IN ('queued', 'running')`,
+            [options.key]
+        );
+        if (pending.rows.length > 0) return { job: pending.rows[0], created: false };
+    }
+    // Still racing a job that keeps finishing and being requeued: report the latest one
+    return { job: await findByKey(options.key), created: false };
+}
+
+// Latest job with this key, in any state
+async function findByKey(key) {
+    const result = await db.query(
+        'SELECT * FROM jobs WHERE dedupe_key = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+        [key]
+    );
+    return result.rows[0] || null;
+}
+
+// ============================================
+// CLAIMING
+// ============================================
+
+// Claims the next due job of `type`, or one whose worker's lease ran out
+async function claimJob(type, leaseSeconds) {
+    const result = await db.query(
+        `UPDATE jobs SET state = 'running', attempts = attempts + 1,
+                locked_by = $2, locked_until = NOW() + make_interval(secs => $3::int),
+                started_at = NOW(), updated_at = NOW()
+         WHERE id = (
+             SELECT id FROM jobs
+             WHERE type = $1
+               AND ((state = 'queued' AND run_at <= NOW())
+                    OR (state = 'running' AND locked_until < NOW()))
+             ORDER BY run_at, id
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [type, WORKER_ID, leaseSeconds]
+    );
+    return result.rows[0] || null;
+}
+
+// Extends the lease of a job this process is running; false if another worker took it over
+async function renewLease(job, leaseSeconds) {
+    const result = await db.query(
+        `UPDATE jobs SET locked_until = NOW() + make_interval(secs => $3::int), updated_at = NOW()
+         WHERE id = $1 AND locked_by = $2 AND state = 'running'
+         RETURNING id`,
+        [job.id, WORKER_ID, leaseSeconds]
+    );
+    return result.rows.length > 0;
+}
+
+async function markDone(job) {
+    await db.query(
+        `UPDATE jobs SET state = 'done', locked_by = NULL, locked_until = NULL,
+                finished_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND locked_by = $2`,
+        [job.id, WORKER_ID]
+    );
+}
+
+// Seconds before retry number `attempts` (1-based): backoff, 2×backoff, 4×backoff, ... capped
+function retryDelay(attempts, options) {
+    return Math.min(options.backoffSeconds * 2 ** (attempts - 1), options.maxBackoffSeconds);
+}
+
+/**
+ * Records a failed attempt: back to 'queued' after the backoff while attempts
+ * remain, else 'failed'.
+ * @returns {Promise<boolean>} whether the job will be retried
+ */
+async function markFailed(job, err, options) {
+    const retrying = err.retry !== false && job.attempts < job.max_attempts;
+    await db.query(
+        `UPDATE jobs SET state = $3, last_error = $4, locked_by = NULL, locked_until = NULL,
+                run_at = CASE WHEN $3 = 'queued' THEN NOW() + make_interval(secs => $5::int) ELSE run_at END,
+                finished_at = CASE WHEN $3 = 'failed' THEN NOW() ELSE NULL END,
+                updated_at = NOW()
+         WHERE id = $1 AND locked_by = $2`,
+        [job.id, WORKER_ID, retrying ? 'queued' : 'failed', err.message, retryDelay(job.attempts, options)]
+    );
+    return retrying;
+}
+
+// ============================================
+// WORKERS
+// ============================================
+
+let running = false;
+const sleepers = new Map(); // type → resolve functions of idle workers
+let pruneTimer = null;
+
+// Lets idle workers of this process pick up a job enqueued here without waiting for the next poll
+function wake(type) {
+    for (const resolve of sleepers.get(type) || []) resolve();
+    sleepers.set(type, []);
+}
+
+function idle(type) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, POLL_INTERVAL_MS);
+        if (!sleepers.has(type)) sleepers.set(type, []);
+        sleepers.get(type).push(() => { clearTimeout(timer); resolve(); });
+    });
+}
+
+async function runJob(job, options) {
+    const startedAt = Date.now();
+    if (job.attempts > job.max_attempts) {
+        // Every attempt so far died without reporting back (crash, restart mid-job)
+        const err = new JobError(`Worker lease expired on attempt ${job.attempts - 1} of ${job.max_attempts}`, { retry: false });
+        await markFailed(job, err, options);
+        if (options.onFailure) await options.onFailure(job, err, false);
+        console.error(`❌ Job #${job.id} (${job.type}) abandoned: ${err.message}`);
+        return;
+    }
+
+    const heartbeat = setInterval(() => {
+        renewLease(job, options.leaseSeconds).catch(e => console.error(`⚠️ Job #${job.id} lease renewal failed:`, e.message));
+    }, (options.leaseSeconds * 1000) / 3);
+
+    try {
+        await options.handler(job);
+        await markDone(job);
+        console.log(`✅ Job #${job.id} (${job.type}) done in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    } catch (err) {
+        const retrying = await markFailed(job, err, options);
+        if (options.onFailure) await options.onFailure(job, err, retrying);
+        console.error(`❌ Job #${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts} failed${retrying ? ', will retry' : ''}:`, err.message);
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+async function workerLoop(type, options) {
+    while (running) {
+        let job = null;
+        try {
+            job = await claimJob(type, options.leaseSeconds);
+            if (job) await runJob(job, options);
+        } catch (err) {
+            console.error(`❌ ${type} worker error:`, err.message);
+        }
+        if (!job && running) await idle(type);
+    }
+}
+
+// Deletes finished jobs past the retention period
+async function pruneFinishedJobs() {
+    const result = await db.query(
+        `DELETE FROM jobs WHERE state IN ('done', 'failed')
+           AND finished_at < NOW() - make_interval(days => $1::int)`,
+        [JOB_RETENTION_DAYS]
+    );
+    return result.rowCount;
+}
+
+/**
+ * Starts `concurrency` worker loops for every registered job type.
+ * Call once at boot, after the jobs table exists.
+ */
+function start() {
+    if (running) return;
+    running = true;
+    for (const [type, options] of handlers) {
+        for (let i = 0; i < options.concurrency; i++) workerLoop(type, options);
+        console.log(`🧵 Job workers: ${type} × ${options.concurrency}`);
+    }
+    pruneTimer = setInterval(() => {
+        pruneFinishedJobs()
+            .then(n => { if (n > 0) console.log(`🧹 Pruned ${n} finished job(s)`); })
+            .catch(e => console.error('❌ Job prune error:', e.message));
+    }, 60 * 60 * 1000); // Every hour
+}
+
+// Stops claiming new jobs; jobs already running finish (or their leases expire)
+function stop() {
+    running = false;
+    clearInterval(pruneTimer);
+    for (const type of sleepers.keys()) wake(type);
+}
+
+module.exports = {
+    JobError,
+    register,
+    enqueue,
+    findByKey,
+    start,
+    stop,
+    pruneFinishedJobs
+};
@@ -0,0 +1,74 @@
+// llm-gemini.js — LLM provider for Google Gemini (AI Studio key, GEMINI_API_KEY)
+// GEMINI_MODELS overrides the fallback chain (comma-separated). A schema is passed as
+// responseSchema, so Gemini itself constrains the reply to it.
+const {
+    GoogleGenerativeAI,
+    GoogleGenerativeAIFetchError,
+    GoogleGenerativeAIResponseError,
+    GoogleGenerativeAIRequestInputError
+} = require('@google/generative-ai');
+const { LlmError, kindForStatus, modelList } = require('./llm-providers');
+
+const models = modelList(process.env.GEMINI_MODELS, [
+    'models/gemini-2.5-flash',
+    'models/gemini-2.5-flash-lite',
+    'models/gemini-2.5-pro'
+]);
+
+let genAI = null;
+
+function client() {
+    if (!genAI) genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    return genAI;
+}
+
+// Maps SDK errors onto LlmError kinds
+function classify(err, model) {
+    const details = { provider: 'gemini', model };
+    if (err instanceof GoogleGenerativeAIFetchError) {
+        return new LlmError(err.message, kindForStatus(err.status), { ...details, statusCode: err.status });
+    }
+    // Blocked by safety settings, or a request this model cannot take
+    if (err instanceof GoogleGenerativeAIResponseError || err instanceof GoogleGenerativeAIRequestInputError) {
+        return new LlmError(err.message, 'fallback', details);
+    }
+    // No HTTP status: the request failed on the way (network, DNS)
+    return new LlmError(err.message, 'retry', details);
+}
+
+async function generate({ model, prompt, images = [], schema }) {
+    if (!process.env.GEMINI_API_KEY) throw new LlmError('GEMINI_API_KEY is not set', 'fatal', { provider: 'gemini' });
+
+    const generationConfig = schema
+        ? { responseMimeType: 'application/json', responseSchema: schema }
+        : undefined;
+    const parts = images.map(image => ({
+        inlineData: { data: image.data.toString('base64'), mimeType: image.mimeType }
+    }));
+
+    try {
+        const result = await client()
+            .getGenerativeModel({ model, generationConfig })
+            .generateContent([prompt, ...parts]);
+        const text = result.response.text();
+        const usage = result.response.usageMetadata || {};
+        return {
+            text,
+            model,
+            usage: {
+                inputTokens: usage.promptTokenCount || 0,
+                outputTokens: usage.candidatesTokenCount || 0,
+                totalTokens: usage.totalTokenCount || 0
+            }
+        };
+    } catch (err) {
+        throw classify(err, model);
+    }
+}
+
+module.exports = {
+    name: 'gemini',
+    models,
+    configured: () => Boolean(process.env.GEMINI_API_KEY),
+    generate
+};
@@ -0,0 +1,69 @@
+// llm-mock.js — Deterministic LLM provider for running analysis offline (LLM_PROVIDER=mock)
+// The same request always gets the same reply. With a schema the reply is a JSON instance of
+// it built from the prompt's hash: strings are placeholders, enums take their first value,
+// numbers are 0.9, integers 1, arrays hold one item (none for arrays of objects when no images
+// were sent, since such items usually point at an input). MOCK_LLM_RESPONSE replaces that with
+// a fixed reply (the text itself, or @path/to/file). Failures can be rehearsed with model
+// names: "<name>:retry", "<name>:fallback" and "<name>:fatal" always fail with that error kind.
+const crypto = require('crypto');
+const fs = require('fs');
+const { LlmError, estimateTokens, modelList } = require('./llm-providers');
+
+// Tokens a provider would bill for one image (Gemini's flat rate for small images)
+const TOKENS_PER_IMAGE = 258;
+
+const models = modelList(process.env.MOCK_LLM_MODELS, ['mock-1']);
+
+function fixedResponse() {
+    const value = process.env.MOCK_LLM_RESPONSE;
+    if (!value) return null;
+    return value.startsWith('@') ? fs.readFileSync(value.slice(1), 'utf8') : value;
+}
+
+// A value matching `schema`; `seed` keeps placeholder strings stable per request
+function instanceOf(schema, seed, context, key = 'value') {
+    if (schema.enum) return schema.enum[0];
+    switch (schema.type) {
+        case 'object': {
+            const object = {};
+            for (const [name, property] of Object.entries(schema.properties || {})) {
+                object[name] = instanceOf(property, seed, context, name);
+            }
+            return object;
+        }
+        case 'array': {
+            const items = schema.items || { type: 'string' };
+            if (items.type === 'object' && context.imageCount === 0) return [];
+            return [instanceOf(items, seed, context, key)];
+        }
+        case 'number': return 0.9;
+        case 'integer': return 1;
+        case 'boolean': return true;
+        default: return `Mock ${key.replace(/_/g, ' ')} ${seed}`;
+    }
+}
+
+async function generate({ model, prompt, images = [], schema }) {
+    const [, failure] = String(model).split(':');
+    if (failure) throw new LlmError(`Simulated ${failure} failure`, failure, { provider: 'mock', model });
+
+    const hash = crypto.createHash('sha256').update(prompt);
+    for (const image of images) hash.update(image.data);
+    const seed = hash.digest('hex').slice(0, 8);
+
+    const text = fixedResponse()
+        ?? (schema
+            ? JSON.stringify(instanceOf(schema, seed, { imageCount: images.length }))
+            : `Mock reply ${seed}`);
+
+    const inputTokens = estimateTokens(prompt) + images.length * TOKENS_PER_IMAGE;
+    const outputTokens = estimateTokens(text);
+    return { text, model, usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens } };
+}
+
+module.exports = {
+    name: 'mock',
+    models,
+    configured: () => true,
+    generate
+};
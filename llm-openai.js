@@ -0,0 +1,96 @@
+// llm-openai.js — LLM provider for any OpenAI-compatible chat completions API
+// OPENAI_BASE_URL points it at OpenAI (the default) or a self-hosted server (vLLM, Ollama,
+// LM Studio, ...); OPENAI_API_KEY is optional for servers without auth. OPENAI_MODELS is the
+// fallback chain. OPENAI_JSON_MODE says how a schema is requested: 'json_schema' (default),
+// 'json_object' for servers that only know plain JSON mode, or 'none' (prompt only).
+const { LlmError, kindForStatus, modelList } = require('./llm-providers');
+
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+const JSON_MODE = process.env.OPENAI_JSON_MODE || 'json_schema';
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 2 * 60 * 1000;
+
+const models = modelList(process.env.OPENAI_MODELS, ['gpt-4o-mini']);
+
+// JSON Schema without the Gemini-only keywords ("format: enum")
+function plainSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(plainSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    const copy = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'format' && value === 'enum') continue;
+        copy[key] = key === 'enum' ? value : plainSchema(value);
+    }
+    return copy;
+}
+
+function responseFormat(schema) {
+    if (!schema || JSON_MODE === 'none') return undefined;
+    if (JSON_MODE === 'json_object') return { type: 'json_object' };
+    return { type: 'json_schema', json_schema: { name: 'response', schema: plainSchema(schema) } };
+}
+
+// Retry-After is in seconds (or an HTTP date, which is not worth parsing here)
+function retryAfterMs(response) {
+    const seconds = parseInt(response.headers.get('retry-after'));
+    return Number.isFinite(seconds) ? seconds * 1000 : undefined;
+}
+
+async function generate({ model, prompt, images = [], schema }) {
+    const content = [
+        { type: 'text', text: prompt },
+        ...images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` }
+        }))
+    ];
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+    const details = { provider: 'openai', model };
+    let response;
+    try {
+        response = await fetch(`${BASE_URL}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model,
+                messages: [{ role: 'user', content }],
+                response_format: responseFormat(schema)
+            }),
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+    } catch (err) {
+        throw new LlmError(`Request failed: ${err.message}`, 'retry', details);
+    }
+
+    if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new LlmError(`HTTP ${response.status}: ${body.slice(0, 300)}`, kindForStatus(response.status), {
+            ...details, statusCode: response.status, retryAfterMs: retryAfterMs(response)
+        });
+    }
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+    if (!choice?.message?.content) {
+        // A refusal or a content filter hit; another model may answer
+        throw new LlmError(`Empty reply (finish_reason: ${choice?.finish_reason || 'none'})`, 'fallback', details);
+    }
+    const usage = data.usage || {};
+    return {
+        text: choice.message.content,
+        model: data.model || model,
+        usage: {
+            inputTokens: usage.prompt_tokens || 0,
+            outputTokens: usage.completion_tokens || 0,
+            totalTokens: usage.total_tokens || 0
+        }
+    };
+}
+
+module.exports = {
+    name: 'openai',
+    models,
+    configured: () => Boolean(process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY),
+    generate
+};
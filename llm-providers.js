@@ -0,0 +1,149 @@
+// llm-providers.js — One interface over the language models bug analysis can use
+// Providers: 'gemini' (Google AI Studio), 'openai' (any OpenAI-compatible chat completions
+// endpoint, including self-hosted ones such as vLLM or Ollama) and 'mock' (deterministic
+// replies, so the whole analysis pipeline runs offline). LLM_PROVIDER picks one; without it,
+// gemini when GEMINI_API_KEY is set, else openai when OPENAI_BASE_URL / OPENAI_API_KEY is set.
+//
+// A provider provides:
+//   name
+//   models                    model names to try, best first (the fallback chain)
+//   configured()              whether this deployment has what the provider needs
+//   generate({ model, prompt, images, schema }) → { text, model, usage }
+//       images: [{ data: Buffer, mimeType }]; schema: JSON schema the reply must follow (optional)
+//       usage: { inputTokens, outputTokens, totalTokens }
+//   Failures throw LlmError with a kind saying what the caller should do next:
+//       'retry'    transient (rate limit, timeout, 5xx): same model again after a pause
+//       'fallback' this model cannot serve the request (not found, blocked, too large): next model
+//       'fatal'    no model will work (bad credentials, no key): give up
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES) || 2;
+const LLM_RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS) || 2000;
+const LLM_RETRY_MAX_MS = 30 * 1000;
+
+const ERROR_KINDS = ['retry', 'fallback', 'fatal'];
+
+class LlmError extends Error {
+    constructor(message, kind = 'fallback', details = {}) {
+        super(message);
+        this.name = 'LlmError';
+        this.kind = ERROR_KINDS.includes(kind) ? kind : 'fallback';
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * The error kind for an HTTP status from a model API (null status: the request
+ * never got an answer, e.g. a network error or timeout).
+ */
+function kindForStatus(status) {
+    if (!status || status === 408 || status === 429 || status >= 500) return 'retry';
+    if (status === 401 || status === 403) return 'fatal';
+    return 'fallback';
+}
+
+const PROVIDERS = {
+    gemini: { module: './llm-gemini' },
+    openai: { module: './llm-openai' },
+    mock:   { module: './llm-mock' }
+};
+
+const loaded = new Map();
+
+/**
+ * The provider named `name`.
+ * @throws {LlmError} fatal, for an unknown provider name
+ */
+function getProvider(name) {
+    if (loaded.has(name)) return loaded.get(name);
+    const entry = PROVIDERS[name];
+    if (!entry) throw new LlmError(`Unknown LLM provider "${name}"`, 'fatal');
+    const provider = require(entry.module);
+    loaded.set(name, provider);
+    return provider;
+}
+
+// LLM_PROVIDER if set, else the first provider with credentials, else null
+function activeProviderName() {
+    const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+    if (configured) return configured;
+    if (process.env.GEMINI_API_KEY) return 'gemini';
+    if (process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY) return 'openai';
+    return null;
+}
+
+// The provider analysis uses, or null when none is configured
+function activeProvider() {
+    const name = activeProviderName();
+    if (!name) return null;
+    const provider = getProvider(name);
+    return provider.configured() ? provider : null;
+}
+
+function isConfigured() {
+    try {
+        return activeProvider() !== null;
+    } catch (e) {
+        return false;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls one model, retrying 'retry' failures with exponential backoff (or the
+ * provider's Retry-After). Other failures, and the last retry's, are thrown.
+ * @returns {Promise<{ text: string, model: string, usage: object }>}
+ */
+async function generateWithRetry(provider, request) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await provider.generate(request);
+        } catch (err) {
+            const llmErr = err instanceof LlmError ? err : new LlmError(err.message, 'retry');
+            if (llmErr.kind !== 'retry' || attempt >= LLM_MAX_RETRIES) throw llmErr;
+            const delay = Math.min(llmErr.retryAfterMs || LLM_RETRY_BASE_MS * 2 ** attempt, LLM_RETRY_MAX_MS);
+            console.warn(`⏳ ${provider.name}/${request.model} ${llmErr.message}, retrying in ${Math.round(delay / 1000)}s`);
+            await sleep(delay);
+        }
+    }
+}
+
+// Running token totals over several calls (fallbacks and repair passes included)
+function emptyUsage() {
+    return { inputTokens: 0, outputTokens: 0, totalTokens: 0, calls: 0 };
+}
+
+function addUsage(total, usage) {
+    total.calls++;
+    if (!usage) return total;
+    total.inputTokens += usage.inputTokens || 0;
+    total.outputTokens += usage.outputTokens || 0;
+    total.totalTokens += usage.totalTokens || (usage.inputTokens || 0) + (usage.outputTokens || 0);
+    return total;
+}
+
+// Rough token count for text, for providers that do not report usage (≈4 characters per token)
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+// Comma-separated model list from an env var, or the defaults
+function modelList(value, defaults) {
+    const models = (value || '').split(',').map(m => m.trim()).filter(Boolean);
+    return models.length > 0 ? models : defaults;
+}
+
+module.exports = {
+    LlmError,
+    kindForStatus,
+    getProvider,
+    activeProvider,
+    activeProviderName,
+    isConfigured,
+    generateWithRetry,
+    emptyUsage,
+    addUsage,
+    estimateTokens,
+    modelList
+};
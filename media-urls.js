@@ -0,0 +1,179 @@
+// media-urls.js — Signed, expiring links to media routes (recordings, renditions, HLS, screenshots, APKs)
+// A link looks like /api/media/<token>/videos/42?rendition=preview: the token grants one
+// viewer access to one resource path (and everything below it, so relative HLS URIs keep
+// working) until it expires. Players and download managers can't send headers, so the
+// link itself is the credential — no session token or API key ends up in a URL.
+const crypto = require('crypto');
+const db = require('./db');
+
+const MEDIA_PREFIX = '/api/media/';
+const MEDIA_URL_TTL = (parseInt(process.env.MEDIA_URL_TTL_MINUTES) || 120) * 60;
+// Expiries are rounded up to this step so repeated listings mint the same link (cacheable)
+const EXPIRY_STEP = 10 * 60;
+
+// The only routes a media link can open
+const MEDIA_ROUTES = [
+    /^\/api\/videos\//, /^\/api\/app\/download\//, /^\/api\/bugs\/\d+\/attachments\//,
+    /^\/api\/sessions\/\d+\/steps\/\d+\/screenshot$/
+];
+
+let MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || process.env.SESSION_SECRET;
+if (!MEDIA_URL_SECRET) {
+    MEDIA_URL_SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  WARNING: MEDIA_URL_SECRET is not set. Using a random secret — media links will not survive a restart!');
+}
+
+function hmac(data) {
+    return crypto.createHmac('sha256', MEDIA_URL_SECRET).update(`media:${data}`).digest('base64url');
+}
+
+function isMediaPath(pathname) {
+    return MEDIA_ROUTES.some(route => route.test(pathname));
+}
+
+// True when `pathname` is the granted resource or lies below it (dot segments never are)
+function coversPath(scope, pathname) {
+    if (/(^|\/)\.{1,2}(\/|$)|%2e|%2f|%5c/i.test(pathname)) return false;
+    return pathname === scope || pathname.startsWith(`${scope}/`);
+}
+
+/**
+ * Who a link is minted for, from `req.auth`: `company:<memberId>`, `tester:<id>`,
+ * `admin:<id>` or `service`. Share-link viewers use `share:<token>` (see sharedViewer).
+ */
+function viewerFor(req) {
+    if (!req.auth) return null;
+    if (req.auth.role === 'service') return 'service';
+    if (req.auth.role === 'media') return req.auth.viewer;
+    return `${req.auth.role}:${req.auth.sub}`;
+}
+
+function sharedViewer(shareToken) {
+    return `share:${shareToken}`;
+}
+
+/**
+ * Signs a media route for a viewer. Accepts a path (`/api/videos/42`) or an absolute
+ * URL to this backend (kept absolute, e.g. stored APK links); the query string is kept
+ * but not part of the grant. Anything that is not a media route is returned unchanged.
+ * @param {string} url
+ * @param {string} viewer - see viewerFor
+ * @param {{ ttlSeconds?: number, scope?: string }} [options] - `scope` widens the grant
+ *        to a parent path (default: the URL's own path)
+ * @returns {string}
+ */
+function signMediaUrl(url, viewer, options = {}) {
+    if (!url || !viewer) return url;
+    const absolute = /^https?:\/\//i.test(url);
+    const parsed = new URL(url, 'http://localhost');
+    if (!isMediaPath(parsed.pathname)) return url;
+
+    const scope = options.scope || parsed.pathname;
+    const exp = Math.ceil((Math.floor(Date.now() / 1000) + (options.ttlSeconds || MEDIA_URL_TTL)) / EXPIRY_STEP) * EXPIRY_STEP;
+    const payload = Buffer.from(JSON.stringify({ s: scope, v: viewer, e: exp })).toString('base64url');
+    const token = `${payload}.${hmac(payload)}`;
+
+    const signed = `${MEDIA_PREFIX}${token}${parsed.pathname.slice('/api'.length)}${parsed.search}`;
+    return absolute ? `${parsed.origin}${signed}` : signed;
+}
+
+/**
+ * Expiry (ISO) of a link minted by signMediaUrl, for API responses.
+ */
+function mediaUrlExpiry(signedUrl) {
+    const grant = decodeToken(String(signedUrl).split(MEDIA_PREFIX)[1]?.split('/')[0]);
+    return grant ? new Date(grant.e * 1000).toISOString() : null;
+}
+
+// Verifies a token's signature and shape; returns { s, v, e } or null (expiry is not checked here)
+function decodeToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, sig] = token.split('.');
+    if (!payload || !sig) return null;
+
+    const expected = Buffer.from(hmac(payload));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const grant = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (typeof grant.s !== 'string' || typeof grant.v !== 'string' || typeof grant.e !== 'number') return null;
+        return grant;
+    } catch (e) {
+        return null;
+    }
+}
+
+// The viewer must still be allowed in: removed members, disabled admins, banned testers
+// and expired or rotated share links lose their links immediately, not when they expire
+async function viewerIsActive(viewer) {
+    const sep = viewer.indexOf(':');
+    const kind = sep === -1 ? viewer : viewer.slice(0, sep);
+    const id = viewer.slice(sep + 1);
+
+    let result;
+    switch (kind) {
+        case 'service':
+            return true;
+        case 'company':
+            result = await db.query('SELECT 1 FROM company_members WHERE id = $1', [id]);
+            break;
+        case 'admin':
+            result = await db.query('SELECT 1 FROM admin_users WHERE id = $1 AND is_active = TRUE', [id]);
+            break;
+        case 'tester':
+            result = await db.query('SELECT 1 FROM testers WHERE id = $1 AND is_banned IS NOT TRUE', [id]);
+            break;
+        case 'share':
+            result = await db.query('SELECT 1 FROM tests WHERE share_token = $1 AND share_expires_at > NOW()', [id]);
+            break;
+        default:
+            return false;
+    }
+    return result.rows.length > 0;
+}
+
+/**
+ * Resolves /api/media/<token>/<path> into the media route it names: checks the
+ * signature, expiry, scope and viewer, then rewrites the request to /api/<path>
+ * with `req.auth = { role: 'media', viewer, scope, expiresAt }` (expiresAt in epoch seconds). Routes opt in to media
+ * links through their guard (e.g. requireBugAccess's `allowMedia`).
+ */
+async function resolveMediaGrant(req, res, next) {
+    if (!req.path.startsWith(MEDIA_PREFIX)) return next();
+
+    const rest = req.path.slice(MEDIA_PREFIX.length);
+    const slash = rest.indexOf('/');
+    const grant = slash > 0 ? decodeToken(rest.slice(0, slash)) : null;
+    const target = `/api${slash > 0 ? rest.slice(slash) : ''}`;
+
+    if (!grant) return res.status(403).json({ error: 'Forbidden: invalid media link' });
+    if (grant.e < Math.floor(Date.now() / 1000)) {
+        return res.status(403).json({ error: 'Forbidden: media link expired, request a new one' });
+    }
+    if (!isMediaPath(target) || !coversPath(grant.s, target)) {
+        return res.status(403).json({ error: 'Forbidden: media link does not cover this resource' });
+    }
+
+    try {
+        if (!(await viewerIsActive(grant.v))) {
+            return res.status(403).json({ error: 'Forbidden: media link has been revoked' });
+        }
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+
+    const query = req.url.indexOf('?');
+    req.url = target + (query === -1 ? '' : req.url.slice(query));
+    req.auth = { role: 'media', viewer: grant.v, scope: grant.s, expiresAt: grant.e };
+    next();
+}
+
+module.exports = {
+    MEDIA_URL_TTL,
+    viewerFor,
+    sharedViewer,
+    signMediaUrl,
+    mediaUrlExpiry,
+    resolveMediaGrant
+};
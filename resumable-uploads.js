@@ -0,0 +1,505 @@
+// resumable-uploads.js — Recording/screenshot uploads that bypass multer (uploads table)
+// Two methods share one lifecycle (uploading → completed → attached to a bug):
+//  - chunked: chunks stream straight into a multipart upload when the storage driver
+//    has one (B2), or are parked as part objects and stitched together on completion.
+//  - direct: the app PUTs the file to the driver's presigned URL and never touches the
+//    upload API; completion checks what actually landed in storage.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('./db');
+const storageDrivers = require('./storage-drivers');
+
+const MB = 1024 * 1024;
+// B2/S3 multipart parts must be at least 5 MB (except the last)
+const CHUNK_SIZE = Math.max(parseInt(process.env.UPLOAD_CHUNK_MB) || 5, storageDrivers.activeDriver().multipart ? 5 : 1) * MB;
+const MAX_RECORDING_BYTES = (parseInt(process.env.MAX_RECORDING_MB) || 1024) * MB;
+const UPLOAD_TTL_HOURS = parseInt(process.env.UPLOAD_TTL_HOURS) || 24;
+const PARTS_BUCKET = 'recordings';
+
+const MAX_SCREENSHOT_BYTES = (parseInt(process.env.MAX_SCREENSHOT_MB) || 10) * MB;
+const PRESIGNED_UPLOAD_MINUTES = parseInt(process.env.PRESIGNED_UPLOAD_MINUTES) || 15;
+// A finalize still running after this long died with its process
+const COMPLETING_TIMEOUT_MINUTES = parseInt(process.env.UPLOAD_COMPLETING_TIMEOUT_MINUTES) || 60;
+
+// kind → accepted content types → stored file extension
+const DIRECT_UPLOAD_TYPES = {
+    recording:  { 'video/mp4': '.mp4', 'video/webm': '.webm' },
+    screenshot: { 'image/jpeg': '.jpg', 'image/png': '.png' }
+};
+
+class UploadError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'UploadError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+function sha256Hex(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Byte range [start, end) covered by chunk `index`
+function chunkBounds(upload, index) {
+    const start = index * upload.chunk_size;
+    const end = Math.min(start + upload.chunk_size, Number(upload.total_size));
+    return { start, end, size: end - start };
+}
+
+function partPath(upload, index) {
+    return `${upload.storage_key}/${index}.part`;
+}
+
+async function loadChunks(uploadId) {
+    const result = await db.query(
+        'SELECT chunk_index, size, sha256, etag FROM upload_chunks WHERE upload_id = $1 ORDER BY chunk_index',
+        [uploadId]
+    );
+    return result.rows;
+}
+
+/**
+ * Client-facing view of an upload: which chunks arrived and which byte ranges
+ * they cover, so an interrupted client knows exactly where to resume.
+ */
+function describeUpload(upload, chunks) {
+    if (upload.upload_method === 'direct') {
+        return {
+            upload_id: upload.id,
+            kind: upload.kind,
+            method: 'direct',
+            status: upload.status,
+            file_name: upload.file_name,
+            total_size: Number(upload.total_size),
+            expires_at: upload.expires_at,
+            bug_id: upload.bug_id
+        };
+    }
+
+    const received = new Set(chunks.map(c => c.chunk_index));
+    const missing = [];
+    for (let i = 0; i < upload.total_chunks; i++) if (!received.has(i)) missing.push(i);
+
+    // Merge adjacent chunks into contiguous [start, end) byte ranges
+    const ranges = [];
+    for (const c of chunks) {
+        const { start, end } = chunkBounds(upload, c.chunk_index);
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === start) last[1] = end;
+        else ranges.push([start, end]);
+    }
+
+    return {
+        upload_id: upload.id,
+        status: upload.status,
+        file_name: upload.file_name,
+        total_size: Number(upload.total_size),
+        chunk_size: upload.chunk_size,
+        total_chunks: upload.total_chunks,
+        bytes_received: chunks.reduce((sum, c) => sum + c.size, 0),
+        received_chunks: [...received],
+        missing_chunks: missing,
+        received_ranges: ranges,
+        expires_at: upload.expires_at,
+        bug_id: upload.bug_id
+    };
+}
+
+async function getUploadStatus(upload) {
+    return describeUpload(upload, await loadChunks(upload.id));
+}
+
+/**
+ * Starts a resumable recording upload.
+ * @param {{ testerId: number, testId?: number, fileName?: string, contentType?: string,
+ *           totalSize: number, sha256?: string }} params
+ */
+async function createUpload(params) {
+    const totalSize = parseInt(params.totalSize);
+    if (!totalSize || totalSize <= 0) throw new UploadError('total_size must be a positive number of bytes');
+    if (totalSize > MAX_RECORDING_BYTES) {
+        throw new UploadError(`Recording is larger than the ${MAX_RECORDING_BYTES / MB} MB limit`, 413);
+    }
+    const contentType = params.contentType || 'video/mp4';
+    if (!contentType.startsWith('video/')) throw new UploadError('Only video recordings can be uploaded this way');
+
+    const id = crypto.randomUUID();
+    const fileName = params.fileName || 'recording.mp4';
+    const driver = storageDrivers.activeDriver();
+    const backend = driver.name;
+    let storageKey, multipartId = null;
+
+    if (driver.multipart) {
+        storageKey = driver.newKey(PARTS_BUCKET, fileName, '.mp4');
+        multipartId = await driver.multipart.create(storageKey, contentType);
+    } else {
+        storageKey = `upload-parts/${id}`;
+    }
+
+    const result = await db.query(
+        `INSERT INTO uploads
+            (id, tester_id, test_id, file_name, content_type, total_size, chunk_size, total_chunks,
+             sha256, storage_backend, storage_key, multipart_upload_id, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW() + make_interval(hours => $13::int))
+         RETURNING *`,
+        [
+            id, params.testerId, params.testId || null, fileName, contentType, totalSize, CHUNK_SIZE,
+            Math.ceil(totalSize / CHUNK_SIZE), params.sha256 ? params.sha256.toLowerCase() : null,
+            backend, storageKey, multipartId, UPLOAD_TTL_HOURS
+        ]
+    );
+    console.log(`⏫ Upload ${id} started: ${(totalSize / MB).toFixed(1)} MB in ${result.rows[0].total_chunks} chunks → ${backend}`);
+    return describeUpload(result.rows[0], []);
+}
+
+// Bucket a direct upload lands in
+function directBucket(kind) {
+    return kind === 'screenshot' ? 'screenshots' : 'recordings';
+}
+
+/**
+ * Starts a direct-to-storage upload and returns the URL the app should PUT the
+ * file to. Recordings and screenshots go to the active storage driver. The URL
+ * may not limit the size or type of what is PUT (Supabase's do not); that is
+ * only enforced by completeDirectUpload.
+ * @param {{ testerId: number, testId?: number, kind: 'recording'|'screenshot', fileName?: string,
+ *           contentType: string, totalSize: number }} params
+ */
+async function createDirectUpload(params) {
+    const kind = params.kind || 'recording';
+    const types = DIRECT_UPLOAD_TYPES[kind];
+    if (!types) throw new UploadError(`kind must be one of: ${Object.keys(DIRECT_UPLOAD_TYPES).join(', ')}`);
+
+    const contentType = params.contentType;
+    if (!types[contentType]) {
+        throw new UploadError(`content_type for a ${kind} must be one of: ${Object.keys(types).join(', ')}`);
+    }
+    const totalSize = parseInt(params.totalSize);
+    const maxBytes = kind === 'screenshot' ? MAX_SCREENSHOT_BYTES : MAX_RECORDING_BYTES;
+    if (!totalSize || totalSize <= 0) throw new UploadError('total_size must be a positive number of bytes');
+    if (totalSize > maxBytes) throw new UploadError(`A ${kind} can be at most ${maxBytes / MB} MB`, 413);
+
+    const id = crypto.randomUUID();
+    const ext = types[contentType];
+    const fileName = params.fileName || `${kind}${ext}`;
+    const driver = storageDrivers.activeDriver();
+    const backend = driver.name;
+    const storageKey = driver.newKey(directBucket(kind), `${kind}${ext}`);
+    const presigned = await driver.presignUpload(directBucket(kind), storageKey, {
+        contentType, contentLength: totalSize, expiresIn: PRESIGNED_UPLOAD_MINUTES * 60
+    });
+
+    const result = await db.query(
+        `INSERT INTO uploads
+            (id, tester_id, test_id, kind, upload_method, file_name, content_type, total_size,
+             storage_backend, storage_key, expires_at)
+         VALUES ($1, $2, $3, $4, 'direct', $5, $6, $7, $8, $9, NOW() + make_interval(hours => $10::int))
+         RETURNING *`,
+        [id, params.testerId, params.testId || null, kind, fileName, contentType, totalSize, backend, storageKey, UPLOAD_TTL_HOURS]
+    );
+    console.log(`⏫ Direct ${kind} upload ${id} issued: ${(totalSize / MB).toFixed(1)} MB → ${backend}`);
+
+    return {
+        ...describeUpload(result.rows[0], []),
+        upload_url: presigned.url,
+        upload_method: 'PUT',
+        upload_headers: { 'Content-Type': contentType },
+        upload_url_expires_at: presigned.expiresAt
+    };
+}
+
+// What actually landed in the bucket for a direct upload (null if nothing yet)
+async function inspectDirectObject(upload) {
+    return storageDrivers.getDriver(upload.storage_backend).head(directBucket(upload.kind), upload.storage_key);
+}
+
+async function deleteDirectObject(upload) {
+    await storageDrivers.getDriver(upload.storage_backend).delete(directBucket(upload.kind), [upload.storage_key]);
+}
+
+function assertWritable(upload) {
+    if (upload.status !== 'uploading') throw new UploadError(`Upload is ${upload.status}`, 409);
+    if (new Date(upload.expires_at) < new Date()) throw new UploadError('Upload has expired — start a new one', 410);
+}
+
+/**
+ * Stores one chunk. Re-sending a chunk that already arrived simply replaces it,
+ * so clients can retry blindly after a dropped connection.
+ * @param {object} upload - uploads row
+ * @param {number} index - 0-based chunk index
+ * @param {Buffer} body
+ * @param {{ offset?: number, sha256?: string }} [check] - client-declared offset and checksum
+ */
+async function receiveChunk(upload, index, body, check = {}) {
+    assertWritable(upload);
+    if (upload.upload_method === 'direct') {
+        throw new UploadError('This is a direct upload — PUT the file to its upload_url instead', 409);
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= upload.total_chunks) {
+        throw new UploadError(`Chunk index must be between 0 and ${upload.total_chunks - 1}`);
+    }
+
+    const { start, size } = chunkBounds(upload, index);
+    if (check.offset !== undefined && check.offset !== start) {
+        throw new UploadError(`Chunk ${index} starts at byte ${start}, not ${check.offset}`);
+    }
+    if (!Buffer.isBuffer(body) || body.length !== size) {
+        throw new UploadError(`Chunk ${index} must be exactly ${size} bytes (got ${body?.length || 0})`);
+    }
+
+    const digest = sha256Hex(body);
+    if (check.sha256 && check.sha256.toLowerCase() !== digest) {
+        throw new UploadError(`Checksum mismatch for chunk ${index}`, 422, { expected: check.sha256, received: digest });
+    }
+
+    const driver = storageDrivers.getDriver(upload.storage_backend);
+    let etag = null;
+    if (upload.multipart_upload_id) {
+        etag = await driver.multipart.uploadPart(upload.storage_key, upload.multipart_upload_id, index + 1, body);
+    } else {
+        await driver.put(PARTS_BUCKET, partPath(upload, index), body, { contentType: 'application/octet-stream' });
+    }
+
+    await db.query(
+        `INSERT INTO upload_chunks (upload_id, chunk_index, size, sha256, etag)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (upload_id, chunk_index) DO UPDATE SET
+            size = EXCLUDED.size, sha256 = EXCLUDED.sha256, etag = EXCLUDED.etag, received_at = NOW()`,
+        [upload.id, index, size, digest, etag]
+    );
+    return getUploadStatus(upload);
+}
+
+// Without multipart: stitch the parked parts into one file and store it as the recording
+async function assembleParts(upload, chunks) {
+    const driver = storageDrivers.getDriver(upload.storage_backend);
+    const tmpPath = path.join(os.tmpdir(), `upload-${upload.id}${path.extname(upload.file_name) || '.mp4'}`);
+    try {
+        fs.writeFileSync(tmpPath, Buffer.alloc(0));
+        const hash = crypto.createHash('sha256');
+        for (const c of chunks) {
+            const part = await storageDrivers.downloadBuffer(driver, PARTS_BUCKET, partPath(upload, c.chunk_index));
+            if (sha256Hex(part) !== c.sha256) throw new UploadError(`Stored chunk ${c.chunk_index} is corrupt — re-send it`, 409);
+            hash.update(part);
+            fs.appendFileSync(tmpPath, part);
+        }
+        if (upload.sha256 && hash.digest('hex') !== upload.sha256) {
+            throw new UploadError('Whole-file checksum mismatch', 422);
+        }
+
+        const key = driver.newKey('recordings', upload.file_name, '.mp4');
+        await driver.put('recordings', key, tmpPath, { contentType: upload.content_type });
+        await driver.delete(PARTS_BUCKET, chunks.map(c => partPath(upload, c.chunk_index)));
+        return { recording_path: key, recording_url: driver.publicUrl('recordings', key) };
+    } finally {
+        if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+    }
+}
+
+/**
+ * Finalizes an upload once every chunk has arrived.
+ * @returns {Promise<object>} the completed uploads row
+ */
+async function completeUpload(upload) {
+    if (upload.upload_method === 'direct') return completeDirectUpload(upload);
+    assertWritable(upload);
+    const chunks = await loadChunks(upload.id);
+    if (chunks.length !== upload.total_chunks) {
+        throw new UploadError('Upload is missing chunks', 409, describeUpload(upload, chunks));
+    }
+
+    // Only one finalize may run at a time
+    const claimed = await db.query(
+        `UPDATE uploads SET status = 'completing', completing_since = NOW() WHERE id = $1 AND status = 'uploading' RETURNING id`,
+        [upload.id]
+    );
+    if (claimed.rows.length === 0) throw new UploadError('Upload is already being finalized', 409);
+
+    try {
+        let stored;
+        if (upload.multipart_upload_id) {
+            await storageDrivers.getDriver(upload.storage_backend).multipart.complete(
+                upload.storage_key,
+                upload.multipart_upload_id,
+                chunks.map(c => ({ PartNumber: c.chunk_index + 1, ETag: c.etag }))
+            );
+            stored = { recording_path: upload.storage_key, recording_url: null };
+        } else {
+            stored = await assembleParts(upload, chunks);
+        }
+
+        const result = await db.query(
+            `UPDATE uploads SET status = 'completed', completed_at = NOW(), recording_path = $2, recording_url = $3
+             WHERE id = $1 RETURNING *`,
+            [upload.id, stored.recording_path, stored.recording_url]
+        );
+        console.log(`✅ Upload ${upload.id} complete → ${upload.storage_backend}:${stored.recording_path}`);
+        return result.rows[0];
+    } catch (err) {
+        await db.query(`UPDATE uploads SET status = 'uploading' WHERE id = $1 AND status = 'completing'`, [upload.id]);
+        throw err;
+    }
+}
+
+/**
+ * Confirms a direct upload: the object must exist with exactly the declared size
+ * and content type. A mismatching object is deleted and the upload is aborted.
+ * @returns {Promise<object>} the completed uploads row
+ */
+async function completeDirectUpload(upload) {
+    assertWritable(upload);
+    const claimed = await db.query(
+        `UPDATE uploads SET status = 'completing', completing_since = NOW() WHERE id = $1 AND status = 'uploading' RETURNING id`,
+        [upload.id]
+    );
+    if (claimed.rows.length === 0) throw new UploadError('Upload is already being finalized', 409);
+
+    let info;
+    try {
+        info = await inspectDirectObject(upload);
+    } catch (err) {
+        await db.query(`UPDATE uploads SET status = 'uploading' WHERE id = $1 AND status = 'completing'`, [upload.id]);
+        throw err;
+    }
+    if (!info) {
+        await db.query(`UPDATE uploads SET status = 'uploading' WHERE id = $1 AND status = 'completing'`, [upload.id]);
+        throw new UploadError('The file has not been uploaded yet', 409);
+    }
+
+    const problems = [];
+    if (Number(info.size) !== Number(upload.total_size)) {
+        problems.push(`size is ${info.size} bytes, expected ${upload.total_size}`);
+    }
+    if ((info.contentType || '').split(';')[0].trim() !== upload.content_type) {
+        problems.push(`content type is ${info.contentType || 'unknown'}, expected ${upload.content_type}`);
+    }
+    if (problems.length > 0) {
+        await deleteDirectObject(upload).catch(e => console.warn('⚠️ Rejected upload cleanup failed:', e.message));
+        await db.query(`UPDATE uploads SET status = 'aborted' WHERE id = $1`, [upload.id]);
+        throw new UploadError(`Uploaded file rejected: ${problems.join('; ')} — start a new upload`, 422);
+    }
+
+    const isRecording = upload.kind === 'recording';
+    const recordingUrl = isRecording
+        ? storageDrivers.getDriver(upload.storage_backend).publicUrl('recordings', upload.storage_key)
+        : null;
+    const result = await db.query(
+        `UPDATE uploads SET status = 'completed', completed_at = NOW(), recording_path = $2, recording_url = $3
+         WHERE id = $1 RETURNING *`,
+        [upload.id, isRecording ? upload.storage_key : null, recordingUrl]
+    );
+    console.log(`✅ Direct ${upload.kind} upload ${upload.id} verified → ${upload.storage_backend}:${upload.storage_key}`);
+    return result.rows[0];
+}
+
+// Throws away an unfinished upload and whatever parts it stored
+async function abortUpload(upload, finalStatus = 'aborted') {
+    if (!['uploading', 'completing'].includes(upload.status)) throw new UploadError(`Upload is ${upload.status}`, 409);
+
+    if (upload.upload_method === 'direct') {
+        // The app may or may not have PUT the file before giving up
+        await deleteDirectObject(upload).catch(e => console.warn('⚠️ Direct upload cleanup failed:', e.message));
+    } else if (upload.multipart_upload_id) {
+        await storageDrivers.getDriver(upload.storage_backend).multipart.abort(upload.storage_key, upload.multipart_upload_id);
+    } else {
+        const chunks = await loadChunks(upload.id);
+        if (chunks.length > 0) {
+            await storageDrivers.getDriver(upload.storage_backend).delete(PARTS_BUCKET, chunks.map(c => partPath(upload, c.chunk_index)));
+        }
+    }
+    await db.query('DELETE FROM upload_chunks WHERE upload_id = $1', [upload.id]);
+    await db.query('UPDATE uploads SET status = $2 WHERE id = $1', [upload.id, finalStatus]);
+}
+
+/**
+ * Aborts unfinished uploads past their time limit, oldest first. A finalize that
+ * never finished (its process died) is handed back to 'uploading' first, so the
+ * app can retry it, or it expires like any other. One failing upload does not
+ * stop the rest.
+ * @returns {Promise<number>} how many uploads were expired
+ */
+async function expireStaleUploads() {
+    const reclaimed = await db.query(
+        `UPDATE uploads SET status = 'uploading', completing_since = NULL
+         WHERE status = 'completing'
+           AND COALESCE(completing_since, created_at) < NOW() - make_interval(mins => $1::int)
+         RETURNING id`,
+        [COMPLETING_TIMEOUT_MINUTES]
+    );
+    if (reclaimed.rows.length > 0) {
+        console.warn(`⚠️ Reclaimed ${reclaimed.rows.length} upload(s) stuck finalizing: ${reclaimed.rows.map(u => u.id).join(', ')}`);
+    }
+
+    const stale = await db.query(
+        `SELECT * FROM uploads WHERE status = 'uploading' AND expires_at < NOW() ORDER BY expires_at LIMIT 50`
+    );
+    let expired = 0;
+    for (const upload of stale.rows) {
+        try {
+            await abortUpload(upload, 'expired');
+            expired++;
+        } catch (err) {
+            console.error(`❌ Could not expire upload ${upload.id}:`, err.message);
+        }
+    }
+    return expired;
+}
+
+/**
+ * Reserves finished uploads of one kind for a bug report. Each upload backs
+ * exactly one bug; release them again if attaching to the bug fails.
+ * @param {string[]} uploadIds
+ * @param {number} testerId
+ * @param {'recording'|'screenshot'} kind
+ * @returns {Promise<object[]|null>} the uploads in the given order, or null (nothing claimed)
+ *   if any of them is not the tester's, not completed or of another kind
+ */
+async function claimUploads(uploadIds, testerId, kind) {
+    const result = await db.query(
+        `UPDATE uploads SET status = 'attached'
+         WHERE id = ANY($1::text[]) AND tester_id = $2 AND kind = $3 AND status = 'completed'
+         RETURNING *`,
+        [uploadIds, testerId, kind]
+    );
+    if (result.rows.length !== new Set(uploadIds).size) {
+        await releaseUploads(result.rows.map(u => u.id));
+        return null;
+    }
+    return uploadIds.map(id => result.rows.find(u => u.id === id));
+}
+
+async function attachUploadsToBug(uploadIds, bugId) {
+    await db.query('UPDATE uploads SET bug_id = $2 WHERE id = ANY($1::text[])', [uploadIds, bugId]);
+}
+
+async function releaseUploads(uploadIds) {
+    await db.query(
+        `UPDATE uploads SET status = 'completed' WHERE id = ANY($1::text[]) AND status = 'attached' AND bug_id IS NULL`,
+        [uploadIds]
+    );
+}
+
+// Where a completed recording upload's file lives, in the shape the bugs table stores
+// (screenshot uploads become bug_attachments rows, see bug-attachments.js)
+function storedObject(upload) {
+    return { path: upload.recording_path, url: upload.recording_url, storage: upload.storage_backend };
+}
+
+module.exports = {
+    CHUNK_SIZE,
+    UploadError,
+    createUpload,
+    createDirectUpload,
+    getUploadStatus,
+    receiveChunk,
+    completeUpload,
+    abortUpload,
+    expireStaleUploads,
+    claimUploads,
+    attachUploadsToBug,
+    releaseUploads,
+    storedObject
+};
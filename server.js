@@ -8,14 +8,14 @@ const { execSync } = require('child_process'); // ← Add this
 const crypto = require('crypto');
 
 
-// Video storage — Backblaze B2 (private bucket, 10GB free)
-let b2Storage = null;
-if (process.env.B2_KEY_ID) {
-    b2Storage = require('./storage-b2');
-    console.log('📹 Video storage: Backblaze B2 (10GB free, private)');
-} else {
-    console.log('📹 Video storage: Supabase (1GB free)');
-}
+// File storage — Backblaze B2, Supabase or a local directory (see storage-drivers.js)
+const storageDrivers = require('./storage-drivers');
+// Throws (stopping the boot) in production when no storage is configured
+console.log(`📹 File storage: ${storageDrivers.activeDriverName()}`);
+
+// Bug analysis model — Gemini, an OpenAI-compatible endpoint or the offline mock (see llm-providers.js)
+const llm = require('./llm-providers');
+console.log(`🤖 LLM provider: ${llm.activeProviderName() || 'none (AI analysis off)'}`);
 
 // Fix ffprobe permissions on Render
 try {
@@ -40,8 +40,34 @@ try {
 }
 
 const db = require('./db');
-const storage = require('./storage');
-const { analyzeBugReport } = require('./ai-analyzer-cloud');
+const { analyzeBugReport } = require('./ai-analyzer');
+const { verifyGoogleIdToken, GoogleTokenError } = require('./google-auth');
+const {
+    issueSession, verifyToken, authenticate, requireAuth, requireRole, requirePermission,
+    requireCompanyParam, requireTesterParam, requireTestAccess, requireBugAccess, isAdmin,
+    isCompanyMember, COMPANY_ROLES, ADMIN_PERMISSIONS
+} = require('./auth');
+const { recordAdminAction } = require('./admin-audit');
+const {
+    TestTransitionError, allowedTransitions, transitionTest, recordTransitionDetails, getStatusHistory
+} = require('./test-lifecycle');
+const {
+    STEP_RESULT_STATUSES, normalizePlan, getTestPlan, replaceTestPlan, recordStepResult, summarizeTestPlan
+} = require('./test-plans');
+const {
+    OPEN_SESSION_STATES, SLOT_HOLDING_STATES, transitionSession, heartbeatSession, findOpenSession,
+    reserveSlot, expireStaleSessions
+} = require('./test-sessions');
+const resumableUploads = require('./resumable-uploads');
+const videoTranscoder = require('./video-transcoder');
+const videoCache = require('./video-cache');
+const mediaUrls = require('./media-urls');
+const bugAttachments = require('./bug-attachments');
+const jobQueue = require('./job-queue');
+const bugTriage = require('./bug-triage');
+
+// Workspace member roles allowed to change tests, bugs and share links (viewers are read-only)
+const WORKSPACE_EDITORS = ['owner', 'manager'];
 
 // ============================================
 // FIREBASE ADMIN SDK (Push Notifications)
@@ -85,29 +111,55 @@ app.use(cors());
 app.use(express.json());
 
 // ============================================
-// GLOBAL API KEY MIDDLEWARE
+// GLOBAL AUTH MIDDLEWARE
 // ============================================
+// Callers authenticate with a Bearer session token (company / tester / admin).
+// The shared API_KEY is only a service-to-service credential (e.g. the
+// analyzer's video download), sent as the x-api-key header and accepted where
+// routes allow 'service'. Media that players load by URL goes through signed
+// links (/api/media/<token>/..., see media-urls.js) instead.
 const API_KEY = process.env.API_KEY;
 
 if (!API_KEY) {
-    console.warn('⚠️  WARNING: API_KEY is not set. All endpoints are unprotected!');
+    console.warn('⚠️  WARNING: API_KEY is not set. Service-to-service calls (AI analyzer) will be rejected!');
 }
 
+app.use(authenticate);
+app.use(mediaUrls.resolveMediaGrant);
+
+// Routes reachable without a session (they verify their own credentials or are public)
+const PUBLIC_PATHS = [
+    '/api/health', '/api/auth/google', '/api/auth/admin/google', '/api/auth/refresh',
+    '/api/testers/register', '/api/app/latest-version'
+];
+const PUBLIC_PREFIXES = [
+    '/api/app/download/', '/api/shared/tests/', '/api/app/check-update/', '/api/invitations/', '/api/storage/local/'
+];
+
 app.use((req, res, next) => {
-    // Whitelist health check and APK downloads (which don't have auth headers)
-    if (req.path === '/api/health' || req.path.startsWith('/api/app/download/') || req.path.startsWith('/api/shared/tests/')) return next();
+    if (PUBLIC_PATHS.includes(req.path) || PUBLIC_PREFIXES.some(p => req.path.startsWith(p))) return next();
+    requireAuth(req, res, next);
+});
 
-    // If no key is configured, skip enforcement (local dev mode)
-    if (!API_KEY) return next();
+// Every /api/admin/* route is admin-only
+app.use('/api/admin', requireRole('admin'));
 
-    const provided = req.headers['x-api-key'] || req.query.api_key;
+// Stored links that point at our media proxies are handed out signed for the viewer
+const MEDIA_URL_FIELDS = ['recording_url', 'apk_file_url'];
 
-    if (!provided || provided !== API_KEY) {
-        return res.status(401).json({ error: 'Unauthorized: invalid or missing API key' });
+function withMediaLinks(row, viewer) {
+    const signed = { ...row };
+    for (const field of MEDIA_URL_FIELDS) {
+        if (signed[field]) signed[field] = mediaUrls.signMediaUrl(signed[field], viewer);
     }
+    return signed;
+}
 
-    next();
-});
+// Bootstrap admins: these emails are seeded into admin_users with full permissions
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
 
 // ============================================
 // DATABASE MIGRATIONS (Simplified)
@@ -132,14 +184,443 @@ async function runMigrations() {
         // Other columns
         await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS admin_rejection_reason TEXT;`);
         await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS ai_admin_context TEXT;`);
+
+        // Company workspaces: members, invitations, and which member created each test
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS company_members (
+                id          SERIAL PRIMARY KEY,
+                company_id  INT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+                google_id   TEXT,
+                email       TEXT NOT NULL,
+                name        TEXT,
+                picture     TEXT,
+                role        TEXT NOT NULL DEFAULT 'viewer',  -- owner | manager | viewer
+                invited_by  INT,
+                created_at  TIMESTAMPTZ DEFAULT NOW(),
+                last_login  TIMESTAMPTZ,
+                UNIQUE (company_id, email)
+            );`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_company_members_google_id ON company_members(google_id);`);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS company_invitations (
+                id           SERIAL PRIMARY KEY,
+                company_id   INT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+                email        TEXT NOT NULL,
+                role         TEXT NOT NULL DEFAULT 'viewer',
+                token_hash   TEXT NOT NULL UNIQUE,
+                invited_by   INT,
+                expires_at   TIMESTAMPTZ NOT NULL,
+                accepted_at  TIMESTAMPTZ,
+                accepted_by  INT,
+                revoked_at   TIMESTAMPTZ,
+                created_at   TIMESTAMPTZ DEFAULT NOW()
+            );`);
+        // Every pre-existing company gets its original Google login as owner. Member emails are
+        // lowercase (invites and logins compare them that way), so earlier mixed-case owner rows
+        // are folded into the lowercase row a login may have added since, or lowercased.
+        await db.query(`
+            UPDATE company_members lc SET role = 'owner', google_id = COALESCE(lc.google_id, m.google_id)
+            FROM company_members m
+            WHERE m.company_id = lc.company_id AND m.email <> lower(m.email) AND lc.email = lower(m.email)
+              AND m.role = 'owner';`);
+        await db.query(`
+            DELETE FROM company_members m USING company_members lc
+            WHERE m.company_id = lc.company_id AND m.email <> lower(m.email) AND lc.email = lower(m.email);`);
+        await db.query(`UPDATE company_members SET email = lower(email) WHERE email <> lower(email);`);
+        await db.query(`
+            INSERT INTO company_members (company_id, google_id, email, name, picture, role)
+            SELECT id, google_id, lower(email), name, picture, 'owner' FROM companies WHERE email IS NOT NULL
+            ON CONFLICT (company_id, email) DO NOTHING;`);
+        await db.query(`ALTER TABLE tests ADD COLUMN IF NOT EXISTS created_by_member_id INT;`);
+
+        // Named admin accounts and the append-only audit trail of their actions
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS admin_users (
+                id           SERIAL PRIMARY KEY,
+                email        TEXT NOT NULL UNIQUE,
+                name         TEXT,
+                google_id    TEXT,
+                permissions  TEXT[] NOT NULL DEFAULT '{}',
+                is_active    BOOLEAN NOT NULL DEFAULT TRUE,
+                created_by   INT,
+                created_at   TIMESTAMPTZ DEFAULT NOW(),
+                last_login   TIMESTAMPTZ
+            );`);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS admin_audit_log (
+                id           BIGSERIAL PRIMARY KEY,
+                admin_id     INT,
+                admin_email  TEXT,
+                actor_role   TEXT NOT NULL,      -- admin | service
+                action       TEXT NOT NULL,
+                target_type  TEXT NOT NULL,
+                target_id    TEXT,
+                before       JSONB,
+                after        JSONB,
+                ip           TEXT,
+                user_agent   TEXT,
+                method       TEXT,
+                path         TEXT,
+                created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_audit_created_at ON admin_audit_log(created_at DESC);`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_audit_admin_id ON admin_audit_log(admin_id);`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_audit_target ON admin_audit_log(target_type, target_id);`);
+        await db.query(`
+            CREATE OR REPLACE FUNCTION admin_audit_log_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'admin_audit_log is append-only';
+            END;
+            $$ LANGUAGE plpgsql;`);
+        await db.query(`DROP TRIGGER IF EXISTS admin_audit_log_no_modify ON admin_audit_log;`);
+        await db.query(`
+            CREATE TRIGGER admin_audit_log_no_modify
+            BEFORE UPDATE OR DELETE ON admin_audit_log
+            FOR EACH ROW EXECUTE FUNCTION admin_audit_log_append_only();`);
+
+        // Tester ↔ test sessions (replaces 'Manual Assignment' placeholder bugs)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS test_sessions (
+                id                 SERIAL PRIMARY KEY,
+                test_id            INT NOT NULL REFERENCES tests(id) ON DELETE CASCADE,
+                tester_id          INT NOT NULL REFERENCES testers(id) ON DELETE CASCADE,
+                state              TEXT NOT NULL DEFAULT 'assigned',  -- assigned | accepted | in_progress | submitted | expired | force_closed
+                assigned_by        INT,                               -- admin_users.id for admin assignments
+                assigned_at        TIMESTAMPTZ,
+                accepted_at        TIMESTAMPTZ,
+                started_at         TIMESTAMPTZ,
+                last_heartbeat_at  TIMESTAMPTZ,
+                submitted_at       TIMESTAMPTZ,
+                closed_at          TIMESTAMPTZ,
+                close_reason       TEXT,
+                bug_id             INT,
+                created_at         TIMESTAMPTZ DEFAULT NOW()
+            );`);
+        await db.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS uq_test_sessions_open
+            ON test_sessions(test_id, tester_id)
+            WHERE state IN ('assigned', 'accepted', 'in_progress');`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_test_sessions_state ON test_sessions(state);`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_test_sessions_tester ON test_sessions(tester_id);`);
+        // Move legacy placeholder rows over, then drop them from bugs
+        await db.query(`
+            INSERT INTO test_sessions (test_id, tester_id, state, assigned_at, created_at)
+            SELECT DISTINCT ON (b.test_id, b.tester_id) b.test_id, b.tester_id, 'assigned', b.created_at, b.created_at
+            FROM bugs b
+            WHERE b.bug_title = 'Manual Assignment' AND b.tester_id IS NOT NULL
+              AND NOT EXISTS (
+                  SELECT 1 FROM bugs real
+                  WHERE real.test_id = b.test_id AND real.tester_id = b.tester_id
+                    AND real.bug_title <> 'Manual Assignment'
+              )
+            ON CONFLICT DO NOTHING;`);
+        await db.query(`DELETE FROM bugs WHERE bug_title = 'Manual Assignment';`);
+
+        // Slot reservations: open sessions expire at expires_at and are swept back into the quota
+        await db.query(`ALTER TABLE test_sessions ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_test_sessions_test_state ON test_sessions(test_id, state);`);
+        // Multi-round campaigns: each test runs testing_iterations rounds, optionally with a new APK per round
+        await db.query(`ALTER TABLE tests ADD COLUMN IF NOT EXISTS current_iteration INT DEFAULT 1;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS iteration INT DEFAULT 1;`);
+        await db.query(`ALTER TABLE test_sessions ADD COLUMN IF NOT EXISTS iteration INT DEFAULT 1;`);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS test_iterations (
+                id             SERIAL PRIMARY KEY,
+                test_id        INT NOT NULL REFERENCES tests(id) ON DELETE CASCADE,
+                iteration      INT NOT NULL,
+                status         TEXT NOT NULL DEFAULT 'active',  -- active | completed
+                apk_file_url   TEXT,
+                apk_file_path  TEXT,
+                apk_storage    TEXT,
+                build_notes    TEXT,
+                started_at     TIMESTAMPTZ DEFAULT NOW(),
+                ended_at       TIMESTAMPTZ,
+                UNIQUE (test_id, iteration)
+            );`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_bugs_test_iteration ON bugs(test_id, iteration);`);
+        // Every existing test is in its first round
+        await db.query(`
+            INSERT INTO test_iterations (test_id, iteration, status, apk_file_url, apk_file_path, apk_storage, started_at, ended_at)
+            SELECT id, 1,
+                   CASE WHEN status = 'completed' THEN 'completed' ELSE 'active' END,
+                   apk_file_url, apk_file_path, apk_storage, created_at,
+                   CASE WHEN status = 'completed' THEN NOW() END
+            FROM tests
+            ON CONFLICT (test_id, iteration) DO NOTHING;`);
+
+        // Test lifecycle: every status change is validated and recorded
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS test_status_history (
+                id           SERIAL PRIMARY KEY,
+                test_id      INT NOT NULL REFERENCES tests(id) ON DELETE CASCADE,
+                from_status  TEXT,
+                to_status    TEXT NOT NULL,
+                reason       TEXT,
+                actor_type   TEXT NOT NULL,  -- company | admin | system
+                actor_id     INT,
+                actor_email  TEXT,
+                details      JSONB,          -- side effects: testers notified, sessions released, refund
+                created_at   TIMESTAMPTZ DEFAULT NOW()
+            );`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_test_status_history_test ON test_status_history(test_id, created_at);`);
+        await db.query(`ALTER TABLE tests ADD COLUMN IF NOT EXISTS refund_amount NUMERIC;`);
+
+        // Structured test plans and per-step results (kept apart from bugs)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS test_plan_steps (
+                id                   SERIAL PRIMARY KEY,
+                test_id              INT NOT NULL REFERENCES tests(id) ON DELETE CASCADE,
+                position             INT NOT NULL,
+                title                TEXT NOT NULL,
+                instructions         TEXT,
+                expected_result      TEXT NOT NULL,
+                requires_screenshot  BOOLEAN DEFAULT FALSE,
+                created_at           TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE (test_id, position)
+            );`);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS test_step_results (
+                id               SERIAL PRIMARY KEY,
+                session_id       INT NOT NULL REFERENCES test_sessions(id) ON DELETE CASCADE,
+                step_id          INT NOT NULL REFERENCES test_plan_steps(id) ON DELETE CASCADE,
+                test_id          INT NOT NULL REFERENCES tests(id) ON DELETE CASCADE,
+                tester_id        INT NOT NULL,
+                status           TEXT NOT NULL,  -- pass | fail | blocked
+                notes            TEXT,
+                screenshot_url   TEXT,
+                screenshot_path  TEXT,
+                started_at       TIMESTAMPTZ,
+                completed_at     TIMESTAMPTZ,
+                created_at       TIMESTAMPTZ DEFAULT NOW(),
+                updated_at       TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE (session_id, step_id)
+            );`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_test_step_results_test ON test_step_results(test_id);`);
+
+        // Several bug reports per session; the tester is paid once per completed session
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS session_id INT REFERENCES test_sessions(id) ON DELETE SET NULL;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS clip_start_seconds NUMERIC;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS clip_end_seconds NUMERIC;`);
+        await db.query(`ALTER TABLE test_sessions ADD COLUMN IF NOT EXISTS earned_amount NUMERIC;`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_bugs_session ON bugs(session_id);`);
+        // Earlier versions of the backfill below also ran for bugs filed inside a session, adding a
+        // second, never-paid submitted session; those point at a bug that belongs to another one
+        await db.query(`
+            DELETE FROM test_sessions s USING bugs b
+            WHERE s.state = 'submitted' AND s.earned_amount IS NULL AND b.id = s.bug_id
+              AND b.session_id IS NOT NULL AND b.session_id <> s.id;`);
+        // Submissions made before sessions existed still occupy a slot (one per round); linking
+        // their bugs below means each legacy submission is only ever backfilled once
+        await db.query(`
+            INSERT INTO test_sessions (test_id, tester_id, iteration, state, submitted_at, bug_id, created_at)
+            SELECT b.test_id, b.tester_id, COALESCE(b.iteration, 1), 'submitted', MIN(b.created_at), MIN(b.id), MIN(b.created_at)
+            FROM bugs b
+            WHERE b.session_id IS NULL AND b.test_id IS NOT NULL AND b.tester_id IS NOT NULL
+              AND NOT EXISTS (
+                  SELECT 1 FROM test_sessions s
+                  WHERE s.test_id = b.test_id AND s.tester_id = b.tester_id AND s.state = 'submitted'
+                    AND s.iteration = COALESCE(b.iteration, 1)
+              )
+            GROUP BY b.test_id, b.tester_id, COALESCE(b.iteration, 1);`);
+        // Submissions from before earned_amount was recorded were paid the test's price
+        await db.query(`
+            UPDATE test_sessions s SET earned_amount = COALESCE(t.price_paid, 0)
+            FROM tests t
+            WHERE t.id = s.test_id AND s.state = 'submitted' AND s.earned_amount IS NULL;`);
+        await db.query(`
+            UPDATE bugs b SET session_id = s.id
+            FROM test_sessions s
+            WHERE b.session_id IS NULL AND s.state = 'submitted'
+              AND s.test_id = b.test_id AND s.tester_id = b.tester_id AND s.iteration = COALESCE(b.iteration, 1);`);
+        // Resumable chunked recording uploads
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS uploads (
+                id                  TEXT PRIMARY KEY,
+                tester_id           INT REFERENCES testers(id) ON DELETE CASCADE,
+                test_id             INT REFERENCES tests(id) ON DELETE SET NULL,
+                file_name           TEXT NOT NULL,
+                content_type        TEXT NOT NULL,
+                total_size          BIGINT NOT NULL,
+                chunk_size          INT NOT NULL,
+                total_chunks        INT NOT NULL,
+                sha256              TEXT,
+                storage_backend     TEXT NOT NULL,
+                storage_key         TEXT NOT NULL,
+                multipart_upload_id TEXT,
+                recording_path      TEXT,
+                recording_url       TEXT,
+                status              TEXT NOT NULL DEFAULT 'uploading'
+                                    CHECK (status IN ('uploading', 'completing', 'completed', 'attached', 'aborted', 'expired')),
+                bug_id              INT REFERENCES bugs(id) ON DELETE SET NULL,
+                created_at          TIMESTAMPTZ DEFAULT NOW(),
+                completed_at        TIMESTAMPTZ,
+                expires_at          TIMESTAMPTZ NOT NULL
+            );`);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS upload_chunks (
+                upload_id   TEXT REFERENCES uploads(id) ON DELETE CASCADE,
+                chunk_index INT NOT NULL,
+                size        INT NOT NULL,
+                sha256      TEXT NOT NULL,
+                etag        TEXT,
+                received_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (upload_id, chunk_index)
+            );`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_uploads_status_expires ON uploads(status, expires_at);`);
+        // Direct-to-storage (presigned) uploads, for screenshots too; they have no chunks
+        await db.query(`ALTER TABLE uploads ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'recording';`);
+        await db.query(`ALTER TABLE uploads ADD COLUMN IF NOT EXISTS upload_method TEXT NOT NULL DEFAULT 'chunked';`);
+        await db.query(`ALTER TABLE uploads ALTER COLUMN chunk_size DROP NOT NULL;`);
+        await db.query(`ALTER TABLE uploads ALTER COLUMN total_chunks DROP NOT NULL;`);
+        // When a finalize started, so one that died with its process can be reclaimed
+        await db.query(`ALTER TABLE uploads ADD COLUMN IF NOT EXISTS completing_since TIMESTAMPTZ;`);
+        // Transcoded renditions of recordings (normalized H.264, preview, poster)
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS transcode_status TEXT;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS transcode_error TEXT;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS transcode_started_at TIMESTAMPTZ;`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_bugs_transcode_status ON bugs(transcode_status) WHERE transcode_status IN ('pending', 'processing');`);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS video_renditions (
+                id               SERIAL PRIMARY KEY,
+                bug_id           INT NOT NULL REFERENCES bugs(id) ON DELETE CASCADE,
+                rendition        TEXT NOT NULL,
+                storage          TEXT NOT NULL,
+                path             TEXT NOT NULL,
+                url              TEXT,
+                content_type     TEXT NOT NULL,
+                size_bytes       BIGINT,
+                width            INT,
+                height           INT,
+                duration_seconds NUMERIC,
+                created_at       TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE (bug_id, rendition)
+            );`);
+        // Multi-file renditions (HLS playlists + segments) list every stored object
+        await db.query(`ALTER TABLE video_renditions ADD COLUMN IF NOT EXISTS files TEXT[];`);
+        // Bug screenshots as rows (one per stored object) instead of comma-joined columns
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS bug_attachments (
+                id            SERIAL PRIMARY KEY,
+                bug_id        INT NOT NULL REFERENCES bugs(id) ON DELETE CASCADE,
+                kind          TEXT NOT NULL DEFAULT 'screenshot',
+                position      INT NOT NULL DEFAULT 1,
+                storage       TEXT NOT NULL,
+                storage_key   TEXT NOT NULL,
+                thumbnail_key TEXT,
+                mime_type     TEXT NOT NULL,
+                width         INT,
+                height        INT,
+                size_bytes    BIGINT,
+                original_name TEXT,
+                created_at    TIMESTAMPTZ DEFAULT NOW()
+            );`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_bug_attachments_bug ON bug_attachments(bug_id, position);`);
+        await db.query(`
+            INSERT INTO bug_attachments (bug_id, position, storage, storage_key, mime_type)
+            SELECT b.id, p.ord, 'supabase', trim(p.key),
+                   CASE lower(substring(trim(p.key) FROM '\\.([^.]+)$'))
+                       WHEN 'png' THEN 'image/png' WHEN 'webp' THEN 'image/webp' ELSE 'image/jpeg'
+                   END
+            FROM bugs b, unnest(string_to_array(b.screenshot_paths, ',')) WITH ORDINALITY AS p(key, ord)
+            WHERE NULLIF(b.screenshot_paths, '') IS NOT NULL AND trim(p.key) <> ''
+              AND NOT EXISTS (SELECT 1 FROM bug_attachments a WHERE a.bug_id = b.id);`);
+        // bugs.screenshots / screenshot_paths are no longer written but kept as they were: the
+        // backfill skips what it cannot parse, and nothing may be lost before it is checked
+        // Step screenshots remember their storage driver like every other stored file
+        await db.query(`ALTER TABLE test_step_results ADD COLUMN IF NOT EXISTS screenshot_storage TEXT;`);
+        await db.query(`UPDATE test_step_results SET screenshot_storage = 'supabase' WHERE screenshot_path IS NOT NULL AND screenshot_storage IS NULL;`);
+        // Durable background jobs (job-queue.js); AI analysis runs through them
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS jobs (
+                id           BIGSERIAL PRIMARY KEY,
+                type         TEXT NOT NULL,
+                payload      JSONB NOT NULL DEFAULT '{}',
+                dedupe_key   TEXT,
+                state        TEXT NOT NULL DEFAULT 'queued',
+                attempts     INT NOT NULL DEFAULT 0,
+                max_attempts INT NOT NULL DEFAULT 3,
+                run_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                locked_by    TEXT,
+                locked_until TIMESTAMPTZ,
+                last_error   TEXT,
+                created_at   TIMESTAMPTZ DEFAULT NOW(),
+                updated_at   TIMESTAMPTZ DEFAULT NOW(),
+                started_at   TIMESTAMPTZ,
+                finished_at  TIMESTAMPTZ
+            );`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs(type, state, run_at) WHERE state IN ('queued', 'running');`);
+        await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_pending_key ON jobs(dedupe_key) WHERE state IN ('queued', 'running');`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_jobs_key ON jobs(dedupe_key, created_at);`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS analysis_status TEXT;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS analysis_error TEXT;`);
+        await db.query(`UPDATE bugs SET analysis_status = 'done' WHERE ai_analysis IS NOT NULL AND analysis_status IS NULL;`);
+        // Structured AI reports (analysis-report.js): public report as JSONB, admin verdict typed
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS ai_report JSONB;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS ai_verdict TEXT;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS ai_verdict_confidence REAL;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS ai_verdict_reasoning TEXT;`);
+        // Which LLM provider wrote the analysis, and the tokens it took (repairs and fallbacks included)
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS ai_provider TEXT;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS ai_input_tokens INT;`);
+        await db.query(`ALTER TABLE bugs ADD COLUMN IF NOT EXISTS ai_output_tokens INT;`);
+        // AI auto-triage (bug-triage.js): one active policy, one decision per triaged bug
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS triage_policies (
+                id             SERIAL PRIMARY KEY,
+                name           TEXT NOT NULL UNIQUE,
+                min_confidence REAL NOT NULL DEFAULT 0.9,
+                auto_approve   BOOLEAN NOT NULL DEFAULT FALSE,
+                is_active      BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at     TIMESTAMPTZ DEFAULT NOW(),
+                updated_at     TIMESTAMPTZ DEFAULT NOW()
+            );`);
+        await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_triage_policies_active ON triage_policies(is_active) WHERE is_active;`);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS triage_decisions (
+                id               SERIAL PRIMARY KEY,
+                bug_id           INT NOT NULL UNIQUE REFERENCES bugs(id) ON DELETE CASCADE,
+                policy_id        INT REFERENCES triage_policies(id) ON DELETE SET NULL,
+                ai_verdict       TEXT NOT NULL,
+                ai_confidence    REAL,
+                ai_reasoning     TEXT,
+                action           TEXT NOT NULL,
+                review_reason    TEXT,
+                applied          BOOLEAN NOT NULL DEFAULT FALSE,
+                final_status     TEXT,
+                final_decided_by TEXT,
+                final_decided_at TIMESTAMPTZ,
+                created_at       TIMESTAMPTZ DEFAULT NOW()
+            );`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_triage_decisions_policy ON triage_decisions(policy_id);`);
+        // Start in shadow mode: decisions are recorded for the stats, admins still approve everything
+        await db.query(`
+            INSERT INTO triage_policies (name, min_confidence, auto_approve, is_active)
+            SELECT 'default', 0.9, FALSE, TRUE
+            WHERE NOT EXISTS (SELECT 1 FROM triage_policies);`);
+        // Fold the statuses the old admin whitelist allowed into the lifecycle
+        await db.query(`
+            UPDATE tests SET status = CASE status
+                WHEN 'pending' THEN 'pending-approval'
+                WHEN 'approved' THEN 'active'
+                WHEN 'in_progress' THEN 'active'
+                WHEN 'rejected' THEN 'draft'
+            END
+            WHERE status IN ('pending', 'approved', 'in_progress', 'rejected');`);
+
+        for (const email of ADMIN_EMAILS) {
+            await db.query(
+                `INSERT INTO admin_users (email, permissions) VALUES ($1, '{*}') ON CONFLICT (email) DO NOTHING`,
+                [email]
+            );
+        }
         console.log('✅ Database migration: Status fields consolidated and columns checked');
     } catch (e) {
         console.warn('⚠️ Migration notice:', e.message);
     }
 }
-runMigrations();
+const migrationsReady = runMigrations();
 
-// Temp folder for uploads before sending to Supabase
+// Temp folder for uploads before they go to storage
 const tempDir = path.join(__dirname, 'temp-uploads');
 if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir);
 const upload = multer({ dest: tempDir, limits: { fileSize: 500 * 1024 * 1024 } });
@@ -153,7 +634,7 @@ const upload = multer({ dest: tempDir, limits: { fileSize: 500 * 1024 * 1024 } }
 // ============================================
 
 // Share test results (generate token)
-app.post('/api/tests/:testId/share', async (req, res) => {
+app.post('/api/tests/:testId/share', requireTestAccess('testId', { roles: WORKSPACE_EDITORS }), async (req, res) => {
     try {
         const { testId } = req.params;
         const { duration } = req.body || {};
@@ -211,9 +692,10 @@ app.get('/api/shared/tests/:token', async (req, res) => {
 
         // Fetch approved bugs for this test
         const bugsResult = await db.query(
-            `SELECT b.id, b.tester_name, b.bug_title, b.bug_description, b.severity, 
-                    b.recording_url, b.screenshots, b.test_duration, b.device_stats, 
-                    b.ai_analysis, b.ai_model, b.ai_analyzed_at, b.created_at, b.status, b.title,
+            `SELECT b.id, b.tester_name, b.bug_title, b.bug_description, b.severity, b.iteration,
+                    b.session_id, b.clip_start_seconds, b.clip_end_seconds,
+                    b.recording_url, b.test_duration, b.device_stats, 
+                    b.ai_analysis, b.ai_report, b.ai_model, b.ai_analyzed_at, b.analysis_status, b.created_at, b.status, b.title,
                     t.android_version as tester_os, t.device_model as tester_device, 
                     t.ram_gb as tester_ram, t.network_type as tester_net,
                     t.full_name as tester_real_name, t.city as tester_city, t.state as tester_state,
@@ -225,17 +707,119 @@ app.get('/api/shared/tests/:token', async (req, res) => {
             [test.id]
         );
 
-        res.json({ success: true, test, bugs: bugsResult.rows });
+        // Recordings play through links signed for the share link, which stop working once it expires
+        const viewer = mediaUrls.sharedViewer(token);
+        const hlsReady = await db.query(
+            `SELECT b.id FROM bugs b
+             WHERE b.test_id = $1 AND b.status = 'approved'
+               AND EXISTS (
+                   SELECT 1 FROM bugs src JOIN video_renditions v ON v.bug_id = src.id AND v.rendition = 'hls'
+                   WHERE src.id = b.id OR (b.session_id IS NOT NULL AND src.session_id = b.session_id)
+               )`,
+            [test.id]
+        );
+        const hlsBugIds = new Set(hlsReady.rows.map(r => r.id));
+        const bugs = (await withBugMedia(bugsResult.rows, viewer)).map(b => ({
+            ...b,
+            hls_url: hlsBugIds.has(b.id)
+                ? mediaUrls.signMediaUrl(`/api/videos/${b.id}/hls/master.m3u8`, viewer, { scope: `/api/videos/${b.id}` })
+                : null
+        }));
+
+        res.json({ success: true, test: withMediaLinks(test, viewer), bugs });
     } catch (err) {
         console.error('Shared test error:', err.message);
         res.status(500).json({ error: err.message });
     }
 });
 
+// Absolute URL of this backend, for links stored in rows (APK downloads)
+function backendBaseUrl(req) {
+    return (process.env.BACKEND_URL || (req.protocol + '://' + req.get('host'))).replace(/\/$/, '');
+}
+
+/**
+ * Stores a company's APK with the active storage driver and removes the temp
+ * file. Private storage is served through the download proxy.
+ * @returns {Promise<{ apk_file_url: string, apk_file_path: string, apk_storage: string }>}
+ */
+async function uploadTestApk(req, file) {
+    const driver = storageDrivers.activeDriver();
+    const key = driver.newKey('apks', file.originalname, '.apk');
+    await driver.put('apks', key, file.path, { contentType: storageDrivers.contentTypeFor(key) });
+    fs.unlinkSync(file.path);
+    return {
+        apk_file_url: driver.publicUrl('apks', key) || `${backendBaseUrl(req)}/api/app/download/${key}`,
+        apk_file_path: key,
+        apk_storage: driver.name
+    };
+}
+
+// Deletes an uploaded test APK from whichever storage holds it (best effort)
+async function deleteTestApk(apkPath, apkStorage) {
+    if (!apkPath) return;
+    try {
+        await storageDrivers.getDriver(apkStorage || 'supabase').delete('apks', [apkPath]);
+    } catch (e) { console.warn('⚠️ APK cleanup failed:', e.message); }
+}
+
+/**
+ * Removes what bugs keep in storage — recordings, their renditions and
+ * screenshots — before their rows are deleted (best effort, each kind on its own).
+ * @param {number[]} bugIds
+ */
+async function deleteBugMedia(bugIds) {
+    if (bugIds.length === 0) return;
+    const recordings = await db.query(
+        'SELECT recording_path, recording_storage FROM bugs WHERE id = ANY($1::int[]) AND recording_path IS NOT NULL',
+        [bugIds]
+    );
+    try {
+        await storageDrivers.deleteStored('recordings', recordings.rows.map(r => ({ storage: r.recording_storage, key: r.recording_path })));
+    } catch (e) { console.warn('⚠️ Recording cleanup failed:', e.message); }
+    try {
+        await videoTranscoder.deleteRenditions(bugIds);
+    } catch (e) { console.warn('⚠️ Rendition cleanup failed:', e.message); }
+    try {
+        await bugAttachments.deleteAttachmentFiles(bugIds);
+    } catch (e) { console.warn('⚠️ Screenshot cleanup failed:', e.message); }
+}
+
+/**
+ * Removes what tests keep in storage: every round's APK, their bugs' media and
+ * test-plan step screenshots. The rows are left to the caller.
+ * @param {number[]} testIds
+ */
+async function deleteTestMedia(testIds) {
+    if (testIds.length === 0) return;
+    const apks = await db.query(
+        `SELECT apk_file_path, apk_storage FROM tests WHERE id = ANY($1::int[])
+         UNION
+         SELECT apk_file_path, apk_storage FROM test_iterations WHERE test_id = ANY($1::int[])`,
+        [testIds]
+    );
+    for (const apk of apks.rows) {
+        await deleteTestApk(apk.apk_file_path, apk.apk_storage);
+    }
+
+    const bugs = await db.query('SELECT id FROM bugs WHERE test_id = ANY($1::int[])', [testIds]);
+    await deleteBugMedia(bugs.rows.map(b => b.id));
+
+    const stepShots = await db.query(
+        'SELECT screenshot_path, screenshot_storage FROM test_step_results WHERE test_id = ANY($1::int[]) AND screenshot_path IS NOT NULL',
+        [testIds]
+    );
+    try {
+        await storageDrivers.deleteStored('screenshots', stepShots.rows.map(r => ({ storage: r.screenshot_storage, key: r.screenshot_path })));
+    } catch (e) { console.warn('⚠️ Step screenshot cleanup failed:', e.message); }
+}
+
 // Create test (linked to company)
-app.post('/api/tests', upload.single('apk'), async (req, res) => {
+app.post('/api/tests', requireRole('company', 'admin'), upload.single('apk'), async (req, res) => {
     try {
         const { company_name, app_name, instructions, company_id, tester_quota, testing_iterations, price_paid, total_budget } = req.body;
+        // Companies may save a draft and submit it for approval later
+        const initialStatus = req.body.status === 'draft' ? 'draft' : 'pending-approval';
 
         // DEBUG: Log what we receive
         console.log('📦 req.body:', req.body);
@@ -249,25 +833,26 @@ app.post('/api/tests', upload.single('apk'), async (req, res) => {
             return res.status(400).json({ error: 'company_id is required' });
         }
 
-        let apk_file_url = null, apk_file_path = null, apk_storage = 'supabase';
-        if (req.file) {
-            if (b2Storage) {
-                // Upload to Backblaze B2
-                const result = await b2Storage.uploadApk(req.file.path, req.file.originalname, 'company-apks');
-                apk_file_path = result.key;
-                apk_storage = 'b2';
-                // URL points to proxy download endpoint
-                let bUrl = process.env.BACKEND_URL || (req.protocol + '://' + req.get('host'));
-                bUrl = bUrl.replace(/\/$/, '');
-                apk_file_url = `${bUrl}/api/app/download/${result.key}`;
-            } else {
-                // Fallback to Supabase
-                const result = await storage.uploadFile(req.file.path, 'apks', req.file.originalname);
-                apk_file_url = result.url;
-                apk_file_path = result.path;
-                apk_storage = 'supabase';
+        // Optional structured plan; multipart bodies carry it as a JSON string
+        let plan = null;
+        if (req.body.test_plan !== undefined) {
+            let steps = req.body.test_plan;
+            try { if (typeof steps === 'string') steps = JSON.parse(steps); } catch (e) { steps = null; }
+            plan = normalizePlan(steps);
+            if (plan.error) {
+                if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+                return res.status(400).json({ error: `test_plan: ${plan.error}` });
             }
-            fs.unlinkSync(req.file.path);
+        }
+
+        if (!isAdmin(req) && !isCompanyMember(req, company_id, WORKSPACE_EDITORS)) {
+            if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+            return res.status(403).json({ error: 'Forbidden: only workspace owners and managers can create tests' });
+        }
+
+        let apk_file_url = null, apk_file_path = null, apk_storage = null;
+        if (req.file) {
+            ({ apk_file_url, apk_file_path, apk_storage } = await uploadTestApk(req, req.file));
         }
 
         const cId = parseInt(company_id);
@@ -285,18 +870,38 @@ app.post('/api/tests', upload.single('apk'), async (req, res) => {
         const tQuota = tester_quota ? parseInt(tester_quota) : 20;
         const tIters = testing_iterations ? parseInt(testing_iterations) : 1;
         const tBudget = total_budget ? parseFloat(total_budget) : 0;
-        // Calculate per-tester price from total budget if provided
-        const tPrice = tBudget > 0 ? (tBudget / tQuota) : (price_paid ? parseFloat(price_paid) : 0);
+        // Calculate per-tester price from total budget if provided; every round pays its own quota
+        const tPrice = tBudget > 0 ? (tBudget / (tQuota * tIters)) : (price_paid ? parseFloat(price_paid) : 0);
 
-        const query = `INSERT INTO tests (company_name, app_name, apk_file_url, apk_file_path, apk_storage, instructions, company_id, tester_quota, testing_iterations, price_paid, total_budget, status) 
-                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'pending-approval') RETURNING id`;
+        const query = `INSERT INTO tests (company_name, app_name, apk_file_url, apk_file_path, apk_storage, instructions, company_id, tester_quota, testing_iterations, price_paid, total_budget, status, created_by_member_id) 
+                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $13, $12) RETURNING id`;
         const result = await db.query(query, [
             company_name, app_name, apk_file_url, apk_file_path, apk_storage, instructions,
-            cId, tQuota, tIters, tPrice, tBudget
+            cId, tQuota, tIters, tPrice, tBudget,
+            req.auth.role === 'company' ? parseInt(req.auth.sub) : null,
+            initialStatus
         ]);
 
+        const { actor } = lifecycleActor(req);
+        await db.query(
+            `INSERT INTO test_status_history (test_id, from_status, to_status, reason, actor_type, actor_id, actor_email)
+             VALUES ($1, NULL, $2, 'Test created', $3, $4, $5)`,
+            [result.rows[0].id, initialStatus, actor.type, actor.id || null, actor.email || null]
+        );
+
+        if (plan && plan.steps.length > 0) {
+            await replaceTestPlan(result.rows[0].id, plan.steps);
+        }
+
+        // Round 1 carries the initial build
+        await db.query(
+            `INSERT INTO test_iterations (test_id, iteration, apk_file_url, apk_file_path, apk_storage)
+             VALUES ($1, 1, $2, $3, $4)`,
+            [result.rows[0].id, apk_file_url, apk_file_path, apk_storage]
+        );
+
         console.log('✅ Test created with company_id:', cId);
-        res.json({ id: result.rows[0].id, message: 'Test created!' });
+        res.json({ id: result.rows[0].id, status: initialStatus, message: 'Test created!' });
 
     } catch (err) {
         if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
@@ -305,37 +910,145 @@ app.post('/api/tests', upload.single('apk'), async (req, res) => {
     }
 });
 
-
 // ============================================
-// VIDEO PROXY — Serves private B2 videos with LOCAL DISK CACHE
+// VIDEO PROXY — Serves private stored files with LOCAL DISK CACHE (video-cache.js)
 // ============================================
-const VIDEO_CACHE_DIR = path.join(require('os').tmpdir(), 'video-cache');
-if (!fs.existsSync(VIDEO_CACHE_DIR)) fs.mkdirSync(VIDEO_CACHE_DIR, { recursive: true });
-console.log(`📂 Video cache dir: ${VIDEO_CACHE_DIR}`);
-
-// Cleanup old cached videos every 30 minutes (evict files older than 24h)
-setInterval(() => {
-    try {
-        const files = fs.readdirSync(VIDEO_CACHE_DIR);
-        const now = Date.now();
-        let cleaned = 0;
-        for (const file of files) {
-            const fp = path.join(VIDEO_CACHE_DIR, file);
-            const stat = fs.statSync(fp);
-            if (now - stat.mtimeMs > 24 * 60 * 60 * 1000) {
-                fs.unlinkSync(fp);
-                cleaned++;
-            }
+const { parseByteRange, etagMatches } = storageDrivers;
+
+// Private media must not outlive the viewer's access in any cache: shared caches never keep
+// it, browsers only until the signed link expires. Header-authenticated requests (session,
+// API key) are re-checked every time, so those responses are not stored at all.
+function privateCacheControl(req) {
+    if (req.auth?.role !== 'media' || !req.auth.expiresAt) return 'private, no-store';
+    return `private, max-age=${Math.max(0, req.auth.expiresAt - Math.floor(Date.now() / 1000))}`;
+}
+
+function setVideoHeaders(req, res, { contentType, etag, cache }) {
+    res.set('Content-Type', contentType);
+    // Never let a browser guess a stored file is something it can run
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Accept-Ranges', 'bytes');
+    if (etag) res.set('ETag', etag);
+    res.set('Cache-Control', privateCacheControl(req));
+    res.set('X-Cache', cache);
+}
+
+// Downloads a whole remote object into the shared cache (one download per key at a time)
+function cacheObject(driver, bucket, key, contentType) {
+    return videoCache.ensureCached(storageDrivers.cacheKey(driver.name, key), async () => {
+        const object = await driver.getStream(bucket, key);
+        return {
+            body: object.body,
+            etag: object.etag,
+            contentType: object.contentType || contentType,
+            size: object.contentLength
+        };
+    });
+}
+
+/**
+ * Serves a stored object: a redirect when the driver has public URLs (Supabase),
+ * else a stream through the local disk cache (for remote drivers), honouring
+ * `Range` (206 / 416) and `If-None-Match` (304) on both hits and misses.
+ * @param {string} driverName - the row's storage column
+ */
+async function streamObject(req, res, driverName, bucket, key, contentType) {
+    const driver = storageDrivers.getDriver(driverName);
+    const publicUrl = driver.publicUrl(bucket, key);
+    if (publicUrl) return res.redirect(publicUrl);
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    const cacheKey = storageDrivers.cacheKey(driver.name, key);
+
+    const cached = driver.remote && videoCache.lookup(cacheKey);
+    if (cached) {
+        // CACHE HIT — serve from local disk, zero storage bandwidth
+        setVideoHeaders(req, res, { contentType: cached.contentType || contentType, etag: cached.etag, cache: 'HIT' });
+        if (etagMatches(ifNoneMatch, cached.etag)) return res.status(304).end();
+
+        const range = parseByteRange(req.headers.range, cached.size);
+        if (range === 'unsatisfiable') {
+            res.set('Content-Range', `bytes */${cached.size}`);
+            return res.status(416).end();
+        }
+        if (range) {
+            res.status(206);
+            res.set('Content-Range', `bytes ${range.start}-${range.end}/${cached.size}`);
+            res.set('Content-Length', range.end - range.start + 1);
+            return fs.createReadStream(cached.path, range).pipe(res);
+        }
+        res.set('Content-Length', cached.size);
+        return fs.createReadStream(cached.path).pipe(res);
+    }
+
+    // CACHE MISS — ask storage for exactly what the client asked for
+    const range = /^bytes=\d*-\d*$/.test((req.headers.range || '').trim()) ? req.headers.range.trim() : undefined;
+    const cache = driver.remote ? 'MISS' : 'BYPASS';
+    let object;
+    try {
+        object = await driver.getStream(bucket, key, { range, ifNoneMatch });
+    } catch (err) {
+        if (err.statusCode === 304) {
+            setVideoHeaders(req, res, { contentType, etag: err.etag, cache });
+            return res.status(304).end();
+        }
+        if (err.statusCode === 416) {
+            if (err.size !== undefined) res.set('Content-Range', `bytes */${err.size}`);
+            return res.status(416).end();
         }
-        if (cleaned > 0) console.log(`🧹 Cache cleanup: removed ${cleaned} old videos`);
-    } catch (e) { /* ignore cleanup errors */ }
-}, 30 * 60 * 1000);
+        if (err.statusCode === 404) return res.status(404).json({ error: 'File not found in storage' });
+        throw err;
+    }
+
+    setVideoHeaders(req, res, { contentType: object.contentType || contentType, etag: object.etag, cache });
+    if (object.contentLength !== undefined) res.set('Content-Length', object.contentLength);
+    if (object.contentRange) {
+        res.status(206);
+        res.set('Content-Range', object.contentRange);
+    }
+    object.body.on('error', () => res.destroy());
+
+    // Local files are not worth caching again
+    if (driver.remote && object.contentRange) {
+        // Partial bodies are not cached; fetch the whole object alongside
+        cacheObject(driver, bucket, key, contentType);
+    } else if (driver.remote && !videoCache.isFilling(cacheKey)) {
+        // Tee the stream: write to cache file AND pipe to response simultaneously
+        videoCache.store(cacheKey, object.body, {
+            etag: object.etag, contentType: object.contentType || contentType, size: object.contentLength
+        });
+    }
+    object.body.pipe(res);
+}
 
-app.get('/api/videos/:bugId', async (req, res) => {
+const VIDEO_RENDITION_PARAMS = ['original', ...Object.keys(videoTranscoder.RENDITIONS)];
+
+// ?rendition=original (default) | h264 | preview | poster. Video renditions that are not
+// ready yet fall back to the original (see X-Rendition); a missing poster is a 404.
+app.get('/api/videos/:bugId', requireBugAccess('bugId', { allowService: true, allowMedia: true, allowTesters: true }), async (req, res) => {
     try {
+        const requested = req.query.rendition || 'original';
+        if (!VIDEO_RENDITION_PARAMS.includes(requested)) {
+            return res.status(400).json({ error: `rendition must be one of: ${VIDEO_RENDITION_PARAMS.join(', ')}` });
+        }
+
+        // A report without its own video points into the session recording uploaded with a sibling report
         const bug = await db.query(
-            'SELECT recording_path, recording_storage FROM bugs WHERE id = $1',
-            [req.params.bugId]
+            `SELECT r.source_bug_id, r.recording_path, r.recording_storage,
+                    v.storage AS rendition_storage, v.path AS rendition_path,
+                    v.content_type AS rendition_content_type
+             FROM bugs b
+             LEFT JOIN LATERAL (
+                 SELECT src.id AS source_bug_id, src.recording_path, src.recording_storage
+                 FROM bugs src
+                 WHERE src.recording_path IS NOT NULL
+                   AND (src.id = b.id OR (b.session_id IS NOT NULL AND src.session_id = b.session_id))
+                 ORDER BY (src.id = b.id) DESC, src.id
+                 LIMIT 1
+             ) r ON TRUE
+             LEFT JOIN video_renditions v ON v.bug_id = r.source_bug_id AND v.rendition = $2
+             WHERE b.id = $1`,
+            [req.params.bugId, requested]
         );
 
         if (!bug.rows[0]?.recording_path) {
@@ -344,58 +1057,181 @@ app.get('/api/videos/:bugId', async (req, res) => {
 
         const row = bug.rows[0];
 
-        if (row.recording_storage === 'b2' && b2Storage) {
-            // Generate a safe cache filename from the B2 key
-            const cacheKey = row.recording_path.replace(/[\/\\]/g, '_');
-            const cachePath = path.join(VIDEO_CACHE_DIR, cacheKey);
-
-            // Check if already cached on disk
-            if (fs.existsSync(cachePath) && fs.statSync(cachePath).size > 0) {
-                // CACHE HIT — serve from local disk, zero B2 bandwidth
-                const stat = fs.statSync(cachePath);
-                res.set('Content-Type', 'video/mp4');
-                res.set('Content-Length', stat.size);
-                res.set('Cache-Control', 'public, max-age=86400'); // Browser cache 24h
-                res.set('X-Cache', 'HIT');
-                return fs.createReadStream(cachePath).pipe(res);
-            }
-
-            // CACHE MISS — download from B2, save locally, then serve
-            const response = await b2Storage.getVideoStream(row.recording_path);
-            res.set('Content-Type', response.ContentType || 'video/mp4');
-            if (response.ContentLength) {
-                res.set('Content-Length', response.ContentLength);
-            }
-            res.set('Cache-Control', 'public, max-age=86400');
-            res.set('X-Cache', 'MISS');
-
-            // Tee the stream: write to cache file AND pipe to response simultaneously
-            const cacheStream = fs.createWriteStream(cachePath);
-            response.Body.on('error', () => { try { fs.unlinkSync(cachePath); } catch(e){} });
-            cacheStream.on('error', () => { /* ignore cache write errors */ });
-            
-            response.Body.pipe(cacheStream);
-            response.Body.pipe(res);
-        } else if (row.recording_path) {
-            // Redirect to Supabase public URL
-            const bug2 = await db.query(
-                'SELECT recording_url FROM bugs WHERE id = $1',
-                [req.params.bugId]
-            );
-            res.redirect(bug2.rows[0].recording_url);
-        } else {
-            res.status(404).json({ error: 'Recording not available' });
+        // Pick the stored object to serve
+        let object = { storage: row.recording_storage, path: row.recording_path, contentType: 'video/mp4' };
+        let served = 'original';
+        if (requested !== 'original' && row.rendition_path) {
+            object = { storage: row.rendition_storage, path: row.rendition_path, contentType: row.rendition_content_type };
+            served = requested;
+        } else if (requested === 'poster') {
+            return res.status(404).json({ error: 'Poster not available yet' });
         }
+        res.set('X-Rendition', served);
+
+        await streamObject(req, res, object.storage, 'recordings', object.path, object.contentType);
     } catch (err) {
         console.error('Video proxy error:', err.message);
         res.status(500).json({ error: 'Failed to stream video' });
     }
 });
 
+/**
+ * Serves one file of a bug's HLS rendition (master playlist, variant playlist or
+ * segment). Only objects recorded as part of the rendition can be requested.
+ */
+async function serveHlsFile(req, res, bugId, file) {
+    const hls = await videoTranscoder.findHlsRendition(bugId);
+    if (!hls) return res.status(404).json({ error: 'No HLS stream for this recording yet' });
+
+    const key = path.posix.join(path.posix.dirname(hls.path), file);
+    if (!(hls.files || []).includes(key)) return res.status(404).json({ error: 'Not found' });
+
+    const contentType = videoTranscoder.HLS_CONTENT_TYPES[path.posix.extname(key)] || 'application/octet-stream';
+    await streamObject(req, res, hls.storage, 'recordings', key, contentType);
+}
+
+// Adaptive playback for dashboards: /api/videos/:bugId/hls/master.m3u8 (relative URIs inside resolve here too)
+app.get('/api/videos/:bugId/hls/*', requireBugAccess('bugId', { allowService: true, allowMedia: true, allowTesters: true }), async (req, res) => {
+    try {
+        await serveHlsFile(req, res, req.params.bugId, req.params[0]);
+    } catch (err) {
+        console.error('HLS proxy error:', err.message);
+        res.status(500).json({ error: 'Failed to stream video' });
+    }
+});
+
+// Which renditions exist for a bug's recording, with signed links players can load directly
+app.get('/api/videos/:bugId/renditions', requireBugAccess('bugId', { allowService: true, allowTesters: true }), async (req, res) => {
+    try {
+        const bug = await db.query(
+            `SELECT COALESCE(src.id, b.id) AS source_bug_id, src.transcode_status, src.transcode_error
+             FROM bugs b
+             LEFT JOIN LATERAL (
+                 SELECT s.id, s.transcode_status, s.transcode_error
+                 FROM bugs s
+                 WHERE s.recording_path IS NOT NULL
+                   AND (s.id = b.id OR (b.session_id IS NOT NULL AND s.session_id = b.session_id))
+                 ORDER BY (s.id = b.id) DESC, s.id
+                 LIMIT 1
+             ) src ON TRUE
+             WHERE b.id = $1`,
+            [req.params.bugId]
+        );
+        if (bug.rows.length === 0) return res.status(404).json({ error: 'Bug not found' });
+
+        // Links are signed for the whole /api/videos/:bugId tree, so HLS playlists resolve their relative URIs
+        const viewer = mediaUrls.viewerFor(req);
+        const scope = `/api/videos/${req.params.bugId}`;
+        const original = mediaUrls.signMediaUrl(scope, viewer, { scope });
+
+        const renditions = await videoTranscoder.getRenditions(bug.rows[0].source_bug_id);
+        res.json({
+            transcode_status: bug.rows[0].transcode_status,
+            transcode_error: bug.rows[0].transcode_error,
+            original_url: original,
+            urls_expire_at: mediaUrls.mediaUrlExpiry(original),
+            renditions: renditions.map(r => ({
+                rendition: r.rendition,
+                content_type: r.content_type,
+                size_bytes: r.size_bytes === null ? null : Number(r.size_bytes),
+                width: r.width,
+                height: r.height,
+                duration_seconds: r.duration_seconds === null ? null : Number(r.duration_seconds),
+                url: mediaUrls.signMediaUrl(
+                    r.rendition === 'hls' ? `${scope}/hls/master.m3u8` : `${scope}?rendition=${r.rendition}`,
+                    viewer, { scope }
+                )
+            }))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Queues (or re-runs) transcoding for a recording, e.g. one uploaded before renditions existed
+app.post('/api/admin/bugs/:bugId/transcode', requirePermission('bugs.review'), async (req, res) => {
+    try {
+        const queued = await videoTranscoder.queueTranscode(req.params.bugId);
+        if (!queued) {
+            return res.status(409).json({ error: 'Bug has no recording of its own, or is being transcoded right now' });
+        }
+        startTranscoding();
+        res.json({ success: true, transcode_status: 'pending' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// BUG ATTACHMENTS — Screenshots through the same private proxy as videos
+// ============================================
+
+// An attachment as listed in bug responses, with links signed for the viewer
+function describeAttachment(attachment, viewer) {
+    const url = `/api/bugs/${attachment.bug_id}/attachments/${attachment.id}`;
+    return {
+        id: attachment.id,
+        kind: attachment.kind,
+        mime_type: attachment.mime_type,
+        width: attachment.width,
+        height: attachment.height,
+        size_bytes: attachment.size_bytes === null ? null : Number(attachment.size_bytes),
+        url: mediaUrls.signMediaUrl(url, viewer),
+        thumbnail_url: attachment.mime_type.startsWith('image/')
+            ? mediaUrls.signMediaUrl(`${url}?size=thumb`, viewer)
+            : null
+    };
+}
+
+/**
+ * Bug rows as API responses: proxy links signed for the viewer, plus their
+ * screenshots as `attachments` (and as the comma-joined `screenshots` older
+ * dashboard builds read).
+ */
+async function withBugMedia(rows, viewer) {
+    const attachments = await bugAttachments.listAttachments(rows.map(r => r.id));
+    return rows.map(row => {
+        const files = (attachments.get(row.id) || []).map(a => describeAttachment(a, viewer));
+        return {
+            ...withMediaLinks(row, viewer),
+            screenshots: files.length > 0 ? files.map(f => f.url).join(',') : null,
+            attachments: files
+        };
+    });
+}
+
+// ?size=thumb serves the thumbnail (made on first request if the screenshot has none yet)
+app.get('/api/bugs/:bugId/attachments/:attachmentId', requireBugAccess('bugId', { allowMedia: true, allowTesters: true }), async (req, res) => {
+    try {
+        let attachment = await bugAttachments.getAttachment(req.params.bugId, req.params.attachmentId);
+        if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+
+        let key = attachment.storage_key, contentType = attachment.mime_type;
+        if (req.query.size === 'thumb') {
+            attachment = await bugAttachments.ensureThumbnail(attachment);
+            if (!attachment.thumbnail_key) return res.status(404).json({ error: 'No thumbnail for this attachment' });
+            key = attachment.thumbnail_key;
+            contentType = 'image/jpeg';
+        } else if (req.query.size) {
+            return res.status(400).json({ error: 'size must be thumb (or omitted for the original)' });
+        }
+
+        await streamObject(req, res, attachment.storage, bugAttachments.BUCKET, key, contentType);
+    } catch (err) {
+        console.error('Attachment proxy error:', err.message);
+        res.status(500).json({ error: 'Failed to load attachment' });
+    }
+});
+
 // ============================================
 // AUTH ENDPOINTS
 // ============================================
 
+function sendGoogleTokenError(res, err) {
+    const message = err.statusCode === 401 ? 'Invalid Google token: ' + err.message : err.message;
+    res.status(err.statusCode).json({ error: message });
+}
+
 // Google Sign In — verify token and create/login company
 app.post('/api/auth/google', async (req, res) => {
     try {
@@ -405,49 +1241,63 @@ app.post('/api/auth/google', async (req, res) => {
             return res.status(400).json({ error: 'No credential provided' });
         }
 
-        // Decode Google JWT token (it's base64 encoded)
-        const parts = credential.split('.');
-        if (parts.length !== 3) {
-            return res.status(400).json({ error: 'Invalid token format' });
+        // Verify signature, audience, issuer, expiry and email_verified against Google's JWKS
+        let payload;
+        try {
+            payload = await verifyGoogleIdToken(credential);
+        } catch (e) {
+            if (e instanceof GoogleTokenError) return sendGoogleTokenError(res, e);
+            throw e;
         }
 
-        // Decode payload (middle part)
-        const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
-
         const { sub: googleId, email, name, picture } = payload;
 
-        if (!googleId || !email) {
-            return res.status(400).json({ error: 'Invalid token data' });
-        }
-
-        // Check if company already exists
-        const existing = await db.query(
-            'SELECT * FROM companies WHERE google_id = $1',
-            [googleId]
-        );
-
-        let company;
-
-        if (existing.rows.length > 0) {
-            // Existing company — update last login
+        // Workspaces this Google account belongs to (most recently used first)
+        const membershipSql = `
+            SELECT m.id, m.company_id, m.role, c.company_name
+            FROM company_members m JOIN companies c ON c.id = m.company_id
+            WHERE m.google_id = $1
+            ORDER BY m.last_login DESC NULLS LAST, m.id`;
+        let memberships = await db.query(membershipSql, [googleId]);
+
+        if (memberships.rows.length === 0) {
+            // Brand new account — create the company with this login as its owner
+            let owned = await db.query('SELECT id FROM companies WHERE google_id = $1', [googleId]);
+            if (owned.rows.length === 0) {
+                owned = await db.query(
+                    'INSERT INTO companies (google_id, email, name, picture) VALUES ($1, $2, $3, $4) RETURNING id',
+                    [googleId, email, name, picture]
+                );
+                console.log(`🆕 New company registered: ${email}`);
+            }
             await db.query(
-                'UPDATE companies SET last_login = NOW(), name = $1, picture = $2 WHERE google_id = $3',
-                [name, picture, googleId]
-            );
-            company = existing.rows[0];
-            company.name = name;
-            company.picture = picture;
-            console.log(`🔑 Company logged in: ${email}`);
-        } else {
-            // New company — create account
-            const result = await db.query(
-                'INSERT INTO companies (google_id, email, name, picture) VALUES ($1, $2, $3, $4) RETURNING *',
-                [googleId, email, name, picture]
+                `INSERT INTO company_members (company_id, google_id, email, name, picture, role)
+                 VALUES ($1, $2, $3, $4, $5, 'owner')
+                 ON CONFLICT (company_id, email) DO UPDATE SET google_id = EXCLUDED.google_id`,
+                [owned.rows[0].id, googleId, email.toLowerCase(), name, picture]
             );
-            company = result.rows[0];
-            console.log(`🆕 New company registered: ${email}`);
+            memberships = await db.query(membershipSql, [googleId]);
         }
 
+        // Sign into the requested workspace if the user belongs to it, else the last one used
+        const requested = req.body.company_id ? String(req.body.company_id) : null;
+        const member = memberships.rows.find(m => String(m.company_id) === requested) || memberships.rows[0];
+
+        await db.query(
+            'UPDATE company_members SET last_login = NOW(), name = $1, picture = $2 WHERE id = $3',
+            [name, picture, member.id]
+        );
+        // The company's own name/picture still track its original creator
+        const companyResult = await db.query(
+            `UPDATE companies SET last_login = NOW(),
+                name = CASE WHEN google_id = $2 THEN $3 ELSE name END,
+                picture = CASE WHEN google_id = $2 THEN $4 ELSE picture END
+             WHERE id = $1 RETURNING *`,
+            [member.company_id, googleId, name, picture]
+        );
+        const company = companyResult.rows[0];
+        console.log(`🔑 Company logged in: ${email} → workspace #${company.id} (${member.role})`);
+
         // In the res.json at the end of /api/auth/google
         res.json({
             success: true,
@@ -459,7 +1309,14 @@ app.post('/api/auth/google', async (req, res) => {
                 company_name: company.company_name,
                 industry: company.industry,
                 onboarding_complete: company.onboarding_complete || false
-            }
+            },
+            member: { id: member.id, role: member.role, email, name, picture },
+            workspaces: memberships.rows.map(m => ({
+                company_id: m.company_id,
+                company_name: m.company_name,
+                role: m.role
+            })),
+            tokens: issueSession('company', member.id)
         });
 
     } catch (err) {
@@ -468,8 +1325,76 @@ app.post('/api/auth/google', async (req, res) => {
     }
 });
 
+// Admin Google Sign In — only active accounts in admin_users get an admin session
+app.post('/api/auth/admin/google', async (req, res) => {
+    try {
+        const { credential } = req.body;
+        if (!credential) return res.status(400).json({ error: 'No credential provided' });
+
+        let payload;
+        try {
+            payload = await verifyGoogleIdToken(credential);
+        } catch (e) {
+            if (e instanceof GoogleTokenError) return sendGoogleTokenError(res, e);
+            throw e;
+        }
+
+        const email = payload.email.toLowerCase();
+        const result = await db.query(
+            `UPDATE admin_users
+                SET last_login = NOW(), google_id = $2, name = COALESCE(name, $3)
+              WHERE email = $1 AND is_active = TRUE
+              RETURNING id, email, name, permissions`,
+            [email, payload.sub, payload.name]
+        );
+        if (result.rows.length === 0) {
+            console.warn(`🚫 Admin sign-in refused for ${email}`);
+            return res.status(403).json({ error: 'This account is not an admin' });
+        }
+
+        const admin = result.rows[0];
+        console.log(`🔑 Admin logged in: ${email}`);
+        res.json({ success: true, admin, tokens: issueSession('admin', admin.id) });
+    } catch (err) {
+        console.error('Admin auth error:', err.message);
+        res.status(500).json({ error: 'Authentication failed: ' + err.message });
+    }
+});
+
+// Exchange a refresh token for a fresh access/refresh pair
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const claims = verifyToken(req.body?.refresh_token, 'refresh');
+        if (!claims) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+
+        // Make sure the subject still exists (and, for testers, is not banned)
+        if (claims.role === 'company') {
+            const r = await db.query('SELECT id FROM company_members WHERE id = $1', [claims.sub]);
+            if (r.rows.length === 0) return res.status(401).json({ error: 'Workspace membership revoked' });
+        } else if (claims.role === 'tester') {
+            const r = await db.query('SELECT id, is_banned, ban_reason FROM testers WHERE id = $1', [claims.sub]);
+            if (r.rows.length === 0) return res.status(401).json({ error: 'Account no longer exists' });
+            if (r.rows[0].is_banned) {
+                return res.status(403).json({
+                    success: false,
+                    banned: true,
+                    ban_reason: r.rows[0].ban_reason || 'Your account has been suspended.'
+                });
+            }
+        } else if (claims.role === 'admin') {
+            const r = await db.query('SELECT id FROM admin_users WHERE id = $1 AND is_active = TRUE', [claims.sub]);
+            if (r.rows.length === 0) return res.status(401).json({ error: 'Admin access revoked' });
+        }
+
+        res.json({ success: true, tokens: issueSession(claims.role, claims.sub) });
+    } catch (err) {
+        console.error('Token refresh error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Complete company onboarding profile
-app.put('/api/auth/onboarding/:companyId', async (req, res) => {
+app.put('/api/auth/onboarding/:companyId', requireCompanyParam('companyId', { roles: ['owner'] }), async (req, res) => {
     try {
         const { companyId } = req.params;
         const {
@@ -518,7 +1443,7 @@ app.put('/api/auth/onboarding/:companyId', async (req, res) => {
 });
 
 // Get company profile
-app.get('/api/auth/profile/:companyId', async (req, res) => {
+app.get('/api/auth/profile/:companyId', requireCompanyParam(), async (req, res) => {
     try {
         const result = await db.query(
             'SELECT id, email, name, picture, created_at FROM companies WHERE id = $1',
@@ -533,7 +1458,7 @@ app.get('/api/auth/profile/:companyId', async (req, res) => {
 
 
 // Get tests for a specific company
-app.get('/api/company/:companyId/tests', async (req, res) => {
+app.get('/api/company/:companyId/tests', requireCompanyParam(), async (req, res) => {
     try {
         const companyId = Number(req.params.companyId);
 
@@ -555,13 +1480,13 @@ app.get('/api/company/:companyId/tests', async (req, res) => {
     `;
 
         const result = await db.query(sql, [companyId]);
-        res.json(result.rows);
+        res.json(result.rows.map(row => withMediaLinks(row, mediaUrls.viewerFor(req))));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.get('/api/company/:companyId/unique-testers', async (req, res) => {
+app.get('/api/company/:companyId/unique-testers', requireCompanyParam(), async (req, res) => {
     try {
         const r = await db.query(
             `SELECT COUNT(DISTINCT b.tester_id) AS unique_testers
@@ -575,115 +1500,446 @@ app.get('/api/company/:companyId/unique-testers', async (req, res) => {
         res.status(500).json({ error: e.message });
     }
 });
-app.get('/api/tests/:id', async (req, res) => {
-    try {
-        const result = await db.query('SELECT * FROM tests WHERE id = $1', [req.params.id]);
-        if (result.rows.length === 0) return res.status(404).json({ error: 'Not found' });
-        res.json(result.rows[0]);
-    } catch (err) { res.status(500).json({ error: err.message }); }
-});
-
 // ============================================
-// ADMIN TESTS ENDPOINTS
+// COMPANY MEMBERS & INVITATIONS
 // ============================================
+const INVITATION_TTL_DAYS = 7;
 
-app.get('/api/admin/tests', async (req, res) => {
-    try {
-        const sql = `
-      SELECT
-        t.*,
-        c.email as company_email,
-        c.picture as company_logo,
-        (SELECT COUNT(*)::int FROM bugs b WHERE b.test_id = t.id) AS bug_count,
-        (SELECT COUNT(DISTINCT b.tester_id)::int
-         FROM bugs b
-         WHERE b.test_id = t.id AND b.tester_id IS NOT NULL) AS tester_count,
-        COALESCE(t.tester_quota, 20) AS tester_quota,
-        COALESCE(t.testing_iterations, 1) AS testing_iterations,
-        COALESCE(t.price_paid, 0) AS price_paid,
-        COALESCE(t.total_budget, 0) AS total_budget,
-        COALESCE(t.status, 'pending-approval') AS status
-      FROM tests t
-      LEFT JOIN companies c ON t.company_id = c.id
-      ORDER BY t.created_at DESC;
-    `;
-        const result = await db.query(sql);
-        res.json(result.rows);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+function hashInviteToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-// Admin get complete company profile for impersonation
-app.get('/api/admin/companies/:companyId', async (req, res) => {
+// Owners must never drop to zero — checked before demoting or removing one
+async function isLastOwner(companyId, memberId) {
+    const r = await db.query(
+        `SELECT COUNT(*)::int AS owners FROM company_members
+         WHERE company_id = $1 AND role = 'owner' AND id <> $2`,
+        [companyId, memberId]
+    );
+    return r.rows[0].owners === 0;
+}
+
+// List workspace members and pending invitations
+app.get('/api/company/:companyId/members', requireCompanyParam(), async (req, res) => {
     try {
-        const result = await db.query(
-            `SELECT * FROM companies WHERE id = $1`,
+        const members = await db.query(
+            `SELECT id, email, name, picture, role, created_at, last_login
+             FROM company_members WHERE company_id = $1 ORDER BY created_at`,
             [req.params.companyId]
         );
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Company not found' });
-        }
-
-        res.json({ success: true, company: result.rows[0] });
-    } catch (err) {
-        console.error('Admin get company error:', err.message);
-        res.status(500).json({ error: err.message });
-    }
+        const invitations = await db.query(
+            `SELECT id, email, role, created_at, expires_at
+             FROM company_invitations
+             WHERE company_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+             ORDER BY created_at DESC`,
+            [req.params.companyId]
+        );
+        res.json({ success: true, members: members.rows, invitations: invitations.rows });
+    } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// Admin update test status (approve/reject/etc)
-app.put('/api/admin/tests/:testId/status', async (req, res) => {
+// Invite someone to the workspace by email
+app.post('/api/company/:companyId/members/invitations', requireCompanyParam('companyId', { roles: WORKSPACE_EDITORS }), async (req, res) => {
     try {
-        const { testId } = req.params;
-        const { status } = req.body;
+        const { companyId } = req.params;
+        const email = (req.body.email || '').trim().toLowerCase();
+        const role = req.body.role || 'viewer';
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ error: 'A valid email is required' });
+        }
+        if (!COMPANY_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${COMPANY_ROLES.join(', ')}` });
+        }
+        if (role === 'owner' && !isAdmin(req) && req.auth.memberRole !== 'owner') {
+            return res.status(403).json({ error: 'Only owners can invite another owner' });
+        }
 
-        if (!['pending', 'approved', 'rejected', 'in_progress', 'completed', 'active', 'pending-approval'].includes(status)) {
-            return res.status(400).json({ error: 'Invalid status' });
+        const existing = await db.query(
+            'SELECT id FROM company_members WHERE company_id = $1 AND email = $2',
+            [companyId, email]
+        );
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: 'This person is already a member of the workspace' });
         }
 
-        // Auto-convert approved to active
-        const finalStatus = status === 'approved' ? 'active' : status;
+        // A fresh invite replaces any outstanding one for the same address
+        await db.query(
+            `UPDATE company_invitations SET revoked_at = NOW()
+             WHERE company_id = $1 AND email = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+            [companyId, email]
+        );
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+        const invitedBy = req.auth.role === 'company' ? parseInt(req.auth.sub) : null;
 
         const result = await db.query(
-            'UPDATE tests SET status = $1 WHERE id = $2 RETURNING *',
-            [finalStatus, testId]
+            `INSERT INTO company_invitations (company_id, email, role, token_hash, invited_by, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, email, role, created_at, expires_at`,
+            [companyId, email, role, hashInviteToken(token), invitedBy, expiresAt]
         );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Test not found' });
-        }
-
-        res.json({ success: true, test: result.rows[0] });
+        // The raw token is only ever returned here; the dashboard emails the link to the invitee
+        const dashboardUrl = (process.env.DASHBOARD_URL || '').replace(/\/$/, '');
+        console.log(`✉️ Workspace #${companyId}: invited ${email} as ${role}`);
+        res.json({
+            success: true,
+            invitation: result.rows[0],
+            token,
+            accept_url: `${dashboardUrl}/invite/${token}`
+        });
     } catch (err) {
+        console.error('Invitation error:', err.message);
         res.status(500).json({ error: err.message });
     }
 });
 
-// Admin update test budget
-app.put('/api/admin/tests/:testId/budget', async (req, res) => {
+// Revoke a pending invitation
+app.delete('/api/company/:companyId/members/invitations/:invitationId', requireCompanyParam('companyId', { roles: WORKSPACE_EDITORS }), async (req, res) => {
     try {
-        const { testId } = req.params;
-        const { total_budget, price_paid } = req.body;
+        const result = await db.query(
+            `UPDATE company_invitations SET revoked_at = NOW()
+             WHERE id = $1 AND company_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+             RETURNING id`,
+            [req.params.invitationId, req.params.companyId]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Invitation not found or no longer pending' });
+        res.json({ success: true });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Change a member's role (owners only)
+app.patch('/api/company/:companyId/members/:memberId', requireCompanyParam('companyId', { roles: ['owner'] }), async (req, res) => {
+    try {
+        const { companyId, memberId } = req.params;
+        const { role } = req.body;
+
+        if (!COMPANY_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${COMPANY_ROLES.join(', ')}` });
+        }
+
+        const member = await db.query(
+            'SELECT id, role FROM company_members WHERE id = $1 AND company_id = $2',
+            [memberId, companyId]
+        );
+        if (member.rows.length === 0) return res.status(404).json({ error: 'Member not found' });
+
+        if (member.rows[0].role === 'owner' && role !== 'owner' && await isLastOwner(companyId, memberId)) {
+            return res.status(400).json({ error: 'A workspace must keep at least one owner' });
+        }
+
+        const result = await db.query(
+            'UPDATE company_members SET role = $1 WHERE id = $2 RETURNING id, email, name, role',
+            [role, memberId]
+        );
+        res.json({ success: true, member: result.rows[0] });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Remove a member — owners may remove anyone, everyone else may only leave
+app.delete('/api/company/:companyId/members/:memberId', requireCompanyParam(), async (req, res) => {
+    try {
+        const { companyId, memberId } = req.params;
+
+        const isSelf = req.auth.role === 'company' && req.auth.sub === String(memberId);
+        if (!isAdmin(req) && !isSelf && req.auth.memberRole !== 'owner') {
+            return res.status(403).json({ error: 'Only owners can remove other members' });
+        }
+
+        const member = await db.query(
+            'SELECT id, email, role FROM company_members WHERE id = $1 AND company_id = $2',
+            [memberId, companyId]
+        );
+        if (member.rows.length === 0) return res.status(404).json({ error: 'Member not found' });
+
+        if (member.rows[0].role === 'owner' && await isLastOwner(companyId, memberId)) {
+            return res.status(400).json({ error: 'A workspace must keep at least one owner' });
+        }
+
+        await db.query('DELETE FROM company_members WHERE id = $1', [memberId]);
+        console.log(`👋 Workspace #${companyId}: removed member ${member.rows[0].email}`);
+        res.json({ success: true });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Preview an invitation from its link (public)
+app.get('/api/invitations/:token', async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT i.email, i.role, i.expires_at, c.company_name, c.name AS invited_to
+             FROM company_invitations i JOIN companies c ON c.id = i.company_id
+             WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()`,
+            [hashInviteToken(req.params.token)]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Invitation invalid or expired' });
+        res.json({ success: true, invitation: result.rows[0] });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Accept an invitation by signing in with the invited Google account (public)
+app.post('/api/invitations/:token/accept', async (req, res) => {
+    try {
+        const { credential } = req.body;
+        if (!credential) return res.status(400).json({ error: 'No credential provided' });
+
+        let payload;
+        try {
+            payload = await verifyGoogleIdToken(credential);
+        } catch (e) {
+            if (e instanceof GoogleTokenError) return sendGoogleTokenError(res, e);
+            throw e;
+        }
+
+        const invite = await db.query(
+            `SELECT id, company_id, email, role, invited_by FROM company_invitations
+             WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+            [hashInviteToken(req.params.token)]
+        );
+        if (invite.rows.length === 0) return res.status(404).json({ error: 'Invitation invalid or expired' });
+        const invitation = invite.rows[0];
+
+        if (payload.email.toLowerCase() !== invitation.email) {
+            return res.status(403).json({ error: `This invitation was sent to ${invitation.email}` });
+        }
+
+        const member = await db.query(
+            `INSERT INTO company_members (company_id, google_id, email, name, picture, role, invited_by, last_login)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+             ON CONFLICT (company_id, email) DO UPDATE SET google_id = EXCLUDED.google_id, last_login = NOW()
+             RETURNING id, company_id, role, email, name, picture`,
+            [invitation.company_id, payload.sub, invitation.email, payload.name, payload.picture, invitation.role, invitation.invited_by]
+        );
+        await db.query(
+            'UPDATE company_invitations SET accepted_at = NOW(), accepted_by = $1 WHERE id = $2',
+            [member.rows[0].id, invitation.id]
+        );
+
+        console.log(`🤝 ${invitation.email} joined workspace #${invitation.company_id} as ${member.rows[0].role}`);
+        res.json({
+            success: true,
+            member: member.rows[0],
+            tokens: issueSession('company', member.rows[0].id)
+        });
+    } catch (err) {
+        console.error('Accept invitation error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/tests/:id', requireTestAccess('id', { allowTesters: true }), async (req, res) => {
+    try {
+        const result = await db.query('SELECT * FROM tests WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+        res.json(withMediaLinks(result.rows[0], mediaUrls.viewerFor(req)));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Fields a company may edit while its test is a draft or awaiting approval.
+// Once approved, testers are working against them, so they are locked.
+const DRAFT_EDITABLE_STATUSES = ['draft', 'pending-approval'];
+const DRAFT_EDITABLE_FIELDS = ['company_name', 'app_name', 'instructions', 'tester_quota', 'testing_iterations', 'total_budget', 'price_paid'];
+
+// PATCH /api/tests/:id — edit a draft / pending-approval test, optionally replacing its APK
+app.patch('/api/tests/:id', requireTestAccess('id', { roles: WORKSPACE_EDITORS }), upload.single('apk'), async (req, res) => {
+    const discardUpload = () => {
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    };
+    let newApk = null;
+    try {
+        const testId = req.params.id;
+        const current = await db.query('SELECT * FROM tests WHERE id = $1', [testId]);
+        if (current.rows.length === 0) { discardUpload(); return res.status(404).json({ error: 'Test not found' }); }
+        const test = current.rows[0];
+
+        const changes = {};
+        for (const field of DRAFT_EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        }
+        if (Object.keys(changes).length === 0 && !req.file) {
+            return res.status(400).json({ error: `Nothing to update. Editable fields: ${DRAFT_EDITABLE_FIELDS.join(', ')}, apk` });
+        }
+
+        if (!DRAFT_EDITABLE_STATUSES.includes(test.status)) {
+            discardUpload();
+            const locked = Object.keys(changes).concat(req.file ? ['apk'] : []);
+            return res.status(409).json({
+                error: `This test is ${test.status}; ${locked.join(', ')} can no longer be changed`,
+                locked_fields: locked
+            });
+        }
+
+        for (const field of ['company_name', 'app_name', 'instructions']) {
+            if (changes[field] !== undefined && !String(changes[field]).trim()) {
+                discardUpload();
+                return res.status(400).json({ error: `${field} cannot be empty` });
+            }
+        }
+
+        const quota = changes.tester_quota !== undefined ? parseInt(changes.tester_quota) : (test.tester_quota || 20);
+        const iterations = changes.testing_iterations !== undefined ? parseInt(changes.testing_iterations) : (test.testing_iterations || 1);
+        if (isNaN(quota) || quota < 1) { discardUpload(); return res.status(400).json({ error: 'tester_quota must be a positive integer' }); }
+        if (isNaN(iterations) || iterations < 1) { discardUpload(); return res.status(400).json({ error: 'testing_iterations must be a positive integer' }); }
+
+        // Same pricing rule as test creation: a total budget is split across the quota of every round
+        let budget = changes.total_budget !== undefined ? parseFloat(changes.total_budget) : parseFloat(test.total_budget || 0);
+        let price = changes.price_paid !== undefined ? parseFloat(changes.price_paid) : parseFloat(test.price_paid || 0);
+        if (isNaN(budget) || budget < 0 || isNaN(price) || price < 0) {
+            discardUpload();
+            return res.status(400).json({ error: 'total_budget and price_paid must be non-negative numbers' });
+        }
+        if (budget > 0 && changes.price_paid === undefined) price = budget / (quota * iterations);
+        else if (changes.price_paid !== undefined && changes.total_budget === undefined) budget = price * quota * iterations;
+
+        if (req.file) newApk = await uploadTestApk(req, req.file);
+
+        // Status is re-checked in the UPDATE so an approval racing this edit wins cleanly
+        const result = await db.query(
+            `UPDATE tests SET
+                company_name = $2, app_name = $3, instructions = $4,
+                tester_quota = $5, testing_iterations = $6, total_budget = $7, price_paid = $8,
+                apk_file_url = $9, apk_file_path = $10, apk_storage = $11
+             WHERE id = $1 AND status = ANY($12::text[])
+             RETURNING *`,
+            [
+                testId,
+                changes.company_name !== undefined ? changes.company_name : test.company_name,
+                changes.app_name !== undefined ? changes.app_name : test.app_name,
+                changes.instructions !== undefined ? changes.instructions : test.instructions,
+                quota, iterations, budget, price,
+                newApk ? newApk.apk_file_url : test.apk_file_url,
+                newApk ? newApk.apk_file_path : test.apk_file_path,
+                newApk ? newApk.apk_storage : test.apk_storage,
+                DRAFT_EDITABLE_STATUSES
+            ]
+        );
+        if (result.rows.length === 0) {
+            if (newApk) await deleteTestApk(newApk.apk_file_path, newApk.apk_storage);
+            return res.status(409).json({ error: 'The test was approved while you were editing; its fields are now locked' });
+        }
+
+        if (newApk) {
+            // Not yet approved, so round 1 is the only round and carries the build
+            await db.query(
+                `UPDATE test_iterations SET apk_file_url = $2, apk_file_path = $3, apk_storage = $4
+                 WHERE test_id = $1 AND iteration = 1`,
+                [testId, newApk.apk_file_url, newApk.apk_file_path, newApk.apk_storage]
+            );
+            if (test.apk_file_path && test.apk_file_path !== newApk.apk_file_path) {
+                await deleteTestApk(test.apk_file_path, test.apk_storage);
+            }
+        }
+
+        console.log(`✏️ Test #${testId} edited (${[...Object.keys(changes), ...(newApk ? ['apk'] : [])].join(', ')})`);
+        res.json({ success: true, test: result.rows[0] });
+    } catch (err) {
+        discardUpload();
+        if (newApk) await deleteTestApk(newApk.apk_file_path, newApk.apk_storage);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// ADMIN TESTS ENDPOINTS
+// ============================================
+
+app.get('/api/admin/tests', async (req, res) => {
+    try {
+        const sql = `
+      SELECT
+        t.*,
+        c.email as company_email,
+        c.picture as company_logo,
+        (SELECT COUNT(*)::int FROM bugs b WHERE b.test_id = t.id) AS bug_count,
+        (SELECT COUNT(DISTINCT b.tester_id)::int
+         FROM bugs b
+         WHERE b.test_id = t.id AND b.tester_id IS NOT NULL) AS tester_count,
+        COALESCE(t.tester_quota, 20) AS tester_quota,
+        COALESCE(t.testing_iterations, 1) AS testing_iterations,
+        COALESCE(t.price_paid, 0) AS price_paid,
+        COALESCE(t.total_budget, 0) AS total_budget,
+        COALESCE(t.status, 'pending-approval') AS status
+      FROM tests t
+      LEFT JOIN companies c ON t.company_id = c.id
+      ORDER BY t.created_at DESC;
+    `;
+        const result = await db.query(sql);
+        res.json(result.rows.map(row => withMediaLinks(row, mediaUrls.viewerFor(req))));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Admin get complete company profile for impersonation
+app.get('/api/admin/companies/:companyId', async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT * FROM companies WHERE id = $1`,
+            [req.params.companyId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        res.json({ success: true, company: result.rows[0] });
+    } catch (err) {
+        console.error('Admin get company error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Admin update test status (approve/reject/etc) — goes through the test lifecycle
+const LEGACY_ADMIN_STATUSES = { approved: 'active', rejected: 'draft', in_progress: 'active', pending: 'pending-approval' };
+// The admin panel's reject button sends no reason, which a move back to draft requires
+const LEGACY_REJECT_REASON = 'Rejected by admin';
+
+app.put('/api/admin/tests/:testId/status', requirePermission('tests.manage'), async (req, res) => {
+    try {
+        const { testId } = req.params;
+        const { status } = req.body;
+
+        // The admin panel still sends approve/reject; rejecting hands the test back to the company as a draft
+        const finalStatus = LEGACY_ADMIN_STATUSES[status] || status;
+        const reason = req.body.reason || (status === 'rejected' ? LEGACY_REJECT_REASON : undefined);
+
+        const { test, from, details } = await changeTestStatus(testId, finalStatus, { ...lifecycleActor(req), reason });
+
+        await recordAdminAction(req, {
+            action: 'test.status.update', targetType: 'test', targetId: testId,
+            before: { status: from }, after: { status: test.status, reason: reason || null, ...details }
+        });
+
+        res.json({ success: true, test, details });
+    } catch (err) {
+        if (err instanceof TestTransitionError) return res.status(err.statusCode).json({ error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Admin update test budget
+app.put('/api/admin/tests/:testId/budget', requirePermission('tests.manage'), async (req, res) => {
+    try {
+        const { testId } = req.params;
+        const { total_budget, price_paid } = req.body;
 
         if (total_budget === undefined && price_paid === undefined) {
             return res.status(400).json({ error: 'total_budget or price_paid required' });
         }
 
-        // Get quota to recalculate
-        const test = await db.query('SELECT tester_quota FROM tests WHERE id = $1', [testId]);
+        // Get quota and rounds to recalculate
+        const test = await db.query('SELECT tester_quota, testing_iterations, total_budget, price_paid FROM tests WHERE id = $1', [testId]);
         if (test.rows.length === 0) return res.status(404).json({ error: 'Test not found' });
 
-        const quota = test.rows[0].tester_quota || 20;
+        const slots = (test.rows[0].tester_quota || 20) * (test.rows[0].testing_iterations || 1);
 
         let finalBudget = total_budget;
         let finalPrice = price_paid;
 
         if (total_budget !== undefined && price_paid === undefined) {
-            finalPrice = total_budget / quota;
+            finalPrice = total_budget / slots;
         } else if (price_paid !== undefined && total_budget === undefined) {
-            finalBudget = price_paid * quota;
+            finalBudget = price_paid * slots;
         }
 
         const result = await db.query(
@@ -691,6 +1947,12 @@ app.put('/api/admin/tests/:testId/budget', async (req, res) => {
             [finalBudget, finalPrice, testId]
         );
 
+        await recordAdminAction(req, {
+            action: 'test.budget.update', targetType: 'test', targetId: testId,
+            before: { total_budget: test.rows[0].total_budget, price_paid: test.rows[0].price_paid },
+            after: { total_budget: result.rows[0].total_budget, price_paid: result.rows[0].price_paid }
+        });
+
         res.json({ success: true, test: result.rows[0] });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -709,32 +1971,40 @@ app.get('/api/admin/bugs/pending', async (req, res) => {
              FROM bugs b 
              LEFT JOIN tests t ON b.test_id = t.id 
              LEFT JOIN testers ts ON b.tester_id = ts.id
-             WHERE b.status = 'pending' AND b.bug_title != 'Manual Assignment'
+             WHERE b.status = 'pending'
              ORDER BY b.created_at DESC`
         );
-        res.json(result.rows);
+        res.json(await withBugMedia(result.rows, mediaUrls.viewerFor(req)));
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // Admin approve bug
-app.put('/api/admin/bugs/:bugId/approve', async (req, res) => {
+app.put('/api/admin/bugs/:bugId/approve', requirePermission('bugs.review'), async (req, res) => {
     try {
         const { status, reason } = req.body;
 
         if (!status) return res.status(400).json({ error: 'Status is required' });
 
+        const before = await db.query('SELECT status, admin_rejection_reason FROM bugs WHERE id = $1', [req.params.bugId]);
         const result = await db.query(
             'UPDATE bugs SET status = $1, admin_rejection_reason = $2 WHERE id = $3 RETURNING *',
             [status, reason || null, req.params.bugId]
         );
 
         if (result.rows.length === 0) return res.status(404).json({ error: 'Bug not found' });
+        await bugTriage.recordHumanDecision(result.rows[0].id, result.rows[0].status);
+
+        await recordAdminAction(req, {
+            action: 'bug.review', targetType: 'bug', targetId: req.params.bugId,
+            before: before.rows[0],
+            after: { status: result.rows[0].status, admin_rejection_reason: result.rows[0].admin_rejection_reason }
+        });
         res.json({ success: true, bug: result.rows[0] });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // Admin assign tester manually to a test
-app.post('/api/admin/tests/:testId/assign', async (req, res) => {
+app.post('/api/admin/tests/:testId/assign', requirePermission('tests.manage'), async (req, res) => {
     try {
         const { testId } = req.params;
         const { tester_id } = req.body;
@@ -743,42 +2013,100 @@ app.post('/api/admin/tests/:testId/assign', async (req, res) => {
             return res.status(400).json({ error: 'tester_id is required' });
         }
 
-        // Check if tester is already assigned to this test
+        const test = await db.query('SELECT id FROM tests WHERE id = $1', [testId]);
+        if (test.rows.length === 0) return res.status(404).json({ error: 'Test not found' });
+
+        const tester = await db.query('SELECT id, is_banned FROM testers WHERE id = $1', [tester_id]);
+        if (tester.rows.length === 0) return res.status(404).json({ error: 'Tester not found' });
+        if (tester.rows[0].is_banned) return res.status(400).json({ error: 'Tester is banned' });
+
+        // Check if tester is already assigned to (or has finished) this test's current round
         const check = await db.query(
-            'SELECT id FROM bugs WHERE test_id = $1 AND tester_id = $2 LIMIT 1',
-            [testId, tester_id]
+            `SELECT s.id, s.state FROM test_sessions s JOIN tests t ON s.test_id = t.id
+             WHERE s.test_id = $1 AND s.tester_id = $2 AND s.state = ANY($3::text[])
+               AND s.iteration = t.current_iteration
+             LIMIT 1`,
+            [testId, tester_id, SLOT_HOLDING_STATES]
         );
 
         if (check.rows.length > 0) {
-            return res.status(400).json({ error: 'Tester is already assigned to this test' });
+            return res.status(400).json({ error: `Tester is already assigned to this test (session ${check.rows[0].state})` });
         }
 
-        // To assign a tester, we ideally just want them to have access. 
-        // Our existing app shows 'available tests' based on targeting or 'status=active' 
-        // and bugs table is used to track submissions. 
-        // For a direct assignment, we can insert a placeholder bug row or an assignment row if a mapping table existed.
-        // Assuming we rely on the bugs table to track interactions:
+        // Assignments take a slot like any claim, so admins cannot oversubscribe the quota either
+        const reserved = await reserveSlot(testId, tester_id, { state: 'assigned', assignedBy: req.auth.adminId });
+        if (!reserved.session) {
+            return res.status(409).json({ error: 'All tester slots on this test are taken' });
+        }
 
-        // We'll insert a "reserved" or empty bug record just to bind the tester to the test_id.
-        const result = await db.query(
-            `INSERT INTO bugs(test_id, tester_id, tester_name, bug_title, bug_description, severity)
-VALUES($1, $2, 'Assigned by Admin', 'Manual Assignment', 'Assigned by Admin manually', 'low') RETURNING * `,
-            [testId, tester_id]
-        );
+        await recordAdminAction(req, {
+            action: 'test.assign', targetType: 'test', targetId: testId,
+            after: { tester_id, session_id: reserved.session.id, expires_at: reserved.session.expires_at }
+        });
 
-        res.json({ success: true, message: 'Tester assigned', assignment: result.rows[0] });
+        res.json({ success: true, message: 'Tester assigned', assignment: reserved.session });
 
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// ============================================
+// AI TRIAGE
+// ============================================
+
+function sendTriageError(res, err) {
+    if (err instanceof bugTriage.TriageError) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+}
+
+// Pending bugs the active triage policy did not approve, with the AI verdict and reasoning
+app.get('/api/admin/bugs/review-queue', requirePermission('bugs.review'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const offset = parseInt(req.query.offset) || 0;
+        const queue = await bugTriage.getReviewQueue({ limit, offset });
+        // Recordings and screenshots as signed links, like every other admin bug list
+        res.json(await withBugMedia(queue, mediaUrls.viewerFor(req)));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Every policy with its accuracy against the admins' final decisions
+app.get('/api/admin/triage/policies', requirePermission('bugs.review'), async (req, res) => {
+    try {
+        res.json(await bugTriage.getPolicyStats());
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/admin/triage/policies', requirePermission('bugs.review'), async (req, res) => {
+    try {
+        const policy = await bugTriage.createPolicy(req.body);
+        await recordAdminAction(req, {
+            action: 'triage.policy.create', targetType: 'triage_policy', targetId: policy.id, after: policy
+        });
+        res.status(201).json({ success: true, policy });
+    } catch (err) { sendTriageError(res, err); }
+});
+
+// Changes name / min_confidence / auto_approve; { active: true } switches triage to this policy
+app.put('/api/admin/triage/policies/:policyId', requirePermission('bugs.review'), async (req, res) => {
+    try {
+        const updated = await bugTriage.updatePolicy(req.params.policyId, req.body);
+        if (!updated) return res.status(404).json({ error: 'Policy not found' });
+        await recordAdminAction(req, {
+            action: 'triage.policy.update', targetType: 'triage_policy', targetId: req.params.policyId,
+            before: updated.before, after: updated.after
+        });
+        res.json({ success: true, policy: updated.after });
+    } catch (err) { sendTriageError(res, err); }
+});
+
 // ============================================
 // SETTINGS ENDPOINTS
 // ============================================
 
 // Get full company profile
-app.get('/api/auth/company/:companyId', async (req, res) => {
+app.get('/api/auth/company/:companyId', requireCompanyParam(), async (req, res) => {
     try {
         const result = await db.query(
             `SELECT id, email, name, picture, company_name, industry,
@@ -799,7 +2127,7 @@ app.get('/api/auth/company/:companyId', async (req, res) => {
 });
 
 // Update company profile (settings)
-app.put('/api/auth/company/:companyId', async (req, res) => {
+app.put('/api/auth/company/:companyId', requireCompanyParam('companyId', { roles: ['owner'] }), async (req, res) => {
     try {
         const { companyId } = req.params;
         const {
@@ -857,7 +2185,7 @@ app.put('/api/auth/company/:companyId', async (req, res) => {
 });
 
 // Delete company account (with full cascade)
-app.delete('/api/auth/company/:companyId', async (req, res) => {
+app.delete('/api/auth/company/:companyId', requireCompanyParam('companyId', { roles: ['owner'] }), async (req, res) => {
     try {
         const { companyId } = req.params;
 
@@ -865,6 +2193,8 @@ app.delete('/api/auth/company/:companyId', async (req, res) => {
         const testIds = await db.query('SELECT id FROM tests WHERE company_id = $1', [companyId]);
         const ids = testIds.rows.map(r => r.id);
 
+        await deleteTestMedia(ids);
+
         if (ids.length > 0) {
             // Delete earnings for those tests
             await db.query('DELETE FROM earnings WHERE test_id = ANY($1::int[])', [ids]);
@@ -904,12 +2234,35 @@ app.post('/api/testers/register', async (req, res) => {
     try {
         const {
             full_name, phone, upi_id,
-            google_id, email, profile_picture,
+            id_token, profile_picture,
             device_model, android_version, screen_resolution,
             latitude, longitude, city, state, full_address,
             // Targeting profile fields
             ram_gb, network_type, device_tier
         } = req.body;
+        let { google_id, email } = req.body;
+
+        // A Google identity is only accepted with a verified ID token — never a bare google_id
+        if (google_id || id_token) {
+            if (!id_token) {
+                return res.status(401).json({ error: 'id_token is required when signing in with Google' });
+            }
+            let payload;
+            try {
+                payload = await verifyGoogleIdToken(id_token);
+            } catch (e) {
+                if (e instanceof GoogleTokenError) return sendGoogleTokenError(res, e);
+                throw e;
+            }
+            if (google_id && google_id !== payload.sub) {
+                return res.status(401).json({ error: 'google_id does not match the Google token' });
+            }
+            google_id = payload.sub;
+            email = payload.email;
+        } else if (req.auth?.role !== 'service') {
+            // Phone-only registration proves nothing about identity, so it stays service-only
+            return res.status(401).json({ error: 'Sign in with Google to register' });
+        }
 
         // We need at least a phone number OR a google_id to proceed
         if (!phone && !google_id) {
@@ -1012,7 +2365,8 @@ RETURNING * `,
                 ram_gb: tester.ram_gb,
                 network_type: tester.network_type,
                 device_tier: tester.device_tier
-            }
+            },
+            tokens: issueSession('tester', tester.id)
         });
 
     } catch (err) {
@@ -1022,7 +2376,7 @@ RETURNING * `,
 });
 
 // Get tester profile
-app.get('/api/testers/:testerId', async (req, res) => {
+app.get('/api/testers/:testerId', requireTesterParam(), async (req, res) => {
     try {
         const result = await db.query(
             'SELECT * FROM testers WHERE id = $1',
@@ -1038,7 +2392,7 @@ app.get('/api/testers/:testerId', async (req, res) => {
 });
 
 // Update tester UPI
-app.put('/api/testers/:testerId/upi', async (req, res) => {
+app.put('/api/testers/:testerId/upi', requireTesterParam(), async (req, res) => {
     try {
         const { upi_id } = req.body;
         if (!upi_id) {
@@ -1063,7 +2417,7 @@ app.put('/api/testers/:testerId/upi', async (req, res) => {
 // ── PAYMENT ROUTES ────────────────────────────────────────────────────────────
 
 // GET /api/testers/:id/wallet — balance, earnings, next payout info
-app.get('/api/testers/:testerId/wallet', async (req, res) => {
+app.get('/api/testers/:testerId/wallet', requireTesterParam(), async (req, res) => {
     try {
         const result = await db.query(
             `SELECT id, full_name, upi_id,
@@ -1097,7 +2451,7 @@ app.get('/api/testers/:testerId/wallet', async (req, res) => {
 });
 
 // GET /api/testers/:id/payments — payment history
-app.get('/api/testers/:testerId/payments', async (req, res) => {
+app.get('/api/testers/:testerId/payments', requireTesterParam(), async (req, res) => {
     try {
         const result = await db.query(
             `SELECT * FROM payment_transactions
@@ -1128,7 +2482,7 @@ app.get('/api/admin/payments/pending', async (req, res) => {
 });
 
 // POST /api/admin/payments/batch — mark selected (or all) testers as paid
-app.post('/api/admin/payments/batch', async (req, res) => {
+app.post('/api/admin/payments/batch', requirePermission('payments.manage'), async (req, res) => {
     try {
         // Optional: pass { tester_ids: [1,2,3] } to pay specific testers only
         const { tester_ids, note } = req.body;
@@ -1160,13 +2514,14 @@ app.post('/api/admin/payments/batch', async (req, res) => {
         }
 
         let totalPaid = 0;
+        const payouts = [];
         for (const t of candidates) {
             if (!t.upi_id) continue; // skip if no UPI on file
             const amount = parseFloat(t.pending);
-            await db.query(
+            const tx = await db.query(
                 `INSERT INTO payment_transactions
     (tester_id, amount, upi_id, status, note, paid_at, period_end)
-VALUES($1, $2, $3, 'paid', $4, $5, $5)`,
+VALUES($1, $2, $3, 'paid', $4, $5, $5) RETURNING id`,
                 [t.id, amount, t.upi_id, note || null, now]
             );
             await db.query(
@@ -1174,8 +2529,15 @@ VALUES($1, $2, $3, 'paid', $4, $5, $5)`,
                 [amount, t.id]
             );
             totalPaid += amount;
+            payouts.push({ tester_id: t.id, amount, upi_id: t.upi_id, transaction_id: tx.rows[0].id });
         }
 
+        await recordAdminAction(req, {
+            action: 'payments.batch', targetType: 'payment_batch',
+            before: { requested_tester_ids: tester_ids || 'all', note: note || null },
+            after: { total_amount: totalPaid, payouts }
+        });
+
         res.json({
             success: true,
             paid: candidates.length,
@@ -1226,73 +2588,94 @@ app.get('/api/app/latest-version', async (req, res) => {
     }
 });
 
-// POST /api/app/upload-apk — push new APK to B2 directly
-app.post('/api/app/upload-apk', upload.single('apk'), async (req, res) => {
+// POST /api/app/upload-apk — push a new tester app build to storage
+app.post('/api/app/upload-apk', requirePermission('releases.manage', { allowService: true }), upload.single('apk'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ success: false, error: 'No APK file uploaded' });
         }
 
-        if (!b2Storage) {
-            if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-            return res.status(500).json({ success: false, error: 'B2 Storage is not configured' });
-        }
-
-        console.log(`🚀 Uploading APK to Backblaze B2: ${req.file.originalname} `);
+        const driver = storageDrivers.activeDriver();
+        console.log(`🚀 Uploading APK to ${driver.name}: ${req.file.originalname} `);
 
-        const result = await b2Storage.uploadApk(req.file.path, req.file.originalname, 'app-updates');
+        const key = driver.newKey('app-updates', 'bharatqa_update.apk');
+        await driver.put('app-updates', key, req.file.path, { contentType: storageDrivers.contentTypeFor(key) });
+        fs.unlinkSync(req.file.path);
 
-        // Clean BACKEND_URL in case there's a trailing slash
-        let bUrl = process.env.BACKEND_URL || (req.protocol + '://' + req.get('host'));
-        bUrl = bUrl.replace(/\/$/, '');
+        await recordAdminAction(req, {
+            action: 'app.apk.upload', targetType: 'app_apk', targetId: key,
+            after: { key, original_name: req.file.originalname }
+        });
 
         res.json({
             success: true,
-            // Return BOTH the full B2 proxy url and the raw B2 key for internal streaming
-            apk_url: `${bUrl}/api/app/download/${result.key}`,
-            message: 'APK uploaded to Backblaze B2 successfully'
+            // Public storage links directly; private storage goes through the download proxy
+            apk_url: driver.publicUrl('app-updates', key) || `${backendBaseUrl(req)}/api/app/download/${key}`,
+            message: `APK uploaded to ${driver.name} storage successfully`
         });
 
     } catch (err) {
         if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
         console.error('App Upload error:', err);
-        res.status(500).json({ success: false, error: 'Failed to upload APK to B2: ' + err.message });
+        res.status(500).json({ success: false, error: 'Failed to upload APK: ' + err.message });
     }
 });
 
-// GET /api/app/download/* — Proxy APK downloads from B2
+// Releases of the tester app are public; every other key (company builds) needs a signed link
+const PUBLIC_DOWNLOAD_PREFIX = 'app-updates/';
+
+// GET /api/app/download/* — Proxy APK downloads from private storage
 app.get('/api/app/download/*', async (req, res) => {
     try {
-        // The wildcard matched path corresponds to the B2 Key (e.g. app-updates/bharatqa_update.apk)
-        const b2Key = req.params[0];
+        // The wildcard matched path is the storage key (e.g. app-updates/bharatqa_update_1712345678901_k3j9x2.apk)
+        const key = req.params[0];
 
-        if (!b2Key || !b2Storage) {
-            return res.status(404).send('APK not found or B2 not configured');
+        if (!key) {
+            return res.status(404).send('APK not found');
+        }
+        const isPublic = key.startsWith(PUBLIC_DOWNLOAD_PREFIX) && !key.split('/').includes('..');
+        if (!isPublic && !['media', 'admin', 'service'].includes(req.auth?.role)) {
+            return res.status(403).send('This download link has expired or is not signed; request a new one');
         }
 
-        console.log(`⬇️ Proxying APK from B2: ${b2Key} `);
-
-        // Use the existing video stream method in B2 since it retrieves the file object stream identically
-        const response = await b2Storage.getVideoStream(b2Key);
+        console.log(`⬇️ Proxying APK: ${key} `);
+
+        // Company builds come from the driver that stored them; releases from the active one
+        let bucket = 'app-updates', driverName = storageDrivers.activeDriverName();
+        if (!isPublic) {
+            const stored = await db.query(
+                `SELECT apk_storage FROM tests WHERE apk_file_path = $1
+                 UNION ALL
+                 SELECT apk_storage FROM test_iterations WHERE apk_file_path = $1
+                 LIMIT 1`,
+                [key]
+            );
+            bucket = 'apks';
+            driverName = stored.rows[0]?.apk_storage || driverName;
+        }
+        const object = await storageDrivers.getDriver(driverName).getStream(bucket, key);
 
-        const fileName = b2Key.split('/').pop() || 'download.apk';
+        const fileName = key.split('/').pop() || 'download.apk';
 
         res.set('Content-Type', 'application/vnd.android.package-archive');
         res.set('Content-Disposition', `attachment; filename = "${fileName}"`);
-        if (response.ContentLength) {
-            res.set('Content-Length', response.ContentLength);
+        // Company builds are private; public releases may be cached anywhere
+        res.set('Cache-Control', isPublic ? 'public, max-age=3600' : privateCacheControl(req));
+        if (object.contentLength) {
+            res.set('Content-Length', object.contentLength);
         }
 
-        response.Body.pipe(res);
+        object.body.pipe(res);
 
     } catch (err) {
+        if (err.statusCode === 404 || err.statusCode === 400) return res.status(404).send('APK not found');
         console.error('App Download Proxy error:', err.message);
-        res.status(500).send('Failed to stream APK from B2');
+        res.status(500).send('Failed to stream APK');
     }
 });
 
 // POST /api/app/release — push update from admin
-app.post('/api/app/release', async (req, res) => {
+app.post('/api/app/release', requirePermission('releases.manage', { allowService: true }), async (req, res) => {
     try {
         const { version_code, version_name, apk_url, release_notes, is_mandatory, min_supported_version } = req.body;
 
@@ -1317,6 +2700,11 @@ RETURNING * `,
             ]
         );
 
+        await recordAdminAction(req, {
+            action: 'app.release', targetType: 'app_version', targetId: result.rows[0].id,
+            after: result.rows[0]
+        });
+
         res.json({ success: true, version: result.rows[0] });
     } catch (err) {
         console.error('Release error:', err);
@@ -1367,7 +2755,7 @@ app.get('/api/app/check-update/:currentVersionCode', async (req, res) => {
     }
 });
 // Update tester location (called on each test)
-app.put('/api/testers/:testerId/location', async (req, res) => {
+app.put('/api/testers/:testerId/location', requireTesterParam(), async (req, res) => {
     try {
         const { latitude, longitude, city, state, full_address } = req.body;
         await db.query(
@@ -1386,7 +2774,7 @@ latitude = $1, longitude = $2, city = $3,
 });
 
 // GET /api/testers/google/:googleId
-app.get('/api/testers/google/:googleId', async (req, res) => {
+app.get('/api/testers/google/:googleId', requireRole('tester', 'admin'), async (req, res) => {
     try {
         const { googleId } = req.params;
         // Use db.query, NOT supabase.from
@@ -1395,6 +2783,9 @@ app.get('/api/testers/google/:googleId', async (req, res) => {
         if (result.rows.length === 0) {
             return res.status(404).json({ success: false, message: 'Tester not found' });
         }
+        if (!isAdmin(req) && String(result.rows[0].id) !== req.auth.sub) {
+            return res.status(403).json({ success: false, message: 'Forbidden: not your tester profile' });
+        }
 
         res.json({ success: true, tester: result.rows[0] });
     } catch (err) {
@@ -1402,44 +2793,12 @@ app.get('/api/testers/google/:googleId', async (req, res) => {
     }
 });
 
-app.delete('/api/tests/:id', async (req, res) => {
+app.delete('/api/tests/:id', requireTestAccess('id', { roles: WORKSPACE_EDITORS }), async (req, res) => {
     try {
         const testId = req.params.id;
 
-        // Get test info for APK cleanup
-        const test = await db.query('SELECT apk_file_path, apk_storage FROM tests WHERE id = $1', [testId]);
-        const bugs = await db.query('SELECT id, recording_path, recording_storage, screenshot_paths FROM bugs WHERE test_id = $1', [testId]);
-
-        // Delete APK from Storage
-        if (test.rows[0]?.apk_file_path) {
-            const row = test.rows[0];
-            try {
-                if (row.apk_storage === 'b2' && b2Storage) {
-                    await b2Storage.deleteVideo(row.apk_file_path);
-                } else {
-                    await storage.deleteFile('apks', row.apk_file_path);
-                }
-            } catch (e) { console.warn('⚠️ APK cleanup failed:', e.message); }
-        }
-
-        // Delete each bug's recordings and screenshots from correct storage
-        for (const bug of bugs.rows) {
-            if (bug.recording_path) {
-                try {
-                    if (bug.recording_storage === 'b2' && b2Storage) {
-                        await b2Storage.deleteVideo(bug.recording_path);
-                    } else {
-                        await storage.deleteFile('recordings', bug.recording_path);
-                    }
-                } catch (e) { console.warn('⚠️ Recording cleanup failed:', e.message); }
-            }
-            if (bug.screenshot_paths) {
-                try {
-                    const paths = bug.screenshot_paths.split(',').map(p => p.trim());
-                    await storage.deleteFiles('screenshots', paths);
-                } catch (e) { console.warn('⚠️ Screenshot cleanup failed:', e.message); }
-            }
-        }
+        // APKs, recordings, renditions and screenshots, from whichever storage holds them
+        await deleteTestMedia([Number(testId)]);
 
         // Delete from database — order matters for FK constraints
         await db.query('DELETE FROM earnings WHERE test_id = $1', [testId]);
@@ -1452,204 +2811,1206 @@ app.delete('/api/tests/:id', async (req, res) => {
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// Get bugs for a specific test (Company View)
-app.get('/api/tests/:id/bugs', async (req, res) => {
+// Get bugs for a specific test (Company View), optionally for one round (?iteration=N)
+app.get('/api/tests/:id/bugs', requireTestAccess('id'), async (req, res) => {
     try {
+        const iteration = req.query.iteration ? parseInt(req.query.iteration) : null;
         // Explicitly exclude ai_admin_context for companies
         const result = await db.query(
-            `SELECT b.id, b.test_id, b.tester_name, b.bug_title, b.bug_description, b.severity, 
-                    b.recording_url, b.screenshots, b.test_duration, b.device_stats, 
-                    b.ai_analysis, b.ai_model, b.ai_analyzed_at, b.created_at, b.status, b.title,
+            `SELECT b.id, b.test_id, b.tester_name, b.bug_title, b.bug_description, b.severity, b.iteration,
+                    b.session_id, b.clip_start_seconds, b.clip_end_seconds,
+                    b.recording_url, b.test_duration, b.device_stats, 
+                    b.ai_analysis, b.ai_report, b.ai_model, b.ai_analyzed_at, b.analysis_status, b.created_at, b.status, b.title,
                     t.android_version as tester_os, t.device_model as tester_device, 
                     t.ram_gb as tester_ram, t.network_type as tester_net,
                     t.full_name as tester_real_name, t.city as tester_city, t.state as tester_state,
                     t.screen_resolution as tester_res, t.device_tier as tester_tier
              FROM bugs b
              LEFT JOIN testers t ON b.tester_id = t.id
-             WHERE b.test_id = $1 AND b.status = 'approved' 
+             WHERE b.test_id = $1 AND b.status = 'approved'
+               AND ($2::int IS NULL OR b.iteration = $2::int)
              ORDER BY b.created_at DESC`,
-            [req.params.id]
+            [req.params.id, iteration]
         );
-        res.json(result.rows);
+        res.json(await withBugMedia(result.rows, mediaUrls.viewerFor(req)));
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.get('/api/tests/:id/stats', async (req, res) => {
+app.get('/api/tests/:id/stats', requireTestAccess('id'), async (req, res) => {
     try {
         const result = await db.query('SELECT * FROM test_stats WHERE test_id = $1', [req.params.id]);
         res.json(result.rows[0] || { total_bugs: 0, total_testers: 0, critical_bugs: 0, high_bugs: 0, medium_bugs: 0, low_bugs: 0, avg_duration: 0 });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.get('/api/tests/:id/download-apk', async (req, res) => {
+app.get('/api/tests/:id/download-apk', requireTestAccess('id', { allowTesters: true }), async (req, res) => {
     try {
         const result = await db.query('SELECT apk_file_url FROM tests WHERE id = $1', [req.params.id]);
         if (!result.rows[0]?.apk_file_url) return res.status(404).json({ error: 'No APK' });
-        res.redirect(result.rows[0].apk_file_url);
+        res.redirect(mediaUrls.signMediaUrl(result.rows[0].apk_file_url, mediaUrls.viewerFor(req)));
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-
 // ============================================
-// TESTER ENDPOINTS
+// TEST LIFECYCLE
 // ============================================
+// draft → pending-approval → active ⇄ paused → completed → archived, with cancel
+// along the way. Transitions are validated in test-lifecycle.js; side effects live here.
 
-app.get('/api/available-tests', async (req, res) => {
-    try {
-        const { tester_id, google_id } = req.query;
+// Who is changing a test's status, for the lifecycle rules and its history
+function lifecycleActor(req) {
+    if (isAdmin(req)) {
+        return { by: 'admin', actor: { type: 'admin', id: req.auth.adminId, email: req.auth.adminEmail } };
+    }
+    if (req.auth?.role === 'company') {
+        return { by: 'company', actor: { type: 'company', id: parseInt(req.auth.sub) } };
+    }
+    return { by: 'system', actor: { type: 'system' } };
+}
 
-        // Resolve tester from google_id or tester_id
-        let tester = null;
-        if (google_id) {
-            const r = await db.query('SELECT * FROM testers WHERE google_id = $1', [google_id]);
-            tester = r.rows[0] || null;
-        } else if (tester_id) {
-            const r = await db.query('SELECT * FROM testers WHERE id = $1', [tester_id]);
-            tester = r.rows[0] || null;
-        }
+// Push a notification to every eligible tester when a test goes (back) live
+async function notifyTestersOfActivation(test, resumed) {
+    if (!firebaseAdmin) return { sent: 0, skipped: 'FCM not configured' };
 
-        // Block banned testers
-        if (tester?.is_banned) {
-            return res.status(403).json({
-                success: false,
-                banned: true,
-                ban_reason: tester.ban_reason || 'Your account has been suspended.'
-            });
+    let { sql, params } = buildEligibleTestersQuery(test.criteria, 'id, fcm_token');
+    sql += ' AND fcm_token IS NOT NULL AND (notifications_enabled = TRUE OR notifications_enabled IS NULL)';
+    const { rows: testers } = await db.query(sql, params);
+
+    const title = resumed ? `▶️ ${test.app_name} is back` : `🎯 New test: ${test.app_name}`;
+    const body = resumed
+        ? 'Testing has resumed — grab a slot before they fill up.'
+        : 'A new testing job matching your device is available. Earn by testing it now!';
+
+    let sent = 0;
+    for (const tester of testers) {
+        const result = await sendFcmNotification(tester.fcm_token, title, body, { test_id: String(test.id) });
+        if (result.success) sent++;
+    }
+    return { sent, eligible: testers.length };
+}
+
+// Expires the test's sessions in `states`, giving their slots back
+async function releaseTestSessions(testId, states, reason) {
+    const open = await db.query(
+        'SELECT id FROM test_sessions WHERE test_id = $1 AND state = ANY($2::text[])',
+        [testId, states]
+    );
+    let released = 0;
+    for (const s of open.rows) {
+        if (await transitionSession(s.id, 'expire', { closeReason: reason })) released++;
+    }
+    return released;
+}
+
+// What is left of the company's budget once every submitted session has been paid
+async function calculateRefund(test) {
+    // What each session was actually paid, whatever the price is now
+    const paid = await db.query(
+        `SELECT COUNT(*)::int AS paid_sessions, COALESCE(SUM(COALESCE(earned_amount, 0)), 0) AS spent
+         FROM test_sessions WHERE test_id = $1 AND state = 'submitted'`,
+        [test.id]
+    );
+    const totalBudget = parseFloat(test.total_budget || 0);
+    const pricePerTester = parseFloat(test.price_paid || 0);
+    const spent = Math.round(parseFloat(paid.rows[0].spent) * 100) / 100;
+    const refundAmount = Math.max(Math.round((totalBudget - spent) * 100) / 100, 0);
+
+    await db.query('UPDATE tests SET refund_amount = $2 WHERE id = $1', [test.id, refundAmount]);
+    return { total_budget: totalBudget, price_per_tester: pricePerTester, paid_sessions: paid.rows[0].paid_sessions, spent, refund_amount: refundAmount };
+}
+
+/**
+ * Moves a test through the lifecycle and applies the side effects of the move.
+ * Side-effect failures are logged but do not undo the status change.
+ * @param {number|string} testId
+ * @param {string} to
+ * @param {{ by: string, actor?: object, reason?: string }} options - see transitionTest
+ * @returns {Promise<{ test: object, from: string, details: object }>}
+ */
+async function changeTestStatus(testId, to, options) {
+    const { test, from, historyId } = await transitionTest(testId, to, options);
+    const details = {};
+
+    try {
+        if (to === 'active' && (from === 'pending-approval' || from === 'paused')) {
+            details.notifications = await notifyTestersOfActivation(test, from === 'paused');
+        }
+        if (to === 'paused') {
+            // Testers already recording may finish; reservations nobody has started are released
+            details.released_sessions = await releaseTestSessions(test.id, ['assigned', 'accepted'], 'Test paused');
+        }
+        if (to === 'completed' || to === 'cancelled') {
+            details.released_sessions = await releaseTestSessions(test.id, OPEN_SESSION_STATES, `Test ${to}`);
+            await db.query(
+                `UPDATE test_iterations SET status = 'completed', ended_at = COALESCE(ended_at, NOW())
+                 WHERE test_id = $1 AND status = 'active'`,
+                [test.id]
+            );
+        }
+        if (to === 'cancelled') {
+            details.refund = await calculateRefund(test);
+        }
+        if (Object.keys(details).length > 0) await recordTransitionDetails(historyId, details);
+    } catch (e) {
+        console.error(`⚠️ Side effects of test #${test.id} ${from} → ${to} failed: ${e.message}`);
+    }
+
+    console.log(`🔄 Test #${test.id}: ${from} → ${to}${options.reason ? ` (${options.reason})` : ''}`);
+    return { test, from, details };
+}
+
+// POST /api/tests/:testId/status — company (or admin) moves a test along its lifecycle
+app.post('/api/tests/:testId/status', requireTestAccess('testId', { roles: WORKSPACE_EDITORS }), async (req, res) => {
+    try {
+        const { testId } = req.params;
+        const { status, reason } = req.body;
+        if (!status) return res.status(400).json({ error: 'status is required' });
+
+        const { test, from, details } = await changeTestStatus(testId, status, { ...lifecycleActor(req), reason });
+
+        if (isAdmin(req)) {
+            await recordAdminAction(req, {
+                action: 'test.status.update', targetType: 'test', targetId: testId,
+                before: { status: from }, after: { status: test.status, reason: reason || null, ...details }
+            });
+        }
+
+        res.json({ success: true, test, details });
+    } catch (err) {
+        if (err instanceof TestTransitionError) return res.status(err.statusCode).json({ error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/tests/:testId/status-history — every status change, plus the moves open to the caller
+app.get('/api/tests/:testId/status-history', requireTestAccess('testId'), async (req, res) => {
+    try {
+        const current = await db.query('SELECT status FROM tests WHERE id = $1', [req.params.testId]);
+        if (current.rows.length === 0) return res.status(404).json({ error: 'Test not found' });
+
+        const { status } = current.rows[0];
+        const history = await getStatusHistory(req.params.testId);
+        res.json({
+            success: true,
+            status,
+            allowed_transitions: allowedTransitions(status, lifecycleActor(req).by),
+            history
+        });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============================================
+// TEST ITERATIONS (multi-round campaigns)
+// ============================================
+// A test runs `testing_iterations` rounds. Each round has its own tester quota,
+// may ship a new APK build, and tags the sessions and bugs submitted during it.
+
+// Key used to recognise the same issue across rounds: the bug title, ignoring case and punctuation
+function issueKey(title) {
+    return (title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Classifies the issues reported up to round `to` against round `from`:
+ * fixed (reported in `from`, gone in `to`), persisting (in both), regressed
+ * (absent in `from` but reported before it and back in `to`) and new.
+ * @param {object[]} bugs - bugs with `iteration`, `bug_title`, `severity`
+ * @param {number} from
+ * @param {number} to
+ */
+function compareIterations(bugs, from, to) {
+    const issues = new Map();
+    for (const bug of bugs) {
+        const key = issueKey(bug.bug_title);
+        if (!key) continue;
+        if (!issues.has(key)) issues.set(key, { title: bug.bug_title, rounds: new Set(), bugs: [] });
+        const issue = issues.get(key);
+        issue.rounds.add(bug.iteration);
+        if (bug.iteration === from || bug.iteration === to) {
+            issue.bugs.push({ id: bug.id, iteration: bug.iteration, severity: bug.severity, tester_name: bug.tester_name });
+        }
+    }
+
+    const result = { fixed: [], persisting: [], regressed: [], new: [] };
+    for (const issue of issues.values()) {
+        const inFrom = issue.rounds.has(from);
+        const inTo = issue.rounds.has(to);
+        const entry = { title: issue.title, rounds: [...issue.rounds].sort((a, b) => a - b), bugs: issue.bugs };
+
+        if (inFrom && inTo) result.persisting.push(entry);
+        else if (inFrom) result.fixed.push(entry);
+        else if (inTo && entry.rounds.some(r => r < from)) result.regressed.push(entry);
+        else if (inTo) result.new.push(entry);
+    }
+    return result;
+}
+
+/**
+ * Assigns testers to the test's current round (each takes a slot) and pushes
+ * them a notification. Without `testerIds`, everyone who submitted in the
+ * previous round is invited. Companies may only re-invite their own past testers.
+ * @returns {Promise<{ invited: object[], skipped: { tester_id: number, reason: string }[] }>}
+ */
+async function inviteTestersToRound(req, test, testerIds) {
+    const round = test.current_iteration;
+
+    const past = await db.query(
+        `SELECT tester_id, MAX(iteration) AS last_round FROM test_sessions
+         WHERE test_id = $1 AND state = 'submitted' AND iteration < $2
+         GROUP BY tester_id`,
+        [test.id, round]
+    );
+    const pastTesters = new Set(past.rows.map(r => r.tester_id));
+
+    let candidates;
+    if (Array.isArray(testerIds) && testerIds.length > 0) {
+        candidates = testerIds.map(id => parseInt(id)).filter(id => !isNaN(id));
+    } else {
+        candidates = past.rows.filter(r => r.last_round === round - 1).map(r => r.tester_id);
+    }
+
+    const invited = [], skipped = [];
+    for (const testerId of candidates) {
+        if (!isAdmin(req) && !pastTesters.has(testerId)) {
+            skipped.push({ tester_id: testerId, reason: 'not_a_previous_tester' });
+            continue;
+        }
+
+        const tester = await db.query(
+            'SELECT id, fcm_token, is_banned, notifications_enabled FROM testers WHERE id = $1',
+            [testerId]
+        );
+        if (tester.rows.length === 0) { skipped.push({ tester_id: testerId, reason: 'not_found' }); continue; }
+        if (tester.rows[0].is_banned) { skipped.push({ tester_id: testerId, reason: 'banned' }); continue; }
+
+        const done = await db.query(
+            `SELECT 1 FROM test_sessions WHERE test_id = $1 AND tester_id = $2 AND iteration = $3 AND state = 'submitted'`,
+            [test.id, testerId, round]
+        );
+        if (done.rows.length > 0) { skipped.push({ tester_id: testerId, reason: 'already_submitted' }); continue; }
+
+        const existing = await findOpenSession(test.id, testerId);
+        if (existing) { skipped.push({ tester_id: testerId, reason: 'already_invited' }); continue; }
+
+        const reserved = await reserveSlot(test.id, testerId, { state: 'assigned', assignedBy: req.auth.adminId || null });
+        if (!reserved.session) { skipped.push({ tester_id: testerId, reason: reserved.reason }); continue; }
+        invited.push(reserved.session);
+
+        const { fcm_token, notifications_enabled } = tester.rows[0];
+        if (fcm_token && notifications_enabled !== false) {
+            await sendFcmNotification(
+                fcm_token,
+                `🔁 Round ${round}: ${test.app_name}`,
+                `A new build is ready and you're invited to test it again.`,
+                { test_id: String(test.id) }
+            );
+        }
+    }
+
+    console.log(`📨 Test #${test.id} round ${round}: invited ${invited.length}, skipped ${skipped.length}`);
+    return { invited, skipped };
+}
+
+async function loadCampaign(testId) {
+    const result = await db.query(
+        `SELECT id, app_name, status, apk_file_url, apk_file_path, apk_storage,
+                COALESCE(current_iteration, 1) AS current_iteration,
+                COALESCE(testing_iterations, 1) AS testing_iterations
+         FROM tests WHERE id = $1`,
+        [testId]
+    );
+    return result.rows[0] || null;
+}
+
+// GET /api/tests/:testId/iterations — every round with its build and results
+app.get('/api/tests/:testId/iterations', requireTestAccess('testId'), async (req, res) => {
+    try {
+        const test = await loadCampaign(req.params.testId);
+        if (!test) return res.status(404).json({ error: 'Test not found' });
+
+        const result = await db.query(
+            `SELECT i.*,
+                    (SELECT COUNT(*)::int FROM test_sessions s
+                     WHERE s.test_id = i.test_id AND s.iteration = i.iteration AND s.state = 'submitted') AS submitted_sessions,
+                    (SELECT COUNT(*)::int FROM test_sessions s
+                     WHERE s.test_id = i.test_id AND s.iteration = i.iteration AND s.state = ANY($2::text[])) AS open_sessions,
+                    (SELECT COUNT(*)::int FROM bugs b
+                     WHERE b.test_id = i.test_id AND b.iteration = i.iteration AND b.status = 'approved') AS bug_count,
+                    (SELECT COUNT(*)::int FROM bugs b
+                     WHERE b.test_id = i.test_id AND b.iteration = i.iteration AND b.status = 'approved'
+                       AND lower(b.severity) = 'critical') AS critical_count
+             FROM test_iterations i
+             WHERE i.test_id = $1
+             ORDER BY i.iteration`,
+            [test.id, OPEN_SESSION_STATES]
+        );
+
+        res.json({
+            success: true,
+            current_iteration: test.current_iteration,
+            testing_iterations: test.testing_iterations,
+            iterations: result.rows.map(row => withMediaLinks(row, mediaUrls.viewerFor(req)))
+        });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// POST /api/tests/:testId/iterations — close the current round and start the next (optional new APK)
+app.post('/api/tests/:testId/iterations', requireTestAccess('testId', { roles: WORKSPACE_EDITORS }), upload.single('apk'), async (req, res) => {
+    const discardUpload = () => {
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    };
+    try {
+        const test = await loadCampaign(req.params.testId);
+        if (!test) { discardUpload(); return res.status(404).json({ error: 'Test not found' }); }
+
+        if (!['active', 'completed'].includes(test.status)) {
+            discardUpload();
+            return res.status(409).json({ error: 'A new round can only start once the test has been approved' });
+        }
+        if (test.current_iteration >= test.testing_iterations) {
+            discardUpload();
+            return res.status(409).json({ error: `All ${test.testing_iterations} rounds of this test have already run` });
+        }
+
+        const previous = test.current_iteration;
+        const next = previous + 1;
+        const build = req.file
+            ? await uploadTestApk(req, req.file)
+            : { apk_file_url: test.apk_file_url, apk_file_path: test.apk_file_path, apk_storage: test.apk_storage };
+
+        // Advance the round number first so two concurrent requests cannot both start it
+        const advanced = await db.query(
+            `UPDATE tests SET current_iteration = $2,
+                    apk_file_url = $4, apk_file_path = $5, apk_storage = $6
+             WHERE id = $1 AND COALESCE(current_iteration, 1) = $3
+             RETURNING id`,
+            [test.id, next, previous, build.apk_file_url, build.apk_file_path, build.apk_storage]
+        );
+        if (advanced.rows.length === 0) {
+            if (req.file) await deleteTestApk(build.apk_file_path, build.apk_storage);
+            return res.status(409).json({ error: 'Another round was started at the same time' });
+        }
+
+        // Close the previous round; its unfinished sessions give their slots back
+        await db.query(
+            `UPDATE test_iterations SET status = 'completed', ended_at = COALESCE(ended_at, NOW())
+             WHERE test_id = $1 AND iteration = $2`,
+            [test.id, previous]
+        );
+        const unfinished = await db.query(
+            'SELECT id FROM test_sessions WHERE test_id = $1 AND state = ANY($2::text[])',
+            [test.id, OPEN_SESSION_STATES]
+        );
+        for (const s of unfinished.rows) {
+            await transitionSession(s.id, 'expire', { closeReason: `Round ${previous} ended` });
+        }
+
+        const iteration = await db.query(
+            `INSERT INTO test_iterations (test_id, iteration, apk_file_url, apk_file_path, apk_storage, build_notes)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [test.id, next, build.apk_file_url, build.apk_file_path, build.apk_storage, req.body.build_notes || null]
+        );
+        console.log(`🔁 Test #${test.id} round ${next}/${test.testing_iterations} started${req.file ? ' with a new build' : ''}`);
+
+        // A test that completed its previous round reopens for the new one
+        if (test.status === 'completed') {
+            await changeTestStatus(test.id, 'active', {
+                by: 'system', actor: lifecycleActor(req).actor, reason: `Round ${next} started`
+            });
+        }
+
+        let invitations = null;
+        if (req.body.reinvite === true || req.body.reinvite === 'true') {
+            invitations = await inviteTestersToRound(req, { ...test, current_iteration: next }, null);
+        }
+
+        res.json({ success: true, iteration: iteration.rows[0], invitations });
+    } catch (err) {
+        discardUpload();
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/tests/:testId/iterations/current/invitations — re-invite testers to the running round
+app.post('/api/tests/:testId/iterations/current/invitations', requireTestAccess('testId', { roles: WORKSPACE_EDITORS }), async (req, res) => {
+    try {
+        const test = await loadCampaign(req.params.testId);
+        if (!test) return res.status(404).json({ error: 'Test not found' });
+        if (test.status !== 'active') {
+            return res.status(409).json({ error: 'Testers can only be invited while the test is active' });
+        }
+
+        const { tester_ids } = req.body;
+        if (tester_ids !== undefined && !Array.isArray(tester_ids)) {
+            return res.status(400).json({ error: 'tester_ids must be an array' });
+        }
+
+        const result = await inviteTestersToRound(req, test, tester_ids);
+        res.json({ success: true, iteration: test.current_iteration, ...result });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// GET /api/tests/:testId/iterations/compare?from=1&to=2 — fixed / persisting / regressed / new issues
+app.get('/api/tests/:testId/iterations/compare', requireTestAccess('testId'), async (req, res) => {
+    try {
+        const test = await loadCampaign(req.params.testId);
+        if (!test) return res.status(404).json({ error: 'Test not found' });
+
+        const to = req.query.to ? parseInt(req.query.to) : test.current_iteration;
+        const from = req.query.from ? parseInt(req.query.from) : to - 1;
+        if (isNaN(from) || isNaN(to) || from < 1 || to > test.current_iteration || from >= to) {
+            return res.status(400).json({ error: `from and to must be rounds with 1 ≤ from < to ≤ ${test.current_iteration}` });
+        }
+
+        // Companies only ever see approved bugs
+        const bugs = await db.query(
+            `SELECT id, bug_title, severity, tester_name, COALESCE(iteration, 1) AS iteration
+             FROM bugs
+             WHERE test_id = $1 AND status = 'approved' AND COALESCE(iteration, 1) <= $2
+             ORDER BY created_at`,
+            [test.id, to]
+        );
+
+        const comparison = compareIterations(bugs.rows, from, to);
+        res.json({
+            success: true,
+            from,
+            to,
+            summary: {
+                fixed: comparison.fixed.length,
+                persisting: comparison.persisting.length,
+                regressed: comparison.regressed.length,
+                new: comparison.new.length
+            },
+            ...comparison
+        });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+
+// ============================================
+// TESTER ENDPOINTS
+// ============================================
+
+/**
+ * Builds the query for the active tests a tester may take: targeting criteria
+ * match (or an admin assigned them), they have not already submitted in the
+ * current round, and a slot is still free. Each row carries the tester's open session, if any, so
+ * the app can resume it, and `remaining_slots` on the quota.
+ */
+function buildAvailableTestsQuery(tester) {
+    let sql = `SELECT tests.*, s.id AS session_id, s.state AS session_state, s.expires_at AS session_expires_at,
+                      GREATEST(COALESCE(tests.tester_quota, 20) - slots.held, 0) AS remaining_slots
+               FROM tests
+               LEFT JOIN test_sessions s
+                 ON s.test_id = tests.id AND s.tester_id = $1
+                AND s.state IN ('assigned', 'accepted', 'in_progress')
+               CROSS JOIN LATERAL (
+                   SELECT COUNT(*)::int AS held FROM test_sessions h
+                   WHERE h.test_id = tests.id AND h.iteration = tests.current_iteration
+                     AND h.state IN ('assigned', 'accepted', 'in_progress', 'submitted')
+               ) slots
+               WHERE tests.status = 'active'`;
+
+    // Hide full tests, unless this tester already holds one of the slots
+    sql += ` AND (s.id IS NOT NULL OR slots.held < COALESCE(tests.tester_quota, 20))`;
+
+    // Exclude tests the tester already submitted in the current round
+    sql += `
+      AND NOT EXISTS (
+          SELECT 1 FROM test_sessions done
+          WHERE done.test_id = tests.id AND done.tester_id = $1
+            AND done.iteration = tests.current_iteration AND done.state = 'submitted'
+      )`;
+
+    // Admin assignments override targeting criteria
+    sql += `
+      AND (
+          s.id IS NOT NULL
+          OR criteria IS NULL 
+          OR (
+              (criteria->>'device_tier' IS NULL OR criteria->>'device_tier' = '' OR criteria->>'device_tier' = $2::text)
+              AND (criteria->>'network_type' IS NULL OR criteria->>'network_type' = '' OR criteria->>'network_type' = $3::text)
+              AND (criteria->>'min_ram_gb' IS NULL OR (criteria->>'min_ram_gb')::numeric <= $4::numeric)
+              AND (criteria->>'max_ram_gb' IS NULL OR (criteria->>'max_ram_gb')::numeric >= $4::numeric)
+              AND (criteria->>'allowed_states' IS NULL OR criteria->>'allowed_states' = '' OR criteria->>'allowed_states' ILIKE $5::text)
+              AND (criteria->>'allowed_cities' IS NULL OR criteria->>'allowed_cities' = '' OR criteria->>'allowed_cities' ILIKE $6::text)
+          )
+      )`;
+
+    const params = [
+        tester.id,
+        tester.device_tier || '',
+        tester.network_type || '',
+        tester.ram_gb || 0,
+        `%${tester.state || ''}%`,
+        `%${tester.city || ''}%`
+    ];
+    return { sql, params };
+}
+
+app.get('/api/available-tests', requireRole('tester', 'admin'), async (req, res) => {
+    try {
+        const { google_id } = req.query;
+        // Testers only ever see their own feed; admins may preview any tester's
+        const tester_id = req.auth.role === 'tester' ? req.auth.sub : req.query.tester_id;
+
+        // Resolve tester from google_id or tester_id
+        let tester = null;
+        if (google_id && req.auth.role === 'admin') {
+            const r = await db.query('SELECT * FROM testers WHERE google_id = $1', [google_id]);
+            tester = r.rows[0] || null;
+        } else if (tester_id) {
+            const r = await db.query('SELECT * FROM testers WHERE id = $1', [tester_id]);
+            tester = r.rows[0] || null;
+        }
+
+        // Block banned testers
+        if (tester?.is_banned) {
+            return res.status(403).json({
+                success: false,
+                banned: true,
+                ban_reason: tester.ban_reason || 'Your account has been suspended.'
+            });
         }
 
         // Base query for active tests only (Status is the single master switch)
         let sql = `SELECT * FROM tests WHERE status = 'active'`;
-        const params = [];
+        let params = [];
 
         if (tester) {
-            // Option D: Target Override via manual assignment
-            // A test is returned if criteria matches OR if tester is manually assigned via `bugs`
-            // Wait, manual assignments are logged in `bugs` with bug_title 'Manual Assignment'
-            // We shouldn't exclude tests if they are just manual assignments.
-
-            // Re-evaluating the exclusion: Exclude tests IF tester has submitted a real bug.
-            // If bug_title = 'Manual Assignment', they haven't submitted a real bug yet.
-            sql += ` AND id NOT IN (
-                SELECT DISTINCT test_id FROM bugs 
-                WHERE tester_id = $${params.length + 1} AND bug_title != 'Manual Assignment'
-            )`;
-
-            sql += `
-              AND (
-                  id IN (SELECT test_id FROM bugs WHERE tester_id = $${params.length + 1} AND bug_title = 'Manual Assignment')
-                  OR criteria IS NULL 
-                  OR (
-                      (criteria->>'device_tier' IS NULL OR criteria->>'device_tier' = '' OR criteria->>'device_tier' = $${params.length + 2}::text)
-                      AND (criteria->>'network_type' IS NULL OR criteria->>'network_type' = '' OR criteria->>'network_type' = $${params.length + 3}::text)
-                      AND (criteria->>'min_ram_gb' IS NULL OR (criteria->>'min_ram_gb')::numeric <= $${params.length + 4}::numeric)
-                      AND (criteria->>'max_ram_gb' IS NULL OR (criteria->>'max_ram_gb')::numeric >= $${params.length + 4}::numeric)
-                      AND (criteria->>'allowed_states' IS NULL OR criteria->>'allowed_states' = '' OR criteria->>'allowed_states' ILIKE $${params.length + 5}::text)
-                      AND (criteria->>'allowed_cities' IS NULL OR criteria->>'allowed_cities' = '' OR criteria->>'allowed_cities' ILIKE $${params.length + 6}::text)
-                  )
-              )`;
-            params.push(
-                tester.id,
-                tester.device_tier || '',
-                tester.network_type || '',
-                tester.ram_gb || 0,
-                `%${tester.state || ''}%`,
-                `%${tester.city || ''}%`
-            );
+            ({ sql, params } = buildAvailableTestsQuery(tester));
         }
 
-        sql += ' ORDER BY created_at DESC';
+        sql += ' ORDER BY tests.created_at DESC';
         const result = await db.query(sql, params);
-        res.json(result.rows);
+        res.json(result.rows.map(row => withMediaLinks(row, mediaUrls.viewerFor(req))));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============================================
+// TEST SESSIONS (tester side)
+// ============================================
+
+// Loads :sessionId and checks it belongs to the calling tester
+async function loadOwnSession(req, res) {
+    const result = await db.query('SELECT * FROM test_sessions WHERE id = $1', [req.params.sessionId]);
+    if (result.rows.length === 0) {
+        res.status(404).json({ error: 'Session not found' });
+        return null;
+    }
+    if (String(result.rows[0].tester_id) !== req.auth.sub) {
+        res.status(403).json({ error: 'Forbidden: not your session' });
+        return null;
+    }
+    return result.rows[0];
+}
+
+// GET /api/testers/:testerId/sessions — the tester's sessions, newest first
+app.get('/api/testers/:testerId/sessions', requireTesterParam(), async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT s.*, t.app_name, t.company_name
+             FROM test_sessions s JOIN tests t ON s.test_id = t.id
+             WHERE s.tester_id = $1
+             ORDER BY s.created_at DESC
+             LIMIT 100`,
+            [req.params.testerId]
+        );
+        res.json({ success: true, sessions: result.rows });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Same rules as the feed: active, targeted at this tester, not already submitted this round, not full
+async function isEligibleForTest(tester, testId) {
+    const { sql, params } = buildAvailableTestsQuery(tester);
+    const eligible = await db.query(`${sql} AND tests.id = $7`, [...params, testId]);
+    return eligible.rows.length > 0;
+}
+
+// POST /api/tests/:testId/sessions/claim — accept an assignment or claim an open slot
+app.post('/api/tests/:testId/sessions/claim', requireRole('tester'), async (req, res) => {
+    try {
+        const { testId } = req.params;
+        const testerId = parseInt(req.auth.sub);
+
+        const testerRes = await db.query('SELECT * FROM testers WHERE id = $1', [testerId]);
+        const tester = testerRes.rows[0];
+        if (!tester) return res.status(404).json({ error: 'Tester not found' });
+        if (tester.is_banned) {
+            return res.status(403).json({
+                success: false,
+                banned: true,
+                ban_reason: tester.ban_reason || 'Your account has been suspended.'
+            });
+        }
+
+        const existing = await findOpenSession(testId, testerId);
+        if (existing) {
+            const session = existing.state === 'assigned'
+                ? await transitionSession(existing.id, 'accept')
+                : existing;
+            return res.json({ success: true, session });
+        }
+
+        if (!(await isEligibleForTest(tester, testId))) {
+            return res.status(409).json({ error: 'This test is not available to you' });
+        }
+
+        // The feed check is only advisory — the reservation itself is taken under a row lock
+        const reserved = await reserveSlot(testId, testerId);
+        if (!reserved.session) {
+            return res.status(409).json({ error: 'All tester slots on this test are taken', reason: reserved.reason });
+        }
+        res.json({ success: true, session: reserved.session });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.post('/api/bugs', upload.fields([
+// POST /api/sessions/:sessionId/start — tester begins recording
+app.post('/api/sessions/:sessionId/start', requireRole('tester'), async (req, res) => {
+    try {
+        const current = await loadOwnSession(req, res);
+        if (!current) return;
+
+        const session = await transitionSession(current.id, 'start');
+        if (!session) return res.status(409).json({ error: `Cannot start a session that is ${current.state}` });
+        res.json({ success: true, session });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// POST /api/sessions/:sessionId/heartbeat — keeps an in-progress session alive
+app.post('/api/sessions/:sessionId/heartbeat', requireRole('tester'), async (req, res) => {
+    try {
+        const current = await loadOwnSession(req, res);
+        if (!current) return;
+
+        const session = await heartbeatSession(current.id);
+        if (!session) return res.status(409).json({ error: `Session is ${current.state}, not in progress` });
+        res.json({ success: true, session: { id: session.id, state: session.state, last_heartbeat_at: session.last_heartbeat_at } });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// POST /api/sessions/:sessionId/abandon — tester gives the slot back
+app.post('/api/sessions/:sessionId/abandon', requireRole('tester'), async (req, res) => {
+    try {
+        const current = await loadOwnSession(req, res);
+        if (!current) return;
+
+        const session = await transitionSession(current.id, 'abandon', { closeReason: 'Abandoned by tester' });
+        if (!session) return res.status(409).json({ error: `Cannot abandon a session that is ${current.state}` });
+        res.json({ success: true, session });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Closes the round once its quota of completed sessions is met, and the test after its last round
+async function checkRoundQuota(testId) {
+    try {
+        const quotaCheck = await db.query(`
+            SELECT COALESCE(t.tester_quota, 20) AS tester_quota,
+                   COALESCE(t.current_iteration, 1) AS iteration,
+                   COALESCE(t.testing_iterations, 1) AS testing_iterations,
+            (SELECT COUNT(*)::int FROM test_sessions s
+             WHERE s.test_id = $1 AND s.state = 'submitted' AND s.iteration = COALESCE(t.current_iteration, 1)) as current_testers
+            FROM tests t WHERE t.id = $1
+        `, [testId]);
+
+        if (quotaCheck.rows.length > 0) {
+            const { tester_quota, iteration, testing_iterations, current_testers } = quotaCheck.rows[0];
+            if (current_testers >= tester_quota) {
+                await db.query(
+                    `UPDATE test_iterations SET status = 'completed', ended_at = COALESCE(ended_at, NOW())
+                     WHERE test_id = $1 AND iteration = $2`,
+                    [testId, iteration]
+                );
+                if (iteration >= testing_iterations) {
+                    await changeTestStatus(testId, 'completed', {
+                        by: 'system', reason: `Tester quota met (${current_testers}/${tester_quota})`
+                    });
+                    console.log(`✅ Auto-completed test #${testId} (Quota met: ${current_testers}/${tester_quota})`);
+                } else {
+                    console.log(`✅ Round ${iteration}/${testing_iterations} of test #${testId} complete (Quota met: ${current_testers}/${tester_quota})`);
+                }
+            }
+        }
+    } catch (quotaErr) {
+        console.error(`⚠️ Failed to check/update test completion quota: ${quotaErr.message}`);
+    }
+}
+
+/**
+ * Completes a tester's session: marks it submitted and then — exactly once per
+ * session, because only one caller can win the transition — credits the tester,
+ * records the earning and checks the round quota.
+ *
+ * @param {object} session - test_sessions row
+ * @param {{ testerName?: string, expiredSince?: Date }} [options] - with `expiredSince`, a session
+ *   the sweeper expired after that moment is still accepted (the slot was held when the request arrived)
+ * @returns {Promise<{ completed: boolean, earned: number, session?: object }>}
+ */
+async function completeSession(session, options = {}) {
+    let submitted = await transitionSession(session.id, 'submit');
+    if (!submitted && options.expiredSince) {
+        const revived = await db.query(
+            `UPDATE test_sessions SET state = 'submitted', submitted_at = NOW(), closed_at = NULL, close_reason = NULL
+             WHERE id = $1 AND state = 'expired' AND closed_at >= $2
+             RETURNING *`,
+            [session.id, options.expiredSince]
+        );
+        submitted = revived.rows[0] || null;
+    }
+    if (!submitted) return { completed: false, earned: 0 };
+
+    const testPriceRes = await db.query('SELECT price_paid FROM tests WHERE id = $1', [submitted.test_id]);
+    const actualPrice = parseFloat(testPriceRes.rows[0]?.price_paid || 0);
+
+    await db.query('UPDATE test_sessions SET earned_amount = $2 WHERE id = $1', [submitted.id, actualPrice]);
+
+    const tester = await db.query(
+        `UPDATE testers
+         SET total_tests = total_tests + 1,
+             total_earnings = total_earnings + $2,
+             last_active = NOW()
+         WHERE id = $1
+         RETURNING full_name`,
+        [submitted.tester_id, actualPrice]
+    );
+
+    // Create earnings
+    await db.query(
+        'INSERT INTO earnings (tester_name, test_id) VALUES ($1, $2)',
+        [options.testerName || tester.rows[0]?.full_name || `Tester #${submitted.tester_id}`, submitted.test_id]
+    );
+
+    console.log(`✅ Session #${submitted.id} completed — tester #${submitted.tester_id} earned ₹${actualPrice}`);
+
+    await checkRoundQuota(submitted.test_id);
+    return { completed: true, earned: actualPrice, session: submitted };
+}
+
+// POST /api/sessions/:sessionId/complete — tester finishes a session after reporting its bugs / step results
+app.post('/api/sessions/:sessionId/complete', requireRole('tester'), async (req, res) => {
+    try {
+        const current = await loadOwnSession(req, res);
+        if (!current) return;
+        if (!OPEN_SESSION_STATES.includes(current.state)) {
+            return res.status(409).json({ error: `Session is already ${current.state}` });
+        }
+
+        const reported = await db.query(
+            `SELECT (SELECT COUNT(*)::int FROM bugs WHERE session_id = $1) AS bugs,
+                    (SELECT COUNT(*)::int FROM test_step_results WHERE session_id = $1) AS steps`,
+            [current.id]
+        );
+        const { bugs, steps } = reported.rows[0];
+        if (bugs === 0 && steps === 0) {
+            return res.status(409).json({ error: 'Report at least one bug or step result before completing the session' });
+        }
+
+        const completion = await completeSession(current);
+        if (!completion.completed) {
+            return res.status(409).json({ error: 'Session was closed before it could be completed' });
+        }
+        res.json({ success: true, session: completion.session, earned: completion.earned, bug_count: bugs, step_results: steps });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============================================
+// TEST PLANS (structured steps & per-step results)
+// ============================================
+
+// GET /api/tests/:testId/plan — the ordered steps (testers see them for active tests)
+app.get('/api/tests/:testId/plan', requireTestAccess('testId', { allowTesters: true }), async (req, res) => {
+    try {
+        const steps = await getTestPlan(req.params.testId);
+        res.json({ success: true, steps });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// PUT /api/tests/:testId/plan — replace the plan; locked once the test is approved, like other test fields
+app.put('/api/tests/:testId/plan', requireTestAccess('testId', { roles: WORKSPACE_EDITORS }), async (req, res) => {
+    try {
+        const test = await db.query('SELECT status FROM tests WHERE id = $1', [req.params.testId]);
+        if (test.rows.length === 0) return res.status(404).json({ error: 'Test not found' });
+        if (!DRAFT_EDITABLE_STATUSES.includes(test.rows[0].status)) {
+            return res.status(409).json({ error: `This test is ${test.rows[0].status}; its plan can no longer be changed` });
+        }
+
+        const plan = normalizePlan(req.body.steps);
+        if (plan.error) return res.status(400).json({ error: plan.error });
+
+        const steps = await replaceTestPlan(req.params.testId, plan.steps);
+        console.log(`📋 Test plan for test #${req.params.testId} saved (${steps.length} steps)`);
+        res.json({ success: true, steps });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// GET /api/tests/:testId/plan/summary?iteration=N — pass / fail / blocked per step and overall pass rate
+app.get('/api/tests/:testId/plan/summary', requireTestAccess('testId'), async (req, res) => {
+    try {
+        const iteration = req.query.iteration ? parseInt(req.query.iteration) : null;
+        if (req.query.iteration && isNaN(iteration)) return res.status(400).json({ error: 'iteration must be a number' });
+
+        const summary = await summarizeTestPlan(req.params.testId, iteration);
+        res.json({ success: true, ...summary });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// A step's screenshot link: the stored public URL, or a signed proxy link for private storage
+function stepScreenshotUrl(sessionId, stepId, result, viewer) {
+    if (!result.screenshot_path) return null;
+    return result.screenshot_url || mediaUrls.signMediaUrl(`/api/sessions/${sessionId}/steps/${stepId}/screenshot`, viewer);
+}
+
+// GET /api/sessions/:sessionId/steps — the plan with this session's result for each step
+app.get('/api/sessions/:sessionId/steps', requireRole('tester'), async (req, res) => {
+    try {
+        const session = await loadOwnSession(req, res);
+        if (!session) return;
+
+        const result = await db.query(
+            `SELECT p.id, p.position, p.title, p.instructions, p.expected_result, p.requires_screenshot,
+                    r.status, r.notes, r.screenshot_url, r.screenshot_path, r.started_at, r.completed_at
+             FROM test_plan_steps p
+             LEFT JOIN test_step_results r ON r.step_id = p.id AND r.session_id = $2
+             WHERE p.test_id = $1
+             ORDER BY p.position`,
+            [session.test_id, session.id]
+        );
+        const viewer = mediaUrls.viewerFor(req);
+        res.json({
+            success: true,
+            steps: result.rows.map(({ screenshot_path, ...step }) => ({
+                ...step,
+                screenshot_url: stepScreenshotUrl(session.id, step.id, { screenshot_path, screenshot_url: step.screenshot_url }, viewer)
+            }))
+        });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// GET /api/sessions/:sessionId/steps/:stepId/screenshot — the tester's own screenshot (or a signed link to it)
+app.get('/api/sessions/:sessionId/steps/:stepId/screenshot', requireRole('tester', 'media'), async (req, res) => {
+    try {
+        // A media link was minted for this exact path; a tester must own the session
+        if (req.auth.role === 'tester' && !(await loadOwnSession(req, res))) return;
+
+        const result = await db.query(
+            'SELECT screenshot_path, screenshot_storage FROM test_step_results WHERE session_id = $1 AND step_id = $2',
+            [req.params.sessionId, req.params.stepId]
+        );
+        const shot = result.rows[0];
+        if (!shot?.screenshot_path) return res.status(404).json({ error: 'No screenshot for this step' });
+
+        await streamObject(req, res, shot.screenshot_storage, 'screenshots', shot.screenshot_path,
+            storageDrivers.contentTypeFor(shot.screenshot_path));
+    } catch (err) {
+        console.error('Step screenshot error:', err.message);
+        res.status(500).json({ error: 'Failed to load screenshot' });
+    }
+});
+
+// PUT /api/sessions/:sessionId/steps/:stepId — tester records pass / fail / blocked for a step
+app.put('/api/sessions/:sessionId/steps/:stepId', requireRole('tester'), upload.single('screenshot'), async (req, res) => {
+    const discardUpload = () => {
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    };
+    try {
+        const session = await loadOwnSession(req, res);
+        if (!session) { discardUpload(); return; }
+        if (session.state !== 'in_progress') {
+            discardUpload();
+            return res.status(409).json({ error: `Step results can only be recorded while the session is in progress (it is ${session.state})` });
+        }
+
+        const step = await db.query('SELECT * FROM test_plan_steps WHERE id = $1 AND test_id = $2', [req.params.stepId, session.test_id]);
+        if (step.rows.length === 0) { discardUpload(); return res.status(404).json({ error: 'Step not found in this test plan' }); }
+
+        const { status, notes, started_at, completed_at } = req.body;
+        if (!STEP_RESULT_STATUSES.includes(status)) {
+            discardUpload();
+            return res.status(400).json({ error: `status must be one of: ${STEP_RESULT_STATUSES.join(', ')}` });
+        }
+
+        const previous = await db.query(
+            'SELECT screenshot_path, screenshot_storage FROM test_step_results WHERE session_id = $1 AND step_id = $2',
+            [session.id, step.rows[0].id]
+        );
+        const hasScreenshot = Boolean(req.file || previous.rows[0]?.screenshot_path);
+        // A blocked step may not have reached the screen the company asked for
+        if (step.rows[0].requires_screenshot && status !== 'blocked' && !hasScreenshot) {
+            return res.status(400).json({ error: 'This step requires a screenshot' });
+        }
+
+        let screenshot = {};
+        if (req.file) {
+            const driver = storageDrivers.activeDriver();
+            const key = driver.newKey('screenshots', req.file.originalname, '.jpg');
+            await driver.put('screenshots', key, req.file.path);
+            screenshot = { screenshot_url: driver.publicUrl('screenshots', key), screenshot_path: key, screenshot_storage: driver.name };
+            fs.unlinkSync(req.file.path);
+        }
+
+        const result = await recordStepResult(session, step.rows[0], { status, notes, started_at, completed_at, ...screenshot });
+
+        // A replaced screenshot is no longer referenced anywhere
+        const old = previous.rows[0];
+        if (screenshot.screenshot_path && old?.screenshot_path) {
+            storageDrivers.deleteStored('screenshots', [{ storage: old.screenshot_storage, key: old.screenshot_path }])
+                .catch(e => console.warn('⚠️ Old step screenshot cleanup failed:', e.message));
+        }
+
+        res.json({
+            success: true,
+            result: { ...result, screenshot_url: stepScreenshotUrl(session.id, result.step_id, result, mediaUrls.viewerFor(req)) }
+        });
+    } catch (err) {
+        discardUpload();
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Upload ids arrive as a JSON array, or comma-separated in multipart form data
+function parseUploadIds(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(String).filter(Boolean);
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed.map(String).filter(Boolean);
+    } catch (e) { }
+    return String(value).split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// AI analysis runs from the durable job queue, so a restart mid-analysis retries it
+// instead of losing it. bugs.analysis_status mirrors the job: queued → running → done | failed.
+const ANALYSIS_JOB = 'bug-analysis';
+const ANALYSIS_CONCURRENCY = parseInt(process.env.ANALYSIS_CONCURRENCY) || 1;
+const ANALYSIS_MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 3;
+
+function analysisJobKey(bugId) {
+    return `analysis:${bugId}`;
+}
+
+/**
+ * Queues Gemini analysis of a bug's recording (no-op without an AI key). A bug
+ * already queued or being analyzed keeps its pending job.
+ * @returns {Promise<object|null>} the pending job
+ */
+async function queueAnalysis(bugId) {
+    if (!llm.isConfigured()) return null;
+    const { job, created } = await jobQueue.enqueue(ANALYSIS_JOB, { bug_id: Number(bugId) }, { key: analysisJobKey(bugId) });
+    await db.query('UPDATE bugs SET analysis_status = $2, analysis_error = NULL WHERE id = $1', [bugId, job.state]);
+    if (created) console.log(`🤖 Analysis queued for bug #${bugId} (job #${job.id})`);
+    return job;
+}
+
+jobQueue.register(ANALYSIS_JOB, async (job) => {
+    const bugId = job.payload.bug_id;
+    const result = await db.query('SELECT id, recording_url, device_stats, bug_description FROM bugs WHERE id = $1', [bugId]);
+    const bug = result.rows[0];
+    if (!bug) return; // Deleted while queued
+    if (!bug.recording_url) throw new jobQueue.JobError('Bug has no recording', { retry: false });
+    if (!llm.isConfigured()) throw new jobQueue.JobError('No LLM provider is configured', { retry: false });
+
+    await db.query(`UPDATE bugs SET analysis_status = 'running' WHERE id = $1`, [bugId]);
+    // Resolve relative proxy URLs to absolute URL
+    const backendBase = process.env.BACKEND_URL || 'https://bharatqa-backend.onrender.com';
+    const fullVideoUrl = bug.recording_url.startsWith('http')
+        ? bug.recording_url
+        : `${backendBase}${bug.recording_url}`;
+    const stats = bug.device_stats;
+    const outcome = await analyzeBugReport(bug.id, fullVideoUrl,
+        stats == null || typeof stats === 'string' ? stats : JSON.stringify(stats), bug.bug_description, API_KEY);
+    if (!outcome.success) throw new Error(outcome.error || 'Analysis failed');
+
+    await db.query(`UPDATE bugs SET analysis_status = 'done', analysis_error = NULL WHERE id = $1`, [bugId]);
+
+    // The analysis is stored either way; a triage failure leaves the bug for manual review
+    try {
+        await bugTriage.triageBug(bugId);
+    } catch (triageErr) {
+        console.error(`⚠️ Triage failed for bug #${bugId}: ${triageErr.message}`);
+    }
+}, {
+    concurrency: ANALYSIS_CONCURRENCY,
+    maxAttempts: ANALYSIS_MAX_ATTEMPTS,
+    leaseSeconds: 15 * 60, // Renewed while running; long enough to ride out a slow Gemini call
+    backoffSeconds: 2 * 60,
+    onFailure: (job, err, retrying) => db.query(
+        'UPDATE bugs SET analysis_status = $2, analysis_error = $3 WHERE id = $1',
+        [job.payload.bug_id, retrying ? 'queued' : 'failed', err.message]
+    )
+});
+
+// Works through queued recordings in the background (no-op if a run is already going)
+function startTranscoding() {
+    if (process.env.DISABLE_TRANSCODING === 'true') return;
+    videoTranscoder.processPendingTranscodes()
+        .catch(e => console.error('❌ Transcode run failed:', e.message));
+}
+
+app.post('/api/bugs', requireRole('tester'), upload.fields([
     { name: 'recording', maxCount: 1 },
-    { name: 'screenshots', maxCount: 5 }
+    { name: 'screenshots', maxCount: bugAttachments.MAX_ATTACHMENTS_PER_BUG }
 ]), async (req, res) => {
+    const requestStartedAt = new Date();
+    const discardUploads = () => Object.values(req.files || {}).flat().forEach(f => {
+        if (fs.existsSync(f.path)) fs.unlinkSync(f.path);
+    });
+    // Direct/resumable uploads this report has claimed (released again if it fails)
+    let claimedUploadIds = [];
     try {
         const { test_id, tester_name, bug_title, bug_description, severity,
-            device_info, test_duration, device_stats, tester_google_id } = req.body;
+            device_info, test_duration, device_stats, session_id, upload_id } = req.body;
+        const screenshotUploadIds = parseUploadIds(req.body.screenshot_upload_ids);
 
         if (!test_id || !tester_name || !bug_title) {
+            discardUploads();
             return res.status(400).json({ error: 'test_id, tester_name, bug_title required' });
         }
+        if (upload_id && req.files?.['recording']) {
+            discardUploads();
+            return res.status(400).json({ error: 'Send either a recording file or an upload_id, not both' });
+        }
+        if (screenshotUploadIds.length + (req.files?.['screenshots']?.length || 0) > bugAttachments.MAX_ATTACHMENTS_PER_BUG) {
+            discardUploads();
+            return res.status(400).json({ error: `A bug report can have at most ${bugAttachments.MAX_ATTACHMENTS_PER_BUG} screenshots` });
+        }
+
+        const validSev = ['low', 'medium', 'high', 'critical'];
+        const finalSev = validSev.includes(severity) ? severity : 'low';
+
+        // Where the bug shows up in the session recording (seconds from its start)
+        const parseClip = v => (v === undefined || v === null || v === '' ? null : parseFloat(v));
+        const clipStart = parseClip(req.body.clip_start_seconds);
+        const clipEnd = parseClip(req.body.clip_end_seconds);
+        if ((clipStart !== null && (isNaN(clipStart) || clipStart < 0)) ||
+            (clipEnd !== null && (isNaN(clipEnd) || clipEnd < (clipStart || 0)))) {
+            discardUploads();
+            return res.status(400).json({ error: 'clip_start_seconds / clip_end_seconds must be a valid time range' });
+        }
+
+        // The submitting tester is the session subject, never a client-supplied id
+        const testerId = parseInt(req.auth.sub);
+
+        // Apps that report several bugs pass their session_id and complete the session
+        // separately; older builds send a single report that also completes the session.
+        const completeNow = !session_id || req.body.complete_session === true || req.body.complete_session === 'true';
+
+        // A submission needs a slot: use the tester's reservation, or take one now for
+        // app builds that do not claim first. Checked before anything is uploaded.
+        let session = await findOpenSession(test_id, testerId);
+        if (session_id && (!session || String(session.id) !== String(session_id))) {
+            discardUploads();
+            return res.status(409).json({ error: 'This session is no longer open for bug reports' });
+        }
+        if (!session) {
+            // Taking a slot here must pass the same checks as claiming one
+            const testerRes = await db.query('SELECT * FROM testers WHERE id = $1', [testerId]);
+            const tester = testerRes.rows[0];
+            if (!tester) {
+                discardUploads();
+                return res.status(404).json({ error: 'Tester not found' });
+            }
+            if (tester.is_banned) {
+                discardUploads();
+                return res.status(403).json({
+                    success: false,
+                    banned: true,
+                    ban_reason: tester.ban_reason || 'Your account has been suspended.'
+                });
+            }
+            if (!(await isEligibleForTest(tester, test_id))) {
+                discardUploads();
+                return res.status(409).json({ error: 'This test is not available to you' });
+            }
 
-        const validSev = ['low', 'medium', 'high', 'critical'];
-        const finalSev = validSev.includes(severity) ? severity : 'low';
+            const reserved = await reserveSlot(test_id, testerId);
+            if (!reserved.session) {
+                discardUploads();
+                return res.status(409).json({
+                    error: reserved.reason === 'full'
+                        ? 'All tester slots on this test are taken'
+                        : 'This test is not accepting submissions',
+                    reason: reserved.reason
+                });
+            }
+            session = reserved.session;
+        }
 
         // Upload recording
-        // Upload recording
-        let recording_url = null, recording_path = null, recording_storage = 'supabase';
+        let recording_url = null, recording_path = null, recording_storage = null;
+
+        // A recording sent through the resumable upload API is already in storage
+        if (upload_id) {
+            const claimed = await resumableUploads.claimUploads([upload_id], testerId, 'recording');
+            if (!claimed) {
+                discardUploads();
+                return res.status(409).json({ error: 'upload_id is not a completed, unattached recording upload of yours' });
+            }
+            claimedUploadIds.push(upload_id);
+            const stored = resumableUploads.storedObject(claimed[0]);
+            recording_path = stored.path;
+            recording_url = stored.url;
+            recording_storage = stored.storage;
+        }
+        let uploadedScreenshots = [];
+        if (screenshotUploadIds.length > 0) {
+            const claimed = await resumableUploads.claimUploads(screenshotUploadIds, testerId, 'screenshot');
+            if (!claimed) {
+                await resumableUploads.releaseUploads(claimedUploadIds);
+                discardUploads();
+                return res.status(409).json({ error: 'screenshot_upload_ids must be completed, unattached screenshot uploads of yours' });
+            }
+            claimedUploadIds.push(...screenshotUploadIds);
+            uploadedScreenshots = claimed.map(u => bugAttachments.fromUpload(u));
+        }
 
         if (req.files?.['recording']) {
             const file = req.files['recording'][0];
-
-            if (b2Storage) {
-                // ★ Upload to Backblaze B2 private bucket (10GB free)
-                const result = await b2Storage.uploadVideo(file.path, file.originalname);
-                recording_path = result.path;
-                recording_storage = 'b2';
-                // URL points to our proxy endpoint
-                recording_url = `/api/videos/${null}`; // Will update after insert
-                console.log(`📹 Video → B2: ${(file.size / 1024 / 1024).toFixed(1)} MB`);
-            } else {
-                // Fallback to Supabase
-                const result = await storage.uploadFile(file.path, 'recordings', file.originalname);
-                recording_url = result.url;
-                recording_path = result.path;
-                recording_storage = 'supabase';
-            }
+            const driver = storageDrivers.activeDriver();
+            recording_path = driver.newKey('recordings', file.originalname, '.mp4');
+            await driver.put('recordings', recording_path, file.path, { contentType: 'video/mp4' });
+            recording_storage = driver.name;
+            // Private storage is served by the video proxy (URL set once the bug has an id)
+            recording_url = driver.publicUrl('recordings', recording_path);
+            console.log(`📹 Video → ${driver.name}: ${(file.size / 1024 / 1024).toFixed(1)} MB`);
 
             fs.unlinkSync(file.path);
         }
 
-        // Upload screenshots
-        let screenshots = null, screenshot_paths = null;
-        if (req.files?.['screenshots']) {
-            const urls = [], paths = [];
-            for (const file of req.files['screenshots']) {
-                const result = await storage.uploadFile(file.path, 'screenshots', file.originalname);
-                urls.push(result.url);
-                paths.push(result.path);
-                fs.unlinkSync(file.path);
-            }
-            screenshots = urls.join(',');
-            screenshot_paths = paths.join(',');
+        // Upload screenshots to the active backend; they become bug_attachments rows once the bug exists
+        const screenshots = [...uploadedScreenshots];
+        for (const file of req.files?.['screenshots'] || []) {
+            screenshots.push(await bugAttachments.storeScreenshotFile(file));
+            fs.unlinkSync(file.path);
         }
 
         // Parse device stats
         let statsJson = null;
         try { statsJson = device_stats ? JSON.parse(device_stats) : null; } catch (e) { }
 
-        let testerId = null;
-        if (tester_google_id) {
-            const tr = await db.query('SELECT id FROM testers WHERE google_id = $1', [tester_google_id]);
-            testerId = tr.rows[0]?.id || null;
-        }
-
-        // Clean up any 'Manual Assignment' placeholder lock for this tester & test
-        if (testerId) {
-            await db.query(`DELETE FROM bugs WHERE test_id = $1 AND tester_id = $2 AND bug_title = 'Manual Assignment'`, [test_id, testerId]);
-        }
-
         const query = `INSERT INTO bugs(
     test_id, tester_name, bug_title, bug_description, severity,
     device_info, recording_url, recording_path, recording_storage,
-    screenshots, screenshot_paths, test_duration, device_stats, tester_id
-) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING id`;
+    test_duration, device_stats, tester_id, iteration,
+    session_id, clip_start_seconds, clip_end_seconds, transcode_status
+) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING id`;
 
         const result = await db.query(query, [
             test_id, tester_name, bug_title, bug_description, finalSev,
             device_info, recording_url, recording_path, recording_storage,
-            screenshots, screenshot_paths,
-            test_duration || 0, JSON.stringify(statsJson), testerId
+            test_duration || 0, JSON.stringify(statsJson), testerId, session.iteration || 1,
+            session.id, clipStart, clipEnd, recording_path ? 'pending' : null
         ]);
 
         const bugId = result.rows[0].id;
+        if (screenshots.length > 0) await bugAttachments.saveAttachments(bugId, screenshots);
+        if (claimedUploadIds.length > 0) await resumableUploads.attachUploadsToBug(claimedUploadIds, bugId);
+
+        // The session's first report stays its reference bug
+        await db.query('UPDATE test_sessions SET bug_id = COALESCE(bug_id, $2) WHERE id = $1', [session.id, bugId]);
 
-        // Update recording URL to point to proxy (for B2 videos)
-        if (recording_storage === 'b2') {
+        // Update recording URL to point to proxy (for privately stored videos)
+        if (recording_path && !recording_url) {
             const proxyUrl = `/api/videos/${bugId}`;
             await db.query(
                 'UPDATE bugs SET recording_url = $1 WHERE id = $2',
@@ -1658,104 +4019,57 @@ app.post('/api/bugs', upload.fields([
             recording_url = proxyUrl;
         }
 
-        // Create earnings
-        await db.query('INSERT INTO earnings (tester_name, test_id) VALUES ($1, $2)', [tester_name, test_id]);
-
-        // ✅ Update tester stats BEFORE sending response
-        if (tester_google_id) {
+        // Pay and count the session once, when it completes — not per bug report
+        let completion = { completed: false, earned: 0 };
+        if (completeNow) {
             try {
-                // Fetch actual price for this test
-                const testPriceRes = await db.query('SELECT price_paid FROM tests WHERE id = $1', [test_id]);
-                const actualPrice = parseFloat(testPriceRes.rows[0]?.price_paid || 0);
-
-                await db.query(`
-                    UPDATE testers 
-                    SET total_tests = total_tests + 1,
-                        total_earnings = total_earnings + $2,
-                        last_active = NOW()
-                    WHERE google_id = $1
-                `, [tester_google_id, actualPrice]);
-
-                console.log(`✅ Updated stats for tester: ${tester_google_id} (Earned: ₹${actualPrice})`);
-
-                // ✅ Send response AFTER all DB operations
-                res.json({ id: bugId, message: 'Bug report submitted!', earned: actualPrice });
-            } catch (statsErr) {
-                console.error(`⚠️ Failed to update tester stats: ${statsErr.message}`);
-                res.json({ id: bugId, message: 'Bug report submitted!', earned: 0 });
+                completion = await completeSession(session, { testerName: tester_name, expiredSince: requestStartedAt });
+            } catch (completeErr) {
+                console.error(`⚠️ Failed to complete session #${session.id}: ${completeErr.message}`);
             }
-        } else {
-            res.json({ id: bugId, message: 'Bug report submitted!', earned: 0 });
         }
 
-        // ✅ Check if Test Quota is met to auto-complete
-        try {
-            const quotaCheck = await db.query(`
-                SELECT t.tester_quota,
-                (SELECT COUNT(DISTINCT tester_id) FROM bugs WHERE test_id = $1 AND tester_id IS NOT NULL) as current_testers
-                FROM tests t WHERE t.id = $1
-            `, [test_id]);
-
-            if (quotaCheck.rows.length > 0) {
-                const { tester_quota, current_testers } = quotaCheck.rows[0];
-                if (current_testers >= tester_quota) {
-                    await db.query('UPDATE tests SET status = $1 WHERE id = $2', ['completed', test_id]);
-                    console.log(`✅ Auto-completed test #${test_id} (Quota met: ${current_testers}/${tester_quota})`);
-                }
+        // Queue AI analysis; the report is saved either way
+        let analysisJob = null;
+        if (recording_url) {
+            try {
+                analysisJob = await queueAnalysis(bugId);
+            } catch (queueErr) {
+                console.error(`⚠️ Failed to queue analysis for bug #${bugId}: ${queueErr.message}`);
             }
-        } catch (quotaErr) {
-            console.error(`⚠️ Failed to check/update test completion quota: ${quotaErr.message}`);
         }
 
-        // Auto AI analysis (fire-and-forget AFTER response)
-        if (recording_url && process.env.GEMINI_API_KEY) {
-            // Resolve relative B2 proxy URLs to absolute URL
-            const backendBase = process.env.BACKEND_URL || 'https://bharatqa-backend.onrender.com';
-            const fullVideoUrl = recording_url.startsWith('http')
-                ? recording_url
-                : `${backendBase}${recording_url}`;
-            console.log(`🤖 Auto-analysis starting for bug #${bugId}... (${fullVideoUrl})`);
-            analyzeBugReport(bugId, fullVideoUrl, device_stats, bug_description, API_KEY)
-                .then(r => console.log(r.success ? `✅ Bug #${bugId} analyzed` : `⚠️ Analysis failed: ${r.error}`))
-                .catch(e => console.error('Analysis error:', e.message));
-        }
+        // ✅ Send response AFTER all DB operations
+        res.json({
+            id: bugId,
+            session_id: session.id,
+            session_completed: completion.completed,
+            analysis_status: analysisJob ? analysisJob.state : null,
+            message: 'Bug report submitted!',
+            earned: completion.earned
+        });
+
+        // Renditions (fire-and-forget AFTER response)
+        if (recording_path) startTranscoding();
 
     } catch (err) {
-        if (req.files) Object.values(req.files).flat().forEach(f => {
-            if (fs.existsSync(f.path)) fs.unlinkSync(f.path);
-        });
+        discardUploads();
+        if (claimedUploadIds.length > 0) {
+            resumableUploads.releaseUploads(claimedUploadIds).catch(() => { });
+        }
         res.status(500).json({ error: err.message });
     }
 });
-app.delete('/api/bugs/:id', async (req, res) => {
+app.delete('/api/bugs/:id', requireBugAccess('id', { roles: WORKSPACE_EDITORS }), async (req, res) => {
     try {
         const bugId = req.params.id;
-        const bug = await db.query(
-            'SELECT recording_path, recording_storage, screenshot_paths FROM bugs WHERE id = $1',
-            [bugId]
-        );
-
+        const bug = await db.query('SELECT id FROM bugs WHERE id = $1', [bugId]);
         if (bug.rows.length === 0) {
             return res.status(404).json({ error: 'Bug not found' });
         }
 
-        // Delete recording from correct storage
-        if (bug.rows[0]?.recording_path) {
-            try {
-                if (bug.rows[0].recording_storage === 'b2' && b2Storage) {
-                    await b2Storage.deleteVideo(bug.rows[0].recording_path);
-                } else {
-                    await storage.deleteFile('recordings', bug.rows[0].recording_path);
-                }
-            } catch (e) { console.warn('⚠️ Recording cleanup failed:', e.message); }
-        }
-
-        if (bug.rows[0]?.screenshot_paths) {
-            try {
-                const paths = bug.rows[0].screenshot_paths.split(',').map(p => p.trim());
-                await storage.deleteFiles('screenshots', paths);
-            } catch (e) { console.warn('⚠️ Screenshot cleanup failed:', e.message); }
-        }
+        // Recording, renditions and screenshots, from whichever storage holds them
+        await deleteBugMedia([bug.rows[0].id]);
 
         await db.query('DELETE FROM bugs WHERE id = $1', [bugId]);
         console.log(`🗑️ Bug #${bugId} deleted`);
@@ -1769,42 +4083,48 @@ app.delete('/api/bugs/:id', async (req, res) => {
 // AI ANALYSIS
 // ============================================
 
-app.post('/api/bugs/:id/analyze', async (req, res) => {
+app.post('/api/bugs/:id/analyze', requireBugAccess('id', { roles: WORKSPACE_EDITORS }), async (req, res) => {
     try {
-        if (!process.env.GEMINI_API_KEY) return res.status(400).json({ error: 'No AI key' });
+        if (!llm.isConfigured()) return res.status(400).json({ error: 'No LLM provider is configured' });
 
-        const bug = await db.query('SELECT * FROM bugs WHERE id = $1', [req.params.id]);
+        const bug = await db.query('SELECT id, recording_url, ai_analysis, ai_report FROM bugs WHERE id = $1', [req.params.id]);
         if (bug.rows.length === 0) return res.status(404).json({ error: 'Not found' });
         if (!bug.rows[0].recording_url) return res.status(400).json({ error: 'No video' });
-        if (bug.rows[0].ai_analysis) return res.json({ success: true, analysis: bug.rows[0].ai_analysis, cached: true });
-
-        res.json({ success: true, message: 'Analysis started. Refresh in 30-60s.' });
-
-        const b = bug.rows[0];
-        // Resolve relative B2 proxy URLs to absolute URL
-        const backendBase = process.env.BACKEND_URL || 'https://bharatqa-backend.onrender.com';
-        const fullVideoUrl = b.recording_url.startsWith('http')
-            ? b.recording_url
-            : `${backendBase}${b.recording_url}`;
-        analyzeBugReport(b.id, fullVideoUrl, JSON.stringify(b.device_stats), b.bug_description, API_KEY)
-            .catch(e => console.error('Analysis error:', e.message));
+        if (bug.rows[0].ai_analysis) {
+            return res.json({ success: true, analysis: bug.rows[0].ai_analysis, report: bug.rows[0].ai_report, cached: true });
+        }
 
+        const job = await queueAnalysis(bug.rows[0].id);
+        res.status(202).json({
+            success: true,
+            analysis_status: job.state,
+            job_id: job.id,
+            message: 'Analysis queued. Poll GET /api/bugs/:id/analysis for analysis_status.'
+        });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.get('/api/bugs/:id/analysis', async (req, res) => {
+// The analysis once done; until then where its job stands (attempts, next retry, last error)
+app.get('/api/bugs/:id/analysis', requireBugAccess('id'), async (req, res) => {
     try {
-        const result = await db.query('SELECT ai_analysis FROM bugs WHERE id = $1', [req.params.id]);
+        const result = await db.query('SELECT ai_analysis, ai_report, analysis_status, analysis_error FROM bugs WHERE id = $1', [req.params.id]);
         if (result.rows.length === 0) return res.status(404).json({ error: 'Not found' });
-        if (result.rows[0].ai_analysis) res.json({ success: true, analysis: result.rows[0].ai_analysis });
-        else res.json({ success: false, message: 'Not analyzed yet' });
-    } catch (err) { res.status(500).json({ error: err.message }); }
-});
+        const bug = result.rows[0];
+        if (bug.ai_analysis) {
+            // report is null for bugs analyzed before reports were structured
+            return res.json({ success: true, analysis_status: 'done', analysis: bug.ai_analysis, report: bug.ai_report });
+        }
 
-app.get('/api/bugs/:id/frames', async (req, res) => {
-    try {
-        const result = await db.query('SELECT * FROM ai_frames WHERE bug_id = $1 ORDER BY frame_number', [req.params.id]);
-        res.json(result.rows);
+        const job = await jobQueue.findByKey(analysisJobKey(req.params.id));
+        res.json({
+            success: false,
+            analysis_status: bug.analysis_status,
+            analysis_error: bug.analysis_error,
+            attempts: job ? job.attempts : 0,
+            max_attempts: job ? job.max_attempts : null,
+            next_attempt_at: job && job.state === 'queued' ? job.run_at : null,
+            message: bug.analysis_status ? `Analysis ${bug.analysis_status}` : 'Not analyzed yet'
+        });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
@@ -1812,8 +4132,15 @@ app.get('/api/bugs/:id/frames', async (req, res) => {
 // EARNINGS
 // ============================================
 
-app.get('/api/earnings/:tester_name', async (req, res) => {
+app.get('/api/earnings/:tester_name', requireRole('tester', 'admin'), async (req, res) => {
     try {
+        if (req.auth.role === 'tester') {
+            const self = await db.query('SELECT full_name FROM testers WHERE id = $1', [req.auth.sub]);
+            if (self.rows[0]?.full_name !== req.params.tester_name) {
+                return res.status(403).json({ error: 'Forbidden: not your earnings' });
+            }
+        }
+
         const result = await db.query(
             `SELECT e.*, t.app_name, t.company_name FROM earnings e 
              LEFT JOIN tests t ON e.test_id = t.id 
@@ -1827,16 +4154,23 @@ app.get('/api/earnings/:tester_name', async (req, res) => {
 });
 
 // GET /api/testers/:testerId/activities — detailed submission history
-app.get('/api/testers/:testerId/activities', async (req, res) => {
+app.get('/api/testers/:testerId/activities', requireTesterParam(), async (req, res) => {
     try {
+        // One activity per completed session (the unit the tester is paid for), however many bugs it reported;
+        // bug_id is the session's report (null for sessions without one)
         const result = await db.query(
             `SELECT 
-                b.id, b.test_id, b.status, b.created_at,
-                t.app_name, t.company_name, t.instructions, t.price_paid as amount
-             FROM bugs b
-             JOIN tests t ON b.test_id = t.id
-             WHERE b.tester_id = $1 AND b.bug_title != 'Manual Assignment'
-             ORDER BY b.created_at DESC`,
+                s.id AS session_id, s.bug_id, s.test_id, s.iteration,
+                COALESCE(rb.status, 'pending') AS status,
+                COALESCE(s.submitted_at, s.created_at) AS created_at,
+                t.app_name, t.company_name, t.instructions,
+                COALESCE(s.earned_amount, t.price_paid) as amount,
+                (SELECT COUNT(*)::int FROM bugs b WHERE b.session_id = s.id) AS bug_count
+             FROM test_sessions s
+             JOIN tests t ON s.test_id = t.id
+             LEFT JOIN bugs rb ON rb.id = s.bug_id
+             WHERE s.tester_id = $1 AND s.state = 'submitted'
+             ORDER BY created_at DESC`,
             [req.params.testerId]
         );
         res.json(result.rows);
@@ -1853,11 +4187,16 @@ app.get('/api/admin/stats', async (req, res) => {
     try {
         const result = await db.query('SELECT * FROM admin_overview');
         const stats = result.rows[0] || {};
-        stats.ai_enabled = !!process.env.GEMINI_API_KEY;
+        stats.ai_enabled = llm.isConfigured();
         res.json(stats);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// Shared video cache usage and hit/miss/eviction counters (since this process started)
+app.get('/api/admin/video-cache', async (req, res) => {
+    res.json(videoCache.getStats());
+});
+
 // GET /api/admin/testers — list all testers with profile + ban status
 app.get('/api/admin/testers', async (req, res) => {
     try {
@@ -1874,34 +4213,44 @@ app.get('/api/admin/testers', async (req, res) => {
 
 
 // POST /api/admin/testers/:id/ban — ban a tester
-app.post('/api/admin/testers/:id/ban', async (req, res) => {
+app.post('/api/admin/testers/:id/ban', requirePermission('testers.manage'), async (req, res) => {
     try {
         const { ban_reason } = req.body;
+        const before = await db.query('SELECT is_banned, ban_reason FROM testers WHERE id = $1', [req.params.id]);
         const result = await db.query(
             `UPDATE testers SET is_banned = TRUE, ban_reason = $1 WHERE id = $2 RETURNING id, full_name, is_banned, ban_reason`,
             [ban_reason || 'Violation of terms of service', req.params.id]
         );
         if (result.rows.length === 0) return res.status(404).json({ error: 'Tester not found' });
+        await recordAdminAction(req, {
+            action: 'tester.ban', targetType: 'tester', targetId: req.params.id,
+            before: before.rows[0], after: { is_banned: true, ban_reason: result.rows[0].ban_reason }
+        });
         console.log(`🚫 Tester banned: ${result.rows[0].full_name} — ${ban_reason} `);
         res.json({ success: true, tester: result.rows[0] });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // DELETE /api/admin/testers/:id/ban — unban a tester
-app.delete('/api/admin/testers/:id/ban', async (req, res) => {
+app.delete('/api/admin/testers/:id/ban', requirePermission('testers.manage'), async (req, res) => {
     try {
+        const before = await db.query('SELECT is_banned, ban_reason FROM testers WHERE id = $1', [req.params.id]);
         const result = await db.query(
             `UPDATE testers SET is_banned = FALSE, ban_reason = NULL WHERE id = $1 RETURNING id, full_name, is_banned`,
             [req.params.id]
         );
         if (result.rows.length === 0) return res.status(404).json({ error: 'Tester not found' });
+        await recordAdminAction(req, {
+            action: 'tester.unban', targetType: 'tester', targetId: req.params.id,
+            before: before.rows[0], after: { is_banned: false, ban_reason: null }
+        });
         console.log(`✅ Tester unbanned: ${result.rows[0].full_name} `);
         res.json({ success: true, tester: result.rows[0] });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // DELETE /api/admin/testers/:id — permanently delete a tester and all their data
-app.delete('/api/admin/testers/:id', async (req, res) => {
+app.delete('/api/admin/testers/:id', requirePermission('testers.manage'), async (req, res) => {
     try {
         const testerId = req.params.id;
 
@@ -1911,30 +4260,41 @@ app.delete('/api/admin/testers/:id', async (req, res) => {
 
         const name = tester.rows[0].full_name;
 
-        // Delete all bugs submitted by this tester
+        // Delete all bugs submitted by this tester, with their recordings and screenshots
+        const bugs = await db.query('SELECT id FROM bugs WHERE tester_id = $1', [testerId]);
+        await deleteBugMedia(bugs.rows.map(b => b.id));
         await db.query('DELETE FROM bugs WHERE tester_id = $1', [testerId]);
 
         // Delete earnings by tester name (earnings use tester_name, not tester_id)
-        await db.query('DELETE FROM earnings WHERE tester_name = $1', [name]);
+        const earnings = await db.query('DELETE FROM earnings WHERE tester_name = $1', [name]);
 
         // Delete payment transactions
-        await db.query('DELETE FROM payment_transactions WHERE tester_id = $1', [testerId]);
+        const payments = await db.query('DELETE FROM payment_transactions WHERE tester_id = $1', [testerId]);
 
         // Delete the tester
         await db.query('DELETE FROM testers WHERE id = $1', [testerId]);
 
+        // The audit log is append-only, so it keeps what was deleted, never the tester's personal details
+        await recordAdminAction(req, {
+            action: 'tester.delete', targetType: 'tester', targetId: testerId,
+            before: {
+                id: tester.rows[0].id, full_name: name, bug_ids: bugs.rows.map(b => b.id),
+                earnings: earnings.rowCount, payment_transactions: payments.rowCount
+            }
+        });
+
         console.log(`🗑️ Tester #${testerId} (${name}) permanently deleted with all data`);
         res.json({ success: true, message: `Tester ${name} and all associated data deleted` });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // DELETE /api/admin/companies/:id — permanently delete a company with full cascade
-app.delete('/api/admin/companies/:id', async (req, res) => {
+app.delete('/api/admin/companies/:id', requirePermission('companies.manage'), async (req, res) => {
     try {
         const companyId = req.params.id;
 
         // Check company exists
-        const company = await db.query('SELECT id, email, name FROM companies WHERE id = $1', [companyId]);
+        const company = await db.query('SELECT id, name, email FROM companies WHERE id = $1', [companyId]);
         if (company.rows.length === 0) return res.status(404).json({ error: 'Company not found' });
 
         const companyName = company.rows[0].name || company.rows[0].email;
@@ -1943,14 +4303,23 @@ app.delete('/api/admin/companies/:id', async (req, res) => {
         const testIds = await db.query('SELECT id FROM tests WHERE company_id = $1', [companyId]);
         const ids = testIds.rows.map(r => r.id);
 
+        await deleteTestMedia(ids);
+
+        let bugCount = 0;
         if (ids.length > 0) {
             await db.query('DELETE FROM earnings WHERE test_id = ANY($1::int[])', [ids]);
-            await db.query('DELETE FROM bugs WHERE test_id = ANY($1::int[])', [ids]);
+            bugCount = (await db.query('DELETE FROM bugs WHERE test_id = ANY($1::int[])', [ids])).rowCount;
         }
 
         await db.query('DELETE FROM tests WHERE company_id = $1', [companyId]);
         await db.query('DELETE FROM companies WHERE id = $1', [companyId]);
 
+        await recordAdminAction(req, {
+            action: 'company.delete', targetType: 'company', targetId: companyId,
+            // Ids, name and counts only: the append-only log must not keep contact details
+            before: { id: company.rows[0].id, name: company.rows[0].name, test_ids: ids, bugs: bugCount }
+        });
+
         console.log(`🗑️ Company "${companyName}" (ID: ${companyId}) permanently deleted with ${ids.length} tests`);
         res.json({ success: true, message: `Company ${companyName} and all associated data deleted (${ids.length} tests removed)` });
     } catch (err) { res.status(500).json({ error: err.message }); }
@@ -1964,7 +4333,7 @@ app.delete('/api/admin/companies/:id', async (req, res) => {
 //   max_ram_gb: number
 //   allowed_states: comma-separated state names e.g. "Maharashtra,Delhi"
 //   allowed_cities: comma-separated city names
-app.put('/api/tests/:id/criteria', async (req, res) => {
+app.put('/api/tests/:id/criteria', requireTestAccess('id', { roles: WORKSPACE_EDITORS }), async (req, res) => {
     try {
         const { device_tier, network_type, min_ram_gb, max_ram_gb, allowed_states, allowed_cities } = req.body;
 
@@ -1989,7 +4358,7 @@ app.put('/api/tests/:id/criteria', async (req, res) => {
 });
 
 // GET /api/tests/:id/criteria — get targeting criteria for a test
-app.get('/api/tests/:id/criteria', async (req, res) => {
+app.get('/api/tests/:id/criteria', requireTestAccess('id'), async (req, res) => {
     try {
         const result = await db.query(
             `SELECT id, app_name, criteria FROM tests WHERE id = $1`,
@@ -2001,46 +4370,58 @@ app.get('/api/tests/:id/criteria', async (req, res) => {
 });
 
 // GET /api/tests/:id/eligible-testers — list testers who match this test's criteria
-app.get('/api/tests/:id/eligible-testers', async (req, res) => {
+/**
+ * Builds the query for non-banned testers matching a test's targeting criteria.
+ * @param {object|null} criteria - tests.criteria
+ * @param {string} columns - testers columns to select
+ */
+function buildEligibleTestersQuery(criteria, columns) {
+    let sql = `SELECT ${columns}
+                   FROM testers WHERE (is_banned = FALSE OR is_banned IS NULL)`;
+    const params = [];
+
+    if (criteria) {
+        if (criteria.device_tier) {
+            params.push(criteria.device_tier);
+            sql += ` AND device_tier = $${params.length} `;
+        }
+        if (criteria.network_type) {
+            params.push(criteria.network_type);
+            sql += ` AND network_type = $${params.length} `;
+        }
+        if (criteria.min_ram_gb != null) {
+            params.push(criteria.min_ram_gb);
+            sql += ` AND ram_gb >= $${params.length} `;
+        }
+        if (criteria.max_ram_gb != null) {
+            params.push(criteria.max_ram_gb);
+            sql += ` AND ram_gb <= $${params.length} `;
+        }
+        if (criteria.allowed_states) {
+            const states = criteria.allowed_states.split(',').map(s => s.trim());
+            params.push(states);
+            sql += ` AND state = ANY($${params.length})`;
+        }
+        if (criteria.allowed_cities) {
+            const cities = criteria.allowed_cities.split(',').map(c => c.trim());
+            params.push(cities);
+            sql += ` AND city = ANY($${params.length})`;
+        }
+    }
+
+    return { sql, params };
+}
+
+app.get('/api/tests/:id/eligible-testers', requireTestAccess('id'), async (req, res) => {
     try {
         const testRes = await db.query('SELECT criteria FROM tests WHERE id = $1', [req.params.id]);
         if (testRes.rows.length === 0) return res.status(404).json({ error: 'Test not found' });
 
-        const criteria = testRes.rows[0].criteria;
-
-        let sql = `SELECT id, full_name, email, city, state, device_model, android_version,
-    ram_gb, network_type, device_tier, total_tests, last_active
-                   FROM testers WHERE is_banned = FALSE OR is_banned IS NULL`;
-        const params = [];
-
-        if (criteria) {
-            if (criteria.device_tier) {
-                params.push(criteria.device_tier);
-                sql += ` AND device_tier = $${params.length} `;
-            }
-            if (criteria.network_type) {
-                params.push(criteria.network_type);
-                sql += ` AND network_type = $${params.length} `;
-            }
-            if (criteria.min_ram_gb != null) {
-                params.push(criteria.min_ram_gb);
-                sql += ` AND ram_gb >= $${params.length} `;
-            }
-            if (criteria.max_ram_gb != null) {
-                params.push(criteria.max_ram_gb);
-                sql += ` AND ram_gb <= $${params.length} `;
-            }
-            if (criteria.allowed_states) {
-                const states = criteria.allowed_states.split(',').map(s => s.trim());
-                params.push(states);
-                sql += ` AND state = ANY($${params.length})`;
-            }
-            if (criteria.allowed_cities) {
-                const cities = criteria.allowed_cities.split(',').map(c => c.trim());
-                params.push(cities);
-                sql += ` AND city = ANY($${params.length})`;
-            }
-        }
+        let { sql, params } = buildEligibleTestersQuery(
+            testRes.rows[0].criteria,
+            `id, full_name, email, city, state, device_model, android_version,
+             ram_gb, network_type, device_tier, total_tests, last_active`
+        );
 
         sql += ' ORDER BY last_active DESC';
         const result = await db.query(sql, params);
@@ -2054,40 +4435,39 @@ app.get('/api/tests/:id/eligible-testers', async (req, res) => {
 
 app.get('/api/admin/active-sessions', async (req, res) => {
     try {
-        // A tester is in an active session if they have a 'Manual Assignment' bug record
-        // AND have not submitted a legitimate bug for that test.
         const result = await db.query(
-            `SELECT b.id as session_id, b.tester_id, t.full_name, t.email, b.test_id, 
-                    tests.app_name, tests.company_name, b.created_at as started_at
-             FROM bugs b
-             JOIN testers t ON b.tester_id = t.id
-             JOIN tests ON b.test_id = tests.id
-             WHERE b.bug_title = 'Manual Assignment' 
-             AND NOT EXISTS (
-                 SELECT 1 FROM bugs b2 
-                 WHERE b2.test_id = b.test_id 
-                 AND b2.tester_id = b.tester_id 
-                 AND b2.bug_title != 'Manual Assignment'
-             )
-             ORDER BY b.created_at DESC`
+            `SELECT s.id AS session_id, s.tester_id, t.full_name, t.email, s.test_id,
+                    tests.app_name, tests.company_name, s.state,
+                    s.assigned_at, s.accepted_at, s.last_heartbeat_at, s.expires_at,
+                    COALESCE(s.started_at, s.accepted_at, s.assigned_at, s.created_at) AS started_at
+             FROM test_sessions s
+             JOIN testers t ON s.tester_id = t.id
+             JOIN tests ON s.test_id = tests.id
+             WHERE s.state = ANY($1::text[])
+             ORDER BY s.created_at DESC`,
+            [OPEN_SESSION_STATES]
         );
         res.json({ success: true, sessions: result.rows });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.post('/api/admin/sessions/:sessionId/force-close', async (req, res) => {
+app.post('/api/admin/sessions/:sessionId/force-close', requirePermission('sessions.manage'), async (req, res) => {
     try {
         const { sessionId } = req.params;
-        // Simply delete the placeholder 'Manual Assignment' bug record to release the slot
-        const result = await db.query(
-            `DELETE FROM bugs WHERE id = $1 AND bug_title = 'Manual Assignment' RETURNING *`,
-            [sessionId]
-        );
+        const before = await db.query('SELECT * FROM test_sessions WHERE id = $1', [sessionId]);
+        const session = await transitionSession(sessionId, 'force_close', {
+            closeReason: req.body?.reason || 'Closed by admin'
+        });
 
-        if (result.rows.length === 0) {
+        if (!session) {
             return res.status(404).json({ error: 'Session not found or already closed' });
         }
-        res.json({ success: true, message: 'Session forcefully closed, slot released.' });
+
+        await recordAdminAction(req, {
+            action: 'session.force_close', targetType: 'session', targetId: sessionId,
+            before: before.rows[0], after: { state: session.state, close_reason: session.close_reason }
+        });
+        res.json({ success: true, message: 'Session forcefully closed, slot released.', session });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
@@ -2129,7 +4509,162 @@ app.get('/api/admin/all-bugs', async (req, res) => {
             `SELECT b.*, t.app_name, t.company_name FROM bugs b 
              LEFT JOIN tests t ON b.test_id = t.id ORDER BY b.created_at DESC`
         );
-        res.json(result.rows);
+        res.json(await withBugMedia(result.rows, mediaUrls.viewerFor(req)));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============================================
+// ADMIN ACCOUNTS & AUDIT LOG
+// ============================================
+
+// GET /api/admin/me — the signed-in admin and their permissions
+app.get('/api/admin/me', async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT id, email, name, permissions, last_login FROM admin_users WHERE id = $1',
+            [req.auth.adminId]
+        );
+        res.json({ success: true, admin: result.rows[0], available_permissions: ADMIN_PERMISSIONS });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// GET /api/admin/admins — list admin accounts
+app.get('/api/admin/admins', requirePermission('admins.manage'), async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT id, email, name, permissions, is_active, created_by, created_at, last_login
+             FROM admin_users ORDER BY created_at`
+        );
+        res.json({ success: true, admins: result.rows });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+function validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) return 'permissions must be an array';
+    const unknown = permissions.filter(p => p !== '*' && !ADMIN_PERMISSIONS.includes(p));
+    return unknown.length > 0 ? `Unknown permissions: ${unknown.join(', ')}` : null;
+}
+
+// POST /api/admin/admins — create an admin account { email, name?, permissions[] }
+app.post('/api/admin/admins', requirePermission('admins.manage'), async (req, res) => {
+    try {
+        const email = (req.body.email || '').trim().toLowerCase();
+        const { name } = req.body;
+        const permissions = req.body.permissions || [];
+
+        if (!email) return res.status(400).json({ error: 'email is required' });
+        const invalid = validatePermissions(permissions);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const result = await db.query(
+            `INSERT INTO admin_users (email, name, permissions, created_by)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (email) DO NOTHING
+             RETURNING id, email, name, permissions, is_active, created_at`,
+            [email, name || null, permissions, req.auth.adminId]
+        );
+        if (result.rows.length === 0) return res.status(409).json({ error: 'An admin with this email already exists' });
+
+        await recordAdminAction(req, {
+            action: 'admin.create', targetType: 'admin', targetId: result.rows[0].id,
+            after: result.rows[0]
+        });
+        res.json({ success: true, admin: result.rows[0] });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// PATCH /api/admin/admins/:adminId — update name, permissions or is_active
+app.patch('/api/admin/admins/:adminId', requirePermission('admins.manage'), async (req, res) => {
+    try {
+        const { adminId } = req.params;
+        const { name, permissions, is_active } = req.body;
+
+        if (permissions !== undefined) {
+            const invalid = validatePermissions(permissions);
+            if (invalid) return res.status(400).json({ error: invalid });
+        }
+        if (String(adminId) === String(req.auth.adminId) && is_active === false) {
+            return res.status(400).json({ error: 'You cannot deactivate your own admin account' });
+        }
+
+        const before = await db.query(
+            'SELECT id, email, name, permissions, is_active FROM admin_users WHERE id = $1',
+            [adminId]
+        );
+        if (before.rows.length === 0) return res.status(404).json({ error: 'Admin not found' });
+
+        const result = await db.query(
+            `UPDATE admin_users SET
+                name = COALESCE($1, name),
+                permissions = COALESCE($2, permissions),
+                is_active = COALESCE($3, is_active)
+             WHERE id = $4
+             RETURNING id, email, name, permissions, is_active`,
+            [name ?? null, permissions ?? null, is_active ?? null, adminId]
+        );
+
+        await recordAdminAction(req, {
+            action: 'admin.update', targetType: 'admin', targetId: adminId,
+            before: before.rows[0], after: result.rows[0]
+        });
+        res.json({ success: true, admin: result.rows[0] });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// GET /api/admin/audit-log — filtered, paginated audit trail
+// Query: admin_id, admin_email, action (trailing * = prefix), target_type, target_id, from, to, page, limit
+app.get('/api/admin/audit-log', requirePermission('audit.read'), async (req, res) => {
+    try {
+        const { admin_id, admin_email, action, target_type, target_id, from, to } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        const where = [];
+        const params = [];
+        if (admin_id) {
+            params.push(admin_id);
+            where.push(`admin_id = $${params.length}`);
+        }
+        if (admin_email) {
+            params.push(admin_email.toLowerCase());
+            where.push(`admin_email = $${params.length}`);
+        }
+        if (action) {
+            if (action.endsWith('*')) {
+                params.push(action.slice(0, -1) + '%');
+                where.push(`action LIKE $${params.length}`);
+            } else {
+                params.push(action);
+                where.push(`action = $${params.length}`);
+            }
+        }
+        if (target_type) {
+            params.push(target_type);
+            where.push(`target_type = $${params.length}`);
+        }
+        if (target_id) {
+            params.push(String(target_id));
+            where.push(`target_id = $${params.length}`);
+        }
+        if (from) {
+            params.push(from);
+            where.push(`created_at >= $${params.length}`);
+        }
+        if (to) {
+            params.push(to);
+            where.push(`created_at <= $${params.length}`);
+        }
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+        const total = await db.query(`SELECT COUNT(*)::int AS total FROM admin_audit_log ${whereSql}`, params);
+        const entries = await db.query(
+            `SELECT * FROM admin_audit_log ${whereSql}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        res.json({ success: true, entries: entries.rows, page, limit, total: total.rows[0].total });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
@@ -2147,7 +4682,7 @@ app.get('/api/health', (req, res) => {
 // ============================================
 
 // PUT /api/testers/:testerId/fcm-token — Register or refresh FCM device token
-app.put('/api/testers/:testerId/fcm-token', async (req, res) => {
+app.put('/api/testers/:testerId/fcm-token', requireTesterParam(), async (req, res) => {
     try {
         const { fcm_token } = req.body;
         if (!fcm_token) return res.status(400).json({ error: 'fcm_token required' });
@@ -2160,7 +4695,7 @@ app.put('/api/testers/:testerId/fcm-token', async (req, res) => {
 });
 
 // PUT /api/admin/testers/:id/notifications — Enable or disable notifications for a tester
-app.put('/api/admin/testers/:id/notifications', async (req, res) => {
+app.put('/api/admin/testers/:id/notifications', requirePermission('testers.manage'), async (req, res) => {
     try {
         const { enabled } = req.body;
         if (enabled === undefined) return res.status(400).json({ error: 'enabled (boolean) required' });
@@ -2169,6 +4704,10 @@ app.put('/api/admin/testers/:id/notifications', async (req, res) => {
             [enabled, req.params.id]
         );
         if (result.rows.length === 0) return res.status(404).json({ error: 'Tester not found' });
+        await recordAdminAction(req, {
+            action: 'tester.notifications.update', targetType: 'tester', targetId: req.params.id,
+            after: { notifications_enabled: result.rows[0].notifications_enabled }
+        });
         const action = enabled ? 'enabled' : 'disabled';
         console.log(`🔔 Notifications ${action} for tester: ${result.rows[0].full_name}`);
         res.json({ success: true, tester: result.rows[0] });
@@ -2177,7 +4716,7 @@ app.put('/api/admin/testers/:id/notifications', async (req, res) => {
 
 // POST /api/admin/notify — Send manual push notification
 // body: { title, body, test_id? (optional — send only to eligible testers for that test), all?: true }
-app.post('/api/admin/notify', async (req, res) => {
+app.post('/api/admin/notify', requirePermission('notifications.send'), async (req, res) => {
     try {
         const { title, body, test_id } = req.body;
         if (!title || !body) return res.status(400).json({ error: 'title and body required' });
@@ -2225,6 +4764,11 @@ app.post('/api/admin/notify', async (req, res) => {
             }
         }
 
+        await recordAdminAction(req, {
+            action: 'notification.send', targetType: test_id ? 'test' : 'all_testers', targetId: test_id || null,
+            after: { title, body, sent, failed, total: testers.length }
+        });
+
         console.log(`📢 Manual push sent: ${sent} succeeded, ${failed} failed`);
         res.json({ success: true, sent, failed, total: testers.length });
     } catch (err) {
@@ -2233,6 +4777,237 @@ app.post('/api/admin/notify', async (req, res) => {
     }
 });
 
+// ============================================
+// RESUMABLE RECORDING UPLOADS
+// ============================================
+// Resumable: create → PUT chunks (any order, retry freely) → GET to see what arrived → complete.
+// Direct: create via /direct → PUT the file to upload_url (straight to storage) → complete.
+// Then pass upload_id / screenshot_upload_ids to POST /api/bugs instead of files, or
+// complete with a bug_id to attach the file to a bug that was reported first.
+
+function sendUploadError(res, err) {
+    if (err instanceof resumableUploads.UploadError) {
+        return res.status(err.statusCode).json({ error: err.message, ...err.details });
+    }
+    res.status(500).json({ error: err.message });
+}
+
+// Loads :uploadId for its owning tester into req.upload
+async function loadOwnUpload(req, res, next) {
+    try {
+        const result = await db.query(
+            'SELECT * FROM uploads WHERE id = $1 AND tester_id = $2',
+            [req.params.uploadId, parseInt(req.auth.sub)]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Upload not found' });
+        req.upload = result.rows[0];
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post('/api/uploads', requireRole('tester'), async (req, res) => {
+    try {
+        const { test_id, file_name, content_type, total_size, sha256 } = req.body;
+        const upload = await resumableUploads.createUpload({
+            testerId: parseInt(req.auth.sub),
+            testId: test_id,
+            fileName: file_name,
+            contentType: content_type,
+            totalSize: total_size,
+            sha256
+        });
+        res.status(201).json(upload);
+    } catch (err) {
+        sendUploadError(res, err);
+    }
+});
+
+app.post('/api/uploads/direct', requireRole('tester'), async (req, res) => {
+    try {
+        const { test_id, kind, file_name, content_type, total_size } = req.body;
+        const upload = await resumableUploads.createDirectUpload({
+            testerId: parseInt(req.auth.sub),
+            testId: test_id,
+            kind,
+            fileName: file_name,
+            contentType: content_type,
+            totalSize: total_size
+        });
+        res.status(201).json(upload);
+    } catch (err) {
+        sendUploadError(res, err);
+    }
+});
+
+// PUT /api/storage/local/:token — where direct uploads land when files are stored on local disk.
+// The signed token is the credential (like a presigned bucket URL), so no session is needed.
+app.put('/api/storage/local/:token', async (req, res) => {
+    try {
+        const stored = await storageDrivers.getDriver('local').receiveUpload(req.params.token, req);
+        res.json({ success: true, size: stored.size });
+    } catch (err) {
+        res.status(err instanceof storageDrivers.StorageError ? err.statusCode : 500).json({ error: err.message });
+    }
+});
+
+app.get('/api/uploads/:uploadId', requireRole('tester'), loadOwnUpload, async (req, res) => {
+    try {
+        res.json(await resumableUploads.getUploadStatus(req.upload));
+    } catch (err) {
+        sendUploadError(res, err);
+    }
+});
+
+// Body is the raw chunk bytes. Optional checks: Upload-Offset (or Content-Range) and X-Chunk-SHA256.
+app.put('/api/uploads/:uploadId/chunks/:index',
+    requireRole('tester'),
+    express.raw({ type: () => true, limit: resumableUploads.CHUNK_SIZE + 1024 }),
+    loadOwnUpload,
+    async (req, res) => {
+        try {
+            let offset;
+            if (req.headers['upload-offset'] !== undefined) {
+                offset = parseInt(req.headers['upload-offset']);
+            } else {
+                const range = /^bytes (\d+)-\d+\/\d+$/.exec(req.headers['content-range'] || '');
+                if (range) offset = parseInt(range[1]);
+            }
+
+            const status = await resumableUploads.receiveChunk(req.upload, Number(req.params.index), req.body, {
+                offset,
+                sha256: req.headers['x-chunk-sha256']
+            });
+            res.json(status);
+        } catch (err) {
+            sendUploadError(res, err);
+        }
+    }
+);
+
+/**
+ * Records a completed upload on one of the tester's existing bugs: the recording
+ * if the bug has none yet, or one more screenshot (up to MAX_ATTACHMENTS_PER_BUG).
+ * @returns {Promise<object|null>} the updated bug, or null if the upload could not be attached
+ */
+async function attachUploadToExistingBug(upload, bugId, testerId) {
+    const claimed = await resumableUploads.claimUploads([upload.id], testerId, upload.kind);
+    if (!claimed) return null;
+
+    try {
+        let bug;
+        if (upload.kind === 'recording') {
+            const stored = resumableUploads.storedObject(claimed[0]);
+            const result = await db.query(
+                `UPDATE bugs SET recording_path = $3, recording_storage = $4, transcode_status = 'pending',
+                        recording_url = COALESCE($5, '/api/videos/' || id)
+                 WHERE id = $1 AND tester_id = $2 AND recording_path IS NULL
+                 RETURNING id, recording_url, device_stats, bug_description`,
+                [bugId, testerId, stored.path, stored.storage, stored.url]
+            );
+            bug = result.rows[0];
+        } else {
+            const attachment = await bugAttachments.addAttachment(bugId, testerId, bugAttachments.fromUpload(claimed[0]));
+            bug = attachment && { id: attachment.bug_id, attachment_id: attachment.id };
+        }
+        if (!bug) {
+            await resumableUploads.releaseUploads([upload.id]);
+            return null;
+        }
+        await resumableUploads.attachUploadsToBug([upload.id], bugId);
+        return bug;
+    } catch (err) {
+        await resumableUploads.releaseUploads([upload.id]).catch(() => { });
+        throw err;
+    }
+}
+
+app.post('/api/uploads/:uploadId/complete', requireRole('tester'), loadOwnUpload, async (req, res) => {
+    try {
+        const upload = await resumableUploads.completeUpload(req.upload);
+        const response = {
+            upload_id: upload.id,
+            kind: upload.kind,
+            status: upload.status,
+            total_size: Number(upload.total_size),
+            message: 'Upload complete — pass upload_id with your bug report'
+        };
+
+        if (req.body.bug_id) {
+            const bug = await attachUploadToExistingBug(upload, req.body.bug_id, parseInt(req.auth.sub));
+            if (!bug) {
+                return res.status(409).json({
+                    ...response,
+                    error: upload.kind === 'recording'
+                        ? 'Upload completed, but that bug is not yours or already has a recording'
+                        : `Upload completed, but that bug is not yours or already has ${bugAttachments.MAX_ATTACHMENTS_PER_BUG} screenshots`
+                });
+            }
+            response.status = 'attached';
+            response.bug_id = bug.id;
+            response.message = `Upload attached to bug #${bug.id}`;
+            if (upload.kind === 'recording') {
+                startTranscoding();
+                const job = await queueAnalysis(bug.id)
+                    .catch(e => console.error(`⚠️ Failed to queue analysis for bug #${bug.id}: ${e.message}`));
+                response.analysis_status = job ? job.state : null;
+            }
+        }
+        res.json(response);
+    } catch (err) {
+        sendUploadError(res, err);
+    }
+});
+
+app.delete('/api/uploads/:uploadId', requireRole('tester'), loadOwnUpload, async (req, res) => {
+    try {
+        await resumableUploads.abortUpload(req.upload);
+        res.json({ success: true });
+    } catch (err) {
+        sendUploadError(res, err);
+    }
+});
+
+// Unfinished uploads hold storage parts; drop them once they pass their time limit
+setInterval(async () => {
+    try {
+        const expired = await resumableUploads.expireStaleUploads();
+        if (expired > 0) console.log(`⌛ Expired ${expired} unfinished upload(s)`);
+    } catch (e) {
+        console.error('❌ Upload sweeper error:', e.message);
+    }
+}, 15 * 60 * 1000); // Check every 15 minutes
+
+// ============================================
+// RECORDING TRANSCODER
+// ============================================
+// Picks up queued recordings missed by the post-upload kick (restarts, other instances)
+setInterval(startTranscoding, 2 * 60 * 1000); // Check every 2 minutes
+
+// ============================================
+// BACKGROUND JOBS
+// ============================================
+// Workers claim queued jobs (AI analysis) once the jobs table exists
+if (process.env.DISABLE_JOB_WORKERS !== 'true') {
+    migrationsReady.then(() => jobQueue.start());
+}
+
+// ============================================
+// SESSION RESERVATION SWEEPER
+// ============================================
+// Reclaims slots from reservations that ran past their time limit or whose app stopped heartbeating
+setInterval(async () => {
+    try {
+        const expired = await expireStaleSessions();
+        for (const s of expired) {
+            console.log(`⌛ Session #${s.id} expired (test #${s.test_id}, tester #${s.tester_id}): ${s.close_reason}`);
+        }
+    } catch (e) {
+        console.error('❌ Session sweeper error:', e.message);
+    }
+}, 60 * 1000); // Check every minute
+
 // ============================================
 // SCHEDULED NOTIFICATIONS (9 AM & 3 PM IST)
 // ============================================
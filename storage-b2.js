@@ -1,141 +1,212 @@
-// storage-b2.js — Backblaze B2 Private Bucket (10GB free, no credit card)
+// storage-b2.js — Storage driver for Backblaze B2 Private Bucket (10GB free, no credit card)
+// Any S3-compatible service works the same way (B2_ENDPOINT / B2_REGION). Every logical
+// bucket lives in the one B2 bucket under its folder (recordings/, company-apks/, ...).
 const {
     S3Client,
     PutObjectCommand,
     GetObjectCommand,
-    DeleteObjectCommand
+    DeleteObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand
 } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const fs = require('fs');
-const path = require('path');
+const { StorageError, BUCKET_FOLDERS, contentTypeFor, folderKey } = require('./storage-drivers');
 
 const b2Client = new S3Client({
-    region: 'us-west-004', // ← Check your bucket's region
+    region: process.env.B2_REGION || 'us-west-004', // ← Check your bucket's region
     endpoint: process.env.B2_ENDPOINT,
     credentials: {
         accessKeyId: process.env.B2_KEY_ID,
         secretAccessKey: process.env.B2_APP_KEY,
     },
     forcePathStyle: true,
+    // Checksums only where B2 demands them: the SDK's default would sign a checksum of the
+    // (empty) body into presigned PUT URLs, so every real upload through one would fail
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
 });
 
 const BUCKET = process.env.B2_BUCKET_NAME || 'bharatqa-recordings';
 
-async function uploadVideo(filePath, originalName) {
-    try {
-        const timestamp = Date.now();
-        const ext = path.extname(originalName) || '.mp4';
-        const key = `recordings/${timestamp}_${Math.random().toString(36).slice(2, 8)}${ext}`;
-
-        // Check file exists and has content
-        if (!fs.existsSync(filePath)) {
-            throw new Error(`File not found: ${filePath}`);
-        }
-
-        const fileStats = fs.statSync(filePath);
-        const fileSizeMB = (fileStats.size / 1024 / 1024).toFixed(1);
-
-        if (fileStats.size === 0) {
-            throw new Error('File is empty (0 bytes)');
-        }
-
-        console.log(`📹 Uploading to B2: ${fileSizeMB} MB from ${filePath}`);
+/**
+ * Uploads a local file (streamed) or a Buffer under an exact key.
+ */
+async function put(bucket, key, source, options = {}) {
+    const isBuffer = Buffer.isBuffer(source);
+    const size = isBuffer ? source.length : fs.statSync(source).size;
+    if (size === 0) throw new Error('File is empty (0 bytes)');
 
-        const fileStream = fs.createReadStream(filePath);
+    await b2Client.send(new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: isBuffer ? source : fs.createReadStream(source),
+        ContentLength: size,
+        ContentType: options.contentType || contentTypeFor(key),
+    }));
+    console.log(`✅ B2 object: ${key} (${(size / 1024 / 1024).toFixed(1)} MB)`);
+    return { key, size };
+}
 
-        await b2Client.send(new PutObjectCommand({
+/**
+ * Streams an object, passing `Range` / `If-None-Match` through to B2 so only
+ * the requested bytes leave the bucket.
+ */
+async function getStream(bucket, key, options = {}) {
+    let response;
+    try {
+        response = await b2Client.send(new GetObjectCommand({
             Bucket: BUCKET,
             Key: key,
-            Body: fileStream,
-            ContentLength: fileStats.size,
-            ContentType: 'video/mp4',
+            Range: options.range,
+            IfNoneMatch: options.ifNoneMatch,
         }));
-
-        console.log(`✅ Video → B2: ${key} (${fileSizeMB} MB)`);
-        return { path: key };
     } catch (err) {
-        console.error('❌ B2 upload failed:', err.message);
+        const status = err.$metadata?.httpStatusCode;
+        if (status === 304) throw new StorageError('Not modified', 304, { etag: options.ifNoneMatch });
+        if (status === 404 || err.name === 'NoSuchKey') throw new StorageError(`Object not found: ${key}`, 404);
+        if (status === 416) {
+            const info = await head(bucket, key).catch(() => null);
+            throw new StorageError('Range not satisfiable', 416, { size: info?.size });
+        }
         throw err;
     }
+    return {
+        body: response.Body,
+        statusCode: response.ContentRange ? 206 : 200,
+        contentType: response.ContentType,
+        contentLength: response.ContentLength,
+        contentRange: response.ContentRange || null,
+        etag: response.ETag
+    };
 }
 
-// Upload APK to B2 (Returns a direct public URL)
-async function uploadApk(filePath, originalName, folder = 'company-apks') {
+// Size, content type and ETag of an object, or null if it does not exist
+async function head(bucket, key) {
     try {
-        const timestamp = Date.now();
-        // Always enforce .apk extension for safety
-
-        let key;
-        if (folder === 'app-updates') {
-            key = `app-updates/bharatqa_update_${timestamp}.apk`;
-        } else {
-            const safeName = originalName ? originalName.replace(/[^a-zA-Z0-9.\-_]/g, '_').replace(/\.apk$/i, '') : `app`;
-            const randomStr = Math.random().toString(36).slice(2, 8);
-            key = `${folder}/${safeName}_${timestamp}_${randomStr}.apk`;
-        }
-
-        if (!fs.existsSync(filePath)) {
-            throw new Error(`File not found: ${filePath}`);
-        }
-
-        const fileStats = fs.statSync(filePath);
-        const fileSizeMB = (fileStats.size / 1024 / 1024).toFixed(1);
-
-        if (fileStats.size === 0) {
-            throw new Error('File is empty (0 bytes)');
-        }
-
-        console.log(`📦 Uploading APK to B2: ${fileSizeMB} MB from ${filePath}`);
-
-        const fileStream = fs.createReadStream(filePath);
-
-        await b2Client.send(new PutObjectCommand({
+        const response = await b2Client.send(new HeadObjectCommand({
             Bucket: BUCKET,
             Key: key,
-            Body: fileStream,
-            ContentLength: fileStats.size,
-            ContentType: 'application/vnd.android.package-archive', // Standard Android APK MIME type
         }));
-
-        // Construct the public URL (Assuming bucket is public, or this folder is public)
-        // Backblaze S3 compatible URL format: https://<bucketName>.s3.<region>.backblazeb2.com/<key>
-        const region = 'us-west-004'; // Need to match the region in your b2Client
-        const publicUrl = `https://${BUCKET}.s3.${region}.backblazeb2.com/${key}`;
-
-        console.log(`✅ APK → B2: ${publicUrl} (${fileSizeMB} MB)`);
-        return { url: publicUrl, key };
+        return { size: response.ContentLength, contentType: response.ContentType, etag: response.ETag };
     } catch (err) {
-        console.error('❌ B2 APK upload failed:', err.message);
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return null;
         throw err;
     }
 }
 
-// Stream video from B2 (for proxy endpoint)
-async function getVideoStream(key) {
-    const response = await b2Client.send(new GetObjectCommand({
+async function deleteObjects(bucket, keys) {
+    for (const key of keys) {
+        try {
+            await b2Client.send(new DeleteObjectCommand({
+                Bucket: BUCKET,
+                Key: key,
+            }));
+            console.log(`🗑️ B2 deleted: ${key}`);
+        } catch (err) {
+            console.error('B2 delete error:', err.message);
+        }
+    }
+}
+
+// Keys under `prefix` (defaults to the whole bucket folder)
+async function list(bucket, prefix) {
+    const objects = [];
+    let token;
+    do {
+        const response = await b2Client.send(new ListObjectsV2Command({
+            Bucket: BUCKET,
+            Prefix: prefix || `${BUCKET_FOLDERS[bucket]}/`,
+            ContinuationToken: token,
+        }));
+        for (const item of response.Contents || []) objects.push({ key: item.Key, size: item.Size });
+        token = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (token);
+    return objects;
+}
+
+// Short-lived PUT URL; the signature pins the content type and exact size
+async function presignUpload(bucket, key, options) {
+    const expiresIn = options.expiresIn || 900;
+    const url = await getSignedUrl(b2Client, new PutObjectCommand({
         Bucket: BUCKET,
         Key: key,
-    }));
-    return response;
+        ContentType: options.contentType,
+        ContentLength: options.contentLength,
+    }), {
+        expiresIn,
+        // Content-Type is not signed by default; the uploader must send the declared one
+        signableHeaders: new Set(['content-type']),
+    });
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
 }
 
-// Delete video from B2
-async function deleteVideo(key) {
-    try {
-        await b2Client.send(new DeleteObjectCommand({
+// ============================================
+// MULTIPART (resumable uploads)
+// ============================================
+// Parts must be at least 5 MB, except the last one.
+
+const multipart = {
+    async create(key, contentType = 'video/mp4') {
+        const response = await b2Client.send(new CreateMultipartUploadCommand({
             Bucket: BUCKET,
             Key: key,
+            ContentType: contentType,
         }));
-        console.log(`🗑️ B2 deleted: ${key}`);
-    } catch (err) {
-        console.error('B2 delete error:', err.message);
-    }
-}
+        return response.UploadId;
+    },
 
-// Delete multiple videos
-async function deleteVideos(keys) {
-    for (const key of keys) {
-        await deleteVideo(key);
-    }
-}
+    // Uploads one part (1-based partNumber) and returns its ETag
+    async uploadPart(key, uploadId, partNumber, body) {
+        const response = await b2Client.send(new UploadPartCommand({
+            Bucket: BUCKET,
+            Key: key,
+            UploadId: uploadId,
+            PartNumber: partNumber,
+            Body: body,
+            ContentLength: body.length,
+        }));
+        return response.ETag;
+    },
 
-module.exports = { uploadVideo, uploadApk, getVideoStream, deleteVideo, deleteVideos };
\ No newline at end of file
+    // parts: [{ PartNumber, ETag }] in ascending order
+    async complete(key, uploadId, parts) {
+        await b2Client.send(new CompleteMultipartUploadCommand({
+            Bucket: BUCKET,
+            Key: key,
+            UploadId: uploadId,
+            MultipartUpload: { Parts: parts },
+        }));
+        console.log(`✅ Multipart upload → B2: ${key} (${parts.length} parts)`);
+    },
+
+    async abort(key, uploadId) {
+        try {
+            await b2Client.send(new AbortMultipartUploadCommand({
+                Bucket: BUCKET,
+                Key: key,
+                UploadId: uploadId,
+            }));
+        } catch (err) {
+            console.error('B2 multipart abort error:', err.message);
+        }
+    }
+};
+
+module.exports = {
+    name: 'b2',
+    remote: true,
+    newKey: folderKey,
+    put,
+    getStream,
+    head,
+    delete: deleteObjects,
+    presignUpload,
+    list,
+    publicUrl: () => null,
+    multipart
+};
@@ -0,0 +1,221 @@
+// storage-drivers.js — One interface over every place files can live
+// Drivers: 'b2' (Backblaze B2 or any S3-compatible bucket), 'supabase', and 'local' (a
+// directory on this machine, so development and tests need no cloud account). New files
+// go to the active driver; every row that points at a file also records the driver that
+// stored it (recording_storage, apk_storage, bug_attachments.storage, ...), so files stay
+// readable after the active driver changes.
+//
+// Callers name a logical bucket (BUCKETS) and a key minted by the same driver's newKey().
+// Keys are opaque: B2 and local keep every bucket in one namespace under a folder prefix
+// (recordings/…, company-apks/…), Supabase has a real bucket for each.
+//
+// A driver provides:
+//   name, remote              remote drivers are worth caching on local disk (video-cache.js)
+//   newKey(bucket, originalName, defaultExt) → key
+//   put(bucket, key, source, { contentType }) → { key, size }   source: file path or Buffer
+//   getStream(bucket, key, { range, ifNoneMatch }) → { body, statusCode, contentType,
+//       contentLength, contentRange, etag }; throws StorageError 304 / 404 / 416
+//   head(bucket, key) → { size, contentType, etag } | null
+//   delete(bucket, keys)
+//   presignUpload(bucket, key, { contentType, contentLength, expiresIn }) → { url, expiresAt }
+//       URL to PUT the file to, valid until expiresAt. expiresIn and the size and type are
+//       requests, not guarantees (Supabase ignores all three), so callers check the object
+//       that actually landed before trusting it
+//   list(bucket, prefix) → [{ key, size }]
+//   publicUrl(bucket, key) → a URL anyone can load, or null for private storage
+//   multipart (optional) → { create(key, contentType), uploadPart(key, id, n, body),
+//       complete(key, id, parts), abort(key, id) }
+const fs = require('fs');
+const path = require('path');
+
+// Logical bucket → key prefix, for drivers that keep every bucket in one namespace
+const BUCKET_FOLDERS = {
+    recordings: 'recordings',
+    screenshots: 'screenshots',
+    apks: 'company-apks',
+    'app-updates': 'app-updates'
+};
+const BUCKETS = Object.keys(BUCKET_FOLDERS);
+
+class StorageError extends Error {
+    constructor(message, statusCode = 500, details = {}) {
+        super(message);
+        this.name = 'StorageError';
+        this.statusCode = statusCode;
+        Object.assign(this, details);
+    }
+}
+
+// name → how to load it and whether this deployment has credentials for it
+const DRIVERS = {
+    b2:       { module: './storage-b2', configured: () => Boolean(process.env.B2_KEY_ID) },
+    supabase: { module: './storage', configured: () => Boolean(process.env.SUPABASE_URL) },
+    local:    { module: './storage-local', configured: () => true }
+};
+const ALIASES = { s3: 'b2' };
+
+const loaded = new Map();
+
+/**
+ * The driver named `name` (as stored in a row's storage column).
+ * @throws {StorageError} 503 when this deployment has no credentials for it
+ */
+function getDriver(name) {
+    const driverName = ALIASES[name] || name;
+    if (loaded.has(driverName)) return loaded.get(driverName);
+
+    const entry = DRIVERS[driverName];
+    if (!entry) throw new StorageError(`Unknown storage driver "${name}"`, 500);
+    if (!entry.configured()) throw new StorageError(`${driverName} storage is not configured`, 503);
+
+    const driver = require(entry.module);
+    loaded.set(driverName, driver);
+    return driver;
+}
+
+/**
+ * STORAGE_DRIVER if set, else B2 when configured, else Supabase when configured, else
+ * local disk — outside production only: a production instance's disk does not survive a
+ * redeploy, so missing credentials there must not quietly turn into lost recordings.
+ * @throws {StorageError} in production when no remote driver is configured
+ */
+function activeDriverName() {
+    const configured = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+    if (configured) return ALIASES[configured] || configured;
+    if (DRIVERS.b2.configured()) return 'b2';
+    if (DRIVERS.supabase.configured()) return 'supabase';
+    if (process.env.NODE_ENV === 'production') {
+        throw new StorageError('No file storage configured: set the B2 or Supabase credentials, or STORAGE_DRIVER=local', 500);
+    }
+    return 'local';
+}
+
+// Where new files go
+function activeDriver() {
+    return getDriver(activeDriverName());
+}
+
+// Video cache entry for a stored object (B2 keys are used as-is, as before drivers existed)
+function cacheKey(driverName, key) {
+    return driverName === 'b2' ? key : `${driverName}/${key}`;
+}
+
+/**
+ * New key under the bucket's folder, keeping the original file's extension:
+ * recordings/1712345678901_k3j9x2.mp4. APKs keep their (sanitized) name too,
+ * since downloads are saved under the key's last segment.
+ */
+function folderKey(bucket, originalName, defaultExt = '') {
+    const folder = BUCKET_FOLDERS[bucket];
+    if (!folder) throw new StorageError(`Unknown storage bucket "${bucket}"`, 500);
+    const ext = path.extname(originalName || '') || defaultExt;
+    const unique = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    if (ext.toLowerCase() === '.apk') {
+        const safeName = path.basename(originalName || 'app', ext).replace(/[^a-zA-Z0-9.\-_]/g, '_') || 'app';
+        return `${folder}/${safeName}_${unique}${ext}`;
+    }
+    return `${folder}/${unique}${ext}`;
+}
+
+function contentTypeFor(key) {
+    const types = {
+        '.mp4': 'video/mp4',
+        '.jpg': 'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.png': 'image/png',
+        '.webp': 'image/webp',
+        '.apk': 'application/vnd.android.package-archive',
+        '.webm': 'video/webm',
+        '.m3u8': 'application/vnd.apple.mpegurl',
+        '.ts': 'video/mp2t'
+    };
+    return types[path.extname(key || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Parses a single-range `Range: bytes=…` header against a known size.
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null} null means serve the whole
+ *   file (no header, or a malformed / multi-range one, which servers may ignore)
+ */
+function parseByteRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start, end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const suffix = parseInt(match[2]);
+        if (suffix === 0) return 'unsatisfiable';
+        start = Math.max(size - suffix, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1]);
+        if (match[2] !== '' && parseInt(match[2]) < start) return null; // invalid, so ignored
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+    }
+    if (start >= size) return 'unsatisfiable';
+    return { start, end };
+}
+
+// True when an If-None-Match header matches the ETag (weak comparison, as RFC 9110 asks for)
+function etagMatches(ifNoneMatch, etag) {
+    if (!ifNoneMatch || !etag) return false;
+    if (ifNoneMatch.trim() === '*') return true;
+    const strip = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').map(strip).includes(strip(etag));
+}
+
+/**
+ * Copies a whole stored object to a local file (for ffmpeg, which wants a path).
+ */
+async function downloadToFile(driver, bucket, key, dest) {
+    const object = await driver.getStream(bucket, key);
+    await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(dest);
+        object.body.on('error', reject);
+        out.on('error', reject).on('finish', resolve);
+        object.body.pipe(out);
+    });
+}
+
+// Reads a whole (small) stored object into memory
+async function downloadBuffer(driver, bucket, key) {
+    const object = await driver.getStream(bucket, key);
+    const chunks = [];
+    for await (const chunk of object.body) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Deletes objects that may have been stored by different drivers (one batch per
+ * driver), e.g. every recording of a test.
+ * @param {string} bucket
+ * @param {{ storage: string, key: string }[]} objects - storage is the driver name
+ */
+async function deleteStored(bucket, objects) {
+    const byDriver = new Map();
+    for (const object of objects) {
+        if (!byDriver.has(object.storage)) byDriver.set(object.storage, []);
+        byDriver.get(object.storage).push(object.key);
+    }
+    for (const [name, keys] of byDriver) {
+        await getDriver(name).delete(bucket, keys);
+    }
+}
+
+module.exports = {
+    BUCKETS,
+    BUCKET_FOLDERS,
+    StorageError,
+    getDriver,
+    activeDriver,
+    activeDriverName,
+    cacheKey,
+    folderKey,
+    contentTypeFor,
+    parseByteRange,
+    etagMatches,
+    downloadToFile,
+    downloadBuffer,
+    deleteStored
+};
@@ -0,0 +1,204 @@
+// storage-local.js — Storage driver backed by a directory on this machine
+// For development and tests without any cloud account (STORAGE_DRIVER=local, or simply no
+// B2 / Supabase credentials). Objects live at LOCAL_STORAGE_DIR/<key>; like B2, every bucket
+// shares one namespace under a folder prefix. Files are private: they are served through
+// the same proxies as B2 objects. Direct uploads PUT to /api/storage/local/<token>, a signed
+// grant for one key, size and content type (see receiveUpload).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { StorageError, BUCKET_FOLDERS, contentTypeFor, parseByteRange, etagMatches, folderKey } = require('./storage-drivers');
+
+const ROOT = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'local-storage'));
+const UPLOAD_PATH = '/api/storage/local/';
+
+let UPLOAD_SECRET = process.env.SESSION_SECRET;
+if (!UPLOAD_SECRET) {
+    UPLOAD_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+fs.mkdirSync(ROOT, { recursive: true });
+console.log(`📂 Local storage: ${ROOT}`);
+
+// Absolute path of a key; keys can never point outside ROOT
+function filePath(key) {
+    const resolved = path.resolve(ROOT, key || '');
+    if (!key || key.split('/').includes('..') || !resolved.startsWith(ROOT + path.sep)) {
+        throw new StorageError(`Invalid storage key: ${key}`, 400);
+    }
+    return resolved;
+}
+
+function etagOf(stat) {
+    return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+// Writes through a temp file so readers never see a half-written object
+async function writeAtomically(dest, write) {
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+    const tmp = `${dest}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        await write(tmp);
+        await fs.promises.rename(tmp, dest);
+    } catch (err) {
+        await fs.promises.rm(tmp, { force: true });
+        throw err;
+    }
+}
+
+async function put(bucket, key, source) {
+    const dest = filePath(key);
+    await writeAtomically(dest, tmp => Buffer.isBuffer(source)
+        ? fs.promises.writeFile(tmp, source)
+        : fs.promises.copyFile(source, tmp));
+    const size = (await fs.promises.stat(dest)).size;
+    console.log(`📁 Local object: ${key} (${(size / 1024 / 1024).toFixed(1)} MB)`);
+    return { key, size };
+}
+
+async function statFile(key) {
+    try {
+        const stat = await fs.promises.stat(filePath(key));
+        return stat.isFile() ? stat : null;
+    } catch (err) {
+        if (err instanceof StorageError) throw err;
+        return null;
+    }
+}
+
+async function getStream(bucket, key, options = {}) {
+    const stat = await statFile(key);
+    if (!stat) throw new StorageError(`Object not found: ${key}`, 404);
+
+    const etag = etagOf(stat);
+    if (etagMatches(options.ifNoneMatch, etag)) throw new StorageError('Not modified', 304, { etag });
+
+    const range = parseByteRange(options.range, stat.size);
+    if (range === 'unsatisfiable') throw new StorageError('Range not satisfiable', 416, { size: stat.size });
+
+    const object = { contentType: contentTypeFor(key), etag };
+    if (range) {
+        return {
+            ...object,
+            body: fs.createReadStream(filePath(key), range),
+            statusCode: 206,
+            contentLength: range.end - range.start + 1,
+            contentRange: `bytes ${range.start}-${range.end}/${stat.size}`
+        };
+    }
+    return { ...object, body: fs.createReadStream(filePath(key)), statusCode: 200, contentLength: stat.size, contentRange: null };
+}
+
+async function head(bucket, key) {
+    const stat = await statFile(key);
+    return stat ? { size: stat.size, contentType: contentTypeFor(key), etag: etagOf(stat) } : null;
+}
+
+async function deleteObjects(bucket, keys) {
+    for (const key of keys) {
+        await fs.promises.rm(filePath(key), { force: true });
+    }
+    if (keys.length > 0) console.log(`🗑️ Local storage: deleted ${keys.length} file(s)`);
+}
+
+// Keys under `prefix` (defaults to the whole bucket folder)
+async function list(bucket, prefix) {
+    prefix = prefix || `${BUCKET_FOLDERS[bucket]}/`;
+    const dir = prefix.endsWith('/') ? prefix.slice(0, -1) : path.posix.dirname(prefix);
+    let names;
+    try {
+        names = await fs.promises.readdir(filePath(dir), { recursive: true });
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    const objects = [];
+    for (const name of names) {
+        const key = path.posix.join(dir, name.split(path.sep).join('/'));
+        if (!key.startsWith(prefix) || key.endsWith('.tmp')) continue;
+        const stat = await statFile(key);
+        if (stat) objects.push({ key, size: stat.size });
+    }
+    return objects;
+}
+
+// ============================================
+// PRESIGNED UPLOADS
+// ============================================
+
+function sign(payload) {
+    return crypto.createHmac('sha256', UPLOAD_SECRET).update(`local-upload:${payload}`).digest('base64url');
+}
+
+// URL the client PUTs the file to; absolute when BACKEND_URL is set, else relative to this API
+async function presignUpload(bucket, key, options) {
+    const grant = {
+        k: key,
+        t: options.contentType,
+        n: options.contentLength,
+        e: Math.floor(Date.now() / 1000) + (options.expiresIn || 900)
+    };
+    const payload = Buffer.from(JSON.stringify(grant)).toString('base64url');
+    const base = (process.env.BACKEND_URL || '').replace(/\/$/, '');
+    return { url: `${base}${UPLOAD_PATH}${payload}.${sign(payload)}`, expiresAt: new Date(grant.e * 1000) };
+}
+
+function verifyUploadToken(token) {
+    const [payload, sig] = String(token || '').split('.');
+    if (!payload || !sig) return null;
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    try {
+        return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Stores the body of a PUT to a presigned upload URL. The request must carry
+ * the content type the URL was issued for and no more bytes than declared.
+ * @param {string} token - the last path segment of the URL
+ * @param {import('express').Request} req - an unconsumed request stream
+ * @throws {StorageError} 403 for a bad or expired token, 400 / 413 for a mismatching body
+ */
+async function receiveUpload(token, req) {
+    const grant = verifyUploadToken(token);
+    if (!grant) throw new StorageError('Invalid upload URL', 403);
+    if (grant.e < Math.floor(Date.now() / 1000)) throw new StorageError('Upload URL has expired', 403);
+    if ((req.headers['content-type'] || '').split(';')[0].trim() !== grant.t) {
+        throw new StorageError(`Content-Type must be ${grant.t}`, 400);
+    }
+    const declared = req.headers['content-length'];
+    if (declared !== undefined && Number(declared) !== grant.n) {
+        throw new StorageError(`Content-Length must be ${grant.n}`, 400);
+    }
+
+    await writeAtomically(filePath(grant.k), tmp => new Promise((resolve, reject) => {
+        let received = 0;
+        const out = fs.createWriteStream(tmp);
+        req.on('data', chunk => {
+            received += chunk.length;
+            if (received > grant.n) req.destroy(new StorageError(`Upload is larger than ${grant.n} bytes`, 413));
+        });
+        req.on('error', reject);
+        out.on('error', reject).on('finish', resolve);
+        req.pipe(out);
+    }));
+    return { key: grant.k, size: (await fs.promises.stat(filePath(grant.k))).size };
+}
+
+module.exports = {
+    name: 'local',
+    remote: false,
+    newKey: folderKey,
+    put,
+    getStream,
+    head,
+    delete: deleteObjects,
+    presignUpload,
+    list,
+    publicUrl: () => null,
+    receiveUpload
+};
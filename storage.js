@@ -1,99 +1,140 @@
+// storage.js — Storage driver for Supabase Storage (1GB free)
+// One public Supabase bucket per logical bucket (recordings, screenshots, apks, app-updates),
+// so stored files also have public URLs the API can redirect to.
 const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
 const path = require('path');
+const { Readable } = require('stream');
 const { v4: uuidv4 } = require('uuid');
+const { StorageError, contentTypeFor } = require('./storage-drivers');
 
 const supabase = createClient(
     process.env.SUPABASE_URL,
     process.env.SUPABASE_SERVICE_KEY
 );
 
-// Upload file to Supabase Storage
-async function uploadFile(localPath, bucket, originalName) {
-    const ext = path.extname(originalName).toLowerCase();
-    const fileName = `${uuidv4()}${ext}`;
-    const filePath = `${fileName}`;
+function newKey(bucket, originalName, defaultExt = '') {
+    const ext = path.extname(originalName || '').toLowerCase() || defaultExt;
+    return `${uuidv4()}${ext}`;
+}
 
-    const fileBuffer = fs.readFileSync(localPath);
+// Upload a local file or a Buffer under an exact path
+async function put(bucket, key, source, options = {}) {
+    const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
 
-    const { data, error } = await supabase.storage
+    const { error } = await supabase.storage
         .from(bucket)
-        .upload(filePath, fileBuffer, {
-            contentType: getContentType(ext),
-            upsert: false
+        .upload(key, buffer, {
+            contentType: options.contentType || contentTypeFor(key),
+            upsert: true
         });
 
     if (error) throw new Error(`Upload failed: ${error.message}`);
-
-    // Get public URL
-    const { data: urlData } = supabase.storage
-        .from(bucket)
-        .getPublicUrl(filePath);
-
-    const url = urlData.publicUrl;
-    console.log(`☁️ Uploaded to ${bucket}: ${fileName} (${Math.round(fileBuffer.length / 1024)}KB)`);
-
-    return { path: filePath, url };
+    console.log(`☁️ Uploaded to ${bucket}: ${key} (${Math.round(buffer.length / 1024)}KB)`);
+    return { key, size: buffer.length };
 }
 
-// Upload buffer directly (for AI frames)
-async function uploadBuffer(buffer, bucket, fileName) {
-    const ext = path.extname(fileName).toLowerCase();
+/**
+ * Streams a file through the storage API with the service key (so private
+ * buckets work too), passing `Range` / `If-None-Match` through.
+ */
+async function getStream(bucket, key, options = {}) {
+    const headers = {
+        Authorization: `Bearer ${process.env.SUPABASE_SERVICE_KEY}`,
+        apikey: process.env.SUPABASE_SERVICE_KEY
+    };
+    if (options.range) headers.Range = options.range;
+    if (options.ifNoneMatch) headers['If-None-Match'] = options.ifNoneMatch;
+
+    const url = `${process.env.SUPABASE_URL.replace(/\/$/, '')}/storage/v1/object/authenticated/${bucket}/${encodeURI(key)}`;
+    const response = await fetch(url, { headers });
+
+    if (response.status === 304) throw new StorageError('Not modified', 304, { etag: options.ifNoneMatch });
+    // Supabase reports a missing object as a 400 with statusCode 404 in the body
+    if (response.status === 404 || response.status === 400) throw new StorageError(`Object not found: ${key}`, 404);
+    if (response.status === 416) {
+        const info = await head(bucket, key).catch(() => null);
+        throw new StorageError('Range not satisfiable', 416, { size: info?.size });
+    }
+    if (!response.ok) throw new Error(`Download failed: HTTP ${response.status}`);
+
+    const length = response.headers.get('content-length');
+    return {
+        body: Readable.fromWeb(response.body),
+        statusCode: response.status,
+        contentType: response.headers.get('content-type'),
+        contentLength: length === null ? undefined : Number(length),
+        contentRange: response.headers.get('content-range'),
+        etag: response.headers.get('etag')
+    };
+}
 
+// Size, content type and ETag of a stored file, or null if it does not exist
+async function head(bucket, key) {
+    const folder = path.posix.dirname(key);
+    const name = path.posix.basename(key);
     const { data, error } = await supabase.storage
         .from(bucket)
-        .upload(fileName, buffer, {
-            contentType: getContentType(ext),
-            upsert: true
-        });
+        .list(folder === '.' ? '' : folder, { search: name });
 
-    if (error) throw new Error(`Upload failed: ${error.message}`);
+    if (error) throw new Error(`File lookup failed: ${error.message}`);
+    const file = (data || []).find(f => f.name === name);
+    if (!file) return null;
+    return { size: file.metadata?.size, contentType: file.metadata?.mimetype, etag: file.metadata?.eTag };
+}
 
-    const { data: urlData } = supabase.storage
+async function deleteObjects(bucket, keys) {
+    if (keys.length === 0) return;
+    const { error } = await supabase.storage
         .from(bucket)
-        .getPublicUrl(fileName);
+        .remove(keys);
 
-    return { path: fileName, url: urlData.publicUrl };
+    if (error) console.error(`Delete failed: ${error.message}`);
+    else console.log(`🗑️ Deleted ${keys.length} file(s) from ${bucket}`);
 }
 
-// Delete file
-async function deleteFile(bucket, filePath) {
-    try {
-        const { error } = await supabase.storage
-            .from(bucket)
-            .remove([filePath]);
-
-        if (error) console.error(`Delete failed: ${error.message}`);
-        else console.log(`🗑️ Deleted from ${bucket}: ${filePath}`);
-    } catch (e) {
-        console.error(`Delete error: ${e.message}`);
-    }
+// Files directly inside the folder `prefix` points into, whose names start with the rest of it
+async function list(bucket, prefix = '') {
+    const folder = prefix.endsWith('/') ? prefix.slice(0, -1) : path.posix.dirname(prefix);
+    const dir = folder === '.' ? '' : folder;
+    const search = prefix.slice(dir ? dir.length + 1 : 0);
+
+    const { data, error } = await supabase.storage
+        .from(bucket)
+        .list(dir, { search, limit: 1000 });
+
+    if (error) throw new Error(`List failed: ${error.message}`);
+    return (data || [])
+        .filter(f => f.id) // folders have no id
+        .map(f => ({ key: dir ? `${dir}/${f.name}` : f.name, size: f.metadata?.size }));
 }
 
-// Delete multiple files
-async function deleteFiles(bucket, filePaths) {
-    try {
-        const { error } = await supabase.storage
-            .from(bucket)
-            .remove(filePaths);
-
-        if (error) console.error(`Bulk delete failed: ${error.message}`);
-        else console.log(`🗑️ Deleted ${filePaths.length} files from ${bucket}`);
-    } catch (e) {
-        console.error(`Bulk delete error: ${e.message}`);
-    }
+// Signed URL the client can PUT a file to directly (Supabase keeps it valid for 2 hours)
+// Supabase fixes the lifetime of signed upload URLs and does not limit size or type
+const SIGNED_UPLOAD_URL_MS = 2 * 60 * 60 * 1000;
+
+async function presignUpload(bucket, key) {
+    const { data, error } = await supabase.storage
+        .from(bucket)
+        .createSignedUploadUrl(key);
+
+    if (error) throw new Error(`Signed upload URL failed: ${error.message}`);
+    return { url: data.signedUrl, expiresAt: new Date(Date.now() + SIGNED_UPLOAD_URL_MS) };
 }
 
-function getContentType(ext) {
-    const types = {
-        '.mp4': 'video/mp4',
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.png': 'image/png',
-        '.apk': 'application/vnd.android.package-archive',
-        '.webm': 'video/webm'
-    };
-    return types[ext] || 'application/octet-stream';
+function publicUrl(bucket, key) {
+    return supabase.storage.from(bucket).getPublicUrl(key).data.publicUrl;
 }
 
-module.exports = { uploadFile, uploadBuffer, deleteFile, deleteFiles };
\ No newline at end of file
+module.exports = {
+    name: 'supabase',
+    remote: true,
+    newKey,
+    put,
+    getStream,
+    head,
+    delete: deleteObjects,
+    presignUpload,
+    list,
+    publicUrl
+};
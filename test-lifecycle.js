@@ -0,0 +1,109 @@
+// test-lifecycle.js — Test status state machine with validated transitions and history (test_status_history)
+const db = require('./db');
+
+const TEST_STATUSES = ['draft', 'pending-approval', 'active', 'paused', 'completed', 'cancelled', 'archived'];
+
+// from → to → who may make the move. 'system' is the backend itself (quota met, new round started);
+// sessions already underway can still meet the quota after a test is paused.
+const TRANSITIONS = {
+    'draft':            { 'pending-approval': ['company', 'admin'], 'cancelled': ['company', 'admin'] },
+    'pending-approval': { 'active': ['admin'], 'draft': ['company', 'admin'], 'cancelled': ['company', 'admin'] },
+    'active':           { 'paused': ['company', 'admin'], 'completed': ['admin', 'system'], 'cancelled': ['company', 'admin'] },
+    'paused':           { 'active': ['company', 'admin'], 'completed': ['admin', 'system'], 'cancelled': ['company', 'admin'] },
+    'completed':        { 'active': ['admin', 'system'], 'archived': ['company', 'admin'] },
+    'cancelled':        { 'archived': ['company', 'admin'] },
+    'archived':         {}
+};
+
+// Moves that must say why (shown to the company / kept for the record)
+const REASON_REQUIRED = ['cancelled', 'draft'];
+
+class TestTransitionError extends Error {
+    constructor(message, statusCode = 409) {
+        super(message);
+        this.name = 'TestTransitionError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Statuses `by` may move a test to from `from`
+function allowedTransitions(from, by) {
+    return Object.entries(TRANSITIONS[from] || {})
+        .filter(([, actors]) => actors.includes(by))
+        .map(([to]) => to);
+}
+
+/**
+ * Moves a test to a new status if the lifecycle allows it, and records the
+ * move in `test_status_history`. The status check is part of the UPDATE, so a
+ * concurrent transition cannot be silently overwritten.
+ *
+ * @param {number|string} testId
+ * @param {string} to
+ * @param {object} options
+ * @param {'company'|'admin'|'system'} options.by - who is making the move
+ * @param {string} [options.reason]
+ * @param {{ type: string, id?: number, email?: string }} [options.actor] - recorded in history (defaults to `by`)
+ * @returns {Promise<{ test: object, from: string, historyId: number }>}
+ * @throws {TestTransitionError} when the test is missing or the move is not allowed
+ */
+async function transitionTest(testId, to, options) {
+    const { by, reason = null } = options;
+    const actor = options.actor || { type: by };
+
+    if (!TEST_STATUSES.includes(to)) {
+        throw new TestTransitionError(`Unknown test status: ${to}`, 400);
+    }
+
+    const current = await db.query('SELECT status FROM tests WHERE id = $1', [testId]);
+    if (current.rows.length === 0) throw new TestTransitionError('Test not found', 404);
+    const from = current.rows[0].status;
+
+    if (!allowedTransitions(from, by).includes(to)) {
+        throw new TestTransitionError(`Cannot move a test from ${from} to ${to}`);
+    }
+    if (REASON_REQUIRED.includes(to) && !(reason && reason.trim())) {
+        throw new TestTransitionError(`A reason is required to move a test to ${to}`, 400);
+    }
+
+    const updated = await db.query(
+        'UPDATE tests SET status = $2 WHERE id = $1 AND status = $3 RETURNING *',
+        [testId, to, from]
+    );
+    if (updated.rows.length === 0) {
+        throw new TestTransitionError('The test status changed at the same time — reload and try again');
+    }
+
+    const history = await db.query(
+        `INSERT INTO test_status_history (test_id, from_status, to_status, reason, actor_type, actor_id, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+        [testId, from, to, reason, actor.type, actor.id || null, actor.email || null]
+    );
+
+    return { test: updated.rows[0], from, historyId: history.rows[0].id };
+}
+
+// Attaches side-effect results (notifications sent, refund, released sessions) to a history entry
+async function recordTransitionDetails(historyId, details) {
+    await db.query('UPDATE test_status_history SET details = $2 WHERE id = $1', [historyId, JSON.stringify(details)]);
+}
+
+async function getStatusHistory(testId) {
+    const result = await db.query(
+        `SELECT id, from_status, to_status, reason, actor_type, actor_id, actor_email, details, created_at
+         FROM test_status_history
+         WHERE test_id = $1
+         ORDER BY created_at, id`,
+        [testId]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    TEST_STATUSES,
+    TestTransitionError,
+    allowedTransitions,
+    transitionTest,
+    recordTransitionDetails,
+    getStatusHistory
+};
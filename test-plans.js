@@ -0,0 +1,167 @@
+// test-plans.js — Structured test plans (ordered steps) and testers' per-step results
+const db = require('./db');
+
+const STEP_RESULT_STATUSES = ['pass', 'fail', 'blocked'];
+const MAX_PLAN_STEPS = 100;
+
+/**
+ * Validates and normalizes a plan authored by a company.
+ * @param {any} steps - array of { title, expected_result, instructions?, requires_screenshot? }
+ * @returns {{ steps?: object[], error?: string }}
+ */
+function normalizePlan(steps) {
+    if (!Array.isArray(steps)) return { error: 'steps must be an array' };
+    if (steps.length > MAX_PLAN_STEPS) return { error: `A test plan can have at most ${MAX_PLAN_STEPS} steps` };
+
+    const normalized = [];
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i] || {};
+        const title = typeof step.title === 'string' ? step.title.trim() : '';
+        const expected = typeof step.expected_result === 'string' ? step.expected_result.trim() : '';
+        if (!title) return { error: `Step ${i + 1} needs a title` };
+        if (!expected) return { error: `Step ${i + 1} needs an expected_result` };
+
+        normalized.push({
+            position: i + 1,
+            title,
+            instructions: typeof step.instructions === 'string' && step.instructions.trim() ? step.instructions.trim() : null,
+            expected_result: expected,
+            requires_screenshot: step.requires_screenshot === true || step.requires_screenshot === 'true'
+        });
+    }
+    return { steps: normalized };
+}
+
+async function getTestPlan(testId) {
+    const result = await db.query(
+        `SELECT id, position, title, instructions, expected_result, requires_screenshot
+         FROM test_plan_steps WHERE test_id = $1 ORDER BY position`,
+        [testId]
+    );
+    return result.rows;
+}
+
+/**
+ * Replaces a test's whole plan in one transaction.
+ * @param {number|string} testId
+ * @param {object[]} steps - output of normalizePlan
+ * @returns {Promise<object[]>} the stored steps
+ */
+async function replaceTestPlan(testId, steps) {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM test_plan_steps WHERE test_id = $1', [testId]);
+        for (const step of steps) {
+            await client.query(
+                `INSERT INTO test_plan_steps (test_id, position, title, instructions, expected_result, requires_screenshot)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [testId, step.position, step.title, step.instructions, step.expected_result, step.requires_screenshot]
+            );
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        throw err;
+    } finally {
+        client.release();
+    }
+    return getTestPlan(testId);
+}
+
+/**
+ * Records (or re-records) a tester's outcome for one step of their session.
+ * A new screenshot replaces the previous one (URL, key and storage driver together).
+ * @param {object} session - test_sessions row
+ * @param {object} step - test_plan_steps row
+ * @param {{ status: string, notes?: string, started_at?: string, completed_at?: string,
+ *           screenshot_url?: string, screenshot_path?: string, screenshot_storage?: string }} result
+ */
+async function recordStepResult(session, step, result) {
+    const saved = await db.query(
+        `INSERT INTO test_step_results
+            (session_id, step_id, test_id, tester_id, status, notes, screenshot_url, screenshot_path, screenshot_storage,
+             started_at, completed_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW()))
+         ON CONFLICT (session_id, step_id) DO UPDATE SET
+            status = EXCLUDED.status,
+            notes = EXCLUDED.notes,
+            screenshot_url = CASE WHEN EXCLUDED.screenshot_path IS NULL
+                                  THEN test_step_results.screenshot_url ELSE EXCLUDED.screenshot_url END,
+            screenshot_path = COALESCE(EXCLUDED.screenshot_path, test_step_results.screenshot_path),
+            screenshot_storage = COALESCE(EXCLUDED.screenshot_storage, test_step_results.screenshot_storage),
+            started_at = COALESCE(EXCLUDED.started_at, test_step_results.started_at),
+            completed_at = EXCLUDED.completed_at,
+            updated_at = NOW()
+         RETURNING *`,
+        [
+            session.id, step.id, session.test_id, session.tester_id, result.status, result.notes || null,
+            result.screenshot_url || null, result.screenshot_path || null, result.screenshot_storage || null,
+            result.started_at || null, result.completed_at || null
+        ]
+    );
+    return saved.rows[0];
+}
+
+function passRate(pass, total) {
+    return total > 0 ? Math.round((pass / total) * 1000) / 10 : null;
+}
+
+/**
+ * Per-step and overall outcome counts for a test, optionally for one round.
+ * Pass rate is the share of executed steps that passed (blocked counts as not passed).
+ * @param {number|string} testId
+ * @param {number|null} [iteration]
+ */
+async function summarizeTestPlan(testId, iteration = null) {
+    const result = await db.query(
+        `SELECT p.id AS step_id, p.position, p.title, p.expected_result,
+                COUNT(r.id) FILTER (WHERE r.status = 'pass')::int    AS pass,
+                COUNT(r.id) FILTER (WHERE r.status = 'fail')::int    AS fail,
+                COUNT(r.id) FILTER (WHERE r.status = 'blocked')::int AS blocked
+         FROM test_plan_steps p
+         LEFT JOIN test_step_results r ON r.step_id = p.id
+              AND ($2::int IS NULL OR r.session_id IN (
+                  SELECT s.id FROM test_sessions s WHERE s.test_id = $1 AND s.iteration = $2::int
+              ))
+         WHERE p.test_id = $1
+         GROUP BY p.id
+         ORDER BY p.position`,
+        [testId, iteration]
+    );
+
+    const totals = { pass: 0, fail: 0, blocked: 0 };
+    const steps = result.rows.map(row => {
+        const executed = row.pass + row.fail + row.blocked;
+        totals.pass += row.pass;
+        totals.fail += row.fail;
+        totals.blocked += row.blocked;
+        return { ...row, executed, pass_rate: passRate(row.pass, executed) };
+    });
+
+    const sessions = await db.query(
+        `SELECT COUNT(DISTINCT r.session_id)::int AS sessions
+         FROM test_step_results r JOIN test_sessions s ON r.session_id = s.id
+         WHERE r.test_id = $1 AND ($2::int IS NULL OR s.iteration = $2::int)`,
+        [testId, iteration]
+    );
+
+    const executed = totals.pass + totals.fail + totals.blocked;
+    return {
+        iteration,
+        step_count: steps.length,
+        sessions_reporting: sessions.rows[0].sessions,
+        totals: { ...totals, executed },
+        pass_rate: passRate(totals.pass, executed),
+        steps
+    };
+}
+
+module.exports = {
+    STEP_RESULT_STATUSES,
+    normalizePlan,
+    getTestPlan,
+    replaceTestPlan,
+    recordStepResult,
+    summarizeTestPlan
+};
@@ -0,0 +1,186 @@
+// test-sessions.js — Tester ↔ test assignment/session lifecycle (test_sessions table)
+const db = require('./db');
+
+const SESSION_STATES = ['assigned', 'accepted', 'in_progress', 'submitted', 'expired', 'force_closed'];
+
+// A session in one of these states holds a slot on the test
+const OPEN_SESSION_STATES = ['assigned', 'accepted', 'in_progress'];
+
+// Sessions in these states count against tests.tester_quota
+const SLOT_HOLDING_STATES = [...OPEN_SESSION_STATES, 'submitted'];
+
+// Reservation time limits (minutes unless noted) — all configurable via env
+const SLOT_RESERVATION_MINUTES = parseInt(process.env.SLOT_RESERVATION_MINUTES) || 30;          // claimed → must start
+const SESSION_TIME_LIMIT_MINUTES = parseInt(process.env.SESSION_TIME_LIMIT_MINUTES) || 120;     // started → must submit
+const HEARTBEAT_TIMEOUT_MINUTES = parseInt(process.env.SESSION_HEARTBEAT_TIMEOUT_MINUTES) || 10; // in progress, app went silent
+const ASSIGNMENT_EXPIRY_HOURS = parseInt(process.env.ASSIGNMENT_EXPIRY_HOURS) || 48;             // admin assignment → must accept
+
+// action → which states it may leave from, which state it lands in, which timestamp it
+// stamps, and (for reservations) how long the new state may last before the sweeper reclaims it
+const TRANSITIONS = {
+    accept:      { from: ['assigned'],                to: 'accepted',     stamp: 'accepted_at', ttlMinutes: SLOT_RESERVATION_MINUTES },
+    start:       { from: ['accepted', 'in_progress'], to: 'in_progress',  stamp: 'started_at', ttlMinutes: SESSION_TIME_LIMIT_MINUTES },
+    submit:      { from: OPEN_SESSION_STATES,         to: 'submitted',    stamp: 'submitted_at' },
+    abandon:     { from: OPEN_SESSION_STATES,         to: 'expired',      stamp: 'closed_at' },
+    expire:      { from: OPEN_SESSION_STATES,         to: 'expired',      stamp: 'closed_at' },
+    force_close: { from: OPEN_SESSION_STATES,         to: 'force_closed', stamp: 'closed_at' }
+};
+
+/**
+ * Moves a session through one lifecycle action. The state check happens in the
+ * UPDATE itself, so two concurrent requests cannot both win.
+ *
+ * @param {number|string} sessionId
+ * @param {keyof TRANSITIONS} action
+ * @param {{ closeReason?: string, bugId?: number }} [extra]
+ * @returns {Promise<object|null>} the updated row, or null if the session was not in an allowed state
+ */
+async function transitionSession(sessionId, action, extra = {}) {
+    const transition = TRANSITIONS[action];
+    if (!transition) throw new Error(`Unknown session action: ${action}`);
+
+    // Re-entering the same state (e.g. resuming an in-progress session) keeps the original deadline
+    const result = await db.query(
+        `UPDATE test_sessions SET
+            state = $2,
+            ${transition.stamp} = COALESCE(${transition.stamp}, NOW()),
+            last_heartbeat_at = CASE WHEN $2 = 'in_progress' THEN NOW() ELSE last_heartbeat_at END,
+            expires_at = CASE
+                WHEN $6::int IS NULL THEN expires_at
+                WHEN state = $2 THEN expires_at
+                ELSE NOW() + make_interval(mins => $6::int)
+            END,
+            close_reason = COALESCE($4, close_reason),
+            bug_id = COALESCE($5, bug_id)
+         WHERE id = $1 AND state = ANY($3::text[])
+         RETURNING *`,
+        [sessionId, transition.to, transition.from, extra.closeReason || null, extra.bugId || null, transition.ttlMinutes || null]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Records that the tester's app is still in an in-progress session.
+ * @returns {Promise<object|null>} the session, or null if it is not in progress
+ */
+async function heartbeatSession(sessionId) {
+    const result = await db.query(
+        `UPDATE test_sessions SET last_heartbeat_at = NOW()
+         WHERE id = $1 AND state = 'in_progress'
+         RETURNING *`,
+        [sessionId]
+    );
+    return result.rows[0] || null;
+}
+
+// The tester's open session on a test, if any
+async function findOpenSession(testId, testerId) {
+    const result = await db.query(
+        `SELECT * FROM test_sessions
+         WHERE test_id = $1 AND tester_id = $2 AND state = ANY($3::text[])
+         ORDER BY id DESC LIMIT 1`,
+        [testId, testerId, OPEN_SESSION_STATES]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Atomically reserves one of the test's `tester_quota` slots in its current
+ * round for a tester. The test row is locked for the duration, so concurrent
+ * reservations are serialized and the quota can never be oversubscribed.
+ *
+ * @param {number|string} testId
+ * @param {number|string} testerId
+ * @param {{ state?: 'accepted'|'assigned', assignedBy?: number }} [options]
+ * @returns {Promise<{ session: object|null, reason?: 'not_found'|'inactive'|'full' }>}
+ */
+async function reserveSlot(testId, testerId, options = {}) {
+    const state = options.state || 'accepted';
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const test = await client.query(
+            `SELECT id, status, COALESCE(tester_quota, 20) AS tester_quota, COALESCE(current_iteration, 1) AS iteration
+             FROM tests WHERE id = $1 FOR UPDATE`,
+            [testId]
+        );
+        if (test.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { session: null, reason: 'not_found' };
+        }
+        // Admins may pre-assign testers before a test goes live; self-claims need an active test
+        if (state === 'accepted' && test.rows[0].status !== 'active') {
+            await client.query('ROLLBACK');
+            return { session: null, reason: 'inactive' };
+        }
+
+        const { iteration } = test.rows[0];
+        const held = await client.query(
+            `SELECT COUNT(*)::int AS held FROM test_sessions
+             WHERE test_id = $1 AND iteration = $2 AND state = ANY($3::text[])`,
+            [testId, iteration, SLOT_HOLDING_STATES]
+        );
+        if (held.rows[0].held >= test.rows[0].tester_quota) {
+            await client.query('ROLLBACK');
+            return { session: null, reason: 'full' };
+        }
+
+        const ttl = state === 'assigned' ? ASSIGNMENT_EXPIRY_HOURS * 60 : SLOT_RESERVATION_MINUTES;
+        const result = await client.query(
+            `INSERT INTO test_sessions (test_id, tester_id, state, iteration, assigned_by, assigned_at, accepted_at, expires_at)
+             VALUES ($1, $2, $3, $4, $5,
+                     CASE WHEN $3 = 'assigned' THEN NOW() END,
+                     CASE WHEN $3 = 'accepted' THEN NOW() END,
+                     NOW() + make_interval(mins => $6::int))
+             RETURNING *`,
+            [testId, testerId, state, iteration, options.assignedBy || null, ttl]
+        );
+
+        await client.query('COMMIT');
+        return { session: result.rows[0] };
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        // A parallel reservation for the same tester won the unique open-session index
+        if (err.code === '23505') return { session: await findOpenSession(testId, testerId) };
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Expires open sessions whose reservation deadline passed, and in-progress
+ * sessions whose app stopped sending heartbeats. Their slots free up immediately.
+ * @returns {Promise<object[]>} the sessions that were expired
+ */
+async function expireStaleSessions() {
+    const result = await db.query(
+        `UPDATE test_sessions SET
+            state = 'expired',
+            closed_at = NOW(),
+            close_reason = CASE
+                WHEN expires_at < NOW() THEN 'Reservation time limit reached'
+                ELSE 'No heartbeat from tester app'
+            END
+         WHERE state = ANY($1::text[])
+           AND (
+               expires_at < NOW()
+               OR (state = 'in_progress' AND last_heartbeat_at < NOW() - make_interval(mins => $2::int))
+           )
+         RETURNING id, test_id, tester_id, close_reason`,
+        [OPEN_SESSION_STATES, HEARTBEAT_TIMEOUT_MINUTES]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    SESSION_STATES,
+    OPEN_SESSION_STATES,
+    SLOT_HOLDING_STATES,
+    reserveSlot,
+    expireStaleSessions,
+    transitionSession,
+    heartbeatSession,
+    findOpenSession
+};
@@ -0,0 +1,189 @@
+// Stages of the analysis pipeline (ai-analyzer.js), run offline with the mock LLM provider
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const analyzer = require('../ai-analyzer');
+const ffmpeg = require('../ffmpeg-setup');
+
+const { stages, classifySignature, similarity, filterDuplicates } = analyzer;
+const SIGNATURE_BYTES = 32 * 32;
+
+function signature(value) {
+    return Buffer.alloc(SIGNATURE_BYTES, value);
+}
+
+// A grayscale signature whose left half is `left` and right half `right`
+function split(left, right) {
+    const sig = Buffer.alloc(SIGNATURE_BYTES, right);
+    for (let row = 0; row < 32; row++) sig.fill(left, row * 32, row * 32 + 16);
+    return sig;
+}
+
+function frame(timestamp, sig, type = 'normal') {
+    return { path: `frame_${timestamp}.jpg`, timestamp, signature: sig, type };
+}
+
+function render(input, output, options) {
+    return new Promise((resolve, reject) => {
+        ffmpeg(input).inputOptions(['-f', 'lavfi']).outputOptions(options).output(output)
+            .on('end', resolve).on('error', reject).run();
+    });
+}
+
+let workDir;
+test.before(() => { workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-analyzer-test-')); });
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+// ============================================
+// CLASSIFY
+// ============================================
+
+test('classifySignature tells black, nearly black, white and normal screens apart', () => {
+    assert.equal(classifySignature(signature(5)), 'black_screen');
+    assert.equal(classifySignature(signature(250)), 'white_screen');
+    // Too many lit pixels to be black, but dim overall
+    const dim = Buffer.alloc(SIGNATURE_BYTES, 10);
+    dim.fill(25, 0, 160);
+    assert.equal(classifySignature(dim), 'nearly_black');
+    assert.equal(classifySignature(split(20, 200)), 'normal');
+    assert.equal(classifySignature(null), 'normal');
+});
+
+test('classify stage reads each frame image and tags its type', async () => {
+    const colors = { black: 'black', white: 'white', normal: 'blue' };
+    const rawFrames = [];
+    for (const [i, color] of Object.values(colors).entries()) {
+        const out = path.join(workDir, `${color}.jpg`);
+        await render(`color=${color}:size=64x64`, out, ['-frames:v 1']);
+        rawFrames.push({ path: out, timestamp: i });
+    }
+    const ctx = { rawFrames };
+    await stages.classify(ctx);
+    assert.deepEqual(ctx.rawFrames.map(f => f.type), ['black_screen', 'white_screen', 'normal']);
+    assert.equal(ctx.rawFrames[0].signature.length, SIGNATURE_BYTES);
+});
+
+// ============================================
+// DEDUPE
+// ============================================
+
+test('similarity is 100 for identical signatures and 0 for opposite ones', () => {
+    assert.equal(similarity(signature(80), signature(80)), 100);
+    assert.equal(similarity(signature(0), signature(255)), 0);
+    assert.equal(similarity(signature(0), Buffer.alloc(10)), 0);
+});
+
+test('filterDuplicates keeps the first frame of each screen', () => {
+    const a = split(30, 200);
+    const b = split(200, 30);
+    const { unique, removed, freezes } = filterDuplicates([frame(1, a), frame(3, a), frame(5, b), frame(7, a)]);
+    assert.deepEqual(unique.map(f => f.timestamp), [1, 5, 7]);
+    assert.equal(removed, 1);
+    assert.equal(freezes, 0);
+});
+
+test('filterDuplicates marks a long run of one screen as a freeze', () => {
+    const a = split(30, 200);
+    const b = split(200, 30);
+    const frames = [frame(2, a), frame(4, a), frame(6, a), frame(9, a), frame(12, b)];
+    const { unique, removed, freezes } = filterDuplicates(frames);
+    assert.deepEqual(unique.map(f => f.timestamp), [2, 12]);
+    assert.equal(removed, 3);
+    assert.equal(freezes, 1);
+    assert.equal(unique[0].frozenDuration, 7);
+});
+
+test('filterDuplicates marks a screen frozen until the end of the session', () => {
+    const a = split(30, 200);
+    const b = split(200, 30);
+    const { unique, freezes } = filterDuplicates([frame(1, b), frame(5, a), frame(8, a), frame(11, a), frame(14, a)]);
+    assert.equal(freezes, 1);
+    assert.equal(unique[1].frozenDuration, 9);
+});
+
+test('dedupe stage drops black screens and counts what it removed', async () => {
+    const a = split(30, 200);
+    const ctx = {
+        rawFrames: [
+            frame(1, a),
+            frame(2, signature(3), 'black_screen'),
+            frame(3, signature(10), 'nearly_black'),
+            frame(4, a),
+            frame(5, signature(250), 'white_screen')
+        ]
+    };
+    await stages.dedupe(ctx);
+    assert.deepEqual(ctx.uniqueFrames.map(f => f.timestamp), [1, 5]);
+    assert.deepEqual(ctx.summary, { blackScreens: 2, whiteScreens: 1, duplicatesRemoved: 1, freezes: 0 });
+});
+
+// ============================================
+// PROMPT + PARSE (mock provider)
+// ============================================
+
+test('prompt and parse stages produce a valid report without frames', async () => {
+    const ctx = {
+        testInfo: { app_name: 'Shop', instructions: 'Buy something' },
+        bugDescription: 'Checkout hangs',
+        deviceStats: JSON.stringify({ batteryStart: 90, batteryEnd: 85, batteryDrain: 5 }),
+        selectedFrames: []
+    };
+    await stages.prompt(ctx);
+    assert.equal(ctx.promptLabel, 'text-only');
+    assert.match(ctx.prompt, /Bug Description: Checkout hangs/);
+
+    await stages.parse(ctx);
+    assert.equal(ctx.generated.provider, 'mock');
+    assert.deepEqual(ctx.generated.report.evidence, []);
+    assert.equal(ctx.generated.usage.calls, 1);
+});
+
+test('parse stage asks for a repair and gives up when the reply stays invalid', async () => {
+    process.env.MOCK_LLM_RESPONSE = '{"title": "Only a title"}';
+    try {
+        const ctx = { prompt: 'Report this bug', selectedFrames: [], promptLabel: 'text-only' };
+        await stages.parse(ctx);
+        assert.equal(ctx.generated.report, null);
+        assert.match(ctx.generated.error, /still invalid/);
+        // The first reply and its repair
+        assert.equal(ctx.generated.usage.calls, 2);
+    } finally {
+        delete process.env.MOCK_LLM_RESPONSE;
+    }
+});
+
+// ============================================
+// WHOLE PIPELINE
+// ============================================
+
+test('analyzeRecordingFile runs every stage on a local recording', async () => {
+    // 4s test pattern, 4s black, 4s white, 12s of one still screen
+    const video = path.join(workDir, 'session.mp4');
+    await render(
+        'testsrc=size=180x320:rate=5:duration=4,format=yuv420p[a];' +
+        'color=black:size=180x320:rate=5:duration=4,format=yuv420p[b];' +
+        'color=white:size=180x320:rate=5:duration=4,format=yuv420p[c];' +
+        'smptebars=size=180x320:rate=5:duration=12,format=yuv420p[d];' +
+        '[a][b][c][d]concat=n=4:v=1',
+        video,
+        ['-pix_fmt yuv420p']
+    );
+
+    const result = await analyzer.analyzeRecordingFile(video, { appName: 'Shop', bugDescription: 'Screen goes white' });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.provider, 'mock');
+    assert.ok(result.videoInfo.blackScreensRemoved >= 1);
+    assert.ok(result.videoInfo.whiteScreens >= 1);
+    assert.ok(result.videoInfo.frozenScreens >= 1);
+    assert.ok(result.report.evidence.length > 0);
+});
+
+test('analyzeRecordingFile reports a missing file instead of throwing', async () => {
+    const result = await analyzer.analyzeRecordingFile(path.join(workDir, 'missing.mp4'));
+    assert.equal(result.success, false);
+    assert.match(result.error, /not found/);
+});
@@ -0,0 +1,73 @@
+// Validation of model replies against the report schema (analysis-report.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReport, publicReport } = require('../analysis-report');
+
+function reply(overrides = {}) {
+    return {
+        title: 'Checkout hangs after payment confirmation',
+        reproduction_steps: ['1. Open the app', '2) Add an item to the cart', '- Pay with UPI'],
+        root_cause: 'The confirmation request is retried on the UI thread.',
+        recommended_fixes: ['Move the retry off the UI thread'],
+        severity: { rating: 'high', justification: 'Blocks every purchase.' },
+        admin_verdict: { verdict: 'approve', confidence: 0.85, reasoning: 'The frames show the hang clearly.' },
+        evidence: [],
+        ...overrides
+    };
+}
+
+const frames = [{ timestamp: 4 }, { timestamp: 19 }];
+
+test('parseReport accepts a reply wrapped in a ```json fence', () => {
+    const { report, errors } = parseReport('```json\n' + JSON.stringify(reply()) + '\n```');
+    assert.deepEqual(errors, []);
+    assert.equal(report.title, 'Checkout hangs after payment confirmation');
+});
+
+test('parseReport normalizes enums and strips list numbering', () => {
+    const { report } = parseReport(JSON.stringify(reply()));
+    assert.equal(report.severity.rating, 'HIGH');
+    assert.equal(report.admin_verdict.verdict, 'APPROVE');
+    assert.deepEqual(report.reproduction_steps, ['Open the app', 'Add an item to the cart', 'Pay with UPI']);
+});
+
+test('parseReport turns a percentage confidence into a fraction', () => {
+    const { report } = parseReport(JSON.stringify(reply({
+        admin_verdict: { verdict: 'REJECT', confidence: 72, reasoning: 'Too vague.' }
+    })));
+    assert.equal(report.admin_verdict.confidence, 0.72);
+});
+
+test('parseReport rejects text that is not JSON', () => {
+    const { report, errors } = parseReport('The app crashed on launch.');
+    assert.equal(report, undefined);
+    assert.match(errors[0], /not valid JSON/);
+});
+
+test('parseReport lists every missing or invalid field', () => {
+    const { report, errors } = parseReport(JSON.stringify(reply({
+        title: ' ', severity: { rating: 'URGENT', justification: 'x' }
+    })));
+    assert.equal(report, undefined);
+    assert.ok(errors.includes('title is required'));
+    assert.ok(errors.some(e => e.startsWith('severity.rating must be one of')));
+});
+
+test('parseReport adds frame timestamps to evidence', () => {
+    const { report } = parseReport(JSON.stringify(reply({
+        evidence: [{ frame: 2, observation: 'Spinner still showing' }]
+    })), { frames });
+    assert.deepEqual(report.evidence, [{ frame: 2, timestamp_seconds: 19, observation: 'Spinner still showing' }]);
+});
+
+test('parseReport rejects evidence for frames that were not sent', () => {
+    const { errors } = parseReport(JSON.stringify(reply({
+        evidence: [{ frame: 3, observation: 'Blank screen' }]
+    })), { frames });
+    assert.deepEqual(errors, ['evidence frame 3 does not exist (frames are 1-2)']);
+});
+
+test('publicReport leaves out the admin verdict', () => {
+    const { report } = parseReport(JSON.stringify(reply()));
+    assert.equal(publicReport(report).admin_verdict, undefined);
+});
@@ -0,0 +1,250 @@
+// video-cache.js — Shared on-disk cache of recordings (video proxy + AI analyzer)
+// Bounded by total bytes with least-recently-used eviction. Entries are `<name>` plus
+// `<name>.json` ({ etag, contentType, size }); both are written under temp names and
+// renamed into place once complete, so a partial download is never served as a hit.
+// Concurrent requests for the same missing object share a single download.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CACHE_DIR = process.env.VIDEO_CACHE_DIR || path.join(os.tmpdir(), 'video-cache');
+const MAX_BYTES = (parseInt(process.env.VIDEO_CACHE_MAX_MB) || 2048) * 1024 * 1024;
+
+fs.mkdirSync(CACHE_DIR, { recursive: true });
+
+const entries = new Map();  // name → { size, lastAccess }
+const inflight = new Map(); // name → Promise<entry|null> for downloads in progress
+let totalBytes = 0;
+
+const metrics = { hits: 0, misses: 0, coalesced: 0, fills: 0, fill_failures: 0, evictions: 0, evicted_bytes: 0 };
+
+// Safe file name for a storage key
+function entryName(key) {
+    return key.replace(/[\/\\]/g, '_');
+}
+
+function entryPath(name) {
+    return path.join(CACHE_DIR, name);
+}
+
+// Rebuilds the index from disk, using mtime as last access; drops temp files and half-entries
+(function loadIndex() {
+    for (const file of fs.readdirSync(CACHE_DIR)) {
+        const fp = path.join(CACHE_DIR, file);
+        try {
+            if (file.endsWith('.tmp') || file.endsWith('.tmp.json')) {
+                fs.unlinkSync(fp);
+                continue;
+            }
+            if (file.endsWith('.json')) {
+                if (!fs.existsSync(fp.slice(0, -'.json'.length))) fs.unlinkSync(fp);
+                continue;
+            }
+            const meta = JSON.parse(fs.readFileSync(`${fp}.json`, 'utf8'));
+            const stat = fs.statSync(fp);
+            if (stat.size !== meta.size) throw new Error('size mismatch');
+            entries.set(file, { size: stat.size, lastAccess: stat.mtimeMs });
+            totalBytes += stat.size;
+        } catch (e) {
+            fs.rmSync(fp, { force: true });
+            fs.rmSync(`${fp}.json`, { force: true });
+        }
+    }
+    console.log(`📂 Video cache: ${CACHE_DIR} (${entries.size} files, ${(totalBytes / 1024 / 1024).toFixed(0)} of ${MAX_BYTES / 1024 / 1024} MB)`);
+})();
+
+function removeEntry(name) {
+    const entry = entries.get(name);
+    if (!entry) return;
+    entries.delete(name);
+    totalBytes -= entry.size;
+    // Readers that already opened the file keep their handle; only new lookups miss
+    fs.rmSync(entryPath(name), { force: true });
+    fs.rmSync(`${entryPath(name)}.json`, { force: true });
+}
+
+// Evicts least recently used entries until the cache fits (keeping `keep`, the entry just added)
+function evict(keep) {
+    if (totalBytes <= MAX_BYTES) return;
+    const byAge = [...entries.entries()]
+        .filter(([name]) => name !== keep)
+        .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [name, entry] of byAge) {
+        if (totalBytes <= MAX_BYTES) break;
+        removeEntry(name);
+        metrics.evictions++;
+        metrics.evicted_bytes += entry.size;
+    }
+}
+
+/**
+ * Returns the cached copy of `key`, or null. Counts as a hit or a miss and
+ * refreshes the entry's position in the LRU order.
+ * @returns {{ path: string, etag?: string, contentType?: string, size: number } | null}
+ */
+function lookup(key) {
+    const name = entryName(key);
+    if (!entries.has(name)) {
+        metrics.misses++;
+        return null;
+    }
+    try {
+        const meta = JSON.parse(fs.readFileSync(`${entryPath(name)}.json`, 'utf8'));
+        const now = Date.now();
+        entries.get(name).lastAccess = now;
+        fs.utimes(entryPath(name), now / 1000, now / 1000, () => { });
+        metrics.hits++;
+        return { path: entryPath(name), ...meta };
+    } catch (e) {
+        removeEntry(name);
+        metrics.misses++;
+        return null;
+    }
+}
+
+// Moves a finished temp file into the cache and indexes it
+function commit(name, tmpPath, meta) {
+    const size = fs.statSync(tmpPath).size;
+    if (meta.size !== undefined && size !== meta.size) throw new Error(`incomplete download (${size} of ${meta.size} bytes)`);
+
+    removeEntry(name); // replacing an older copy
+    fs.writeFileSync(`${tmpPath}.json`, JSON.stringify({ ...meta, size }));
+    fs.renameSync(`${tmpPath}.json`, `${entryPath(name)}.json`);
+    fs.renameSync(tmpPath, entryPath(name));
+
+    entries.set(name, { size, lastAccess: Date.now() });
+    totalBytes += size;
+    metrics.fills++;
+    evict(name);
+    return { path: entryPath(name), ...meta, size };
+}
+
+function tempPath(name) {
+    return path.join(CACHE_DIR, `${name}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2, 8)}.tmp`);
+}
+
+// Writes a readable stream into the cache; resolves with the entry, or null on failure
+function writeStream(name, body, meta) {
+    const tmpPath = tempPath(name);
+    return new Promise(resolve => {
+        const out = fs.createWriteStream(tmpPath);
+        let failed = false;
+        const fail = err => {
+            if (failed) return;
+            failed = true;
+            out.destroy();
+            fs.rmSync(tmpPath, { force: true });
+            fs.rmSync(`${tmpPath}.json`, { force: true });
+            metrics.fill_failures++;
+            console.warn(`⚠️ Video cache write failed for ${name}:`, err.message);
+            resolve(null);
+        };
+        body.on('error', fail);
+        out.on('error', fail);
+        out.on('finish', () => {
+            if (failed) return;
+            try {
+                resolve(commit(name, tmpPath, meta));
+            } catch (err) {
+                fail(err);
+            }
+        });
+        body.pipe(out);
+    });
+}
+
+function track(name, promise) {
+    inflight.set(name, promise);
+    promise.finally(() => inflight.delete(name));
+    return promise;
+}
+
+/**
+ * Caches a body that is already being downloaded (e.g. teed from a proxied
+ * response). If the key is already being cached, the body is left alone and
+ * the existing download's promise is returned.
+ * @param {string} key
+ * @param {import('stream').Readable} body
+ * @param {{ etag?: string, contentType?: string, size?: number }} meta - size is checked on completion
+ * @returns {Promise<object|null>}
+ */
+function store(key, body, meta) {
+    const name = entryName(key);
+    if (inflight.has(name)) return inflight.get(name);
+    return track(name, writeStream(name, body, meta));
+}
+
+/**
+ * Returns the cached copy of `key`, downloading it with `fetchObject` if
+ * needed. Concurrent callers for the same key share one download.
+ * @param {string} key
+ * @param {() => Promise<{ body: import('stream').Readable, etag?: string, contentType?: string, size?: number }>} fetchObject
+ * @returns {Promise<object|null>} the entry, or null if the download failed
+ */
+function ensureCached(key, fetchObject) {
+    const name = entryName(key);
+    // Misses are counted by the caller's own lookup(), so only check for a hit here
+    const hit = entries.has(name) && lookup(key);
+    if (hit) return Promise.resolve(hit);
+
+    if (inflight.has(name)) {
+        metrics.coalesced++;
+        return inflight.get(name);
+    }
+    return track(name, (async () => {
+        try {
+            const { body, ...meta } = await fetchObject();
+            return await writeStream(name, body, meta);
+        } catch (err) {
+            metrics.fill_failures++;
+            console.warn(`⚠️ Video cache fetch failed for ${key}:`, err.message);
+            return null;
+        }
+    })());
+}
+
+/**
+ * Copies a file that was downloaded some other way into the cache, unless the
+ * key is already cached or being cached.
+ */
+async function storeFile(key, filePath, meta = {}) {
+    const name = entryName(key);
+    if (entries.has(name) || inflight.has(name)) return null;
+    return track(name, (async () => {
+        const tmpPath = tempPath(name);
+        try {
+            await fs.promises.copyFile(filePath, tmpPath);
+            return commit(name, tmpPath, meta);
+        } catch (err) {
+            fs.rmSync(tmpPath, { force: true });
+            metrics.fill_failures++;
+            return null;
+        }
+    })());
+}
+
+function isFilling(key) {
+    return inflight.has(entryName(key));
+}
+
+function getStats() {
+    const lookups = metrics.hits + metrics.misses;
+    return {
+        dir: CACHE_DIR,
+        max_bytes: MAX_BYTES,
+        used_bytes: totalBytes,
+        entries: entries.size,
+        in_flight: inflight.size,
+        ...metrics,
+        hit_rate: lookups > 0 ? Math.round((metrics.hits / lookups) * 1000) / 10 : null
+    };
+}
+
+module.exports = {
+    lookup,
+    store,
+    ensureCached,
+    storeFile,
+    isFilling,
+    getStats
+};
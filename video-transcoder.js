@@ -0,0 +1,367 @@
+// video-transcoder.js — Background ffmpeg renditions of bug recordings (video_renditions table)
+// Each recording gets a normalized H.264 MP4 at a capped bitrate, a low-resolution
+// preview, a poster JPEG and a multi-bitrate HLS ladder, stored next to the original
+// with the same storage driver.
+const ffmpeg = require('./ffmpeg-setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('./db');
+const storageDrivers = require('./storage-drivers');
+
+const BUCKET = 'recordings';
+
+// rendition → how to produce it. Sizes are the short side, so portrait phone
+// recordings and landscape ones are capped alike.
+const RENDITIONS = {
+    h264:    { ext: '.mp4', contentType: 'video/mp4',  shortSide: 720, videoBitrate: 1500, maxrate: 2000, audioBitrate: 96 },
+    preview: { ext: '.mp4', contentType: 'video/mp4',  shortSide: 360, videoBitrate: 400,  maxrate: 500,  audioBitrate: 48 },
+    poster:  { ext: '.jpg', contentType: 'image/jpeg', shortSide: 480 }
+};
+const VIDEO_RENDITIONS = ['h264', 'preview'];
+
+// HLS ladder. Variants larger than the source are skipped (the smallest is always kept).
+const HLS_VARIANTS = [
+    { name: '360p', shortSide: 360, videoBitrate: 500,  maxrate: 600,  audioBitrate: 64 },
+    { name: '540p', shortSide: 540, videoBitrate: 1000, maxrate: 1200, audioBitrate: 96 },
+    { name: '720p', shortSide: 720, videoBitrate: 1800, maxrate: 2200, audioBitrate: 96 }
+];
+const HLS_SEGMENT_SECONDS = 6;
+const HLS_CONTENT_TYPES = { '.m3u8': 'application/vnd.apple.mpegurl', '.ts': 'video/mp2t' };
+
+// A job stuck in 'processing' this long is assumed to have died with its process
+const STALE_TRANSCODE_MINUTES = parseInt(process.env.STALE_TRANSCODE_MINUTES) || 60;
+
+// Scale so the short side is at most `shortSide`, never upscaling, keeping even dimensions
+function scaleFilter(shortSide) {
+    return `scale='if(gt(iw,ih),-2,min(iw,${shortSide}))':'if(gt(iw,ih),min(ih,${shortSide}),-2)'`;
+}
+
+// Output dimensions scaleFilter() yields for a source (mirrors ffmpeg's rounding for -2)
+function scaledSize(width, height, shortSide) {
+    if (width > height) {
+        const h = Math.min(height, shortSide);
+        return { width: Math.round((h * width) / height / 2) * 2, height: h };
+    }
+    const w = Math.min(width, shortSide);
+    return { width: w, height: Math.round((w * height) / width / 2) * 2 };
+}
+
+function probe(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, meta) => {
+            if (err) return reject(err);
+            const video = (meta.streams || []).find(s => s.codec_type === 'video');
+            resolve({
+                duration: meta.format.duration || 0,
+                hasAudio: (meta.streams || []).some(s => s.codec_type === 'audio'),
+                width: video?.width || null,
+                height: video?.height || null
+            });
+        });
+    });
+}
+
+function runFfmpeg(command) {
+    return new Promise((resolve, reject) => {
+        command.on('end', () => resolve()).on('error', reject).run();
+    });
+}
+
+function encodeVideo(input, output, spec, hasAudio) {
+    const command = ffmpeg(input)
+        .videoCodec('libx264')
+        .outputOptions([
+            '-preset veryfast',
+            '-profile:v high',
+            '-pix_fmt yuv420p',
+            `-b:v ${spec.videoBitrate}k`,
+            `-maxrate ${spec.maxrate}k`,
+            `-bufsize ${spec.maxrate * 2}k`,
+            `-vf ${scaleFilter(spec.shortSide)}`,
+            '-movflags +faststart'
+        ])
+        .output(output);
+    if (hasAudio) command.audioCodec('aac').audioBitrate(spec.audioBitrate);
+    else command.noAudio();
+    return runFfmpeg(command);
+}
+
+// One HLS variant: index.m3u8 + seg_NNN.ts in `dir`, keyframes on segment boundaries
+function encodeHlsVariant(input, dir, spec, hasAudio) {
+    fs.mkdirSync(dir, { recursive: true });
+    const command = ffmpeg(input)
+        .videoCodec('libx264')
+        .outputOptions([
+            '-preset veryfast',
+            '-profile:v main',
+            '-pix_fmt yuv420p',
+            `-b:v ${spec.videoBitrate}k`,
+            `-maxrate ${spec.maxrate}k`,
+            `-bufsize ${spec.maxrate * 2}k`,
+            `-vf ${scaleFilter(spec.shortSide)}`,
+            `-force_key_frames expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+            '-sc_threshold 0',
+            `-hls_time ${HLS_SEGMENT_SECONDS}`,
+            '-hls_playlist_type vod',
+            `-hls_segment_filename ${path.join(dir, 'seg_%03d.ts')}`
+        ])
+        .format('hls')
+        .output(path.join(dir, 'index.m3u8'));
+    if (hasAudio) command.audioCodec('aac').audioBitrate(spec.audioBitrate);
+    else command.noAudio();
+    return runFfmpeg(command);
+}
+
+function extractPoster(input, output, spec, duration) {
+    return runFfmpeg(
+        ffmpeg(input)
+            .seekInput(Math.min(1, duration / 2))
+            .frames(1)
+            .outputOptions([`-vf ${scaleFilter(spec.shortSide)}`, '-q:v 3'])
+            .output(output)
+    );
+}
+
+// Object key/path of a rendition, next to the original: recordings/abc.mp4 → recordings/abc.preview.mp4
+function renditionPath(recordingPath, rendition) {
+    const parsed = path.posix.parse(recordingPath);
+    return path.posix.join(parsed.dir, `${parsed.name}.${rendition}${RENDITIONS[rendition].ext}`);
+}
+
+async function downloadOriginal(bug, dest) {
+    const driver = storageDrivers.getDriver(bug.recording_storage);
+    await storageDrivers.downloadToFile(driver, BUCKET, bug.recording_path, dest);
+}
+
+// HLS files live under a folder next to the original: recordings/abc.mp4 → recordings/abc.hls/
+function hlsPrefix(recordingPath) {
+    const parsed = path.posix.parse(recordingPath);
+    return path.posix.join(parsed.dir, `${parsed.name}.hls`);
+}
+
+// Stores a rendition file next to the original, with the driver that holds the original
+async function storeObject(bug, filePath, key, contentType) {
+    const driver = storageDrivers.getDriver(bug.recording_storage);
+    await driver.put(BUCKET, key, filePath, { contentType });
+    return { path: key, url: driver.publicUrl(BUCKET, key) };
+}
+
+async function saveRendition(bugId, rendition, row) {
+    await db.query(
+        `INSERT INTO video_renditions
+            (bug_id, rendition, storage, path, url, content_type, size_bytes, width, height, duration_seconds, files)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (bug_id, rendition) DO UPDATE SET
+            storage = EXCLUDED.storage, path = EXCLUDED.path, url = EXCLUDED.url,
+            content_type = EXCLUDED.content_type, size_bytes = EXCLUDED.size_bytes,
+            width = EXCLUDED.width, height = EXCLUDED.height,
+            duration_seconds = EXCLUDED.duration_seconds, files = EXCLUDED.files, created_at = NOW()`,
+        [
+            bugId, rendition, row.storage, row.path, row.url, row.contentType, row.size,
+            row.width || null, row.height || null, row.duration || null, row.files || null
+        ]
+    );
+}
+
+/**
+ * Encodes the HLS ladder, writes a master playlist over the variants that were
+ * produced, and uploads every playlist and segment.
+ */
+async function buildHls(bug, original, info, workDir) {
+    const hlsDir = path.join(workDir, 'hls');
+    const sourceShortSide = Math.min(info.width || Infinity, info.height || Infinity);
+    const variants = HLS_VARIANTS.filter(v => v.shortSide <= sourceShortSide);
+    if (variants.length === 0) variants.push(HLS_VARIANTS[0]);
+
+    const master = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const variant of variants) {
+        const dir = path.join(hlsDir, variant.name);
+        await encodeHlsVariant(original, dir, variant, info.hasAudio);
+        // (the bundled ffprobe cannot be trusted on MPEG-TS segments, so compute rather than probe)
+        const meta = scaledSize(info.width, info.height, variant.shortSide);
+        const audio = info.hasAudio ? variant.audioBitrate : 0;
+        master.push(
+            `#EXT-X-STREAM-INF:BANDWIDTH=${(variant.maxrate + audio) * 1000},` +
+            `AVERAGE-BANDWIDTH=${(variant.videoBitrate + audio) * 1000},RESOLUTION=${meta.width}x${meta.height}`,
+            `${variant.name}/index.m3u8`
+        );
+    }
+    fs.writeFileSync(path.join(hlsDir, 'master.m3u8'), master.join('\n') + '\n');
+
+    const prefix = hlsPrefix(bug.recording_path);
+    const files = [];
+    let size = 0;
+    for (const rel of fs.readdirSync(hlsDir, { recursive: true })) {
+        const filePath = path.join(hlsDir, rel);
+        if (!fs.statSync(filePath).isFile()) continue;
+        const key = path.posix.join(prefix, rel.split(path.sep).join('/'));
+        await storeObject(bug, filePath, key, HLS_CONTENT_TYPES[path.extname(rel)]);
+        files.push(key);
+        size += fs.statSync(filePath).size;
+    }
+
+    const top = scaledSize(info.width, info.height, variants[variants.length - 1].shortSide);
+    await saveRendition(bug.id, 'hls', {
+        storage: bug.recording_storage,
+        path: path.posix.join(prefix, 'master.m3u8'),
+        url: null,
+        contentType: HLS_CONTENT_TYPES['.m3u8'],
+        size,
+        width: top.width,
+        height: top.height,
+        duration: info.duration,
+        files
+    });
+}
+
+/**
+ * Produces and stores every rendition of one bug's recording, replacing any
+ * earlier ones. The work happens in a scratch directory that is always removed.
+ * @param {{ id: number, recording_path: string, recording_storage: string }} bug
+ */
+async function transcodeRecording(bug) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `transcode-${bug.id}-`));
+    try {
+        const original = path.join(workDir, `original${path.extname(bug.recording_path) || '.mp4'}`);
+        await downloadOriginal(bug, original);
+        const info = await probe(original);
+
+        for (const rendition of Object.keys(RENDITIONS)) {
+            const spec = RENDITIONS[rendition];
+            const output = path.join(workDir, `${rendition}${spec.ext}`);
+            if (rendition === 'poster') await extractPoster(original, output, spec, info.duration);
+            else await encodeVideo(original, output, spec, info.hasAudio);
+
+            const meta = rendition === 'poster' ? {} : await probe(output);
+            const stored = await storeObject(bug, output, renditionPath(bug.recording_path, rendition), spec.contentType);
+            await saveRendition(bug.id, rendition, {
+                storage: bug.recording_storage,
+                path: stored.path,
+                url: stored.url,
+                contentType: spec.contentType,
+                size: fs.statSync(output).size,
+                ...meta
+            });
+        }
+
+        await buildHls(bug, original, info, workDir);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+// Claims the oldest pending recording; SKIP LOCKED keeps several instances from taking the same one
+async function claimNextRecording() {
+    const result = await db.query(
+        `UPDATE bugs SET transcode_status = 'processing', transcode_started_at = NOW(), transcode_error = NULL
+         WHERE id = (
+             SELECT id FROM bugs
+             WHERE recording_path IS NOT NULL
+               AND (transcode_status = 'pending'
+                    OR (transcode_status = 'processing'
+                        AND transcode_started_at < NOW() - make_interval(mins => $1::int)))
+             ORDER BY created_at
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, recording_path, recording_storage`,
+        [STALE_TRANSCODE_MINUTES]
+    );
+    return result.rows[0] || null;
+}
+
+let draining = false;
+
+/**
+ * Transcodes pending recordings one at a time until none are left. Safe to call
+ * often (after each upload and from the periodic poller): concurrent calls in
+ * this process return immediately.
+ * @returns {Promise<number>} how many recordings were processed by this call
+ */
+async function processPendingTranscodes() {
+    if (draining) return 0;
+    draining = true;
+    let processed = 0;
+    try {
+        let bug;
+        while ((bug = await claimNextRecording())) {
+            const startedAt = Date.now();
+            try {
+                await transcodeRecording(bug);
+                await db.query(`UPDATE bugs SET transcode_status = 'done' WHERE id = $1`, [bug.id]);
+                console.log(`🎞️ Bug #${bug.id} transcoded in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+            } catch (err) {
+                await db.query(`UPDATE bugs SET transcode_status = 'failed', transcode_error = $2 WHERE id = $1`, [bug.id, err.message]);
+                console.error(`❌ Transcode failed for bug #${bug.id}:`, err.message);
+            }
+            processed++;
+        }
+    } finally {
+        draining = false;
+    }
+    return processed;
+}
+
+// Queues (or re-queues) a bug's recording for transcoding
+async function queueTranscode(bugId) {
+    const result = await db.query(
+        `UPDATE bugs SET transcode_status = 'pending', transcode_error = NULL
+         WHERE id = $1 AND recording_path IS NOT NULL AND transcode_status IS DISTINCT FROM 'processing'
+         RETURNING id`,
+        [bugId]
+    );
+    return result.rows.length > 0;
+}
+
+async function getRenditions(bugId) {
+    const result = await db.query(
+        `SELECT rendition, storage, path, url, content_type, size_bytes, width, height, duration_seconds, created_at
+         FROM video_renditions WHERE bug_id = $1`,
+        [bugId]
+    );
+    return result.rows;
+}
+
+/**
+ * The HLS rendition playing for a bug: its own recording's, or (like the video
+ * proxy) that of the sibling report in the same session that carries the recording.
+ * @returns {Promise<{ source_bug_id: number, storage: string, path: string, files: string[] } | null>}
+ */
+async function findHlsRendition(bugId) {
+    const result = await db.query(
+        `SELECT v.bug_id AS source_bug_id, v.storage, v.path, v.files
+         FROM bugs b
+         JOIN LATERAL (
+             SELECT src.id FROM bugs src
+             WHERE src.recording_path IS NOT NULL
+               AND (src.id = b.id OR (b.session_id IS NOT NULL AND src.session_id = b.session_id))
+             ORDER BY (src.id = b.id) DESC, src.id
+             LIMIT 1
+         ) r ON TRUE
+         JOIN video_renditions v ON v.bug_id = r.id AND v.rendition = 'hls'
+         WHERE b.id = $1`,
+        [bugId]
+    );
+    return result.rows[0] || null;
+}
+
+// Removes stored rendition files (every HLS playlist and segment too) for bugs about to be deleted
+async function deleteRenditions(bugIds) {
+    const result = await db.query(
+        'SELECT storage, path, files FROM video_renditions WHERE bug_id = ANY($1::int[])',
+        [bugIds]
+    );
+    await storageDrivers.deleteStored(BUCKET, result.rows.flatMap(r => (r.files || [r.path]).map(key => ({ storage: r.storage, key }))));
+}
+
+module.exports = {
+    RENDITIONS,
+    VIDEO_RENDITIONS,
+    HLS_CONTENT_TYPES,
+    findHlsRendition,
+    processPendingTranscodes,
+    queueTranscode,
+    getRenditions,
+    deleteRenditions
+};